@@ -0,0 +1,173 @@
+// functions/src/campaigns/cancelCampaign.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { issueCampaignRefund } = require('../payments/refundPayment');
+const { getPaidTopUps, refundBudgetTopUps } = require('../payments/budgetTopUps');
+const { getCampaignCurrency } = require('../shared/currency');
+const { getCampaignVideoCount } = require('../shared/pricing');
+const { transitionCampaignStatus, getPausedDuration } = require('./updateCampaignStatus');
+
+// Campaigns in these states can be cancelled by the artist
+const CANCELLABLE_STATUSES = ['pending', 'scheduled', 'active', 'paused'];
+
+const DAY_IN_MS = 86400000;
+
+/**
+ * Work out the pro-rata refund for cancelling a campaign.
+ * The share of the campaign already consumed is the larger of the share of expected videos
+ * delivered and the share of the duration that has passed; the rest of the payment (and of any
+ * budget top-ups) is refunded.
+ * @param {Object} campaign - Campaign data
+ * @param {number} videosDelivered - Number of videos already delivered
+ * @param {Date} now - Current time
+ * @returns {Object} - Refund breakdown
+ */
+const calculateCancellationRefund = (campaign, videosDelivered, now = new Date()) => {
+  const paymentDetails = campaign.paymentDetails || {};
+  const initialPayment = paymentDetails.status === 'succeeded'
+    ? (paymentDetails.amountReceived ?? paymentDetails.amount ?? 0)
+    : 0;
+  const topUpPayments = getPaidTopUps(campaign).reduce((sum, topUp) => sum + (topUp.amountReceived || 0), 0);
+  const amountPaid = Math.round((initialPayment + topUpPayments) * 100) / 100;
+
+  const videosExpected = getCampaignVideoCount(campaign);
+  const videoShare = videosExpected > 0 ? Math.min(1, videosDelivered / videosExpected) : 0;
+
+  let timeShare = 0;
+  // Time spent paused doesn't count as used; while paused the clock stops at the pause
+  if (['active', 'paused'].includes(campaign.status) && campaign.startDate) {
+    const start = campaign.startDate.toDate ? campaign.startDate.toDate() : new Date(campaign.startDate);
+    const end = campaign.endDate
+      ? (campaign.endDate.toDate ? campaign.endDate.toDate() : new Date(campaign.endDate))
+      : new Date(start.getTime() + (campaign.campaignDetails?.duration || 30) * DAY_IN_MS);
+    const totalDuration = end.getTime() - start.getTime() - (campaign.pausedMs || 0);
+    const elapsed = now.getTime() - start.getTime() - getPausedDuration(campaign, now.getTime());
+
+    if (totalDuration > 0) {
+      timeShare = Math.max(0, Math.min(1, elapsed / totalDuration));
+    }
+  }
+
+  const consumedShare = Math.max(videoShare, timeShare);
+  const refundShare = 1 - consumedShare;
+  const refundAmount = Math.round(amountPaid * refundShare * 100) / 100;
+
+  return {
+    amountPaid,
+    initialPayment,
+    topUpPayments,
+    currency: paymentDetails.currency || getCampaignCurrency(campaign),
+    videosExpected,
+    videosDelivered,
+    videoShare: Math.round(videoShare * 1000) / 1000,
+    timeShare: Math.round(timeShare * 1000) / 1000,
+    refundShare,
+    refundAmount
+  };
+};
+
+/**
+ * Check that the caller can cancel a campaign and quote its refund
+ * @param {Object} campaignSnap - Campaign snapshot
+ * @param {Object} videosSnap - Snapshot of the campaign's delivered videos
+ * @param {string} uid - Caller's user ID
+ * @returns {Object} - Refund breakdown
+ */
+const quoteCancellation = (campaignSnap, videosSnap, uid) => {
+  if (!campaignSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Campaign not found');
+  }
+
+  const campaignData = campaignSnap.data();
+
+  if (campaignData.userId !== uid) {
+    throw new functions.https.HttpsError('permission-denied', 'You can only cancel your own campaigns');
+  }
+
+  if (!CANCELLABLE_STATUSES.includes(campaignData.status)) {
+    throw new functions.https.HttpsError('failed-precondition', `A ${campaignData.status} campaign cannot be cancelled`);
+  }
+
+  return calculateCancellationRefund(campaignData, videosSnap.size);
+};
+
+/**
+ * Cancel a pending or active campaign and refund the unused part of the payment.
+ * Pass dryRun: true to get the refund quote without cancelling.
+ */
+exports.cancelCampaign = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { campaignId, reason, dryRun } = data || {};
+  if (!campaignId) {
+    throw new functions.https.HttpsError('invalid-argument', 'campaignId is required');
+  }
+
+  const db = admin.firestore();
+  const campaignRef = db.collection('campaigns').doc(campaignId);
+  const videosQuery = db.collection('videos').where('campaignId', '==', campaignId);
+
+  if (dryRun) {
+    const [campaignSnap, videosSnap] = await Promise.all([campaignRef.get(), videosQuery.get()]);
+    return { success: true, quote: quoteCancellation(campaignSnap, videosSnap, context.auth.uid) };
+  }
+
+  let quote;
+  let campaignData;
+  try {
+    // Quote and flip the status in one transaction, so the refund covers the campaign as it is
+    // cancelled (including a top-up paid meanwhile) and two cancel requests can't both go through
+    ({ quote, campaignData } = await db.runTransaction(async (transaction) => {
+      const snap = await transaction.get(campaignRef);
+      const videosSnap = await transaction.get(videosQuery);
+      const cancellationQuote = quoteCancellation(snap, videosSnap, context.auth.uid);
+
+      transitionCampaignStatus(transaction, snap, 'cancelled', {
+        uid: context.auth.uid,
+        roles: ['owner'],
+        reason: reason || '',
+        updates: {
+          cancelledBy: context.auth.uid,
+          cancellation: {
+            ...cancellationQuote,
+            reason: reason || '',
+            previousStatus: snap.data().status
+          }
+        }
+      });
+
+      return { quote: cancellationQuote, campaignData: snap.data() };
+    }));
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    console.error('Error cancelling campaign:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+
+  let refund = null;
+  try {
+    refund = await issueCampaignRefund(campaignId, {
+      amount: Math.round(quote.initialPayment * quote.refundShare * 100) / 100,
+      reason: 'cancelled'
+    });
+  } catch (error) {
+    // The campaign stays cancelled; the failed refund is recorded for support to follow up
+    console.error('Error refunding cancelled campaign:', error);
+  }
+
+  // Each top-up was a separate payment, so it is refunded separately by the same share
+  await refundBudgetTopUps(campaignId, campaignData, quote.refundShare, 'cancelled');
+
+  return {
+    success: true,
+    quote,
+    refund: refund ? { id: refund.id, amount: refund.amount, currency: refund.currency, status: refund.status } : null
+  };
+});
+
+exports.calculateCancellationRefund = calculateCancellationRefund;
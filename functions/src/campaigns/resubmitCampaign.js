@@ -0,0 +1,233 @@
+// functions/src/campaigns/resubmitCampaign.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { transitionCampaignStatus } = require('./updateCampaignStatus');
+const { getCampaignCurrency } = require('../shared/currency');
+const { ACTIVE_REFUND_STATUSES } = require('../payments/refundPayment');
+const { getWalletRef, getBalance, recordWalletEntry } = require('../payments/wallet');
+const { assertValidCampaign } = require('./validateCampaign');
+
+/**
+ * Work out how a rejected campaign's resubmission is paid for.
+ * 'retained': the original payment was never refunded (e.g. the refund failed) and still covers the campaign.
+ * 'credit': the payment was refunded to the artist's wallet and can be taken from there again.
+ * 'payment': the money went back to the card or PayPal account, so the artist pays again through a checkout.
+ * @param {Object} campaign - Campaign data
+ * @returns {Object} - { type, amount?, currency? }
+ */
+const getResubmissionPayment = (campaign) => {
+  const paymentDetails = campaign.paymentDetails || {};
+  const refund = paymentDetails.refund;
+
+  if (paymentDetails.status === 'succeeded' && !ACTIVE_REFUND_STATUSES.includes(refund?.status)) {
+    return { type: 'retained' };
+  }
+
+  if (refund?.processor === 'wallet' && refund.status === 'succeeded' && paymentDetails.walletUserId) {
+    return { type: 'credit', amount: refund.amount, currency: refund.currency || getCampaignCurrency(campaign) };
+  }
+
+  return { type: 'payment' };
+};
+
+/**
+ * Build the campaign fields an artist may change when resubmitting, checked against the campaign schema.
+ * The budget, currency and pricing stay as bought, so the payment being reused still matches.
+ * @param {Object} campaign - Rejected campaign data
+ * @param {Object} edits - { songDetails, artistDetails, campaignDetails, billingDetails } from the wizard
+ * @param {Object} options - Validation options, as for assertValidCampaign
+ * @returns {Object} - Campaign fields
+ */
+const getResubmittedFields = (campaign, edits, options = {}) => {
+  const { songDetails, artistDetails, campaignDetails, billingDetails } = edits || {};
+
+  if (!songDetails || !artistDetails || !campaignDetails) {
+    throw new functions.https.HttpsError('invalid-argument', 'Song, artist and campaign details are required');
+  }
+
+  return assertValidCampaign({
+    songDetails,
+    artistDetails,
+    campaignDetails: {
+      ...campaignDetails,
+      budget: campaign.campaignDetails.budget,
+      currency: getCampaignCurrency(campaign)
+    },
+    billingDetails: billingDetails || campaign.billingDetails
+  }, options);
+};
+
+/**
+ * Check that the caller can resubmit a campaign
+ * @param {Object} campaign - Campaign data
+ * @param {string} uid - Caller's user ID
+ */
+const assertResubmittable = (campaign, uid) => {
+  if (campaign.userId !== uid) {
+    throw new functions.https.HttpsError('permission-denied', 'You can only resubmit your own campaigns');
+  }
+
+  if (campaign.status !== 'rejected') {
+    throw new functions.https.HttpsError('failed-precondition', 'Only rejected campaigns can be resubmitted');
+  }
+};
+
+/**
+ * Save the rejected version of a campaign, apply the artist's edits and send it back for review.
+ * Must be called inside a transaction after all of its reads.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} campaignSnap - Rejected campaign snapshot read in the same transaction
+ * @param {Object} edits - Wizard fields, as for getResubmittedFields
+ * @param {Object} options - { uid, paymentDetails: the new payment, if the old one is replaced }
+ * @returns {string} - ID of the saved revision
+ */
+const applyResubmission = (transaction, campaignSnap, edits, { uid, paymentDetails = null }) => {
+  const campaign = campaignSnap.data();
+  const revisionRef = campaignSnap.ref.collection('revisions').doc();
+
+  // The rejected version, kept so admins can see what changed
+  transaction.set(revisionRef, {
+    songDetails: campaign.songDetails || null,
+    artistDetails: campaign.artistDetails || null,
+    campaignDetails: campaign.campaignDetails || null,
+    billingDetails: campaign.billingDetails || null,
+    paymentDetails: campaign.paymentDetails || null,
+    adminNotes: campaign.adminNotes || '',
+    rejectedBy: campaign.validatedBy || null,
+    rejectedAt: campaign.validatedAt || null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  // Paid for (or covered by the old payment), so this is the one way back to pending
+  transitionCampaignStatus(transaction, campaignSnap, 'pending', {
+    uid,
+    roles: ['system'],
+    actorRole: 'owner',
+    reason: 'Edited and resubmitted',
+    updates: {
+      // Checked before payment; a start date that has passed since then starts the campaign on approval
+      ...getResubmittedFields(campaign, edits, { checkStartDate: false }),
+      ...(paymentDetails ? {
+        paymentDetails,
+        previousPayments: admin.firestore.FieldValue.arrayUnion(campaign.paymentDetails)
+      } : {}),
+      isValidated: false,
+      validatedBy: null,
+      validatedAt: null,
+      adminNotes: '',
+      lastRevisionId: revisionRef.id,
+      resubmissionCount: admin.firestore.FieldValue.increment(1),
+      resubmittedAt: admin.firestore.FieldValue.serverTimestamp()
+    }
+  });
+
+  return revisionRef.id;
+};
+
+/**
+ * Resubmit an edited rejected campaign without a new checkout, reusing its payment
+ * or the credits it was refunded. Returns { paymentRequired: true } when the artist has to pay
+ * again; the wizard then sends them through a checkout for the same campaign.
+ */
+const resubmitCampaign = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { campaignId, campaign: edits } = data || {};
+  if (!campaignId) {
+    throw new functions.https.HttpsError('invalid-argument', 'campaignId is required');
+  }
+
+  const db = admin.firestore();
+  const campaignRef = db.collection('campaigns').doc(campaignId);
+  const campaignSnap = await campaignRef.get();
+
+  if (!campaignSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Campaign not found');
+  }
+
+  assertResubmittable(campaignSnap.data(), context.auth.uid);
+  // Check the edits before anything is charged
+  getResubmittedFields(campaignSnap.data(), edits);
+
+  const payment = getResubmissionPayment(campaignSnap.data());
+  if (payment.type === 'payment') {
+    return { success: false, paymentRequired: true, campaignId };
+  }
+
+  try {
+    const paymentType = await db.runTransaction(async (transaction) => {
+      const snap = await transaction.get(campaignRef);
+      const campaign = snap.data();
+      const current = getResubmissionPayment(campaign);
+      const walletSnap = current.type === 'credit'
+        ? await transaction.get(getWalletRef(campaign.paymentDetails.walletUserId))
+        : null;
+
+      assertResubmittable(campaign, context.auth.uid);
+
+      if (current.type === 'payment') {
+        return current.type;
+      }
+
+      if (current.type === 'retained') {
+        applyResubmission(transaction, snap, edits, { uid: context.auth.uid });
+        return current.type;
+      }
+
+      // Take the refunded credits back out of the wallet for the resubmission
+      if (getBalance(walletSnap, current.currency) < current.amount) {
+        return 'payment';
+      }
+
+      const entryId = `spend-${campaignId}-${(campaign.resubmissionCount || 0) + 1}`;
+      // A new payment gets its own invoice; the refunded one stays in previousPayments
+      const { refund, invoice, ...paymentDetails } = campaign.paymentDetails;
+
+      recordWalletEntry(transaction, paymentDetails.walletUserId, walletSnap, entryId, {
+        type: 'spend',
+        amount: -current.amount,
+        currency: current.currency,
+        campaignId,
+        processor: 'wallet',
+        description: `Resubmitted campaign: ${campaign.songDetails?.title || campaignId}`
+      });
+
+      applyResubmission(transaction, snap, edits, {
+        uid: context.auth.uid,
+        paymentDetails: {
+          ...paymentDetails,
+          status: 'succeeded',
+          transactionId: entryId,
+          amountReceived: current.amount,
+          paidAt: admin.firestore.FieldValue.serverTimestamp()
+        }
+      });
+
+      return current.type;
+    });
+
+    if (paymentType === 'payment') {
+      return { success: false, paymentRequired: true, campaignId };
+    }
+
+    return { success: true, paymentRequired: false, campaignId, paymentType };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    console.error('Error resubmitting campaign:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  getResubmissionPayment,
+  getResubmittedFields,
+  assertResubmittable,
+  applyResubmission,
+  resubmitCampaign
+};
@@ -0,0 +1,275 @@
+// functions/src/campaigns/updateCampaignStatus.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+const DAY_IN_MS = 86400000;
+
+/**
+ * Allowed campaign status changes and who may make each one.
+ * 'owner' is the artist who owns the campaign, 'admin' any admin and 'system' a Cloud Function acting
+ * on its own (scheduled jobs, payment webhooks). Anything not listed here is rejected.
+ * Only paid campaigns reach pending, so artists never make that change directly: drafts are submitted once
+ * paid (submitCampaignForValidation) and rejected campaigns go back when resubmitted (applyResubmission).
+ * Paused campaigns get no new creator work; resuming pushes the end date back by the time spent paused.
+ * Approving is done by validateCampaign, which decides between active and scheduled from the start date.
+ * Approved campaigns with a future start date wait in scheduled until launchScheduledCampaigns starts them.
+ * Campaigns are only completed by campaignStatusCheck, which freezes their final metrics.
+ */
+const STATUS_TRANSITIONS = {
+  draft: { pending: ['system'] },
+  pending: { active: ['system'], scheduled: ['system'], rejected: ['admin', 'system'], cancelled: ['owner', 'admin'] },
+  scheduled: { active: ['admin', 'system'], cancelled: ['owner', 'admin'] },
+  active: { paused: ['owner', 'admin'], completed: ['system'], cancelled: ['owner', 'admin'] },
+  paused: { active: ['owner', 'admin'], cancelled: ['owner', 'admin'] },
+  rejected: { pending: ['system'] },
+  completed: {},
+  cancelled: {}
+};
+
+/**
+ * Find which of the actor's roles allows a status change
+ * @param {string} from - Current status
+ * @param {string} to - New status
+ * @param {Array<string>} roles - Actor roles ('owner', 'admin', 'system')
+ * @returns {string|null} - Role that allows the change, or null if none does
+ */
+const getAllowedRole = (from, to, roles) => {
+  const allowedRoles = STATUS_TRANSITIONS[from]?.[to] || [];
+  return roles.find(role => allowedRoles.includes(role)) || null;
+};
+
+/**
+ * Time a campaign has spent paused, including a pause still in progress
+ * @param {Object} campaign - Campaign data
+ * @param {number} now - Current time in milliseconds
+ * @returns {number} - Paused time in milliseconds
+ */
+const getPausedDuration = (campaign, now = Date.now()) => {
+  const currentPause = campaign.status === 'paused' && campaign.pausedAt
+    ? Math.max(0, now - campaign.pausedAt.toMillis())
+    : 0;
+
+  return (campaign.pausedMs || 0) + currentPause;
+};
+
+/**
+ * Date an approved campaign should start: the song's release day or a date the artist picked.
+ * Dates arrive from the wizard as ISO strings.
+ * @param {Object} campaign - Campaign data
+ * @returns {Date|null} - Start date, or null to start as soon as the campaign is approved
+ */
+const getScheduledStartDate = (campaign) => {
+  const { startOption, customStartDate } = campaign.campaignDetails || {};
+  const value = startOption === 'releaseDate' ? campaign.songDetails?.releaseDate
+    : startOption === 'custom' ? customStartDate
+      : null;
+
+  if (!value) {
+    return null;
+  }
+
+  const date = value.toDate ? value.toDate() : new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Fields that go with entering a status, e.g. the start and end dates when a campaign goes live
+ * @param {string} to - New status
+ * @param {Object} campaign - Campaign data
+ * @returns {Object} - Campaign fields to update
+ */
+const getStatusFields = (to, campaign) => {
+  const now = admin.firestore.FieldValue.serverTimestamp();
+
+  switch (to) {
+    case 'pending':
+      return { submittedAt: now };
+    case 'active': {
+      // Resuming keeps the original start date and moves the end date back by the pause
+      if (campaign.status === 'paused') {
+        const pausedFor = campaign.pausedAt ? Math.max(0, Date.now() - campaign.pausedAt.toMillis()) : 0;
+
+        return {
+          pausedAt: null,
+          resumedAt: now,
+          pausedMs: (campaign.pausedMs || 0) + pausedFor,
+          endDate: campaign.endDate ? admin.firestore.Timestamp.fromMillis(campaign.endDate.toMillis() + pausedFor) : null
+        };
+      }
+
+      return {
+        startDate: now,
+        endDate: admin.firestore.Timestamp.fromMillis(Date.now() + (campaign.campaignDetails?.duration || 30) * DAY_IN_MS)
+      };
+    }
+    case 'scheduled': {
+      const startDate = getScheduledStartDate(campaign);
+      return { scheduledStartDate: startDate ? admin.firestore.Timestamp.fromDate(startDate) : null };
+    }
+    case 'paused':
+      return { pausedAt: now };
+    case 'rejected':
+      return { startDate: null, endDate: null };
+    case 'completed':
+      return { completedAt: now };
+    case 'cancelled':
+      return { cancelledAt: now };
+    default:
+      return {};
+  }
+};
+
+/**
+ * Write a status change to the campaign's statusHistory subcollection.
+ * Also used on its own when a campaign is created, with from set to null.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} campaignRef - Campaign document reference
+ * @param {Object} change - { from, to, actor: { uid, role }, reason }
+ */
+const recordStatusChange = (transaction, campaignRef, { from, to, actor, reason = '' }) => {
+  transaction.set(campaignRef.collection('statusHistory').doc(), {
+    from,
+    to,
+    actor: { uid: actor.uid || null, role: actor.role },
+    reason,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+};
+
+/**
+ * Move a campaign to a new status inside a transaction, after all of the transaction's reads.
+ * Throws if the transition table doesn't allow the change for any of the actor's roles.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} campaignSnap - Campaign snapshot read in the same transaction
+ * @param {string} to - New status
+ * @param {Object} options - { uid, roles, reason, updates: extra campaign fields,
+ *   actorRole: role to record in the history when a function acts for the caller, e.g. 'owner' }
+ */
+const transitionCampaignStatus = (transaction, campaignSnap, to, { uid = null, roles = ['system'], reason = '', updates = {}, actorRole = null } = {}) => {
+  const campaign = campaignSnap.data();
+  const from = campaign.status;
+
+  if (!STATUS_TRANSITIONS[from]?.[to]) {
+    throw new functions.https.HttpsError('failed-precondition', `A ${from} campaign cannot be moved to ${to}`);
+  }
+
+  const role = getAllowedRole(from, to, roles);
+  if (!role) {
+    throw new functions.https.HttpsError('permission-denied', `You are not allowed to move a ${from} campaign to ${to}`);
+  }
+
+  transaction.update(campaignSnap.ref, {
+    ...getStatusFields(to, campaign),
+    ...updates,
+    status: to,
+    statusChangedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  recordStatusChange(transaction, campaignSnap.ref, { from, to, actor: { uid, role: actorRole || role }, reason });
+};
+
+/**
+ * Change a campaign's status in its own transaction
+ * @param {string} campaignId - Campaign ID
+ * @param {string} to - New status
+ * @param {Object} options - Same as transitionCampaignStatus
+ * @returns {Promise<string>} - The status the campaign had before
+ */
+const changeCampaignStatus = async (campaignId, to, options) => {
+  const db = admin.firestore();
+  const campaignRef = db.collection('campaigns').doc(campaignId);
+
+  return db.runTransaction(async (transaction) => {
+    const campaignSnap = await transaction.get(campaignRef);
+
+    if (!campaignSnap.exists) {
+      throw new functions.https.HttpsError('not-found', 'Campaign not found');
+    }
+
+    transitionCampaignStatus(transaction, campaignSnap, to, options);
+    return campaignSnap.data().status;
+  });
+};
+
+/**
+ * Work out which roles the caller has on a campaign
+ * @param {Object} context - Callable context
+ * @param {Object} campaign - Campaign data
+ * @returns {Promise<Array<string>>} - Roles, e.g. ['owner'] or ['admin']
+ */
+const getCallerRoles = async (context, campaign) => {
+  const roles = [];
+
+  if (campaign.userId === context.auth.uid) {
+    roles.push('owner');
+  }
+
+  const userSnapshot = await admin.firestore().collection('users').doc(context.auth.uid).get();
+  if (userSnapshot.exists && userSnapshot.data().role === 'admin') {
+    roles.push('admin');
+  }
+
+  return roles;
+};
+
+/**
+ * Change a campaign's status as the calling artist or admin.
+ * Cancellations go through cancelCampaign, which refunds; reviews usually go through validateCampaign,
+ * which also records the admin's notes.
+ */
+const updateCampaignStatus = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { campaignId, status, reason } = data || {};
+  if (!campaignId || !status) {
+    throw new functions.https.HttpsError('invalid-argument', 'campaignId and status are required');
+  }
+
+  // Cancelling also works out and issues the refund
+  if (status === 'cancelled') {
+    throw new functions.https.HttpsError('invalid-argument', 'Use cancelCampaign to cancel a campaign');
+  }
+
+  const campaignSnap = await admin.firestore().collection('campaigns').doc(campaignId).get();
+  if (!campaignSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Campaign not found');
+  }
+
+  const roles = await getCallerRoles(context, campaignSnap.data());
+  if (roles.length === 0) {
+    throw new functions.https.HttpsError('permission-denied', 'You can only change your own campaigns');
+  }
+
+  try {
+    const previousStatus = await changeCampaignStatus(campaignId, status, {
+      uid: context.auth.uid,
+      roles,
+      reason: reason || ''
+    });
+
+    return { success: true, previousStatus, status };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    console.error('Error updating campaign status:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  STATUS_TRANSITIONS,
+  getAllowedRole,
+  getPausedDuration,
+  getScheduledStartDate,
+  recordStatusChange,
+  transitionCampaignStatus,
+  changeCampaignStatus,
+  getCallerRoles,
+  updateCampaignStatus
+};
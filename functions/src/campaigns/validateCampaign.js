@@ -0,0 +1,24 @@
+// functions/src/campaigns/validateCampaign.js
+const functions = require('firebase-functions');
+const { validateCampaignPayload } = require('../shared/campaignSchema');
+
+/**
+ * Check a campaign and throw an invalid-argument error listing the fields that failed.
+ * The wizard reads error.details.fieldErrors to put each message back on its input.
+ * @param {Object} campaign - As for validateCampaignPayload in shared/campaignSchema.js
+ * @param {Object} options - As for validateCampaignPayload
+ * @returns {Object} - The fields to store
+ */
+const assertValidCampaign = (campaign, options = {}) => {
+  const { values, fieldErrors } = validateCampaignPayload(campaign, options);
+
+  if (Object.keys(fieldErrors).length > 0) {
+    throw new functions.https.HttpsError('invalid-argument', 'Some campaign details are missing or invalid', { fieldErrors });
+  }
+
+  return values;
+};
+
+module.exports = {
+  assertValidCampaign
+};
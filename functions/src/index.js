@@ -3,10 +3,53 @@ const functions = require('firebase-functions');
 const admin = require('firebase-admin');
 admin.initializeApp();
 
+const { changeCampaignStatus, getScheduledStartDate } = require('./campaigns/updateCampaignStatus');
+
 // Create a Firestore instance
 const db = admin.firestore();
 
-// Example function to submit a campaign for validation
+// Campaigns
+exports.cancelCampaign = require('./campaigns/cancelCampaign').cancelCampaign;
+exports.updateCampaignStatus = require('./campaigns/updateCampaignStatus').updateCampaignStatus;
+exports.resubmitCampaign = require('./campaigns/resubmitCampaign').resubmitCampaign;
+
+// Payments
+exports.createCheckoutSession = require('./payments/checkoutSessions').createCheckoutSession;
+exports.confirmCheckoutPayment = require('./payments/checkoutSessions').confirmCheckoutPayment;
+exports.createPaymentIntent = require('./payments/createPaymentIntent').createPaymentIntent;
+exports.stripeWebhook = require('./payments/stripeWebhook').stripeWebhook;
+exports.createPayPalOrder = require('./payments/createPayPalOrder').createPayPalOrder;
+exports.capturePayPalOrder = require('./payments/capturePayPalOrder').capturePayPalOrder;
+exports.refundRejectedCampaign = require('./payments/refundRejectedCampaign').refundRejectedCampaign;
+exports.validatePromoCode = require('./payments/promoCodes').validatePromoCode;
+exports.quoteCheckout = require('./payments/quoteCheckout').quoteCheckout;
+exports.generateInvoice = require('./payments/generateInvoice').generateInvoice;
+exports.createBudgetTopUp = require('./payments/createBudgetTopUp').createBudgetTopUp;
+exports.captureBudgetTopUp = require('./payments/captureBudgetTopUp').captureBudgetTopUp;
+exports.updatePricing = require('./payments/pricing').updatePricing;
+
+// Credit wallet
+exports.createWalletTopUp = require('./payments/createWalletTopUp').createWalletTopUp;
+exports.captureWalletTopUp = require('./payments/captureWalletTopUp').captureWalletTopUp;
+exports.payWithCredits = require('./payments/payWithCredits').payWithCredits;
+
+// Saved payment methods
+exports.createSetupIntent = require('./payments/paymentMethods').createSetupIntent;
+exports.listPaymentMethods = require('./payments/paymentMethods').listPaymentMethods;
+exports.removePaymentMethod = require('./payments/paymentMethods').removePaymentMethod;
+
+// Creator payouts
+exports.accrueCreatorPayout = require('./payouts/payoutLedger').accrueCreatorPayout;
+exports.createPayoutRun = require('./payouts/payoutRuns').createPayoutRun;
+exports.markPayoutRunPaid = require('./payouts/payoutRuns').markPayoutRunPaid;
+exports.exportPayoutRun = require('./payouts/payoutRuns').exportPayoutRun;
+
+// Scheduled jobs
+exports.expireCheckouts = require('./scheduled/expireCheckouts').expireCheckouts;
+exports.campaignStatusCheck = require('./scheduled/campaignStatusCheck').campaignStatusCheck;
+exports.launchScheduledCampaigns = require('./scheduled/launchScheduledCampaigns').launchScheduledCampaigns;
+
+// Submit a paid draft campaign for validation (campaign owner only)
 exports.submitCampaignForValidation = functions.https.onCall(async (data, context) => {
   // Check if user is authenticated
   if (!context.auth) {
@@ -15,21 +58,41 @@ exports.submitCampaignForValidation = functions.https.onCall(async (data, contex
 
   const { campaignId } = data;
 
+  const campaignSnap = await db.collection('campaigns').doc(campaignId).get();
+  if (!campaignSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Campaign not found');
+  }
+
+  if (campaignSnap.data().userId !== context.auth.uid) {
+    throw new functions.https.HttpsError('permission-denied', 'You can only submit your own campaigns');
+  }
+
+  // Only paid campaigns go to review
+  if (campaignSnap.data().paymentDetails?.status !== 'succeeded') {
+    throw new functions.https.HttpsError('failed-precondition', 'Pay for the campaign before submitting it for review');
+  }
+
   try {
-    // Update campaign status to pending
-    await db.collection('campaigns').doc(campaignId).update({
-      status: 'pending',
-      submittedAt: admin.firestore.FieldValue.serverTimestamp()
+    await changeCampaignStatus(campaignId, 'pending', {
+      uid: context.auth.uid,
+      roles: ['system'],
+      actorRole: 'owner',
+      reason: 'Submitted for review'
     });
 
     return { success: true };
   } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     console.error('Error submitting campaign:', error);
     throw new functions.https.HttpsError('internal', error.message);
   }
 });
 
-// Example function to validate a campaign (admin only)
+// Approve or reject a pending campaign (admin only)
+// Approved campaigns with a future start date are scheduled instead of starting straight away
+// Rejections are refunded by the refundRejectedCampaign trigger
 exports.validateCampaign = functions.https.onCall(async (data, context) => {
   // Check if user is authenticated
   if (!context.auth) {
@@ -44,30 +107,34 @@ exports.validateCampaign = functions.https.onCall(async (data, context) => {
 
   const { campaignId, isApproved, notes } = data;
 
+  const campaignSnap = await db.collection('campaigns').doc(campaignId).get();
+  if (!campaignSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Campaign not found');
+  }
+
+  const startDate = getScheduledStartDate(campaignSnap.data());
+  const approvedStatus = startDate && startDate.getTime() > Date.now() ? 'scheduled' : 'active';
+
   try {
-    const campaignRef = db.collection('campaigns').doc(campaignId);
-    const campaignSnap = await campaignRef.get();
-    
-    if (!campaignSnap.exists) {
-      throw new Error('Campaign not found');
-    }
-    
-    const campaignData = campaignSnap.data();
-    
-    await campaignRef.update({
-      status: isApproved ? 'active' : 'rejected',
-      isValidated: true,
-      validatedBy: context.auth.uid,
-      adminNotes: notes || '',
-      validatedAt: admin.firestore.FieldValue.serverTimestamp(),
-      startDate: isApproved ? admin.firestore.FieldValue.serverTimestamp() : null,
-      endDate: isApproved 
-        ? new Date(Date.now() + (campaignData.campaignDetails.duration * 86400000)) 
-        : null
+    // Approving works out the start date here, so the change is made as the system on the admin's behalf
+    await changeCampaignStatus(campaignId, isApproved ? approvedStatus : 'rejected', {
+      uid: context.auth.uid,
+      roles: ['system'],
+      actorRole: 'admin',
+      reason: notes || '',
+      updates: {
+        isValidated: true,
+        validatedBy: context.auth.uid,
+        adminNotes: notes || '',
+        validatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }
     });
-    
-    return { success: true };
+
+    return { success: true, status: isApproved ? approvedStatus : 'rejected' };
   } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
     console.error('Error validating campaign:', error);
     throw new functions.https.HttpsError('internal', error.message);
   }
@@ -0,0 +1,217 @@
+// functions/src/payments/budgetTopUps.js
+const admin = require('firebase-admin');
+const { refundPayment } = require('./refundPayment');
+const { getPricedDuration } = require('../shared/pricing');
+
+const DAY_IN_MS = 86400000;
+
+// How far a single top-up can extend a campaign
+const MAX_EXTENSION_DAYS = 30;
+
+// Campaigns that can still take extra budget
+const TOP_UP_CAMPAIGN_STATUSES = ['active', 'paused'];
+
+// Top-ups whose payment has already been recorded, whether the budget was added or refunded
+const PAID_TOP_UP_STATUSES = ['succeeded', 'refunding', 'refunded'];
+
+/**
+ * Get the top-ups on a campaign that have been paid
+ * Top-ups are stored in a map on the campaign: topUps.{topUpId} = { budget, amount, status, ... }
+ * @param {Object} campaign - Campaign data
+ * @returns {Array} - Paid top-ups with their IDs
+ */
+const getPaidTopUps = (campaign) => Object.entries(campaign.topUps || {})
+  .filter(([, topUp]) => topUp.status === 'succeeded')
+  .map(([id, topUp]) => ({ id, ...topUp }));
+
+/**
+ * Build the campaign updates for a paid top-up: the budget grows by the top-up
+ * and the end date moves out by any extension that was bought with it. An extension
+ * doesn't change the duration the campaign is priced at.
+ * @param {Object} campaign - Campaign data read in the same transaction
+ * @param {Object} topUp - The paid top-up
+ * @returns {Object} - Campaign updates
+ */
+const getTopUpBudgetUpdates = (campaign, topUp) => {
+  const updates = {
+    'campaignDetails.budget': admin.firestore.FieldValue.increment(topUp.budget),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  if (topUp.extendDays > 0 && campaign.endDate) {
+    const currentEnd = campaign.endDate.toDate ? campaign.endDate.toDate() : new Date(campaign.endDate);
+    updates.endDate = new Date(currentEnd.getTime() + topUp.extendDays * DAY_IN_MS);
+    updates['campaignDetails.duration'] = admin.firestore.FieldValue.increment(topUp.extendDays);
+    // Pricing stays on the duration the campaign was bought with
+    updates['campaignDetails.pricedDuration'] = getPricedDuration(campaign);
+  }
+
+  return updates;
+};
+
+/**
+ * Record a paid top-up on its campaign. Safe to call more than once for the same top-up.
+ * The campaign can end or be cancelled between starting a top-up and paying for it; the budget is
+ * then not added and the payment is refunded instead.
+ * When called from the webhook, the processed-event marker is written in the same transaction.
+ * @param {string} campaignId - Campaign ID
+ * @param {string} topUpId - Top-up ID (PaymentIntent or PayPal order ID)
+ * @param {Object} payment - { processor, transactionId, amountReceived }
+ * @param {Object} event - Verified Stripe event, when called from the webhook
+ * @returns {Promise<Object>} - { processed, reason?, refund? }
+ */
+const completeBudgetTopUp = async (campaignId, topUpId, payment, event = null) => {
+  const db = admin.firestore();
+  const campaignRef = db.collection('campaigns').doc(campaignId);
+  const eventRef = event ? db.collection('stripeEvents').doc(event.id) : null;
+
+  const result = await db.runTransaction(async (transaction) => {
+    const [campaignSnap, eventSnap] = await Promise.all([
+      transaction.get(campaignRef),
+      eventRef ? transaction.get(eventRef) : null
+    ]);
+    const topUp = campaignSnap.exists ? campaignSnap.data().topUps?.[topUpId] : null;
+
+    if (eventSnap?.exists) {
+      return { processed: false, reason: 'duplicate' };
+    }
+
+    if (!topUp) {
+      return { processed: false, reason: 'missing-top-up' };
+    }
+
+    if (PAID_TOP_UP_STATUSES.includes(topUp.status)) {
+      return { processed: false, reason: 'duplicate' };
+    }
+
+    const isRunning = TOP_UP_CAMPAIGN_STATUSES.includes(campaignSnap.data().status);
+    const updates = {
+      [`topUps.${topUpId}.status`]: isRunning ? 'succeeded' : 'refunding',
+      [`topUps.${topUpId}.transactionId`]: payment.transactionId,
+      [`topUps.${topUpId}.amountReceived`]: payment.amountReceived,
+      [`topUps.${topUpId}.paidAt`]: admin.firestore.FieldValue.serverTimestamp(),
+      ...(isRunning ? getTopUpBudgetUpdates(campaignSnap.data(), topUp) : {})
+    };
+
+    if (payment.processor === 'paypal') {
+      updates[`topUps.${topUpId}.paypalTransactionId`] = payment.transactionId;
+    }
+
+    if (eventRef) {
+      transaction.set(eventRef, {
+        type: event.type,
+        paymentIntentId: topUpId,
+        campaignId,
+        budgetTopUp: true,
+        processedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    transaction.update(campaignRef, updates);
+
+    if (!isRunning) {
+      return { processed: false, reason: 'campaign-not-running', topUp: { id: topUpId, ...topUp, ...payment } };
+    }
+    return { processed: true };
+  });
+
+  if (result.reason !== 'campaign-not-running') {
+    return result;
+  }
+
+  const { topUp } = result;
+  try {
+    const refund = await refundPayment(campaignId, topUp, topUp.amountReceived, `campaign-not-running-topup-${topUp.id}`);
+    const recordedRefund = {
+      id: refund.id,
+      amount: refund.amount,
+      currency: refund.currency,
+      status: refund.status,
+      refundedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    await campaignRef.update({
+      [`topUps.${topUp.id}.status`]: 'refunded',
+      [`topUps.${topUp.id}.refund`]: recordedRefund
+    });
+
+    return { processed: false, reason: 'campaign-not-running', refund: recordedRefund };
+  } catch (error) {
+    // Left as refunding with the failure recorded, for support to follow up
+    console.error(`Error refunding top-up ${topUp.id} on campaign ${campaignId}:`, error);
+    await campaignRef.update({
+      [`topUps.${topUp.id}.refund`]: { status: 'failed', amount: topUp.amountReceived, error: error.message }
+    });
+
+    return { processed: false, reason: 'campaign-not-running', refund: null };
+  }
+};
+
+/**
+ * Record a successful Stripe top-up payment from the webhook.
+ * Duplicate deliveries are ignored through the processed-event marker.
+ * @param {Object} event - Verified Stripe event (payment_intent.succeeded)
+ * @returns {Promise<Object>} - { processed, reason? }
+ */
+const handleBudgetTopUpSuccess = async (event) => {
+  const paymentIntent = event.data.object;
+
+  return completeBudgetTopUp(paymentIntent.metadata.campaignId, paymentIntent.id, {
+    processor: 'stripe',
+    transactionId: paymentIntent.id,
+    amountReceived: paymentIntent.amount_received / 100
+  }, event);
+};
+
+/**
+ * Refund the same share of every paid top-up on a campaign (used when it is cancelled).
+ * Failures are recorded on the top-up for support to follow up and don't stop other refunds.
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} campaign - Campaign data
+ * @param {number} share - Share of each top-up to refund (0-1)
+ * @param {string} reason - Why the refund is being issued
+ * @returns {Promise<Array>} - Recorded refunds
+ */
+const refundBudgetTopUps = async (campaignId, campaign, share, reason) => {
+  const campaignRef = admin.firestore().collection('campaigns').doc(campaignId);
+  const refunds = [];
+
+  for (const topUp of getPaidTopUps(campaign)) {
+    const amount = Math.round(topUp.amountReceived * share * 100) / 100;
+    if (amount <= 0 || topUp.refund) {
+      continue;
+    }
+
+    try {
+      const refund = await refundPayment(campaignId, topUp, amount, `${reason}-topup-${topUp.id}`);
+      const recordedRefund = {
+        id: refund.id,
+        amount: refund.amount,
+        currency: refund.currency,
+        status: refund.status,
+        refundedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      await campaignRef.update({ [`topUps.${topUp.id}.refund`]: recordedRefund });
+      refunds.push(recordedRefund);
+    } catch (error) {
+      console.error(`Error refunding top-up ${topUp.id} on campaign ${campaignId}:`, error);
+      await campaignRef.update({
+        [`topUps.${topUp.id}.refund`]: { status: 'failed', amount, error: error.message }
+      });
+    }
+  }
+
+  return refunds;
+};
+
+module.exports = {
+  MAX_EXTENSION_DAYS,
+  TOP_UP_CAMPAIGN_STATUSES,
+  PAID_TOP_UP_STATUSES,
+  getPaidTopUps,
+  getTopUpBudgetUpdates,
+  completeBudgetTopUp,
+  handleBudgetTopUpSuccess,
+  refundBudgetTopUps
+};
@@ -0,0 +1,133 @@
+// functions/src/payments/captureBudgetTopUp.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { paypalRequest, formatPayPalAmount } = require('./paypalClient');
+const { completeBudgetTopUp, TOP_UP_CAMPAIGN_STATUSES } = require('./budgetTopUps');
+const { refundUnverifiedCaptures } = require('./capturePayPalOrder');
+
+/**
+ * Capture an approved PayPal budget top-up, verify it and add the budget to the campaign.
+ */
+exports.captureBudgetTopUp = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { campaignId, orderId } = data || {};
+  if (!campaignId || !orderId) {
+    throw new functions.https.HttpsError('invalid-argument', 'campaignId and orderId are required');
+  }
+
+  const campaignRef = admin.firestore().collection('campaigns').doc(campaignId);
+  const campaignSnap = await campaignRef.get();
+
+  if (!campaignSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Campaign not found');
+  }
+
+  const campaignData = campaignSnap.data();
+  const topUp = campaignData.topUps?.[orderId];
+
+  if (campaignData.userId !== context.auth.uid) {
+    throw new functions.https.HttpsError('permission-denied', 'You can only add budget to your own campaigns');
+  }
+
+  if (!topUp || topUp.processor !== 'paypal') {
+    throw new functions.https.HttpsError('failed-precondition', 'Order does not match this campaign');
+  }
+
+  // Already captured (e.g. the client retried)
+  if (topUp.status === 'succeeded') {
+    return { success: true, transactionId: topUp.transactionId, amount: topUp.amountReceived, currency: topUp.currency };
+  }
+
+  // Captured before but failed verification, or paid after the campaign stopped, and refunded
+  if (topUp.status === 'refunding' || topUp.status === 'refunded') {
+    throw new functions.https.HttpsError('failed-precondition', 'This payment has been refunded');
+  }
+
+  // Don't take the payment if the campaign ended or was cancelled after the order was created
+  if (!TOP_UP_CAMPAIGN_STATUSES.includes(campaignData.status)) {
+    throw new functions.https.HttpsError('failed-precondition', 'Budget can only be added to a running campaign');
+  }
+
+  // Record a capture that took no money so the artist can try again
+  const recordFailure = (error, updates = {}) => campaignRef.update({
+    [`topUps.${orderId}.status`]: 'failed',
+    [`topUps.${orderId}.failureMessage`]: error.message,
+    [`topUps.${orderId}.failedAt`]: admin.firestore.FieldValue.serverTimestamp(),
+    ...updates
+  });
+
+  let order;
+  try {
+    order = await paypalRequest(`/v2/checkout/orders/${orderId}/capture`, {
+      method: 'POST',
+      requestId: `capture-${orderId}`
+    });
+  } catch (error) {
+    console.error('Error capturing PayPal budget top-up:', error);
+    await recordFailure(error);
+    throw new functions.https.HttpsError('aborted', error.message);
+  }
+
+  let capture;
+  try {
+    capture = order.purchase_units?.[0]?.payments?.captures?.[0];
+
+    if (order.status !== 'COMPLETED' || capture?.status !== 'COMPLETED') {
+      throw new Error('PayPal capture was not completed');
+    }
+
+    if (capture.amount?.currency_code !== topUp.currency || capture.amount?.value !== formatPayPalAmount(topUp.amount)) {
+      throw new Error('PayPal capture does not match the top-up amount');
+    }
+  } catch (error) {
+    console.error('PayPal budget top-up verification failed:', error);
+
+    // The artist may have been charged for an order that doesn't match the top-up, so refund it
+    const { refunds, needsReview } = await refundUnverifiedCaptures(order);
+    if (refunds.length === 0 && !needsReview) {
+      await recordFailure(error);
+      throw new functions.https.HttpsError('aborted', error.message);
+    }
+
+    // Shown as a top-up that was not applied
+    await recordFailure(error, {
+      [`topUps.${orderId}.status`]: needsReview ? 'refunding' : 'refunded',
+      [`topUps.${orderId}.unverifiedCapture`]: { refunds, needsReview, recordedAt: admin.firestore.FieldValue.serverTimestamp() }
+    });
+
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      needsReview ? error.message : `${error.message}. The PayPal payment has been refunded.`
+    );
+  }
+
+  try {
+    const result = await completeBudgetTopUp(campaignId, orderId, {
+      processor: 'paypal',
+      transactionId: capture.id,
+      amountReceived: Number(capture.amount.value)
+    });
+
+    if (result.reason === 'campaign-not-running') {
+      throw new functions.https.HttpsError('failed-precondition', 'This campaign is no longer running, so your payment will be refunded');
+    }
+
+    return {
+      success: true,
+      transactionId: capture.id,
+      amount: Number(capture.amount.value),
+      tax: topUp.taxAmount || 0,
+      currency: topUp.currency
+    };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+    console.error('Error recording PayPal budget top-up:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
@@ -0,0 +1,213 @@
+// functions/src/payments/capturePayPalOrder.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { paypalRequest, formatPayPalAmount } = require('./paypalClient');
+const { getPromoCodeRef, isPromoExhausted } = require('./promoCodes');
+const { getCheckoutRef, isCheckoutExpired, readCheckoutCompletion, completeCheckout } = require('./checkoutSessions');
+
+/**
+ * Check a captured PayPal order against the checkout it should pay for
+ * @param {Object} order - PayPal order returned by the capture call
+ * @param {string} checkoutId - Checkout ID
+ * @param {string} expectedValue - Expected amount, formatted for PayPal
+ * @param {string} expectedCurrency - Expected currency code
+ * @returns {Object} - The completed capture
+ */
+const verifyCapture = (order, checkoutId, expectedValue, expectedCurrency) => {
+  if (order.status !== 'COMPLETED') {
+    throw new Error(`PayPal order is ${order.status}, not COMPLETED`);
+  }
+
+  const purchaseUnit = order.purchase_units?.[0];
+  const capture = purchaseUnit?.payments?.captures?.[0];
+
+  if (!capture || capture.status !== 'COMPLETED') {
+    throw new Error('PayPal capture was not completed');
+  }
+
+  const captureCheckoutId = capture.custom_id || purchaseUnit.custom_id || purchaseUnit.reference_id;
+  if (captureCheckoutId && captureCheckoutId !== checkoutId) {
+    throw new Error('PayPal order belongs to a different checkout');
+  }
+
+  if (capture.amount?.currency_code !== expectedCurrency) {
+    throw new Error(`PayPal capture currency ${capture.amount?.currency_code} does not match ${expectedCurrency}`);
+  }
+
+  if (capture.amount?.value !== expectedValue) {
+    throw new Error(`PayPal capture amount ${capture.amount?.value} does not match ${expectedValue}`);
+  }
+
+  return capture;
+};
+
+/**
+ * Give back the money PayPal captured for an order that failed verification.
+ * Captures that can't be refunded automatically (still pending, or the refund call fails)
+ * are left for manual review.
+ * @param {Object} order - PayPal order returned by the capture call
+ * @returns {Promise<Object>} - { refunds, needsReview }
+ */
+const refundUnverifiedCaptures = async (order) => {
+  const captures = (order.purchase_units || []).flatMap(unit => unit.payments?.captures || []);
+  const refunds = [];
+  let needsReview = false;
+
+  for (const capture of captures) {
+    if (capture.status !== 'COMPLETED') {
+      needsReview = needsReview || capture.status === 'PENDING';
+      continue;
+    }
+
+    try {
+      // No amount refunds the whole capture
+      const refund = await paypalRequest(`/v2/payments/captures/${capture.id}/refund`, {
+        method: 'POST',
+        requestId: `refund-unverified-${capture.id}`,
+        body: { note_to_payer: 'SoundTik could not verify this payment' }
+      });
+
+      refunds.push({ captureId: capture.id, id: refund.id, status: refund.status === 'COMPLETED' ? 'succeeded' : 'pending' });
+    } catch (error) {
+      console.error(`Error refunding unverified PayPal capture ${capture.id}:`, error);
+      refunds.push({ captureId: capture.id, status: 'failed', error: error.message });
+      needsReview = true;
+    }
+  }
+
+  return { refunds, needsReview };
+};
+
+exports.refundUnverifiedCaptures = refundUnverifiedCaptures;
+
+/**
+ * Capture an approved PayPal order on the server, verify amount, currency and status,
+ * and only then create the campaign from its checkout and submit it for review.
+ */
+exports.capturePayPalOrder = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { checkoutId, orderId } = data || {};
+  if (!checkoutId || !orderId) {
+    throw new functions.https.HttpsError('invalid-argument', 'checkoutId and orderId are required');
+  }
+
+  const checkoutRef = getCheckoutRef(checkoutId);
+  const checkoutSnap = await checkoutRef.get();
+
+  if (!checkoutSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Checkout not found');
+  }
+
+  const checkoutData = checkoutSnap.data();
+  const paymentDetails = checkoutData.paymentDetails || {};
+
+  if (checkoutData.userId !== context.auth.uid) {
+    throw new functions.https.HttpsError('permission-denied', 'You can only pay for your own campaigns');
+  }
+
+  if (paymentDetails.paypalOrderId !== orderId) {
+    throw new functions.https.HttpsError('failed-precondition', 'Order does not match this checkout');
+  }
+
+  // Already captured (e.g. the client retried) - report success without capturing twice
+  if (checkoutData.status === 'completed') {
+    return { success: true, campaignId: checkoutData.campaignId, transactionId: paymentDetails.transactionId };
+  }
+
+  // Expired checkouts are not captured, so the artist is never charged for them
+  if (isCheckoutExpired(checkoutData)) {
+    throw new functions.https.HttpsError('deadline-exceeded', 'This checkout has expired. Please start the payment again.');
+  }
+
+  // The order was priced with the promo code; don't capture it if the code has run out since then
+  if (paymentDetails.promoCode) {
+    const promoSnap = await getPromoCodeRef(paymentDetails.promoCode).get();
+    if (promoSnap.exists && isPromoExhausted(promoSnap.data())) {
+      throw new functions.https.HttpsError('resource-exhausted', 'This promo code has reached its usage limit. Please pay again without it.');
+    }
+  }
+
+  const expectedValue = formatPayPalAmount(paymentDetails.amount);
+  const expectedCurrency = paymentDetails.currency || 'USD';
+
+  // Record a failed capture on the checkout so the artist can try again
+  const recordFailure = (error, updates = {}) => checkoutRef.update({
+    'paymentDetails.status': 'failed',
+    'paymentDetails.failureMessage': error.message,
+    'paymentDetails.failedAt': admin.firestore.FieldValue.serverTimestamp(),
+    ...updates
+  });
+
+  let order;
+  try {
+    order = await paypalRequest(`/v2/checkout/orders/${orderId}/capture`, {
+      method: 'POST',
+      requestId: `capture-${orderId}`
+    });
+  } catch (error) {
+    console.error('Error capturing PayPal order:', error);
+    await recordFailure(error);
+    throw new functions.https.HttpsError('aborted', error.message);
+  }
+
+  let capture;
+  try {
+    capture = verifyCapture(order, checkoutId, expectedValue, expectedCurrency);
+  } catch (error) {
+    console.error('PayPal capture verification failed:', error);
+
+    // The artist may have been charged for an order that doesn't match the checkout, so refund it
+    const { refunds, needsReview } = await refundUnverifiedCaptures(order);
+    await recordFailure(error, {
+      'paymentDetails.unverifiedCapture': {
+        orderId,
+        refunds,
+        needsReview,
+        recordedAt: admin.firestore.FieldValue.serverTimestamp()
+      }
+    });
+
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      refunds.length > 0 && !needsReview
+        ? `${error.message}. The PayPal payment has been refunded.`
+        : error.message
+    );
+  }
+
+  try {
+    const campaignId = await admin.firestore().runTransaction(async (transaction) => {
+      const snap = await transaction.get(checkoutRef);
+      const completionReads = await readCheckoutCompletion(transaction, snap);
+
+      // A concurrent retry already created the campaign
+      if (snap.data().status === 'completed') {
+        return snap.data().campaignId;
+      }
+
+      return completeCheckout(transaction, snap, {
+        processor: 'paypal',
+        transactionId: capture.id,
+        paypalTransactionId: capture.id,
+        payerEmail: order.payer?.email_address || '',
+        amountReceived: Number(capture.amount.value)
+      }, completionReads);
+    });
+
+    return {
+      success: true,
+      campaignId,
+      transactionId: capture.id,
+      amount: Number(capture.amount.value),
+      tax: paymentDetails.taxAmount || 0,
+      currency: capture.amount.currency_code
+    };
+  } catch (error) {
+    console.error('Error recording PayPal payment:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
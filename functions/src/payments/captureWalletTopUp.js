@@ -0,0 +1,110 @@
+// functions/src/payments/captureWalletTopUp.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { paypalRequest, formatPayPalAmount } = require('./paypalClient');
+const { completeWalletTopUp } = require('./wallet');
+const { refundUnverifiedCaptures } = require('./capturePayPalOrder');
+
+/**
+ * Capture an approved PayPal wallet top-up, verify it and credit the wallet.
+ */
+exports.captureWalletTopUp = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { orderId } = data || {};
+  if (!orderId) {
+    throw new functions.https.HttpsError('invalid-argument', 'orderId is required');
+  }
+
+  const topUpRef = admin.firestore().collection('walletTopUps').doc(orderId);
+  const topUpSnap = await topUpRef.get();
+
+  if (!topUpSnap.exists || topUpSnap.data().processor !== 'paypal') {
+    throw new functions.https.HttpsError('not-found', 'Top-up not found');
+  }
+
+  const topUp = topUpSnap.data();
+
+  if (topUp.userId !== context.auth.uid) {
+    throw new functions.https.HttpsError('permission-denied', 'You can only complete your own top-ups');
+  }
+
+  // Already captured (e.g. the client retried)
+  if (topUp.status === 'succeeded') {
+    return { success: true, amount: topUp.amountReceived, currency: topUp.currency };
+  }
+
+  // Captured before but failed verification, and refunded
+  if (topUp.status === 'refunding' || topUp.status === 'refunded') {
+    throw new functions.https.HttpsError('failed-precondition', 'This payment could not be verified and is being refunded');
+  }
+
+  // Record a capture that took no money so the artist can try again
+  const recordFailure = (error) => topUpRef.update({
+    status: 'failed',
+    failureMessage: error.message,
+    failedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  let order;
+  try {
+    order = await paypalRequest(`/v2/checkout/orders/${orderId}/capture`, {
+      method: 'POST',
+      requestId: `capture-${orderId}`
+    });
+  } catch (error) {
+    console.error('Error capturing PayPal wallet top-up:', error);
+    await recordFailure(error);
+    throw new functions.https.HttpsError('aborted', error.message);
+  }
+
+  let capture;
+  try {
+    capture = order.purchase_units?.[0]?.payments?.captures?.[0];
+
+    if (order.status !== 'COMPLETED' || capture?.status !== 'COMPLETED') {
+      throw new Error('PayPal capture was not completed');
+    }
+
+    if (capture.amount?.currency_code !== topUp.currency || capture.amount?.value !== formatPayPalAmount(topUp.amount)) {
+      throw new Error('PayPal capture does not match the top-up amount');
+    }
+  } catch (error) {
+    console.error('PayPal wallet top-up verification failed:', error);
+
+    // The artist may have been charged for an order that doesn't match the top-up, so refund it
+    const { refunds, needsReview } = await refundUnverifiedCaptures(order);
+    if (refunds.length === 0 && !needsReview) {
+      await recordFailure(error);
+      throw new functions.https.HttpsError('aborted', error.message);
+    }
+
+    await topUpRef.update({
+      status: needsReview ? 'refunding' : 'refunded',
+      failureMessage: error.message,
+      failedAt: admin.firestore.FieldValue.serverTimestamp(),
+      unverifiedCapture: { refunds, needsReview, recordedAt: admin.firestore.FieldValue.serverTimestamp() }
+    });
+
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      needsReview ? error.message : `${error.message}. The PayPal payment has been refunded.`
+    );
+  }
+
+  try {
+    const result = await completeWalletTopUp(orderId, {
+      amount: Number(capture.amount.value),
+      processor: 'paypal',
+      transactionId: capture.id
+    });
+
+    return { success: true, amount: Number(capture.amount.value), currency: topUp.currency, balance: result.balance };
+  } catch (error) {
+    console.error('Error recording PayPal wallet top-up:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
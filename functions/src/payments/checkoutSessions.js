@@ -0,0 +1,489 @@
+// functions/src/payments/checkoutSessions.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getStripe } = require('./stripeClient');
+const { isSupportedCurrency, getCampaignCurrency } = require('../shared/currency');
+const { getPromoCodeSnap, redeemPromoCode } = require('./promoCodes');
+const { getPricing } = require('./pricing');
+const { getBudgetBounds } = require('../shared/pricing');
+const { recordStatusChange } = require('../campaigns/updateCampaignStatus');
+const { getResubmissionPayment, assertResubmittable, applyResubmission } = require('../campaigns/resubmitCampaign');
+const { assertValidCampaign } = require('../campaigns/validateCampaign');
+
+// How long an unpaid checkout is kept before the cleanup job expires it
+const CHECKOUT_TTL_MINUTES = 60;
+
+/**
+ * Get a reference to a checkout session
+ * Checkouts hold the campaign form until it is paid for; the campaign is created with the checkout's ID
+ * @param {string} checkoutId - Checkout ID
+ * @returns {Object} - Firestore document reference
+ */
+const getCheckoutRef = (checkoutId) => admin.firestore().collection('checkoutSessions').doc(checkoutId);
+
+/**
+ * Check whether a checkout has passed its expiry time
+ * @param {Object} checkout - Checkout data
+ * @param {number} now - Current time in milliseconds
+ * @returns {boolean} - Whether the checkout has expired
+ */
+const isCheckoutExpired = (checkout, now = Date.now()) => (
+  checkout.status === 'expired' || (Boolean(checkout.expiresAt) && checkout.expiresAt.toMillis() <= now)
+);
+
+/**
+ * Load a checkout that the caller is about to pay for and check that it can still be paid.
+ * @param {string} checkoutId - Checkout ID
+ * @param {string} uid - Authenticated caller's user ID
+ * @returns {Promise<Object>} - { checkoutRef, checkoutData, budget, currency }
+ */
+const getPayableCheckout = async (checkoutId, uid) => {
+  if (!checkoutId) {
+    throw new functions.https.HttpsError('invalid-argument', 'checkoutId is required');
+  }
+
+  const checkoutRef = getCheckoutRef(checkoutId);
+  const checkoutSnap = await checkoutRef.get();
+
+  if (!checkoutSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Checkout not found');
+  }
+
+  const checkoutData = checkoutSnap.data();
+
+  if (checkoutData.userId !== uid) {
+    throw new functions.https.HttpsError('permission-denied', 'You can only pay for your own campaigns');
+  }
+
+  if (checkoutData.status === 'completed') {
+    throw new functions.https.HttpsError('failed-precondition', 'Campaign has already been submitted');
+  }
+
+  if (isCheckoutExpired(checkoutData)) {
+    throw new functions.https.HttpsError('deadline-exceeded', 'This checkout has expired. Please start the payment again.');
+  }
+
+  const budget = checkoutData.campaign?.campaignDetails?.budget;
+  if (!budget || budget <= 0) {
+    throw new functions.https.HttpsError('failed-precondition', 'Campaign has no valid budget');
+  }
+
+  const currency = getCampaignCurrency(checkoutData.campaign);
+  if (!isSupportedCurrency(currency)) {
+    throw new functions.https.HttpsError('failed-precondition', `Campaign currency ${currency} is not supported`);
+  }
+
+  return { checkoutRef, checkoutData, budget, currency };
+};
+
+/**
+ * Write the new campaign for a paid checkout, awaiting review
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} campaignRef - New campaign reference (the checkout's ID)
+ * @param {Object} checkoutSnap - Checkout snapshot
+ * @param {Object} paymentDetails - Confirmed payment
+ */
+const createCheckoutCampaign = (transaction, campaignRef, checkoutSnap, paymentDetails) => {
+  const checkout = checkoutSnap.data();
+
+  transaction.set(campaignRef, {
+    userId: checkout.userId,
+    ...checkout.campaign,
+    paymentDetails,
+    status: 'pending',
+    isValidated: false,
+    checkoutId: checkoutSnap.id,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    submittedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  // Paid campaigns start out awaiting review
+  recordStatusChange(transaction, campaignRef, {
+    from: null,
+    to: 'pending',
+    actor: { uid: checkout.userId, role: 'owner' },
+    reason: 'Payment confirmed'
+  });
+};
+
+/**
+ * Read the documents completing a checkout depends on, inside the transaction that completes it:
+ * the rejected campaign it pays to resubmit and the promo code it was priced with.
+ * Callers must do this with their other reads and pass the result to completeCheckout.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} checkoutSnap - Checkout snapshot read in the same transaction
+ * @param {Object} paymentDetails - Payment details the checkout is being priced with in the same transaction, if any
+ * @returns {Promise<Object>} - { resubmittedSnap, promoSnap }, each null when the checkout has none
+ */
+const readCheckoutCompletion = async (transaction, checkoutSnap, paymentDetails = null) => {
+  const checkout = checkoutSnap.exists ? checkoutSnap.data() : {};
+  const promoCode = paymentDetails ? paymentDetails.promoCode : checkout.paymentDetails?.promoCode;
+
+  const [resubmittedSnap, promoSnap] = await Promise.all([
+    checkout.resubmitCampaignId
+      ? transaction.get(admin.firestore().collection('campaigns').doc(checkout.resubmitCampaignId))
+      : null,
+    getPromoCodeSnap(transaction, promoCode)
+  ]);
+
+  return { resubmittedSnap, promoSnap };
+};
+
+/**
+ * Create the campaign for a paid checkout and close the checkout.
+ * Must be called inside a transaction after all of its reads. The campaign gets the checkout's ID,
+ * so a retried capture or a duplicate webhook can never create it twice.
+ * A checkout started to resubmit a rejected campaign sends that campaign back for review instead.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object} checkoutSnap - Checkout snapshot read in the same transaction
+ * @param {Object} payment - Fields from the confirmed payment (processor, transactionId, amountReceived, ...)
+ * @param {Object} reads - From readCheckoutCompletion
+ * @returns {string} - ID of the new or resubmitted campaign
+ */
+const completeCheckout = (transaction, checkoutSnap, payment, { resubmittedSnap = null, promoSnap = null } = {}) => {
+  const checkout = checkoutSnap.data();
+  const paymentDetails = { ...checkout.paymentDetails };
+
+  // Earlier failed attempts don't belong on the paid campaign
+  delete paymentDetails.failureMessage;
+  delete paymentDetails.failedAt;
+
+  const paidDetails = {
+    ...paymentDetails,
+    ...payment,
+    status: 'succeeded',
+    paidAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  // Count the promo code only once the payment has actually gone through. By now the payment has been
+  // taken at the discounted price, so a code that ran out in the meantime is honoured and flagged on the payment
+  if (!redeemPromoCode(transaction, promoSnap)) {
+    console.warn(`Checkout ${checkoutSnap.id} used promo code ${paymentDetails.promoCode} past its redemption limit`);
+    paidDetails.promoOverLimit = true;
+  }
+
+  // If the campaign was resubmitted some other way in the meantime, the payment still gets a campaign of its own
+  const resubmitting = resubmittedSnap?.exists && resubmittedSnap.data().status === 'rejected';
+  if (checkout.resubmitCampaignId && !resubmitting) {
+    console.warn(`Checkout ${checkoutSnap.id} paid for campaign ${checkout.resubmitCampaignId}, which is no longer rejected`);
+  }
+
+  const campaignRef = resubmitting
+    ? resubmittedSnap.ref
+    : admin.firestore().collection('campaigns').doc(checkoutSnap.id);
+
+  if (resubmitting) {
+    applyResubmission(transaction, resubmittedSnap, checkout.campaign, {
+      uid: checkout.userId,
+      paymentDetails: { ...paidDetails, checkoutId: checkoutSnap.id }
+    });
+  } else {
+    createCheckoutCampaign(transaction, campaignRef, checkoutSnap, paidDetails);
+  }
+
+  transaction.update(checkoutSnap.ref, {
+    status: 'completed',
+    campaignId: campaignRef.id,
+    'paymentDetails.status': 'succeeded',
+    'paymentDetails.transactionId': payment.transactionId,
+    completedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  // The wizard draft the campaign was created from is finished
+  if (checkout.draftId) {
+    transaction.delete(admin.firestore().collection('campaignDrafts').doc(checkout.draftId));
+  }
+
+  return campaignRef.id;
+};
+
+/**
+ * Cancel the card payment started for a checkout so its client secret can no longer be confirmed.
+ * Used before the payment is replaced by a new one or the checkout is paid another way.
+ * @param {string} paymentIntentId - Stripe PaymentIntent ID
+ * @returns {Promise<void>}
+ */
+const cancelCheckoutPaymentIntent = async (paymentIntentId) => {
+  const stripe = getStripe();
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+  if (paymentIntent.status === 'succeeded' || paymentIntent.status === 'processing') {
+    throw new functions.https.HttpsError('failed-precondition', 'A card payment for this checkout is already being processed');
+  }
+
+  if (paymentIntent.status !== 'canceled') {
+    await stripe.paymentIntents.cancel(paymentIntentId, { cancellation_reason: 'duplicate' });
+  }
+};
+
+/**
+ * Refund a card payment that succeeded for a checkout but isn't the payment the checkout was completed
+ * or is waiting on (a replaced intent that was confirmed anyway), and record it on the checkout.
+ * A refund that fails is recorded for support to follow up.
+ * @param {Object} paymentIntent - Succeeded Stripe PaymentIntent
+ * @returns {Promise<Object>} - { processed, reason, refund }
+ */
+const refundStrayCheckoutPayment = async (paymentIntent) => {
+  const checkoutId = paymentIntent.metadata.checkoutId;
+  const amount = paymentIntent.amount_received / 100;
+  let refund;
+
+  try {
+    const stripeRefund = await getStripe().refunds.create({
+      payment_intent: paymentIntent.id,
+      reason: 'duplicate',
+      metadata: { checkoutId }
+    }, {
+      idempotencyKey: `refund-stray-${paymentIntent.id}`
+    });
+
+    refund = {
+      id: stripeRefund.id,
+      amount: stripeRefund.amount / 100,
+      currency: stripeRefund.currency.toUpperCase(),
+      status: stripeRefund.status === 'succeeded' ? 'succeeded' : 'pending'
+    };
+  } catch (error) {
+    console.error(`Error refunding card payment ${paymentIntent.id} for checkout ${checkoutId}:`, error);
+    refund = { status: 'failed', amount, error: error.message };
+  }
+
+  await getCheckoutRef(checkoutId).update({
+    [`strayPayments.${paymentIntent.id}`]: {
+      amount,
+      currency: paymentIntent.currency.toUpperCase(),
+      refund,
+      recordedAt: admin.firestore.FieldValue.serverTimestamp()
+    }
+  });
+
+  return { processed: false, reason: 'not-checkout-payment', refund };
+};
+
+/**
+ * Create the campaign for a checkout paid by card.
+ * Called from the Stripe webhook and when the client confirms the payment, whichever comes first;
+ * the processed-event marker (webhook only) and the checkout status make repeats a no-op.
+ * Only the payment the checkout is waiting on (or was completed with) is kept; any other card
+ * payment for the checkout is refunded, so an artist is never charged twice for one campaign.
+ * @param {Object} paymentIntent - Succeeded Stripe PaymentIntent
+ * @param {Object} event - Verified Stripe event, when called from the webhook
+ * @returns {Promise<Object>} - { processed, campaignId?, reason?, refund? }
+ */
+const completeStripeCheckout = async (paymentIntent, event = null) => {
+  const db = admin.firestore();
+  const checkoutId = paymentIntent.metadata?.checkoutId;
+  const checkoutRef = getCheckoutRef(checkoutId);
+  const eventRef = event ? db.collection('stripeEvents').doc(event.id) : null;
+
+  const result = await db.runTransaction(async (transaction) => {
+    const [checkoutSnap, eventSnap] = await Promise.all([
+      transaction.get(checkoutRef),
+      eventRef ? transaction.get(eventRef) : null
+    ]);
+    const completionReads = await readCheckoutCompletion(transaction, checkoutSnap);
+
+    if (eventSnap?.exists) {
+      return { processed: false, reason: 'duplicate' };
+    }
+
+    if (eventRef) {
+      transaction.set(eventRef, {
+        type: event.type,
+        paymentIntentId: paymentIntent.id,
+        checkoutId,
+        processedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    if (!checkoutSnap.exists) {
+      console.warn('Payment succeeded for missing checkout:', checkoutId);
+      return { processed: false, reason: 'missing-checkout' };
+    }
+
+    const checkout = checkoutSnap.data();
+
+    if (checkout.status === 'completed') {
+      // Checkouts completed before the transaction ID was recorded were paid with their stripePaymentId
+      const completedWith = checkout.paymentDetails?.transactionId || checkout.paymentDetails?.stripePaymentId;
+      return completedWith === paymentIntent.id
+        ? { processed: false, reason: 'already-completed', campaignId: checkout.campaignId }
+        : { processed: false, reason: 'not-checkout-payment' };
+    }
+
+    if (checkout.paymentDetails?.stripePaymentId !== paymentIntent.id) {
+      return { processed: false, reason: 'not-checkout-payment' };
+    }
+
+    // A checkout that expired while the card was being charged is still completed: the money was taken
+    const campaignId = completeCheckout(transaction, checkoutSnap, {
+      processor: 'stripe',
+      stripePaymentId: paymentIntent.id,
+      transactionId: paymentIntent.id,
+      amountReceived: paymentIntent.amount_received / 100,
+      currency: paymentIntent.currency.toUpperCase()
+    }, completionReads);
+
+    return { processed: true, campaignId };
+  });
+
+  if (result.reason === 'not-checkout-payment') {
+    console.warn(`Card payment ${paymentIntent.id} is not the payment for checkout ${checkoutId}; refunding it`);
+    return refundStrayCheckoutPayment(paymentIntent);
+  }
+
+  return result;
+};
+
+/**
+ * Hold the campaign form in a checkout session until it is paid for.
+ * No campaign exists until the payment is confirmed, so abandoned or failed payments
+ * leave nothing behind but a checkout that the cleanup job expires.
+ * The form is checked against the campaign schema first, so no campaign is paid for with invalid details.
+ */
+const createCheckoutSession = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { songDetails, artistDetails, campaignDetails, billingDetails } = data?.campaign || {};
+
+  if (!songDetails || !artistDetails || !campaignDetails) {
+    throw new functions.https.HttpsError('invalid-argument', 'Song, artist and campaign details are required');
+  }
+
+  // Paying again to resubmit a rejected campaign keeps the budget and pricing it was bought with
+  let rejected = null;
+  if (data.resubmitCampaignId) {
+    const campaignSnap = await admin.firestore().collection('campaigns').doc(data.resubmitCampaignId).get();
+    if (!campaignSnap.exists) {
+      throw new functions.https.HttpsError('not-found', 'Campaign not found');
+    }
+
+    rejected = { id: campaignSnap.id, ...campaignSnap.data() };
+    assertResubmittable(rejected, context.auth.uid);
+
+    if (getResubmissionPayment(rejected).type !== 'payment') {
+      throw new functions.https.HttpsError('failed-precondition', 'This campaign can be resubmitted without paying again');
+    }
+
+    campaignDetails.budget = rejected.campaignDetails.budget;
+    campaignDetails.currency = getCampaignCurrency(rejected);
+  }
+
+  const currency = getCampaignCurrency({ campaignDetails });
+  if (!isSupportedCurrency(currency)) {
+    throw new functions.https.HttpsError('invalid-argument', `Campaign currency ${currency} is not supported`);
+  }
+
+  // Snapshot the pricing in force so later pricing changes don't alter what this campaign buys
+  // (a resubmission keeps the pricing the campaign was first bought under)
+  const pricing = rejected?.pricing || await getPricing();
+
+  // Only fields in the campaign schema are kept; anything invalid comes back as field errors for the wizard
+  const campaign = assertValidCampaign(
+    { songDetails, artistDetails, campaignDetails: { ...campaignDetails, currency }, billingDetails },
+    { budgetBounds: getBudgetBounds(currency, pricing) }
+  );
+
+  // Only the artist's own draft may be cleaned up when this checkout is paid
+  let draftId = null;
+  if (typeof data.draftId === 'string' && data.draftId) {
+    const draftSnap = await admin.firestore().collection('campaignDrafts').doc(data.draftId).get();
+    draftId = draftSnap.exists && draftSnap.data().userId === context.auth.uid ? draftSnap.id : null;
+  }
+
+  const expiresAt = admin.firestore.Timestamp.fromMillis(Date.now() + CHECKOUT_TTL_MINUTES * 60000);
+
+  try {
+    const checkoutRef = await admin.firestore().collection('checkoutSessions').add({
+      userId: context.auth.uid,
+      campaign: { ...campaign, pricing },
+      paymentDetails: {
+        amount: campaign.campaignDetails.budget,
+        currency,
+        status: 'pending'
+      },
+      draftId,
+      resubmitCampaignId: rejected?.id || null,
+      status: 'open',
+      expiresAt,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { checkoutId: checkoutRef.id, expiresAt: expiresAt.toDate().toISOString() };
+  } catch (error) {
+    console.error('Error creating checkout session:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Create the campaign as soon as the client has confirmed a card payment,
+ * rather than waiting for the Stripe webhook. The payment is checked with Stripe, not taken from the client.
+ */
+const confirmCheckoutPayment = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { checkoutId } = data || {};
+  if (!checkoutId) {
+    throw new functions.https.HttpsError('invalid-argument', 'checkoutId is required');
+  }
+
+  const checkoutSnap = await getCheckoutRef(checkoutId).get();
+
+  if (!checkoutSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Checkout not found');
+  }
+
+  const checkoutData = checkoutSnap.data();
+
+  if (checkoutData.userId !== context.auth.uid) {
+    throw new functions.https.HttpsError('permission-denied', 'You can only pay for your own campaigns');
+  }
+
+  if (checkoutData.status === 'completed') {
+    return { success: true, campaignId: checkoutData.campaignId };
+  }
+
+  const paymentIntentId = checkoutData.paymentDetails?.stripePaymentId;
+  if (!paymentIntentId) {
+    throw new functions.https.HttpsError('failed-precondition', 'No card payment has been started for this checkout');
+  }
+
+  try {
+    const paymentIntent = await getStripe().paymentIntents.retrieve(paymentIntentId);
+
+    if (paymentIntent.status !== 'succeeded' || paymentIntent.metadata?.checkoutId !== checkoutId) {
+      throw new functions.https.HttpsError('failed-precondition', 'The payment has not been completed');
+    }
+
+    const result = await completeStripeCheckout(paymentIntent);
+    return { success: true, campaignId: result.campaignId || checkoutId };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    console.error('Error confirming checkout payment:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  CHECKOUT_TTL_MINUTES,
+  getCheckoutRef,
+  isCheckoutExpired,
+  getPayableCheckout,
+  readCheckoutCompletion,
+  completeCheckout,
+  cancelCheckoutPaymentIntent,
+  completeStripeCheckout,
+  createCheckoutSession,
+  confirmCheckoutPayment
+};
@@ -0,0 +1,188 @@
+// functions/src/payments/createBudgetTopUp.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getStripe, toMinorUnits } = require('./stripeClient');
+const { paypalRequest, formatPayPalAmount } = require('./paypalClient');
+const { getCampaignCurrency, getTopUpBounds } = require('../shared/currency');
+const { applyTax } = require('./tax');
+const { getWalletRef, getBalance, recordWalletEntry } = require('./wallet');
+const { MAX_EXTENSION_DAYS, getTopUpBudgetUpdates } = require('./budgetTopUps');
+
+/**
+ * Add budget to an active campaign, optionally extending its end date.
+ * The extra budget is charged (plus tax) as a separate payment and recorded in the
+ * campaign's topUps map. Card and PayPal top-ups are applied once the payment is confirmed;
+ * credit top-ups are debited and applied straight away.
+ */
+exports.createBudgetTopUp = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { campaignId, processor } = data || {};
+  const budget = Number(data?.amount);
+  const extendDays = Math.floor(Number(data?.extendDays) || 0);
+
+  if (!campaignId) {
+    throw new functions.https.HttpsError('invalid-argument', 'campaignId is required');
+  }
+
+  const db = admin.firestore();
+  const campaignRef = db.collection('campaigns').doc(campaignId);
+  const campaignSnap = await campaignRef.get();
+
+  if (!campaignSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Campaign not found');
+  }
+
+  const campaignData = campaignSnap.data();
+
+  if (campaignData.userId !== context.auth.uid) {
+    throw new functions.https.HttpsError('permission-denied', 'You can only add budget to your own campaigns');
+  }
+
+  if (campaignData.status !== 'active') {
+    throw new functions.https.HttpsError('failed-precondition', 'Budget can only be added to active campaigns');
+  }
+
+  const currency = getCampaignCurrency(campaignData);
+  const { min, max } = getTopUpBounds(currency);
+
+  if (!(budget >= min && budget <= max)) {
+    throw new functions.https.HttpsError('invalid-argument', `Top-ups must be between ${min} and ${max} ${currency}`);
+  }
+
+  if (extendDays < 0 || extendDays > MAX_EXTENSION_DAYS) {
+    throw new functions.https.HttpsError('invalid-argument', `Campaigns can be extended by up to ${MAX_EXTENSION_DAYS} days at a time`);
+  }
+
+  // Tax is added on top so the whole top-up goes to the promotion
+  const pricing = await applyTax({ budget, discount: 0, amount: budget, promo: null }, campaignData.billingDetails);
+
+  const topUp = {
+    budget,
+    subtotal: pricing.subtotal,
+    taxAmount: pricing.tax.amount,
+    taxRate: pricing.tax.rate,
+    taxType: pricing.tax.type,
+    reverseCharge: pricing.tax.reverseCharge,
+    vatId: pricing.tax.vatId,
+    amount: pricing.amount,
+    currency,
+    processor,
+    extendDays,
+    status: 'pending',
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+  const description = `SoundTik budget top-up: ${campaignData.songDetails?.title || campaignId}`;
+
+  try {
+    switch (processor) {
+      case 'stripe': {
+        const paymentIntent = await getStripe().paymentIntents.create({
+          amount: toMinorUnits(pricing.amount),
+          currency: currency.toLowerCase(),
+          payment_method_types: ['card'],
+          description,
+          metadata: {
+            purpose: 'budget_topup',
+            campaignId,
+            userId: context.auth.uid,
+            taxAmount: String(pricing.tax.amount)
+          }
+        });
+
+        await campaignRef.update({
+          [`topUps.${paymentIntent.id}`]: { ...topUp, stripePaymentId: paymentIntent.id }
+        });
+
+        return { topUpId: paymentIntent.id, clientSecret: paymentIntent.client_secret, amount: pricing.amount, tax: pricing.tax.amount, currency };
+      }
+
+      case 'paypal': {
+        const order = await paypalRequest('/v2/checkout/orders', {
+          method: 'POST',
+          body: {
+            intent: 'CAPTURE',
+            purchase_units: [
+              {
+                reference_id: campaignId,
+                custom_id: campaignId,
+                description,
+                amount: {
+                  currency_code: currency,
+                  value: formatPayPalAmount(pricing.amount),
+                  breakdown: {
+                    item_total: { currency_code: currency, value: formatPayPalAmount(pricing.subtotal) },
+                    tax_total: { currency_code: currency, value: formatPayPalAmount(pricing.tax.amount) }
+                  }
+                }
+              }
+            ]
+          }
+        });
+
+        await campaignRef.update({
+          [`topUps.${order.id}`]: { ...topUp, paypalOrderId: order.id }
+        });
+
+        return { topUpId: order.id, orderId: order.id, amount: pricing.amount, tax: pricing.tax.amount, currency };
+      }
+
+      case 'wallet': {
+        const topUpId = campaignRef.collection('topUps').doc().id;
+        const userId = context.auth.uid;
+
+        await db.runTransaction(async (transaction) => {
+          const [snap, walletSnap] = await Promise.all([
+            transaction.get(campaignRef),
+            transaction.get(getWalletRef(userId))
+          ]);
+
+          if (snap.data().status !== 'active') {
+            throw new functions.https.HttpsError('failed-precondition', 'Budget can only be added to active campaigns');
+          }
+
+          if (getBalance(walletSnap, currency) < pricing.amount) {
+            throw new functions.https.HttpsError('failed-precondition', 'Not enough credits in your wallet');
+          }
+
+          const entryId = `spend-${campaignId}-${topUpId}`;
+          recordWalletEntry(transaction, userId, walletSnap, entryId, {
+            type: 'spend',
+            amount: -pricing.amount,
+            currency,
+            campaignId,
+            processor: 'wallet',
+            description: `Budget top-up: ${campaignData.songDetails?.title || campaignId}`
+          });
+
+          transaction.update(campaignRef, {
+            [`topUps.${topUpId}`]: {
+              ...topUp,
+              walletUserId: userId,
+              status: 'succeeded',
+              transactionId: entryId,
+              amountReceived: pricing.amount,
+              paidAt: admin.firestore.FieldValue.serverTimestamp()
+            },
+            ...getTopUpBudgetUpdates(snap.data(), topUp)
+          });
+        });
+
+        return { topUpId, success: true, amount: pricing.amount, tax: pricing.tax.amount, currency };
+      }
+
+      default:
+        throw new functions.https.HttpsError('invalid-argument', `Unsupported payment processor: ${processor}`);
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    console.error('Error creating budget top-up:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
@@ -0,0 +1,69 @@
+// functions/src/payments/createPayPalOrder.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { paypalRequest, formatPayPalAmount } = require('./paypalClient');
+const { getPayableCheckout } = require('./checkoutSessions');
+const { getCampaignPricing } = require('./promoCodes');
+const { applyTax, getTaxPaymentFields } = require('./tax');
+
+/**
+ * Create a PayPal order for a campaign checkout.
+ * The amount is always taken from the budget stored on the checkout, never from the client,
+ * less the discount from a promo code if one is given, plus tax for the billing country.
+ */
+exports.createPayPalOrder = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { checkoutId, promoCode } = data || {};
+  const { checkoutRef, checkoutData, budget, currency } = await getPayableCheckout(checkoutId, context.auth.uid);
+  const pricing = await applyTax(
+    await getCampaignPricing(budget, currency, promoCode),
+    checkoutData.campaign.billingDetails
+  );
+
+  try {
+    const order = await paypalRequest('/v2/checkout/orders', {
+      method: 'POST',
+      requestId: `checkout-${checkoutId}-${formatPayPalAmount(pricing.amount)}`,
+      body: {
+        intent: 'CAPTURE',
+        purchase_units: [
+          {
+            reference_id: checkoutId,
+            custom_id: checkoutId,
+            description: `SoundTik Campaign: ${checkoutData.campaign.songDetails?.title || checkoutId}`,
+            amount: {
+              currency_code: currency,
+              value: formatPayPalAmount(pricing.amount),
+              breakdown: {
+                item_total: { currency_code: currency, value: formatPayPalAmount(pricing.subtotal) },
+                tax_total: { currency_code: currency, value: formatPayPalAmount(pricing.tax.amount) }
+              }
+            }
+          }
+        ]
+      }
+    });
+
+    await checkoutRef.update({
+      'paymentDetails.processor': 'paypal',
+      'paymentDetails.paypalOrderId': order.id,
+      'paymentDetails.amount': pricing.amount,
+      'paymentDetails.originalAmount': budget,
+      'paymentDetails.discount': pricing.discount,
+      'paymentDetails.promoCode': pricing.promo?.code || null,
+      ...getTaxPaymentFields(pricing),
+      'paymentDetails.currency': currency,
+      'paymentDetails.status': 'pending',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { orderId: order.id, amount: pricing.amount, discount: pricing.discount, tax: pricing.tax.amount };
+  } catch (error) {
+    console.error('Error creating PayPal order:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
@@ -0,0 +1,110 @@
+// functions/src/payments/createPaymentIntent.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getStripe, toMinorUnits } = require('./stripeClient');
+const { getPayableCheckout, cancelCheckoutPaymentIntent } = require('./checkoutSessions');
+const { getCampaignPricing } = require('./promoCodes');
+const { applyTax, getTaxPaymentFields } = require('./tax');
+const { getOrCreateStripeCustomer } = require('./paymentMethods');
+
+// Intents in these states can still be confirmed by the client
+const REUSABLE_INTENT_STATUSES = ['requires_payment_method', 'requires_confirmation', 'requires_action'];
+
+/**
+ * Create (or reuse) a Stripe PaymentIntent for a campaign checkout.
+ * The amount is always taken from the budget stored on the checkout, never from the client,
+ * less the discount from a promo code if one is given, plus tax for the billing country.
+ * Intents belong to the user's Stripe customer so saved cards can pay them, and
+ * savePaymentMethod asks Stripe to keep a new card for one-click checkout next time.
+ */
+exports.createPaymentIntent = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { checkoutId, promoCode, savePaymentMethod = false } = data || {};
+  const { checkoutRef, checkoutData, budget, currency: campaignCurrency } = await getPayableCheckout(checkoutId, context.auth.uid);
+  const pricing = await applyTax(
+    await getCampaignPricing(budget, campaignCurrency, promoCode),
+    checkoutData.campaign.billingDetails
+  );
+
+  const amount = toMinorUnits(pricing.amount);
+  const currency = campaignCurrency.toLowerCase();
+
+  try {
+    const stripe = getStripe();
+    const customerId = await getOrCreateStripeCustomer(context.auth.uid);
+    const existingIntentId = checkoutData.paymentDetails?.stripePaymentId;
+    let paymentIntent = null;
+
+    // Reuse an unfinished intent for the same amount so retries don't create duplicates;
+    // one that no longer matches is cancelled so it can't be confirmed alongside its replacement
+    if (existingIntentId) {
+      const existingIntent = await stripe.paymentIntents.retrieve(existingIntentId);
+      if (
+        REUSABLE_INTENT_STATUSES.includes(existingIntent.status) &&
+        existingIntent.amount === amount &&
+        existingIntent.currency === currency &&
+        existingIntent.customer === customerId &&
+        Boolean(existingIntent.setup_future_usage) === Boolean(savePaymentMethod)
+      ) {
+        paymentIntent = existingIntent;
+      } else {
+        await cancelCheckoutPaymentIntent(existingIntentId);
+      }
+    }
+
+    if (!paymentIntent) {
+      paymentIntent = await stripe.paymentIntents.create({
+        amount,
+        currency,
+        payment_method_types: ['card'],
+        customer: customerId,
+        ...(savePaymentMethod ? { setup_future_usage: 'on_session' } : {}),
+        description: `SoundTik Campaign: ${checkoutData.campaign.songDetails?.title || checkoutId}`,
+        metadata: {
+          checkoutId,
+          // The campaign is created with the checkout's ID once the payment succeeds
+          campaignId: checkoutId,
+          userId: context.auth.uid,
+          promoCode: pricing.promo?.code || '',
+          taxAmount: String(pricing.tax.amount),
+          taxCountry: pricing.tax.country
+        }
+      }, {
+        idempotencyKey: `checkout-${checkoutId}-${amount}-${savePaymentMethod ? 'save' : 'once'}-${existingIntentId || 'new'}`
+      });
+    }
+
+    await checkoutRef.update({
+      'paymentDetails.processor': 'stripe',
+      'paymentDetails.stripePaymentId': paymentIntent.id,
+      'paymentDetails.amount': pricing.amount,
+      'paymentDetails.originalAmount': budget,
+      'paymentDetails.discount': pricing.discount,
+      'paymentDetails.promoCode': pricing.promo?.code || null,
+      ...getTaxPaymentFields(pricing),
+      'paymentDetails.currency': currency.toUpperCase(),
+      'paymentDetails.status': 'pending',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return {
+      clientSecret: paymentIntent.client_secret,
+      paymentIntentId: paymentIntent.id,
+      amount: pricing.amount,
+      discount: pricing.discount,
+      tax: pricing.tax.amount,
+      currency: currency.toUpperCase()
+    };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    console.error('Error creating payment intent:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
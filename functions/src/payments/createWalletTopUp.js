@@ -0,0 +1,114 @@
+// functions/src/payments/createWalletTopUp.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getStripe, toMinorUnits } = require('./stripeClient');
+const { paypalRequest, formatPayPalAmount } = require('./paypalClient');
+const { isSupportedCurrency } = require('../shared/currency');
+const { TOP_UP_LIMITS, roundAmount } = require('./wallet');
+
+/**
+ * Start a wallet top-up through Stripe or PayPal.
+ * The pending top-up is stored in walletTopUps (PayPal top-ups under their order ID, Stripe top-ups
+ * under an ID passed to the PaymentIntent in metadata); credits are only added once the payment is confirmed (Stripe webhook or captureWalletTopUp).
+ */
+exports.createWalletTopUp = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { processor, currency } = data || {};
+  const amount = roundAmount(data?.amount);
+
+  if (!isSupportedCurrency(currency)) {
+    throw new functions.https.HttpsError('invalid-argument', 'A supported currency is required');
+  }
+
+  if (!(amount >= TOP_UP_LIMITS.min && amount <= TOP_UP_LIMITS.max)) {
+    throw new functions.https.HttpsError(
+      'invalid-argument',
+      `Top-ups must be between ${TOP_UP_LIMITS.min} and ${TOP_UP_LIMITS.max} ${currency}`
+    );
+  }
+
+  const topUp = {
+    userId: context.auth.uid,
+    amount,
+    currency,
+    processor,
+    status: 'pending',
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  try {
+    switch (processor) {
+      case 'stripe': {
+        // Stored before the payment is created, so a payment never goes through without a top-up to credit
+        const topUpRef = admin.firestore().collection('walletTopUps').doc();
+        await topUpRef.set(topUp);
+
+        let paymentIntent;
+        try {
+          paymentIntent = await getStripe().paymentIntents.create({
+            amount: toMinorUnits(amount),
+            currency: currency.toLowerCase(),
+            payment_method_types: ['card'],
+            description: 'SoundTik wallet top-up',
+            metadata: {
+              purpose: 'wallet_topup',
+              userId: context.auth.uid,
+              topUpId: topUpRef.id
+            }
+          }, {
+            idempotencyKey: `wallet-topup-${topUpRef.id}`
+          });
+        } catch (error) {
+          await topUpRef.update({
+            status: 'failed',
+            failureMessage: error.message,
+            failedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          throw error;
+        }
+
+        await topUpRef.update({ stripePaymentId: paymentIntent.id });
+
+        return { topUpId: topUpRef.id, clientSecret: paymentIntent.client_secret, amount, currency };
+      }
+
+      case 'paypal': {
+        const order = await paypalRequest('/v2/checkout/orders', {
+          method: 'POST',
+          body: {
+            intent: 'CAPTURE',
+            purchase_units: [
+              {
+                reference_id: `wallet-${context.auth.uid}`,
+                custom_id: `wallet-${context.auth.uid}`,
+                description: 'SoundTik wallet top-up',
+                amount: {
+                  currency_code: currency,
+                  value: formatPayPalAmount(amount)
+                }
+              }
+            ]
+          }
+        });
+
+        await admin.firestore().collection('walletTopUps').doc(order.id).set(topUp);
+
+        return { topUpId: order.id, orderId: order.id, amount, currency };
+      }
+
+      default:
+        throw new functions.https.HttpsError('invalid-argument', `Unsupported payment processor: ${processor}`);
+    }
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    console.error('Error creating wallet top-up:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
@@ -0,0 +1,103 @@
+// functions/src/payments/generateInvoice.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+/**
+ * Format a sequential invoice number, e.g. ST-2025-000042
+ * @param {number} sequence - Invoice sequence number
+ * @param {Date} date - Issue date
+ * @returns {string} - Invoice number
+ */
+const formatInvoiceNumber = (sequence, date) => `ST-${date.getFullYear()}-${String(sequence).padStart(6, '0')}`;
+
+/**
+ * Top-ups still waiting for an invoice. A top-up is invoiced once its payment is received,
+ * including one that was refunded because the campaign had stopped running.
+ * @param {Object} campaign - Campaign data
+ * @returns {Array} - Top-up IDs
+ */
+const getUninvoicedTopUpIds = (campaign) => Object.entries(campaign.topUps || {})
+  .filter(([, topUp]) => topUp.paidAt && !topUp.invoice)
+  .map(([id]) => id);
+
+/**
+ * Whether a campaign's payment still needs an invoice
+ * @param {Object} campaign - Campaign data
+ * @returns {boolean}
+ */
+const needsPaymentInvoice = (campaign) => campaign.paymentDetails?.status === 'succeeded' && !campaign.paymentDetails?.invoice;
+
+/**
+ * Issue numbered invoices when a campaign payment or budget top-up succeeds.
+ * Runs as a Firestore trigger so it covers every payment path. Campaigns are created already paid
+ * by their checkout, so creation counts as well as later updates.
+ * Invoices are stored on the campaign's paymentDetails and on each top-up; the invoice itself is rendered by the client.
+ */
+exports.generateInvoice = functions.firestore
+  .document('campaigns/{campaignId}')
+  .onWrite(async (change, context) => {
+    if (!change.after.exists) {
+      return null;
+    }
+
+    const after = change.after.data();
+
+    if (!needsPaymentInvoice(after) && getUninvoicedTopUpIds(after).length === 0) {
+      return null;
+    }
+
+    const db = admin.firestore();
+    const campaignRef = change.after.ref;
+    const counterRef = db.collection('counters').doc('invoices');
+    const userRef = db.collection('users').doc(after.userId);
+
+    try {
+      await db.runTransaction(async (transaction) => {
+        const [campaignSnap, counterSnap, userSnap] = await Promise.all([
+          transaction.get(campaignRef),
+          transaction.get(counterRef),
+          transaction.get(userRef)
+        ]);
+
+        // Another run of this trigger may already have issued some of the invoices
+        const campaign = campaignSnap.data();
+        const invoiceFields = [
+          ...(needsPaymentInvoice(campaign) ? ['paymentDetails.invoice'] : []),
+          ...getUninvoicedTopUpIds(campaign).map(id => `topUps.${id}.invoice`)
+        ];
+
+        if (invoiceFields.length === 0) {
+          return;
+        }
+
+        const lastNumber = counterSnap.exists ? counterSnap.data().lastNumber || 0 : 0;
+        const userData = userSnap.exists ? userSnap.data() : {};
+        const billingDetails = campaign.billingDetails || {};
+        const issuedAt = new Date();
+        const updates = {};
+
+        invoiceFields.forEach((field, index) => {
+          updates[field] = {
+            number: formatInvoiceNumber(lastNumber + index + 1, issuedAt),
+            billingName: billingDetails.companyName || billingDetails.name || userData.displayName || campaign.artistDetails?.name || '',
+            billingEmail: userData.email || '',
+            billingAddress: {
+              line1: billingDetails.line1 || '',
+              city: billingDetails.city || '',
+              postalCode: billingDetails.postalCode || '',
+              region: billingDetails.region || '',
+              country: billingDetails.country || ''
+            },
+            issuedAt: admin.firestore.Timestamp.fromDate(issuedAt)
+          };
+        });
+
+        transaction.set(counterRef, { lastNumber: lastNumber + invoiceFields.length }, { merge: true });
+        transaction.update(campaignRef, updates);
+      });
+    } catch (error) {
+      console.error(`Error generating invoice for campaign ${context.params.campaignId}:`, error);
+    }
+
+    return null;
+  });
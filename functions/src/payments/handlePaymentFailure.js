@@ -0,0 +1,139 @@
+// functions/src/payments/handlePaymentFailure.js
+const admin = require('firebase-admin');
+const { getCheckoutRef } = require('./checkoutSessions');
+const { PAID_TOP_UP_STATUSES } = require('./budgetTopUps');
+const { getWalletTopUpId } = require('./wallet');
+
+/**
+ * Record a failed Stripe payment on its checkout.
+ * No campaign is created and the checkout stays open so the artist can retry; duplicate deliveries are ignored.
+ * @param {Object} event - Verified Stripe event (payment_intent.payment_failed)
+ * @returns {Promise<Object>} - { processed, reason? }
+ */
+const handlePaymentFailure = async (event) => {
+  const db = admin.firestore();
+  const paymentIntent = event.data.object;
+  const campaignId = paymentIntent.metadata?.campaignId;
+
+  // A failed wallet top-up leaves the balance untouched; the artist simply tries again
+  if (paymentIntent.metadata?.purpose === 'wallet_topup') {
+    const topUpRef = db.collection('walletTopUps').doc(getWalletTopUpId(paymentIntent));
+
+    return db.runTransaction(async (transaction) => {
+      const topUpSnap = await transaction.get(topUpRef);
+
+      if (!topUpSnap.exists) {
+        console.warn('Payment failed for missing wallet top-up:', topUpRef.id);
+        return { processed: false, reason: 'missing-top-up' };
+      }
+
+      // Stripe doesn't deliver events in order; a late failure must not overwrite a credited top-up
+      if (topUpSnap.data().status === 'succeeded') {
+        return { processed: false, reason: 'already-succeeded' };
+      }
+
+      transaction.update(topUpRef, {
+        status: 'failed',
+        failureMessage: paymentIntent.last_payment_error?.message || 'Payment failed',
+        failedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { processed: true };
+    });
+  }
+
+  // A failed budget top-up is marked on the campaign; the budget is unchanged
+  if (paymentIntent.metadata?.purpose === 'budget_topup' && campaignId) {
+    const eventRef = db.collection('stripeEvents').doc(event.id);
+    const campaignRef = db.collection('campaigns').doc(campaignId);
+
+    return db.runTransaction(async (transaction) => {
+      const [eventSnap, campaignSnap] = await Promise.all([
+        transaction.get(eventRef),
+        transaction.get(campaignRef)
+      ]);
+
+      if (eventSnap.exists) {
+        return { processed: false, reason: 'duplicate' };
+      }
+
+      transaction.set(eventRef, {
+        type: event.type,
+        paymentIntentId: paymentIntent.id,
+        campaignId,
+        budgetTopUp: true,
+        processedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      const topUp = campaignSnap.exists ? campaignSnap.data().topUps?.[paymentIntent.id] : null;
+      if (!topUp) {
+        console.warn('Payment failed for missing top-up:', paymentIntent.id);
+        return { processed: false, reason: 'missing-top-up' };
+      }
+
+      // As with checkouts, a late failure must not overwrite a top-up that was already paid
+      if (PAID_TOP_UP_STATUSES.includes(topUp.status)) {
+        return { processed: false, reason: 'already-succeeded' };
+      }
+
+      transaction.update(campaignRef, {
+        [`topUps.${paymentIntent.id}.status`]: 'failed',
+        [`topUps.${paymentIntent.id}.failureMessage`]: paymentIntent.last_payment_error?.message || 'Payment failed',
+        [`topUps.${paymentIntent.id}.failedAt`]: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      return { processed: true };
+    });
+  }
+
+  const checkoutId = paymentIntent.metadata?.checkoutId;
+  if (!checkoutId) {
+    console.warn('Payment intent has no checkoutId metadata:', paymentIntent.id);
+    return { processed: false, reason: 'missing-checkout' };
+  }
+
+  const eventRef = db.collection('stripeEvents').doc(event.id);
+  const checkoutRef = getCheckoutRef(checkoutId);
+
+  return db.runTransaction(async (transaction) => {
+    const [eventSnap, checkoutSnap] = await Promise.all([
+      transaction.get(eventRef),
+      transaction.get(checkoutRef)
+    ]);
+
+    if (eventSnap.exists) {
+      return { processed: false, reason: 'duplicate' };
+    }
+
+    transaction.set(eventRef, {
+      type: event.type,
+      paymentIntentId: paymentIntent.id,
+      checkoutId,
+      processedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    if (!checkoutSnap.exists) {
+      console.warn('Payment failed for missing checkout:', checkoutId);
+      return { processed: false, reason: 'missing-checkout' };
+    }
+
+    // A late failure event must not overwrite a payment that already succeeded
+    if (checkoutSnap.data().status === 'completed') {
+      return { processed: false, reason: 'already-succeeded' };
+    }
+
+    transaction.update(checkoutRef, {
+      'paymentDetails.processor': 'stripe',
+      'paymentDetails.stripePaymentId': paymentIntent.id,
+      'paymentDetails.status': 'failed',
+      'paymentDetails.failureMessage': paymentIntent.last_payment_error?.message || 'Payment failed',
+      'paymentDetails.failedAt': admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { processed: true };
+  });
+};
+
+module.exports = {
+  handlePaymentFailure
+};
@@ -0,0 +1,37 @@
+// functions/src/payments/handlePaymentSuccess.js
+const { completeStripeCheckout } = require('./checkoutSessions');
+const { handleWalletTopUpSuccess } = require('./wallet');
+const { handleBudgetTopUpSuccess } = require('./budgetTopUps');
+
+/**
+ * Record a successful Stripe payment: create the campaign from its checkout and submit it for review.
+ * Runs in a transaction together with the processed-event marker so that duplicate
+ * webhook deliveries are ignored.
+ * @param {Object} event - Verified Stripe event (payment_intent.succeeded)
+ * @returns {Promise<Object>} - { processed, reason? }
+ */
+const handlePaymentSuccess = async (event) => {
+  const paymentIntent = event.data.object;
+
+  // Wallet top-ups are not tied to a campaign; they credit the artist's wallet instead
+  if (paymentIntent.metadata?.purpose === 'wallet_topup') {
+    return handleWalletTopUpSuccess(event);
+  }
+
+  // Budget top-ups are extra payments on a running campaign, recorded in its topUps map
+  if (paymentIntent.metadata?.purpose === 'budget_topup') {
+    return handleBudgetTopUpSuccess(event);
+  }
+
+  if (!paymentIntent.metadata?.checkoutId) {
+    console.warn('Payment intent has no checkoutId metadata:', paymentIntent.id);
+    return { processed: false, reason: 'missing-checkout' };
+  }
+
+  // Campaign checkouts: create the campaign now that the payment has gone through
+  return completeStripeCheckout(paymentIntent, event);
+};
+
+module.exports = {
+  handlePaymentSuccess
+};
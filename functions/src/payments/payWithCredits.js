@@ -0,0 +1,107 @@
+// functions/src/payments/payWithCredits.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getPayableCheckout, readCheckoutCompletion, completeCheckout, cancelCheckoutPaymentIntent } = require('./checkoutSessions');
+const { getCampaignPricing, isPromoExhausted } = require('./promoCodes');
+const { applyTax, getTaxDetails } = require('./tax');
+const { getWalletRef, getBalance, recordWalletEntry } = require('./wallet');
+
+/**
+ * Pay for a campaign checkout from the artist's credit wallet.
+ * The price (discount and tax) is worked out from the stored checkout exactly as for card
+ * and PayPal payments, and the wallet debit and campaign creation happen in one transaction.
+ */
+exports.payWithCredits = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { checkoutId, promoCode } = data || {};
+  const userId = context.auth.uid;
+  const { checkoutRef, checkoutData, budget, currency } = await getPayableCheckout(checkoutId, userId);
+  const pricing = await applyTax(
+    await getCampaignPricing(budget, currency, promoCode),
+    checkoutData.campaign.billingDetails
+  );
+
+  // A card payment started for this checkout must not go through as well
+  if (checkoutData.paymentDetails?.stripePaymentId) {
+    await cancelCheckoutPaymentIntent(checkoutData.paymentDetails.stripePaymentId);
+  }
+
+  // Priced the same way as card and PayPal payments, so the campaign gets the same payment details
+  const walletDetails = {
+    processor: 'wallet',
+    walletUserId: userId,
+    stripePaymentId: null,
+    amount: pricing.amount,
+    originalAmount: budget,
+    discount: pricing.discount,
+    promoCode: pricing.promo?.code || null,
+    ...getTaxDetails(pricing),
+    currency
+  };
+  const entryId = `spend-${checkoutId}`;
+
+  const { campaignId, balance } = await admin.firestore().runTransaction(async (transaction) => {
+    const [checkoutSnap, walletSnap] = await Promise.all([
+      transaction.get(checkoutRef),
+      transaction.get(getWalletRef(userId))
+    ]);
+    const completionReads = await readCheckoutCompletion(transaction, checkoutSnap, walletDetails);
+
+    const current = checkoutSnap.data();
+    if (current.status !== 'open') {
+      throw new functions.https.HttpsError('failed-precondition', 'Campaign has already been paid');
+    }
+
+    // A new card payment was started after the earlier one was cancelled
+    if ((current.paymentDetails?.stripePaymentId || null) !== (checkoutData.paymentDetails?.stripePaymentId || null)) {
+      throw new functions.https.HttpsError('aborted', 'A card payment was started for this campaign. Please try again.');
+    }
+
+    if (getBalance(walletSnap, currency) < pricing.amount) {
+      throw new functions.https.HttpsError('failed-precondition', 'Not enough credits in your wallet');
+    }
+
+    // Nothing has been charged yet, so a promo code that ran out since it was applied is refused
+    const { promoSnap } = completionReads;
+    if (promoSnap?.exists && isPromoExhausted(promoSnap.data())) {
+      throw new functions.https.HttpsError('resource-exhausted', 'This promo code has reached its usage limit');
+    }
+
+    transaction.update(checkoutRef, Object.fromEntries(
+      Object.entries(walletDetails).map(([field, value]) => [`paymentDetails.${field}`, value])
+    ));
+
+    // The new or resubmitted campaign, so the ledger entry points at the campaign that was paid for
+    const paidCampaignId = completeCheckout(transaction, checkoutSnap, {
+      ...walletDetails,
+      transactionId: entryId,
+      amountReceived: pricing.amount
+    }, completionReads);
+
+    const balanceAfter = recordWalletEntry(transaction, userId, walletSnap, entryId, {
+      type: 'spend',
+      amount: -pricing.amount,
+      currency,
+      campaignId: paidCampaignId,
+      processor: 'wallet',
+      description: `Campaign: ${current.campaign.songDetails?.title || checkoutId}`
+    });
+
+    return { campaignId: paidCampaignId, balance: balanceAfter };
+  });
+
+  return {
+    success: true,
+    campaignId,
+    transactionId: entryId,
+    amount: pricing.amount,
+    discount: pricing.discount,
+    tax: pricing.tax.amount,
+    currency,
+    balance
+  };
+});
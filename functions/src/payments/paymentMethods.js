@@ -0,0 +1,151 @@
+// functions/src/payments/paymentMethods.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getStripe } = require('./stripeClient');
+
+/**
+ * Get the user's Stripe customer ID, creating the customer the first time it is needed.
+ * The mapping lives in stripeCustomers/{uid}, which only the server writes, so a user
+ * can never point their account at another customer's saved cards.
+ * @param {string} uid - User ID
+ * @returns {Promise<string>} - Stripe customer ID
+ */
+const getOrCreateStripeCustomer = async (uid) => {
+  const customerRef = admin.firestore().collection('stripeCustomers').doc(uid);
+  const customerSnap = await customerRef.get();
+
+  if (customerSnap.exists && customerSnap.data().customerId) {
+    return customerSnap.data().customerId;
+  }
+
+  const user = await admin.auth().getUser(uid);
+
+  // The idempotency key stops two concurrent first payments from creating two customers
+  const customer = await getStripe().customers.create({
+    email: user.email || undefined,
+    name: user.displayName || undefined,
+    metadata: { userId: uid }
+  }, {
+    idempotencyKey: `customer-${uid}`
+  });
+
+  await customerRef.set({
+    customerId: customer.id,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return customer.id;
+};
+
+/**
+ * Reduce a Stripe card payment method to what the client needs to show it
+ * @param {Object} paymentMethod - Stripe PaymentMethod
+ * @returns {Object} - { id, brand, last4, expMonth, expYear }
+ */
+const formatPaymentMethod = (paymentMethod) => ({
+  id: paymentMethod.id,
+  brand: paymentMethod.card?.brand || 'card',
+  last4: paymentMethod.card?.last4 || '',
+  expMonth: paymentMethod.card?.exp_month || null,
+  expYear: paymentMethod.card?.exp_year || null
+});
+
+/**
+ * Start saving a card: returns a SetupIntent the client confirms with the card details.
+ * Stripe runs any 3-D Secure check while the card is being saved.
+ */
+const createSetupIntent = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  try {
+    const customerId = await getOrCreateStripeCustomer(context.auth.uid);
+    const setupIntent = await getStripe().setupIntents.create({
+      customer: customerId,
+      payment_method_types: ['card'],
+      usage: 'on_session',
+      metadata: { userId: context.auth.uid }
+    });
+
+    return { clientSecret: setupIntent.client_secret };
+  } catch (error) {
+    console.error('Error creating setup intent:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * List the cards saved on the user's Stripe customer
+ */
+const listPaymentMethods = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  try {
+    const customerSnap = await admin.firestore().collection('stripeCustomers').doc(context.auth.uid).get();
+
+    // No customer yet means no saved cards; don't create one just to list nothing
+    if (!customerSnap.exists) {
+      return { paymentMethods: [] };
+    }
+
+    const { data: paymentMethods } = await getStripe().paymentMethods.list({
+      customer: customerSnap.data().customerId,
+      type: 'card'
+    });
+
+    return { paymentMethods: paymentMethods.map(formatPaymentMethod) };
+  } catch (error) {
+    console.error('Error listing payment methods:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Remove a saved card from the user's Stripe customer
+ */
+const removePaymentMethod = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { paymentMethodId } = data || {};
+  if (!paymentMethodId) {
+    throw new functions.https.HttpsError('invalid-argument', 'paymentMethodId is required');
+  }
+
+  const customerSnap = await admin.firestore().collection('stripeCustomers').doc(context.auth.uid).get();
+  const customerId = customerSnap.exists ? customerSnap.data().customerId : null;
+
+  try {
+    const stripe = getStripe();
+    const paymentMethod = await stripe.paymentMethods.retrieve(paymentMethodId);
+
+    if (!customerId || paymentMethod.customer !== customerId) {
+      throw new functions.https.HttpsError('permission-denied', 'You can only remove your own cards');
+    }
+
+    await stripe.paymentMethods.detach(paymentMethodId);
+    return { success: true };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    console.error('Error removing payment method:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  getOrCreateStripeCustomer,
+  formatPaymentMethod,
+  createSetupIntent,
+  listPaymentMethods,
+  removePaymentMethod
+};
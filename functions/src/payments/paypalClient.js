@@ -0,0 +1,83 @@
+// functions/src/payments/paypalClient.js
+
+// Defaults to the PayPal sandbox; point PAYPAL_API_BASE at a local stub for tests
+const getApiBase = () => process.env.PAYPAL_API_BASE || 'https://api-m.sandbox.paypal.com';
+
+/**
+ * Get an OAuth access token using the app's client credentials
+ * @returns {Promise<string>} - Access token
+ */
+const getAccessToken = async () => {
+  const clientId = process.env.PAYPAL_CLIENT_ID;
+  const clientSecret = process.env.PAYPAL_CLIENT_SECRET;
+
+  if (!clientId || !clientSecret) {
+    throw new Error('PayPal credentials are not configured');
+  }
+
+  const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
+  const response = await fetch(`${getApiBase()}/v1/oauth2/token`, {
+    method: 'POST',
+    headers: {
+      Authorization: `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: 'grant_type=client_credentials'
+  });
+
+  if (!response.ok) {
+    throw new Error(`PayPal authentication failed with status ${response.status}`);
+  }
+
+  const data = await response.json();
+  return data.access_token;
+};
+
+/**
+ * Call the PayPal REST API
+ * @param {string} path - API path, e.g. /v2/checkout/orders
+ * @param {Object} options - { method, body, requestId }
+ * @returns {Promise<Object>} - Parsed JSON response
+ */
+const paypalRequest = async (path, { method = 'GET', body, requestId } = {}) => {
+  const accessToken = await getAccessToken();
+  const headers = {
+    Authorization: `Bearer ${accessToken}`,
+    'Content-Type': 'application/json'
+  };
+
+  // PayPal-Request-Id makes create/capture calls idempotent on PayPal's side
+  if (requestId) {
+    headers['PayPal-Request-Id'] = requestId;
+  }
+
+  const response = await fetch(`${getApiBase()}${path}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    const message = data.details?.[0]?.description || data.message || `PayPal request failed with status ${response.status}`;
+    const error = new Error(message);
+    error.status = response.status;
+    error.name = data.name || 'PayPalError';
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * Format an amount the way PayPal expects it (two decimal places)
+ * @param {number} amount - Amount in major units
+ * @returns {string} - Formatted amount
+ */
+const formatPayPalAmount = (amount) => Number(amount).toFixed(2);
+
+module.exports = {
+  paypalRequest,
+  formatPayPalAmount
+};
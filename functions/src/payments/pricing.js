@@ -0,0 +1,141 @@
+// functions/src/payments/pricing.js
+// Loading and saving config/pricing; the formulas live in shared/pricing.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { DEFAULT_PRICING } = require('../shared/pricing');
+
+/**
+ * Load the pricing in force, falling back to the defaults
+ * @returns {Promise<Object>} - { version, budgetStep, reachVariance, reachDurationExponent, tiers }
+ */
+const getPricing = async () => {
+  const configSnap = await admin.firestore().collection('config').doc('pricing').get();
+  if (!configSnap.exists || !Array.isArray(configSnap.data().tiers)) {
+    return DEFAULT_PRICING;
+  }
+
+  const { version, budgetStep, reachVariance, reachDurationExponent = 0, tiers } = configSnap.data();
+  return { version, budgetStep, reachVariance, reachDurationExponent, tiers };
+};
+
+/**
+ * Check a pricing update from the admin panel
+ * @param {Object} pricing - { budgetStep, reachVariance, reachDurationExponent, tiers }
+ * @returns {string|null} - Problem with the pricing, or null if it is valid
+ */
+const validatePricing = ({ budgetStep, reachVariance, reachDurationExponent, tiers }) => {
+  if (!(budgetStep > 0)) {
+    return 'Budget step must be greater than zero';
+  }
+
+  if (!(reachVariance >= 0 && reachVariance < 1)) {
+    return 'Reach variance must be between 0 and 1';
+  }
+
+  if (!(reachDurationExponent >= 0 && reachDurationExponent <= 1)) {
+    return 'Reach duration exponent must be between 0 and 1';
+  }
+
+  if (!Array.isArray(tiers) || tiers.length === 0) {
+    return 'At least one tier is required';
+  }
+
+  for (let i = 0; i < tiers.length; i++) {
+    const tier = tiers[i];
+    const name = tier.label || tier.id || `Tier ${i + 1}`;
+
+    if (!tier.id || !tier.label) {
+      return `${name} needs an ID and a label`;
+    }
+    if (!(tier.minBudget >= 0) || !(tier.maxBudget > tier.minBudget)) {
+      return `${name} must have a maximum budget above its minimum`;
+    }
+    if (i > 0 && tier.minBudget !== tiers[i - 1].maxBudget) {
+      return `${name} must start where the previous tier ends`;
+    }
+    if (!(tier.costPerVideo > 0) || !(tier.reachPerVideo > 0) || !(tier.reachMultiplier > 0)) {
+      return `${name} needs a positive cost per video, reach per video and reach multiplier`;
+    }
+    if (!(tier.bonusVideos >= 0) || !(tier.bonusEvery >= 0)) {
+      return `${name} has an invalid bonus rule`;
+    }
+    if (!(tier.compressedDays >= 0) || !(tier.compressedCostMultiplier >= 1)) {
+      return `${name} needs a compressed timeline of 0 or more days and a surcharge multiplier of at least 1`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Save new pricing (admin only). Each save gets the next version number and is archived under
+ * config/pricing/versions, so the version snapshotted on a campaign can always be looked up.
+ */
+const updatePricing = functions.https.onCall(async (data, context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const db = admin.firestore();
+  const userSnapshot = await db.collection('users').doc(context.auth.uid).get();
+  if (!userSnapshot.exists || userSnapshot.data().role !== 'admin') {
+    throw new functions.https.HttpsError('permission-denied', 'Must be an admin to change pricing');
+  }
+
+  const pricing = {
+    budgetStep: Number(data?.budgetStep),
+    reachVariance: Number(data?.reachVariance),
+    reachDurationExponent: Number(data?.reachDurationExponent ?? 0),
+    tiers: (Array.isArray(data?.tiers) ? data.tiers : [])
+      .map(tier => ({
+        id: String(tier.id || '').trim(),
+        label: String(tier.label || '').trim(),
+        minBudget: Number(tier.minBudget),
+        maxBudget: Number(tier.maxBudget),
+        costPerVideo: Number(tier.costPerVideo),
+        compressedDays: Number(tier.compressedDays ?? 0),
+        compressedCostMultiplier: Number(tier.compressedCostMultiplier ?? 1),
+        bonusVideos: Number(tier.bonusVideos),
+        bonusEvery: Number(tier.bonusEvery),
+        reachPerVideo: Number(tier.reachPerVideo),
+        reachMultiplier: Number(tier.reachMultiplier)
+      }))
+      .sort((a, b) => a.minBudget - b.minBudget)
+  };
+
+  const problem = validatePricing(pricing);
+  if (problem) {
+    throw new functions.https.HttpsError('invalid-argument', problem);
+  }
+
+  const pricingRef = db.collection('config').doc('pricing');
+
+  try {
+    const version = await db.runTransaction(async (transaction) => {
+      const currentSnap = await transaction.get(pricingRef);
+      const nextVersion = (currentSnap.exists ? currentSnap.data().version || DEFAULT_PRICING.version : DEFAULT_PRICING.version) + 1;
+      const record = {
+        ...pricing,
+        version: nextVersion,
+        updatedBy: context.auth.uid,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      transaction.set(pricingRef, record);
+      transaction.set(pricingRef.collection('versions').doc(String(nextVersion)), record);
+
+      return nextVersion;
+    });
+
+    return { version };
+  } catch (error) {
+    console.error('Error updating pricing:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+module.exports = {
+  getPricing,
+  validatePricing,
+  updatePricing
+};
@@ -0,0 +1,181 @@
+// functions/src/payments/promoCodes.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { DEFAULT_CURRENCY, isSupportedCurrency } = require('../shared/currency');
+
+// Smallest amount we will still charge after a discount (Stripe rejects anything under $0.50)
+const MIN_CHARGE_AMOUNT = 1;
+
+/**
+ * Normalise a promo code as typed by the artist (codes are stored upper-case by ID)
+ * @param {string} code - Promo code
+ * @returns {string} - Normalised code, or '' if none was given
+ */
+const normalizePromoCode = (code) => (typeof code === 'string' ? code.trim().toUpperCase() : '');
+
+/**
+ * Work out the discount a promo code gives on a budget
+ * @param {Object} promo - Promo code data ({ type: 'percentage'|'fixed', value })
+ * @param {number} budget - Campaign budget
+ * @returns {number} - Discount in major units, rounded to cents
+ */
+const calculateDiscount = (promo, budget) => {
+  const discount = promo.type === 'percentage'
+    ? budget * (promo.value / 100)
+    : promo.value;
+
+  return Math.round(Math.min(Math.max(discount, 0), budget) * 100) / 100;
+};
+
+/**
+ * Get a reference to a promo code (codes are stored by their normalised code)
+ * @param {string} code - Normalised promo code
+ * @returns {Object} - Firestore document reference
+ */
+const getPromoCodeRef = (code) => admin.firestore().collection('promoCodes').doc(code);
+
+/**
+ * Whether a promo code has been redeemed as many times as it allows
+ * @param {Object} promo - Promo code data
+ * @returns {boolean}
+ */
+const isPromoExhausted = (promo) => Boolean(promo.maxRedemptions) && (promo.redemptionCount || 0) >= promo.maxRedemptions;
+
+/**
+ * Load a promo code and check it can be used on a budget
+ * @param {string} code - Promo code
+ * @param {number} budget - Campaign budget
+ * @param {string} currency - Campaign currency
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { code, type, value, currency, discount }
+ */
+const applyPromoCode = async (code, budget, currency, now = new Date()) => {
+  const normalizedCode = normalizePromoCode(code);
+  const promoSnap = normalizedCode ? await getPromoCodeRef(normalizedCode).get() : null;
+
+  if (!promoSnap?.exists || promoSnap.data().active === false) {
+    throw new functions.https.HttpsError('not-found', 'This promo code is not valid');
+  }
+
+  const promo = promoSnap.data();
+
+  if (promo.expiresAt && promo.expiresAt.toDate() <= now) {
+    throw new functions.https.HttpsError('failed-precondition', 'This promo code has expired');
+  }
+
+  if (isPromoExhausted(promo)) {
+    throw new functions.https.HttpsError('resource-exhausted', 'This promo code has reached its usage limit');
+  }
+
+  // Fixed amounts and minimum budgets are in the promo's currency, so they only apply to matching campaigns
+  const promoCurrency = promo.currency || DEFAULT_CURRENCY;
+  if ((promo.type === 'fixed' || promo.minBudget) && promoCurrency !== currency) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      `This promo code can only be used on ${promoCurrency} campaigns`
+    );
+  }
+
+  if (promo.minBudget && budget < promo.minBudget) {
+    throw new functions.https.HttpsError(
+      'failed-precondition',
+      `This promo code requires a budget of at least ${promo.minBudget} ${promoCurrency}`
+    );
+  }
+
+  return {
+    code: normalizedCode,
+    type: promo.type,
+    value: promo.value,
+    currency: promoCurrency,
+    discount: calculateDiscount(promo, budget)
+  };
+};
+
+/**
+ * Price a campaign budget, applying a promo code if one was given
+ * @param {number} budget - Campaign budget
+ * @param {string} currency - Campaign currency
+ * @param {string} promoCode - Optional promo code
+ * @returns {Promise<Object>} - { budget, discount, amount, promo }
+ */
+const getCampaignPricing = async (budget, currency, promoCode) => {
+  const promo = normalizePromoCode(promoCode) ? await applyPromoCode(promoCode, budget, currency) : null;
+  const discount = promo ? promo.discount : 0;
+  const amount = Math.round((budget - discount) * 100) / 100;
+
+  if (amount < MIN_CHARGE_AMOUNT) {
+    throw new functions.https.HttpsError('failed-precondition', 'This promo code cannot be used on this budget');
+  }
+
+  return { budget, discount, amount, promo };
+};
+
+/**
+ * Read the promo code a payment used inside its transaction, so the redemption limit
+ * is checked against the count as it stands when the payment is recorded
+ * @param {Object} transaction - Firestore transaction
+ * @param {string} code - Promo code recorded on the payment
+ * @returns {Promise<Object|null>} - Promo code snapshot, or null if no code was used
+ */
+const getPromoCodeSnap = (transaction, code) => (code ? transaction.get(getPromoCodeRef(code)) : Promise.resolve(null));
+
+/**
+ * Count a promo code redemption as part of a payment transaction.
+ * Must be called after all of the transaction's reads, with the snapshot from getPromoCodeSnap.
+ * @param {Object} transaction - Firestore transaction
+ * @param {Object|null} promoSnap - Promo code read in the same transaction
+ * @returns {boolean} - Whether the code was still within its redemption limit
+ */
+const redeemPromoCode = (transaction, promoSnap) => {
+  if (!promoSnap) return true;
+
+  transaction.set(promoSnap.ref, {
+    redemptionCount: admin.firestore.FieldValue.increment(1),
+    lastRedeemedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  return !(promoSnap.exists && isPromoExhausted(promoSnap.data()));
+};
+
+/**
+ * Check a promo code against a budget so the checkout can show the discounted price.
+ * The discount is applied again on the server when the payment is created.
+ */
+const validatePromoCode = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { code, budget, currency = DEFAULT_CURRENCY } = data || {};
+  if (!normalizePromoCode(code) || !(budget > 0)) {
+    throw new functions.https.HttpsError('invalid-argument', 'code and budget are required');
+  }
+
+  if (!isSupportedCurrency(currency)) {
+    throw new functions.https.HttpsError('invalid-argument', `Currency ${currency} is not supported`);
+  }
+
+  const { discount, amount, promo } = await getCampaignPricing(budget, currency, code);
+
+  return {
+    code: promo.code,
+    type: promo.type,
+    value: promo.value,
+    discount,
+    amount
+  };
+});
+
+module.exports = {
+  normalizePromoCode,
+  calculateDiscount,
+  getPromoCodeRef,
+  isPromoExhausted,
+  applyPromoCode,
+  getCampaignPricing,
+  getPromoCodeSnap,
+  redeemPromoCode,
+  validatePromoCode
+};
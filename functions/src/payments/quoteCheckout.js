@@ -0,0 +1,33 @@
+// functions/src/payments/quoteCheckout.js
+const functions = require('firebase-functions');
+const { isSupportedCurrency } = require('../shared/currency');
+const { getCampaignPricing } = require('./promoCodes');
+const { applyTax } = require('./tax');
+
+/**
+ * Price a checkout before the campaign is created so the summary can show discount and tax.
+ * The same calculation runs again when the payment is created, from the stored campaign.
+ */
+exports.quoteCheckout = functions.https.onCall(async (data, context) => {
+  // Check if user is authenticated
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const { budget, currency, promoCode, billingDetails } = data || {};
+  if (!(budget > 0) || !isSupportedCurrency(currency)) {
+    throw new functions.https.HttpsError('invalid-argument', 'A budget and supported currency are required');
+  }
+
+  const pricing = await applyTax(await getCampaignPricing(budget, currency, promoCode), billingDetails);
+
+  return {
+    budget: pricing.budget,
+    discount: pricing.discount,
+    promoCode: pricing.promo?.code || null,
+    subtotal: pricing.subtotal,
+    tax: pricing.tax,
+    total: pricing.amount,
+    currency
+  };
+});
@@ -0,0 +1,162 @@
+// functions/src/payments/refundPayment.js
+const admin = require('firebase-admin');
+const { getStripe, toMinorUnits } = require('./stripeClient');
+const { paypalRequest, formatPayPalAmount } = require('./paypalClient');
+const { refundToWallet } = require('./wallet');
+
+// Refund states that mean a refund has already been started for the campaign
+const ACTIVE_REFUND_STATUSES = ['processing', 'pending', 'succeeded'];
+
+/**
+ * Refund a campaign payment through the processor that took it.
+ * Campaigns paid with credits are refunded to the artist's wallet
+ * @param {string} campaignId - Campaign ID (used for idempotency keys and metadata)
+ * @param {Object} paymentDetails - Campaign paymentDetails
+ * @param {number} amount - Amount to refund in major units
+ * @param {string} reason - Why the refund is being issued
+ * @returns {Promise<Object>} - { id, amount, currency, status }
+ */
+const refundPayment = async (campaignId, paymentDetails, amount, reason) => {
+  const currency = paymentDetails.currency || 'USD';
+
+  switch (paymentDetails.processor) {
+    case 'stripe': {
+      const refund = await getStripe().refunds.create({
+        payment_intent: paymentDetails.stripePaymentId,
+        amount: toMinorUnits(amount),
+        reason: 'requested_by_customer',
+        metadata: { campaignId, reason }
+      }, {
+        idempotencyKey: `refund-${campaignId}-${reason}`
+      });
+
+      return {
+        id: refund.id,
+        amount: refund.amount / 100,
+        currency: refund.currency.toUpperCase(),
+        status: refund.status === 'succeeded' ? 'succeeded' : 'pending'
+      };
+    }
+
+    case 'paypal': {
+      const captureId = paymentDetails.paypalTransactionId || paymentDetails.transactionId;
+      const refund = await paypalRequest(`/v2/payments/captures/${captureId}/refund`, {
+        method: 'POST',
+        requestId: `refund-${campaignId}-${reason}`,
+        body: {
+          amount: {
+            value: formatPayPalAmount(amount),
+            currency_code: currency
+          },
+          note_to_payer: 'SoundTik campaign refund'
+        }
+      });
+
+      return {
+        id: refund.id,
+        amount: Number(refund.amount?.value ?? amount),
+        currency: refund.amount?.currency_code || currency,
+        status: refund.status === 'COMPLETED' ? 'succeeded' : 'pending'
+      };
+    }
+
+    case 'wallet':
+      return refundToWallet(campaignId, paymentDetails, amount, reason);
+
+    default:
+      throw new Error(`Unsupported payment processor: ${paymentDetails.processor}`);
+  }
+};
+
+/**
+ * Refund a campaign's payment and record the result on the campaign.
+ * A transaction claims the refund first so concurrent or repeated calls only refund once.
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} options - { amount (defaults to the full amount paid), reason, status (only refund a campaign still in this status) }
+ * @returns {Promise<Object|null>} - Recorded refund, or null if nothing was refunded
+ */
+const issueCampaignRefund = async (campaignId, { amount, reason, status }) => {
+  const db = admin.firestore();
+  const campaignRef = db.collection('campaigns').doc(campaignId);
+
+  const paymentDetails = await db.runTransaction(async (transaction) => {
+    const campaignSnap = await transaction.get(campaignRef);
+    if (!campaignSnap.exists) {
+      return null;
+    }
+
+    const details = campaignSnap.data().paymentDetails || {};
+
+    // e.g. a rejected campaign that was resubmitted before the trigger ran
+    if (status && campaignSnap.data().status !== status) {
+      return null;
+    }
+
+    if (details.status !== 'succeeded' || ACTIVE_REFUND_STATUSES.includes(details.refund?.status)) {
+      return null;
+    }
+
+    transaction.update(campaignRef, {
+      'paymentDetails.refund': {
+        status: 'processing',
+        reason,
+        requestedAt: admin.firestore.FieldValue.serverTimestamp()
+      }
+    });
+
+    return details;
+  });
+
+  if (!paymentDetails) {
+    return null;
+  }
+
+  const amountPaid = paymentDetails.amountReceived ?? paymentDetails.amount;
+  const refundAmount = Math.min(amount ?? amountPaid, amountPaid);
+
+  if (!refundAmount || refundAmount <= 0) {
+    await campaignRef.update({
+      'paymentDetails.refund.status': 'skipped',
+      'paymentDetails.refund.amount': 0
+    });
+    return null;
+  }
+
+  try {
+    const refund = await refundPayment(campaignId, paymentDetails, refundAmount, reason);
+
+    const recordedRefund = {
+      id: refund.id,
+      amount: refund.amount,
+      currency: refund.currency,
+      processor: paymentDetails.processor,
+      status: refund.status,
+      reason,
+      refundedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    await campaignRef.update({
+      'paymentDetails.refund': recordedRefund,
+      'paymentDetails.status': refund.amount >= amountPaid ? 'refunded' : 'partially_refunded',
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return recordedRefund;
+  } catch (error) {
+    console.error(`Error refunding campaign ${campaignId}:`, error);
+
+    await campaignRef.update({
+      'paymentDetails.refund.status': 'failed',
+      'paymentDetails.refund.error': error.message,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    throw error;
+  }
+};
+
+module.exports = {
+  ACTIVE_REFUND_STATUSES,
+  refundPayment,
+  issueCampaignRefund
+};
@@ -0,0 +1,31 @@
+// functions/src/payments/refundRejectedCampaign.js
+const functions = require('firebase-functions');
+const { issueCampaignRefund } = require('./refundPayment');
+
+/**
+ * Refund the artist in full when a campaign is rejected.
+ * Runs as a Firestore trigger so it covers every path that rejects a campaign
+ * (the validateCampaign callable as well as updateCampaignStatus).
+ */
+exports.refundRejectedCampaign = functions.firestore
+  .document('campaigns/{campaignId}')
+  .onUpdate(async (change, context) => {
+    const before = change.before.data();
+    const after = change.after.data();
+
+    if (before.status === after.status || after.status !== 'rejected') {
+      return null;
+    }
+
+    // Each rejection of a resubmitted campaign refunds a different payment, so it needs its own refund key
+    const reason = after.resubmissionCount ? `rejected-${after.resubmissionCount}` : 'rejected';
+
+    try {
+      await issueCampaignRefund(context.params.campaignId, { reason, status: 'rejected' });
+    } catch (error) {
+      // The failure is recorded on the campaign for support to follow up
+      console.error('Error refunding rejected campaign:', error);
+    }
+
+    return null;
+  });
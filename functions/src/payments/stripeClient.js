@@ -0,0 +1,43 @@
+// functions/src/payments/stripeClient.js
+const Stripe = require('stripe');
+
+let stripeInstance = null;
+
+/**
+ * Get a shared Stripe client configured from the environment.
+ * Set STRIPE_API_HOST (and optionally STRIPE_API_PORT / STRIPE_API_PROTOCOL)
+ * to point the client at a local stripe-mock server for testing.
+ * @returns {Stripe} - Stripe client
+ */
+const getStripe = () => {
+  if (stripeInstance) {
+    return stripeInstance;
+  }
+
+  const secretKey = process.env.STRIPE_SECRET_KEY;
+  if (!secretKey) {
+    throw new Error('STRIPE_SECRET_KEY is not configured');
+  }
+
+  const options = {};
+  if (process.env.STRIPE_API_HOST) {
+    options.host = process.env.STRIPE_API_HOST;
+    options.port = process.env.STRIPE_API_PORT || 12111;
+    options.protocol = process.env.STRIPE_API_PROTOCOL || 'http';
+  }
+
+  stripeInstance = new Stripe(secretKey, options);
+  return stripeInstance;
+};
+
+/**
+ * Convert a budget in dollars to the smallest currency unit (cents)
+ * @param {number} amount - Amount in dollars
+ * @returns {number} - Amount in cents
+ */
+const toMinorUnits = (amount) => Math.round(Number(amount) * 100);
+
+module.exports = {
+  getStripe,
+  toMinorUnits
+};
@@ -0,0 +1,58 @@
+// functions/src/payments/stripeWebhook.js
+const functions = require('firebase-functions');
+const { getStripe } = require('./stripeClient');
+const { handlePaymentSuccess } = require('./handlePaymentSuccess');
+const { handlePaymentFailure } = require('./handlePaymentFailure');
+
+// Event handlers keyed by Stripe event type
+const EVENT_HANDLERS = {
+  'payment_intent.succeeded': handlePaymentSuccess,
+  'payment_intent.payment_failed': handlePaymentFailure
+};
+
+/**
+ * Stripe webhook endpoint.
+ * Verifies the Stripe signature and drives campaign payment status from the event.
+ */
+exports.stripeWebhook = functions.https.onRequest(async (req, res) => {
+  if (req.method !== 'POST') {
+    res.status(405).send('Method Not Allowed');
+    return;
+  }
+
+  const webhookSecret = process.env.STRIPE_WEBHOOK_SECRET;
+  if (!webhookSecret) {
+    console.error('STRIPE_WEBHOOK_SECRET is not configured');
+    res.status(500).send('Webhook not configured');
+    return;
+  }
+
+  let event;
+  try {
+    event = getStripe().webhooks.constructEvent(
+      req.rawBody,
+      req.headers['stripe-signature'],
+      webhookSecret
+    );
+  } catch (error) {
+    console.error('Stripe webhook signature verification failed:', error.message);
+    res.status(400).send(`Webhook Error: ${error.message}`);
+    return;
+  }
+
+  const handler = EVENT_HANDLERS[event.type];
+  if (!handler) {
+    // Acknowledge events we don't handle so Stripe stops retrying them
+    res.status(200).json({ received: true, ignored: true });
+    return;
+  }
+
+  try {
+    const result = await handler(event);
+    res.status(200).json({ received: true, ...result });
+  } catch (error) {
+    // A non-2xx response makes Stripe retry the delivery later
+    console.error(`Error handling Stripe event ${event.id}:`, error);
+    res.status(500).send('Webhook handler failed');
+  }
+});
@@ -0,0 +1,221 @@
+// functions/src/payments/tax.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+/**
+ * Default tax rates by billing country, with optional regional rates.
+ * Overridden per country by the `rates` map on the config/taxRates document.
+ * reverseCharge marks countries where businesses with a VAT ID account for the tax themselves
+ * when they buy from a seller in another country.
+ */
+const DEFAULT_TAX_RATES = {
+  // European Union (VAT)
+  AT: { type: 'VAT', rate: 0.20, reverseCharge: true },
+  BE: { type: 'VAT', rate: 0.21, reverseCharge: true },
+  DE: { type: 'VAT', rate: 0.19, reverseCharge: true },
+  DK: { type: 'VAT', rate: 0.25, reverseCharge: true },
+  ES: { type: 'VAT', rate: 0.21, reverseCharge: true },
+  FI: { type: 'VAT', rate: 0.255, reverseCharge: true },
+  FR: { type: 'VAT', rate: 0.20, reverseCharge: true },
+  IE: { type: 'VAT', rate: 0.23, reverseCharge: true },
+  IT: { type: 'VAT', rate: 0.22, reverseCharge: true },
+  NL: { type: 'VAT', rate: 0.21, reverseCharge: true },
+  PL: { type: 'VAT', rate: 0.23, reverseCharge: true },
+  PT: { type: 'VAT', rate: 0.23, reverseCharge: true },
+  SE: { type: 'VAT', rate: 0.25, reverseCharge: true },
+  // United Kingdom (VAT)
+  GB: { type: 'VAT', rate: 0.20, reverseCharge: true },
+  // GST countries
+  AU: { type: 'GST', rate: 0.10 },
+  NZ: { type: 'GST', rate: 0.15 },
+  CA: {
+    type: 'GST',
+    rate: 0.05,
+    regions: {
+      ON: { type: 'HST', rate: 0.13 },
+      NS: { type: 'HST', rate: 0.14 },
+      NB: { type: 'HST', rate: 0.15 },
+      NL: { type: 'HST', rate: 0.15 },
+      PE: { type: 'HST', rate: 0.15 }
+    }
+  },
+  // United States (state sales tax on digital services)
+  US: {
+    type: 'Sales tax',
+    rate: 0,
+    regions: {
+      NY: { rate: 0.04 },
+      TX: { rate: 0.0625 },
+      WA: { rate: 0.065 }
+    }
+  }
+};
+
+// Format checks for VAT IDs (format only; the number is not verified with the tax authority)
+const VAT_ID_PATTERNS = {
+  AT: /^ATU\d{8}$/,
+  BE: /^BE[01]\d{9}$/,
+  DE: /^DE\d{9}$/,
+  DK: /^DK\d{8}$/,
+  ES: /^ES[A-Z0-9]\d{7}[A-Z0-9]$/,
+  FI: /^FI\d{8}$/,
+  FR: /^FR[A-HJ-NP-Z0-9]{2}\d{9}$/,
+  GB: /^GB(\d{9}|\d{12}|GD\d{3}|HA\d{3})$/,
+  IE: /^IE(\d{7}[A-W][A-I]?|\d[A-Z+*]\d{5}[A-W])$/,
+  IT: /^IT\d{11}$/,
+  NL: /^NL\d{9}B\d{2}$/,
+  PL: /^PL\d{10}$/,
+  PT: /^PT\d{9}$/,
+  SE: /^SE\d{10}01$/
+};
+
+/**
+ * Country the business is registered for tax in (SELLER_COUNTRY, defaulting to GB).
+ * Buyers there are charged VAT even when they give a VAT ID.
+ * @returns {string} - ISO country code
+ */
+const getSellerCountry = () => (process.env.SELLER_COUNTRY || 'GB').toUpperCase();
+
+/**
+ * Normalise a VAT ID (upper-case, no spaces, dots or dashes)
+ * @param {string} vatId - VAT ID as entered
+ * @returns {string} - Normalised VAT ID
+ */
+const normalizeVatId = (vatId) => (typeof vatId === 'string' ? vatId.replace(/[\s.-]/g, '').toUpperCase() : '');
+
+/**
+ * Check that a VAT ID has a valid format for the billing country
+ * @param {string} vatId - VAT ID
+ * @param {string} country - ISO country code
+ * @returns {boolean}
+ */
+const isValidVatIdFormat = (vatId, country) => {
+  const pattern = VAT_ID_PATTERNS[country];
+  return Boolean(pattern && pattern.test(normalizeVatId(vatId)));
+};
+
+/**
+ * Load the tax rate table, applying any overrides from config/taxRates
+ * @returns {Promise<Object>} - Rates by country code
+ */
+const getTaxRates = async () => {
+  const configSnap = await admin.firestore().collection('config').doc('taxRates').get();
+  const overrides = configSnap.exists ? configSnap.data().rates || {} : {};
+
+  return { ...DEFAULT_TAX_RATES, ...overrides };
+};
+
+/**
+ * Work out the tax due on an amount for a billing address
+ * @param {number} amount - Taxable amount (after discounts)
+ * @param {Object} billingDetails - { country, region, vatId }
+ * @param {Object} rates - Tax rate table
+ * @param {string} sellerCountry - ISO country code of the seller
+ * @returns {Object} - { country, region, type, rate, amount, reverseCharge, vatId }
+ */
+const calculateTax = (amount, billingDetails, rates, sellerCountry = getSellerCountry()) => {
+  const country = (billingDetails?.country || '').toUpperCase();
+  const region = (billingDetails?.region || '').toUpperCase();
+  const countryRates = rates[country];
+
+  const tax = {
+    country,
+    region: region || null,
+    type: null,
+    rate: 0,
+    amount: 0,
+    reverseCharge: false,
+    vatId: null
+  };
+
+  if (!countryRates) {
+    return tax;
+  }
+
+  const regionRates = countryRates.regions?.[region] || {};
+  tax.type = regionRates.type || countryRates.type;
+  tax.rate = regionRates.rate ?? countryRates.rate;
+
+  // Businesses abroad with a VAT ID pay no VAT here and account for it under the reverse-charge rules;
+  // reverse charge only applies across borders, so businesses in the seller's country pay VAT as usual
+  if (countryRates.reverseCharge && country !== sellerCountry &&
+    billingDetails?.vatId && isValidVatIdFormat(billingDetails.vatId, country)) {
+    tax.reverseCharge = true;
+    tax.vatId = normalizeVatId(billingDetails.vatId);
+    tax.rate = 0;
+  }
+
+  tax.amount = Math.round(amount * tax.rate * 100) / 100;
+  return tax;
+};
+
+/**
+ * Check the billing details needed to work out tax
+ * @param {Object} billingDetails - Billing details stored on the campaign
+ */
+const assertBillingDetails = (billingDetails) => {
+  if (!billingDetails?.country) {
+    throw new functions.https.HttpsError('failed-precondition', 'A billing country is required');
+  }
+
+  if (billingDetails.vatId && !isValidVatIdFormat(billingDetails.vatId, billingDetails.country.toUpperCase())) {
+    throw new functions.https.HttpsError('invalid-argument', 'The VAT ID is not valid for the billing country');
+  }
+};
+
+/**
+ * Add tax to a campaign price. Tax is charged on top of the (discounted) price so the
+ * promotion budget is never reduced.
+ * @param {Object} pricing - Result of getCampaignPricing ({ budget, discount, amount, promo })
+ * @param {Object} billingDetails - Billing details stored on the campaign
+ * @returns {Promise<Object>} - pricing plus { subtotal, tax, amount } where amount is the total to charge
+ */
+const applyTax = async (pricing, billingDetails) => {
+  assertBillingDetails(billingDetails);
+
+  const tax = calculateTax(pricing.amount, billingDetails, await getTaxRates());
+
+  return {
+    ...pricing,
+    subtotal: pricing.amount,
+    tax,
+    amount: Math.round((pricing.amount + tax.amount) * 100) / 100
+  };
+};
+
+/**
+ * The tax part of a price as paymentDetails fields
+ * @param {Object} pricing - Result of applyTax
+ * @returns {Object} - { subtotal, taxAmount, taxRate, taxType, taxCountry, taxRegion, reverseCharge, vatId }
+ */
+const getTaxDetails = (pricing) => ({
+  subtotal: pricing.subtotal,
+  taxAmount: pricing.tax.amount,
+  taxRate: pricing.tax.rate,
+  taxType: pricing.tax.type,
+  taxCountry: pricing.tax.country,
+  taxRegion: pricing.tax.region,
+  reverseCharge: pricing.tax.reverseCharge,
+  vatId: pricing.tax.vatId
+});
+
+/**
+ * Map the tax part of a price onto paymentDetails fields
+ * @param {Object} pricing - Result of applyTax
+ * @returns {Object} - Dotted paymentDetails updates
+ */
+const getTaxPaymentFields = (pricing) => Object.fromEntries(
+  Object.entries(getTaxDetails(pricing)).map(([field, value]) => [`paymentDetails.${field}`, value])
+);
+
+module.exports = {
+  DEFAULT_TAX_RATES,
+  getSellerCountry,
+  normalizeVatId,
+  isValidVatIdFormat,
+  getTaxRates,
+  calculateTax,
+  applyTax,
+  getTaxDetails,
+  getTaxPaymentFields
+};
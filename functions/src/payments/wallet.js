@@ -0,0 +1,223 @@
+// functions/src/payments/wallet.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+// Smallest and largest single top-up, in the wallet currency
+const TOP_UP_LIMITS = { min: 50, max: 10000 };
+
+/**
+ * Round an amount to whole cents
+ * @param {number} amount - Amount in major units
+ * @returns {number} - Rounded amount
+ */
+const roundAmount = (amount) => Math.round(Number(amount) * 100) / 100;
+
+/**
+ * Get the wallet document for a user.
+ * Wallets hold one balance per currency: { userId, balances: { USD: 120, EUR: 0 } }
+ * @param {string} userId - User ID
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+const getWalletRef = (userId) => admin.firestore().collection('wallets').doc(userId);
+
+/**
+ * Get a ledger entry on a user's wallet
+ * @param {string} userId - User ID
+ * @param {string} entryId - Ledger entry ID
+ * @returns {FirebaseFirestore.DocumentReference}
+ */
+const getLedgerEntryRef = (userId, entryId) => getWalletRef(userId).collection('transactions').doc(entryId);
+
+/**
+ * Get the balance a wallet holds in one currency
+ * @param {FirebaseFirestore.DocumentSnapshot} walletSnap - Wallet snapshot
+ * @param {string} currency - Currency code
+ * @returns {number} - Balance
+ */
+const getBalance = (walletSnap, currency) => (walletSnap.exists ? walletSnap.data().balances?.[currency] || 0 : 0);
+
+/**
+ * Write a ledger entry and move the wallet balance by its amount, inside a transaction.
+ * The caller must already have read the wallet (and the entry, to detect repeats) in the
+ * same transaction. Ledger entry IDs are derived from what caused them, so an entry is
+ * never recorded twice.
+ * @param {FirebaseFirestore.Transaction} transaction - Firestore transaction
+ * @param {string} userId - User ID
+ * @param {FirebaseFirestore.DocumentSnapshot} walletSnap - Wallet read in the transaction
+ * @param {string} entryId - Ledger entry ID
+ * @param {Object} entry - { type: 'topup'|'spend'|'refund', amount (signed), currency, campaignId, processor, reference, description }
+ * @returns {number} - Balance after the entry
+ */
+const recordWalletEntry = (transaction, userId, walletSnap, entryId, entry) => {
+  const amount = roundAmount(entry.amount);
+  const balanceAfter = roundAmount(getBalance(walletSnap, entry.currency) + amount);
+
+  if (balanceAfter < 0) {
+    throw new functions.https.HttpsError('failed-precondition', 'Not enough credits in your wallet');
+  }
+
+  transaction.set(getWalletRef(userId), {
+    userId,
+    balances: { [entry.currency]: balanceAfter },
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  }, { merge: true });
+
+  transaction.set(getLedgerEntryRef(userId, entryId), {
+    type: entry.type,
+    amount,
+    currency: entry.currency,
+    balanceAfter,
+    campaignId: entry.campaignId || null,
+    processor: entry.processor || null,
+    reference: entry.reference || null,
+    description: entry.description || '',
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  return balanceAfter;
+};
+
+/**
+ * Get the walletTopUps document ID for a Stripe top-up payment.
+ * Top-ups started before the ID was passed in metadata are stored under the PaymentIntent ID.
+ * @param {Object} paymentIntent - Stripe PaymentIntent
+ * @returns {string} - Top-up ID
+ */
+const getWalletTopUpId = (paymentIntent) => paymentIntent.metadata?.topUpId || paymentIntent.id;
+
+/**
+ * Credit a completed top-up to its wallet. Safe to call more than once for the same top-up.
+ * When called from the webhook, the processed-event marker is written in the same transaction
+ * as the credit, so a delivery whose credit failed is retried rather than ignored.
+ * @param {string} topUpId - walletTopUps document ID
+ * @param {Object} payment - { amount, processor, transactionId }
+ * @param {Object} event - Verified Stripe event, when called from the webhook
+ * @returns {Promise<Object>} - { processed, balance?, reason? }
+ */
+const completeWalletTopUp = async (topUpId, payment, event = null) => {
+  const db = admin.firestore();
+  const topUpRef = db.collection('walletTopUps').doc(topUpId);
+  const eventRef = event ? db.collection('stripeEvents').doc(event.id) : null;
+
+  return db.runTransaction(async (transaction) => {
+    const [topUpSnap, eventSnap] = await Promise.all([
+      transaction.get(topUpRef),
+      eventRef ? transaction.get(eventRef) : null
+    ]);
+
+    if (eventSnap?.exists) {
+      return { processed: false, reason: 'duplicate' };
+    }
+
+    if (!topUpSnap.exists) {
+      return { processed: false, reason: 'missing-top-up' };
+    }
+
+    const topUp = topUpSnap.data();
+    if (topUp.status === 'succeeded') {
+      return { processed: false, reason: 'duplicate' };
+    }
+
+    const walletSnap = await transaction.get(getWalletRef(topUp.userId));
+
+    if (eventRef) {
+      transaction.set(eventRef, {
+        type: event.type,
+        paymentIntentId: payment.transactionId,
+        walletTopUp: true,
+        processedAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    const balance = recordWalletEntry(transaction, topUp.userId, walletSnap, `topup-${topUpId}`, {
+      type: 'topup',
+      amount: payment.amount,
+      currency: topUp.currency,
+      processor: payment.processor,
+      reference: payment.transactionId,
+      description: 'Wallet top-up'
+    });
+
+    transaction.update(topUpRef, {
+      status: 'succeeded',
+      transactionId: payment.transactionId,
+      amountReceived: payment.amount,
+      completedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    return { processed: true, balance };
+  });
+};
+
+/**
+ * Record a successful Stripe top-up payment from the webhook.
+ * Duplicate deliveries are ignored through the processed-event marker.
+ * @param {Object} event - Verified Stripe event (payment_intent.succeeded)
+ * @returns {Promise<Object>} - { processed, reason? }
+ */
+const handleWalletTopUpSuccess = async (event) => {
+  const paymentIntent = event.data.object;
+
+  return completeWalletTopUp(getWalletTopUpId(paymentIntent), {
+    amount: paymentIntent.amount_received / 100,
+    processor: 'stripe',
+    transactionId: paymentIntent.id
+  }, event);
+};
+
+/**
+ * Give a campaign refund back to the wallet it was paid from.
+ * Used by refundPayment for campaigns paid with credits.
+ * @param {string} campaignId - Campaign ID
+ * @param {Object} paymentDetails - Campaign paymentDetails
+ * @param {number} amount - Amount to refund
+ * @param {string} reason - Why the refund is being issued
+ * @returns {Promise<Object>} - { id, amount, currency, status }
+ */
+const refundToWallet = async (campaignId, paymentDetails, amount, reason) => {
+  const db = admin.firestore();
+  const userId = paymentDetails.walletUserId;
+  const currency = paymentDetails.currency || 'USD';
+  const entryId = `refund-${campaignId}-${reason}`;
+
+  await db.runTransaction(async (transaction) => {
+    const [entrySnap, walletSnap] = await Promise.all([
+      transaction.get(getLedgerEntryRef(userId, entryId)),
+      transaction.get(getWalletRef(userId))
+    ]);
+
+    // Already credited back on an earlier attempt
+    if (entrySnap.exists) {
+      return;
+    }
+
+    recordWalletEntry(transaction, userId, walletSnap, entryId, {
+      type: 'refund',
+      amount,
+      currency,
+      campaignId,
+      processor: 'wallet',
+      description: reason.startsWith('rejected') ? 'Credits returned for rejected campaign' : 'Credits returned for cancelled campaign'
+    });
+  });
+
+  return {
+    id: entryId,
+    amount: roundAmount(amount),
+    currency,
+    status: 'succeeded'
+  };
+};
+
+module.exports = {
+  TOP_UP_LIMITS,
+  roundAmount,
+  getWalletRef,
+  getLedgerEntryRef,
+  getBalance,
+  recordWalletEntry,
+  getWalletTopUpId,
+  completeWalletTopUp,
+  handleWalletTopUpSuccess,
+  refundToWallet
+};
@@ -0,0 +1,130 @@
+// functions/src/payouts/payoutLedger.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { CURRENCIES, DEFAULT_CURRENCY, getCampaignCurrency, toBaseBudget } = require('../shared/currency');
+
+/**
+ * Default creator payout tiers, picked by the campaign's budget.
+ * minBudget and ratePerVideo are in base (USD price list) units and converted to the campaign
+ * currency. Overridden by the `tiers` array on the config/payoutRates document.
+ */
+const DEFAULT_PAYOUT_TIERS = [
+  { id: 'starter', label: 'Starter', minBudget: 0, ratePerVideo: 40 },
+  { id: 'growth', label: 'Growth', minBudget: 500, ratePerVideo: 45 },
+  { id: 'pro', label: 'Pro', minBudget: 1000, ratePerVideo: 50 }
+];
+
+/**
+ * Load the payout tiers, using config/payoutRates when it has been set
+ * @returns {Promise<Array>} - Tiers sorted by minimum budget
+ */
+const getPayoutTiers = async () => {
+  const configSnap = await admin.firestore().collection('config').doc('payoutRates').get();
+  const tiers = configSnap.exists && Array.isArray(configSnap.data().tiers)
+    ? configSnap.data().tiers
+    : DEFAULT_PAYOUT_TIERS;
+
+  return [...tiers].sort((a, b) => a.minBudget - b.minBudget);
+};
+
+/**
+ * Work out what a creator earns for one video on a campaign
+ * @param {Object} campaign - Campaign data
+ * @param {Array} tiers - Payout tiers
+ * @returns {Object} - { tier, ratePerVideo, amount, currency }
+ */
+const getVideoPayout = (campaign, tiers) => {
+  const currency = getCampaignCurrency(campaign);
+  const baseBudget = toBaseBudget(campaign.campaignDetails?.budget || 0, currency);
+  const tier = tiers.filter(option => baseBudget >= option.minBudget).pop() || tiers[0];
+
+  const { videoPrice } = CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY];
+  const amount = Math.round((tier.ratePerVideo * videoPrice / CURRENCIES[DEFAULT_CURRENCY].videoPrice) * 100) / 100;
+
+  return { tier: tier.id, ratePerVideo: tier.ratePerVideo, amount, currency };
+};
+
+/**
+ * Keep the payout ledger in step with the videos collection.
+ * A published video accrues one entry for its creator, stored under the video's ID so it can be
+ * traced back (and can't be accrued twice). Unpublishing or deleting a video voids its entry,
+ * unless the entry is already part of a payout run.
+ */
+const accrueCreatorPayout = functions.firestore
+  .document('videos/{videoId}')
+  .onWrite(async (change, context) => {
+    const { videoId } = context.params;
+    const video = change.after.exists ? change.after.data() : null;
+    const db = admin.firestore();
+    const entryRef = db.collection('payoutLedger').doc(videoId);
+
+    try {
+      if (video?.status === 'published') {
+        const tiers = await getPayoutTiers();
+
+        await db.runTransaction(async (transaction) => {
+          const [entrySnap, campaignSnap] = await Promise.all([
+            transaction.get(entryRef),
+            transaction.get(db.collection('campaigns').doc(video.campaignId))
+          ]);
+
+          // Keep an unpaid entry's creator in step with the video (e.g. a corrected username)
+          if (entrySnap.exists && entrySnap.data().status !== 'void') {
+            if (entrySnap.data().status === 'accrued' && entrySnap.data().creatorUsername !== (video.creatorUsername || '')) {
+              transaction.update(entryRef, {
+                creatorUsername: video.creatorUsername || '',
+                updatedAt: admin.firestore.FieldValue.serverTimestamp()
+              });
+            }
+            return;
+          }
+
+          if (!campaignSnap.exists) {
+            console.warn(`Video ${videoId} belongs to missing campaign ${video.campaignId}`);
+            return;
+          }
+
+          const payout = getVideoPayout(campaignSnap.data(), tiers);
+
+          transaction.set(entryRef, {
+            videoId,
+            campaignId: video.campaignId,
+            creatorUsername: video.creatorUsername || '',
+            tiktokId: video.tiktokId || '',
+            videoUrl: video.url || '',
+            ...payout,
+            status: 'accrued',
+            payoutRunId: null,
+            accruedAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        });
+      } else {
+        await db.runTransaction(async (transaction) => {
+          const entrySnap = await transaction.get(entryRef);
+
+          if (!entrySnap.exists || entrySnap.data().status !== 'accrued') {
+            return;
+          }
+
+          transaction.update(entryRef, {
+            status: 'void',
+            voidReason: video ? 'unpublished' : 'deleted',
+            voidedAt: admin.firestore.FieldValue.serverTimestamp(),
+            updatedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        });
+      }
+    } catch (error) {
+      console.error(`Error updating payout ledger for video ${videoId}:`, error);
+    }
+
+    return null;
+  });
+
+module.exports = {
+  DEFAULT_PAYOUT_TIERS,
+  getPayoutTiers,
+  getVideoPayout,
+  accrueCreatorPayout
+};
@@ -0,0 +1,257 @@
+// functions/src/payouts/payoutRuns.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+
+// Entries per run; kept under Firestore's 500 writes per transaction
+const MAX_ENTRIES_PER_RUN = 400;
+
+/**
+ * Check that the caller is signed in as an admin
+ * @param {Object} context - Callable context
+ * @returns {Promise<void>}
+ */
+const requireAdmin = async (context) => {
+  if (!context.auth) {
+    throw new functions.https.HttpsError('unauthenticated', 'User must be logged in');
+  }
+
+  const userSnapshot = await admin.firestore().collection('users').doc(context.auth.uid).get();
+  if (!userSnapshot.exists || userSnapshot.data().role !== 'admin') {
+    throw new functions.https.HttpsError('permission-denied', 'Must be an admin to manage payouts');
+  }
+};
+
+/**
+ * Total ledger entries per creator and currency
+ * @param {Array} entries - Ledger entries
+ * @returns {Object} - { creators: [{ creatorUsername, currency, amount, entryCount }], totals: { CUR: amount } }
+ */
+const summarizeEntries = (entries) => {
+  const creators = {};
+  const totals = {};
+
+  entries.forEach((entry) => {
+    const key = `${entry.creatorUsername}|${entry.currency}`;
+    if (!creators[key]) {
+      creators[key] = { creatorUsername: entry.creatorUsername, currency: entry.currency, amount: 0, entryCount: 0 };
+    }
+
+    creators[key].amount = Math.round((creators[key].amount + entry.amount) * 100) / 100;
+    creators[key].entryCount += 1;
+    totals[entry.currency] = Math.round(((totals[entry.currency] || 0) + entry.amount) * 100) / 100;
+  });
+
+  return {
+    creators: Object.values(creators).sort((a, b) => a.creatorUsername.localeCompare(b.creatorUsername)),
+    totals
+  };
+};
+
+/**
+ * Quote a value for a CSV cell.
+ * Text that a spreadsheet would read as a formula is prefixed with a quote so it stays text.
+ * @param {*} value - Cell value
+ * @returns {string} - Escaped cell
+ */
+const toCsvCell = (value) => {
+  const raw = value === null || value === undefined ? '' : String(value);
+  const text = /^[=+\-@]/.test(raw) ? `'${raw}` : raw;
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Read the oldest accrued entries that have a creator username, up to one run's worth.
+ * Entries without a username are passed over rather than counted against the limit.
+ * @param {Object} transaction - Firestore transaction
+ * @returns {Promise<Object>} - { entries, skipped }
+ */
+const getRunnableEntries = async (transaction) => {
+  const accruedQuery = admin.firestore().collection('payoutLedger')
+    .where('status', '==', 'accrued')
+    .orderBy('accruedAt')
+    .limit(MAX_ENTRIES_PER_RUN);
+
+  const entries = [];
+  let skipped = 0;
+  let lastDoc = null;
+
+  while (entries.length < MAX_ENTRIES_PER_RUN) {
+    const snapshot = await transaction.get(lastDoc ? accruedQuery.startAfter(lastDoc) : accruedQuery);
+
+    for (const doc of snapshot.docs) {
+      if (entries.length === MAX_ENTRIES_PER_RUN) {
+        break;
+      }
+
+      const entry = { id: doc.id, ref: doc.ref, ...doc.data() };
+      if (entry.creatorUsername) {
+        entries.push(entry);
+      } else {
+        skipped += 1;
+      }
+    }
+
+    if (snapshot.size < MAX_ENTRIES_PER_RUN) {
+      break;
+    }
+    lastDoc = snapshot.docs[snapshot.size - 1];
+  }
+
+  return { entries, skipped };
+};
+
+/**
+ * Gather every accrued ledger entry into a new payout run.
+ * Entries without a creator username are left out until the video is corrected.
+ */
+const createPayoutRun = functions.https.onCall(async (data, context) => {
+  await requireAdmin(context);
+
+  const db = admin.firestore();
+  const runRef = db.collection('payoutRuns').doc();
+
+  try {
+    const run = await db.runTransaction(async (transaction) => {
+      const { entries, skipped } = await getRunnableEntries(transaction);
+
+      if (entries.length === 0) {
+        throw new functions.https.HttpsError('failed-precondition', 'There are no payouts to run');
+      }
+
+      const summary = summarizeEntries(entries);
+      const runData = {
+        status: 'pending',
+        ...summary,
+        entryCount: entries.length,
+        createdBy: context.auth.uid,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      };
+
+      transaction.set(runRef, runData);
+      entries.forEach((entry) => {
+        transaction.update(entry.ref, {
+          status: 'batched',
+          payoutRunId: runRef.id,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+
+      return { ...summary, entryCount: entries.length, skipped };
+    });
+
+    return { payoutRunId: runRef.id, ...run };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    console.error('Error creating payout run:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Mark a payout run and all of its entries as paid
+ */
+const markPayoutRunPaid = functions.https.onCall(async (data, context) => {
+  await requireAdmin(context);
+
+  const { payoutRunId, reference } = data || {};
+  if (!payoutRunId) {
+    throw new functions.https.HttpsError('invalid-argument', 'payoutRunId is required');
+  }
+
+  const db = admin.firestore();
+  const runRef = db.collection('payoutRuns').doc(payoutRunId);
+
+  try {
+    await db.runTransaction(async (transaction) => {
+      const [runSnap, entriesSnap] = await Promise.all([
+        transaction.get(runRef),
+        transaction.get(db.collection('payoutLedger').where('payoutRunId', '==', payoutRunId))
+      ]);
+
+      if (!runSnap.exists) {
+        throw new functions.https.HttpsError('not-found', 'Payout run not found');
+      }
+
+      if (runSnap.data().status !== 'pending') {
+        throw new functions.https.HttpsError('failed-precondition', 'Payout run has already been paid');
+      }
+
+      transaction.update(runRef, {
+        status: 'paid',
+        reference: reference || '',
+        paidBy: context.auth.uid,
+        paidAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+
+      entriesSnap.docs.forEach((doc) => {
+        transaction.update(doc.ref, {
+          status: 'paid',
+          paidAt: admin.firestore.FieldValue.serverTimestamp(),
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      });
+    });
+
+    return { success: true };
+  } catch (error) {
+    if (error instanceof functions.https.HttpsError) {
+      throw error;
+    }
+
+    console.error('Error marking payout run paid:', error);
+    throw new functions.https.HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Export a payout run as CSV, one row per video so each amount can be traced
+ */
+const exportPayoutRun = functions.https.onCall(async (data, context) => {
+  await requireAdmin(context);
+
+  const { payoutRunId } = data || {};
+  if (!payoutRunId) {
+    throw new functions.https.HttpsError('invalid-argument', 'payoutRunId is required');
+  }
+
+  const db = admin.firestore();
+  const [runSnap, entriesSnap] = await Promise.all([
+    db.collection('payoutRuns').doc(payoutRunId).get(),
+    db.collection('payoutLedger').where('payoutRunId', '==', payoutRunId).get()
+  ]);
+
+  if (!runSnap.exists) {
+    throw new functions.https.HttpsError('not-found', 'Payout run not found');
+  }
+
+  const header = ['Payout run', 'Creator', 'Video ID', 'TikTok URL', 'Campaign ID', 'Tier', 'Amount', 'Currency', 'Status'];
+  const rows = entriesSnap.docs
+    .map(doc => doc.data())
+    .sort((a, b) => a.creatorUsername.localeCompare(b.creatorUsername))
+    .map(entry => [
+      payoutRunId,
+      entry.creatorUsername,
+      entry.videoId,
+      entry.videoUrl,
+      entry.campaignId,
+      entry.tier,
+      entry.amount.toFixed(2),
+      entry.currency,
+      entry.status
+    ]);
+
+  const csv = [header, ...rows].map(row => row.map(toCsvCell).join(',')).join('\n');
+
+  return { filename: `payout-run-${payoutRunId}.csv`, csv };
+});
+
+module.exports = {
+  MAX_ENTRIES_PER_RUN,
+  summarizeEntries,
+  createPayoutRun,
+  markPayoutRunPaid,
+  exportPayoutRun
+};
@@ -0,0 +1,165 @@
+// functions/src/scheduled/campaignStatusCheck.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { transitionCampaignStatus } = require('../campaigns/updateCampaignStatus');
+const { getCampaignVideoCount } = require('../shared/pricing');
+
+// Campaigns handled per run; anything left over is picked up by the next run
+const BATCH_SIZE = 100;
+
+/**
+ * Check whether a campaign's end date has passed
+ * @param {Object} campaign - Campaign data
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const hasCampaignEnded = (campaign, now) => (
+  Boolean(campaign.endDate) && campaign.endDate.toMillis() <= now.getTime()
+);
+
+/**
+ * Total the metrics of a campaign's videos, the same way the dashboard does
+ * @param {Array} videos - Video data
+ * @returns {Object} - { views, likes, comments, shares, engagement, follows, videoCount }
+ */
+const summarizeVideoMetrics = (videos) => {
+  const totals = videos.reduce((sum, video) => ({
+    views: sum.views + (video.metrics?.views || 0),
+    likes: sum.likes + (video.metrics?.likes || 0),
+    comments: sum.comments + (video.metrics?.comments || 0),
+    shares: sum.shares + (video.metrics?.shares || 0)
+  }), { views: 0, likes: 0, comments: 0, shares: 0 });
+
+  const engagements = totals.likes + totals.comments + totals.shares;
+
+  return {
+    ...totals,
+    engagement: totals.views > 0 ? Math.round((engagements / totals.views) * 10000) / 100 : 0,
+    follows: Math.floor(totals.views * 0.01), // Estimated as 1% of views, as on the dashboard
+    videoCount: videos.length
+  };
+};
+
+/**
+ * Compare the videos delivered with the videos the budget bought
+ * @param {Object} campaign - Campaign data
+ * @param {number} videosDelivered - Published videos
+ * @returns {Object|null} - { videosExpected, videosDelivered, shortfall }, or null if nothing is missing
+ */
+const getDeliveryShortfall = (campaign, videosDelivered) => {
+  const videosExpected = getCampaignVideoCount(campaign);
+  if (videosDelivered >= videosExpected) {
+    return null;
+  }
+
+  return { videosExpected, videosDelivered, shortfall: videosExpected - videosDelivered };
+};
+
+/**
+ * Complete one ended campaign: freeze its final metrics and flag it if videos are missing
+ * @param {Object} campaignSnap - Campaign snapshot from the ended-campaigns query
+ * @param {Date} now - Current time
+ * @returns {Promise<Object|null>} - { shortfall } if the campaign was completed, null if it was skipped
+ */
+const completeCampaign = async (campaignSnap, now) => {
+  const db = admin.firestore();
+  const videosSnap = await db.collection('videos')
+    .where('campaignId', '==', campaignSnap.id)
+    .where('status', '==', 'published')
+    .get();
+
+  const finalMetrics = summarizeVideoMetrics(videosSnap.docs.map(doc => doc.data()));
+  const metricsRef = db.collection('campaignMetrics').doc(campaignSnap.id);
+
+  return db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(campaignSnap.ref);
+    const campaign = snap.data();
+
+    // Cancelled or extended by a top-up while this run was working through the batch
+    if (campaign.status !== 'active' || !hasCampaignEnded(campaign, now)) {
+      return null;
+    }
+
+    const shortfall = getDeliveryShortfall(campaign, finalMetrics.videoCount);
+
+    transitionCampaignStatus(transaction, snap, 'completed', {
+      roles: ['system'],
+      reason: shortfall
+        ? `End date passed with ${shortfall.videosDelivered} of ${shortfall.videosExpected} videos delivered`
+        : 'End date passed',
+      updates: {
+        finalMetrics: {
+          ...finalMetrics,
+          frozenAt: admin.firestore.Timestamp.fromDate(now)
+        },
+        deliveryShortfall: shortfall
+          ? { ...shortfall, flaggedAt: admin.firestore.Timestamp.fromDate(now), resolved: false }
+          : null
+      }
+    });
+
+    // The dashboard stops recalculating metrics once they are final
+    transaction.set(metricsRef, {
+      summary: finalMetrics,
+      final: true,
+      finalizedAt: admin.firestore.Timestamp.fromDate(now),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    }, { merge: true });
+
+    return { shortfall };
+  });
+};
+
+/**
+ * Complete every active campaign whose end date has passed.
+ * Takes the current time as an argument so it can be run against a fake clock.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { checked, completed, flagged }
+ */
+const runCampaignStatusCheck = async (now = new Date()) => {
+  const snapshot = await admin.firestore().collection('campaigns')
+    .where('status', '==', 'active')
+    .where('endDate', '<=', admin.firestore.Timestamp.fromDate(now))
+    .limit(BATCH_SIZE)
+    .get();
+
+  const result = { checked: snapshot.size, completed: 0, flagged: 0 };
+
+  for (const campaignSnap of snapshot.docs) {
+    try {
+      const outcome = await completeCampaign(campaignSnap, now);
+      if (!outcome) {
+        continue;
+      }
+
+      result.completed += 1;
+      if (outcome.shortfall) {
+        result.flagged += 1;
+        console.warn(`Campaign ${campaignSnap.id} ended ${outcome.shortfall.shortfall} videos short`);
+      }
+    } catch (error) {
+      console.error(`Error completing campaign ${campaignSnap.id}:`, error);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Hourly job that moves ended campaigns to completed
+ */
+const campaignStatusCheck = functions.pubsub
+  .schedule('every 60 minutes')
+  .onRun(async () => {
+    const { checked, completed, flagged } = await runCampaignStatusCheck(new Date());
+    console.log(`Completed ${completed} of ${checked} ended campaigns (${flagged} short on videos)`);
+    return null;
+  });
+
+module.exports = {
+  hasCampaignEnded,
+  summarizeVideoMetrics,
+  getDeliveryShortfall,
+  runCampaignStatusCheck,
+  campaignStatusCheck
+};
@@ -0,0 +1,90 @@
+// functions/src/scheduled/expireCheckouts.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { getStripe } = require('../payments/stripeClient');
+const { completeStripeCheckout } = require('../payments/checkoutSessions');
+
+// Checkouts handled per run; anything left over is picked up by the next run
+const BATCH_SIZE = 200;
+
+/**
+ * Settle the card payment of an abandoned checkout before it is expired.
+ * A payment that went through gets its campaign now, since its webhook may never arrive; one that is
+ * still processing is left for the webhook; anything else is cancelled so it can't be charged later.
+ * @param {string} paymentIntentId - Stripe PaymentIntent ID
+ * @returns {Promise<string>} - 'completed', 'processing' or 'cancelled'
+ */
+const settlePaymentIntent = async (paymentIntentId) => {
+  const stripe = getStripe();
+  const paymentIntent = await stripe.paymentIntents.retrieve(paymentIntentId);
+
+  if (paymentIntent.status === 'succeeded') {
+    await completeStripeCheckout(paymentIntent);
+    return 'completed';
+  }
+
+  if (paymentIntent.status === 'processing') {
+    return 'processing';
+  }
+
+  if (paymentIntent.status !== 'canceled') {
+    await stripe.paymentIntents.cancel(paymentIntentId, { cancellation_reason: 'abandoned' });
+  }
+
+  return 'cancelled';
+};
+
+/**
+ * Expire checkouts that were never paid.
+ * Unpaid checkouts never become campaigns; this marks them expired and cancels their card payments.
+ * Card payments that succeeded without the campaign being created are completed instead.
+ * PayPal orders need no clean-up: expired checkouts are refused at capture and PayPal drops the order.
+ */
+exports.expireCheckouts = functions.pubsub
+  .schedule('every 30 minutes')
+  .onRun(async () => {
+    const db = admin.firestore();
+    const snapshot = await db.collection('checkoutSessions')
+      .where('status', '==', 'open')
+      .where('expiresAt', '<=', admin.firestore.Timestamp.now())
+      .limit(BATCH_SIZE)
+      .get();
+
+    let expired = 0;
+    let completed = 0;
+
+    for (const checkoutSnap of snapshot.docs) {
+      const stripePaymentId = checkoutSnap.data().paymentDetails?.stripePaymentId;
+
+      try {
+        const payment = stripePaymentId ? await settlePaymentIntent(stripePaymentId) : 'cancelled';
+        if (payment === 'completed') {
+          completed += 1;
+        }
+        if (payment !== 'cancelled') {
+          continue;
+        }
+
+        await db.runTransaction(async (transaction) => {
+          const snap = await transaction.get(checkoutSnap.ref);
+
+          // Paid while this run was working through the batch
+          if (snap.data().status !== 'open') {
+            return;
+          }
+
+          transaction.update(checkoutSnap.ref, {
+            status: 'expired',
+            expiredAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+        });
+
+        expired += 1;
+      } catch (error) {
+        console.error(`Error expiring checkout ${checkoutSnap.id}:`, error);
+      }
+    }
+
+    console.log(`Expired ${expired} and completed ${completed} of ${snapshot.size} abandoned checkouts`);
+    return null;
+  });
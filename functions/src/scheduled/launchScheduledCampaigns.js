@@ -0,0 +1,89 @@
+// functions/src/scheduled/launchScheduledCampaigns.js
+const functions = require('firebase-functions');
+const admin = require('firebase-admin');
+const { transitionCampaignStatus } = require('../campaigns/updateCampaignStatus');
+
+// Campaigns handled per run; anything left over is picked up by the next run
+const BATCH_SIZE = 100;
+
+/**
+ * Check whether a scheduled campaign's start date has arrived
+ * @param {Object} campaign - Campaign data
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+const isDueToLaunch = (campaign, now) => (
+  !campaign.scheduledStartDate || campaign.scheduledStartDate.toMillis() <= now.getTime()
+);
+
+/**
+ * Start one scheduled campaign; its end date is worked out from now
+ * @param {Object} campaignSnap - Campaign snapshot from the due-campaigns query
+ * @param {Date} now - Current time
+ * @returns {Promise<boolean>} - Whether the campaign was started
+ */
+const launchCampaign = async (campaignSnap, now) => {
+  const db = admin.firestore();
+
+  return db.runTransaction(async (transaction) => {
+    const snap = await transaction.get(campaignSnap.ref);
+    const campaign = snap.data();
+
+    // Cancelled or started by an admin while this run was working through the batch
+    if (campaign.status !== 'scheduled' || !isDueToLaunch(campaign, now)) {
+      return false;
+    }
+
+    transitionCampaignStatus(transaction, snap, 'active', {
+      roles: ['system'],
+      reason: campaign.campaignDetails?.startOption === 'releaseDate' ? 'Release day' : 'Scheduled start date'
+    });
+
+    return true;
+  });
+};
+
+/**
+ * Start every scheduled campaign whose start date has arrived.
+ * Takes the current time as an argument so it can be run against a fake clock.
+ * @param {Date} now - Current time
+ * @returns {Promise<Object>} - { checked, launched }
+ */
+const runScheduledLaunches = async (now = new Date()) => {
+  const snapshot = await admin.firestore().collection('campaigns')
+    .where('status', '==', 'scheduled')
+    .where('scheduledStartDate', '<=', admin.firestore.Timestamp.fromDate(now))
+    .limit(BATCH_SIZE)
+    .get();
+
+  const result = { checked: snapshot.size, launched: 0 };
+
+  for (const campaignSnap of snapshot.docs) {
+    try {
+      if (await launchCampaign(campaignSnap, now)) {
+        result.launched += 1;
+      }
+    } catch (error) {
+      console.error(`Error launching campaign ${campaignSnap.id}:`, error);
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Hourly job that starts scheduled campaigns on their start date
+ */
+const launchScheduledCampaigns = functions.pubsub
+  .schedule('every 60 minutes')
+  .onRun(async () => {
+    const { checked, launched } = await runScheduledLaunches(new Date());
+    console.log(`Launched ${launched} of ${checked} scheduled campaigns`);
+    return null;
+  });
+
+module.exports = {
+  isDueToLaunch,
+  runScheduledLaunches,
+  launchScheduledCampaigns
+};
@@ -0,0 +1,316 @@
+// functions/src/shared/campaignSchema.js
+// Campaign schema: the fields a campaign may have and the rules they must meet, used by the web app and
+// Cloud Functions alike. The server checks every campaign against it before checkout; the wizard checks
+// each step with it.
+
+// Options offered in the campaign wizard
+const CREATOR_TYPES = ['dance', 'music', 'comedy', 'lifestyle', 'fashion', 'gaming', 'beauty', 'fitness'];
+const AUDIENCE_AGES = ['teens', 'young_adults', 'adults', 'older_adults'];
+const VIDEO_STYLES = ['trending', 'lipSync', 'tutorial', 'storytelling', 'behindScenes', 'reviews'];
+const START_OPTIONS = ['approval', 'releaseDate', 'custom'];
+const OBJECTIVES = ['streams', 'followers', 'soundAdoption', 'preSave'];
+const AUDIENCE_INTERESTS = ['dance', 'music', 'comedy', 'lifestyle', 'fashion', 'beauty', 'fitness', 'gaming', 'sports', 'food', 'travel', 'art', 'tech'];
+
+// Hashtags as stored: a leading # then letters, numbers and underscores in any script
+const HASHTAG_PATTERN = /^#[\p{L}\p{N}_]+$/u;
+
+// Campaign length in days
+const DURATION_BOUNDS = { min: 7, max: 90 };
+
+const URL_MAX_LENGTH = 2000;
+
+/**
+ * Fields a campaign may have, by form section, with the label used in error messages. Anything not listed is dropped.
+ * Types: 'string', 'url' (http or https), 'number', 'date' (Date, Timestamp or ISO string),
+ * 'enum' (one of values), 'array' (of strings, or of values when given, each matching pattern when given) and 'object' (fields).
+ */
+const CAMPAIGN_SCHEMA = {
+  songDetails: {
+    title: { type: 'string', label: 'Song title', required: true, maxLength: 200 },
+    genre: { type: 'string', label: 'Genre', required: true, maxLength: 100 },
+    mood: { type: 'string', label: 'Mood', maxLength: 100 },
+    releaseDate: { type: 'date', label: 'Release date' },
+    audioUrl: { type: 'url', label: 'Audio link', required: true, maxLength: URL_MAX_LENGTH },
+    coverArtUrl: { type: 'url', label: 'Cover art link', maxLength: URL_MAX_LENGTH },
+    lyrics: { type: 'string', label: 'Lyrics', maxLength: 10000 }
+  },
+  artistDetails: {
+    name: { type: 'string', label: 'Artist name', required: true, maxLength: 200 },
+    bio: { type: 'string', label: 'Bio', maxLength: 2000 },
+    socialLinks: {
+      type: 'object',
+      fields: {
+        instagram: { type: 'url', label: 'Instagram link', maxLength: URL_MAX_LENGTH },
+        tiktok: { type: 'url', label: 'TikTok link', maxLength: URL_MAX_LENGTH },
+        spotify: { type: 'url', label: 'Spotify link', maxLength: URL_MAX_LENGTH },
+        youtube: { type: 'url', label: 'YouTube link', maxLength: URL_MAX_LENGTH }
+      }
+    },
+    pressKit: { type: 'url', label: 'Press kit link', maxLength: URL_MAX_LENGTH }
+  },
+  campaignDetails: {
+    budget: { type: 'number', label: 'Budget', required: true, min: 0 },
+    currency: { type: 'string', label: 'Currency', required: true, maxLength: 3 },
+    duration: { type: 'number', label: 'Duration', required: true, integer: true, min: DURATION_BOUNDS.min, max: DURATION_BOUNDS.max },
+    startOption: { type: 'enum', label: 'Start option', values: START_OPTIONS },
+    customStartDate: { type: 'date', label: 'Start date' },
+    creatorTargeting: {
+      type: 'object',
+      fields: {
+        creatorTypes: { type: 'array', label: 'Creator types', required: true, requiredMessage: 'Please select at least one creator type', values: CREATOR_TYPES },
+        audienceAge: { type: 'array', label: 'Audience ages', values: AUDIENCE_AGES },
+        preferredStyles: { type: 'array', label: 'Video styles', values: VIDEO_STYLES },
+        notes: { type: 'string', label: 'Notes', maxLength: 1000 }
+      }
+    },
+    targetAudience: {
+      type: 'object',
+      fields: {
+        ageRange: { type: 'array', label: 'Age ranges', values: AUDIENCE_AGES },
+        interests: { type: 'array', label: 'Interests', values: AUDIENCE_INTERESTS },
+        locations: { type: 'array', label: 'Countries', maxItems: 20, pattern: /^[A-Z]{2}$/, patternMessage: 'Choose countries from the list' }
+      }
+    },
+    objectives: { type: 'array', label: 'Objectives', required: true, requiredMessage: 'Please choose at least one objective', values: OBJECTIVES },
+    hashtags: {
+      type: 'array',
+      label: 'Hashtags',
+      maxItems: 10,
+      maxLength: 100,
+      pattern: HASHTAG_PATTERN,
+      patternMessage: 'Hashtags start with # and use only letters, numbers and underscores'
+    }
+  },
+  billingDetails: {
+    name: { type: 'string', label: 'Billing name', required: true, maxLength: 200 },
+    companyName: { type: 'string', label: 'Company name', maxLength: 200 },
+    vatId: { type: 'string', label: 'VAT ID', maxLength: 50 },
+    line1: { type: 'string', label: 'Address', required: true, maxLength: 200 },
+    city: { type: 'string', label: 'City', required: true, maxLength: 100 },
+    postalCode: { type: 'string', label: 'Postal code', maxLength: 20 },
+    region: { type: 'string', label: 'State or province', maxLength: 100 },
+    country: { type: 'string', label: 'Country', required: true, pattern: /^[A-Z]{2}$/, patternMessage: 'Choose a country from the list' }
+  }
+};
+
+/**
+ * Whether a value counts as not filled in
+ * @param {*} value - Field value
+ * @returns {boolean}
+ */
+const isEmpty = (value) => (
+  value === undefined || value === null ||
+  (typeof value === 'string' && value.trim() === '') ||
+  (Array.isArray(value) && value.length === 0)
+);
+
+/**
+ * Turn a date field into a Date
+ * @param {*} value - Date, Timestamp or ISO string
+ * @returns {Date|null} - Date, or null if it isn't one
+ */
+const toDate = (value) => {
+  if (typeof value?.toDate === 'function') {
+    return value.toDate();
+  }
+
+  if (!(value instanceof Date) && typeof value !== 'string') {
+    return null;
+  }
+
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Check an http or https URL
+ * @param {string} value - URL
+ * @returns {boolean}
+ */
+const isWebUrl = (value) => {
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch (error) {
+    return false;
+  }
+};
+
+/**
+ * Check one field against its spec, recording any error under its path
+ * @param {Object} spec - Field spec from the schema
+ * @param {*} value - Field value
+ * @param {string} path - Path of the field, e.g. songDetails.title
+ * @param {Object} fieldErrors - Errors so far, by path
+ * @returns {*} - The value to keep (trimmed strings, only known object fields)
+ */
+const validateField = (spec, value, path, fieldErrors) => {
+  if (isEmpty(value)) {
+    if (spec.required) {
+      fieldErrors[path] = spec.requiredMessage || `${spec.label} is required`;
+    }
+
+    if (spec.type === 'object') {
+      return validateFields(spec.fields, {}, path, fieldErrors);
+    }
+
+    if (spec.type === 'array') {
+      return [];
+    }
+
+    return ['string', 'url'].includes(spec.type) ? '' : null;
+  }
+
+  switch (spec.type) {
+    case 'string':
+    case 'url': {
+      if (typeof value !== 'string') {
+        fieldErrors[path] = 'Must be text';
+        return null;
+      }
+
+      const text = value.trim();
+      if (spec.maxLength && text.length > spec.maxLength) {
+        fieldErrors[path] = `Must be ${spec.maxLength} characters or fewer`;
+      } else if (spec.type === 'url' && !isWebUrl(text)) {
+        fieldErrors[path] = 'Please enter a valid URL';
+      } else if (spec.pattern && !spec.pattern.test(text)) {
+        fieldErrors[path] = spec.patternMessage || 'Invalid value';
+      }
+
+      return text;
+    }
+    case 'number': {
+      const number = Number(value);
+      if (typeof value === 'boolean' || !Number.isFinite(number)) {
+        fieldErrors[path] = 'Must be a number';
+      } else if (spec.integer && !Number.isInteger(number)) {
+        fieldErrors[path] = 'Must be a whole number';
+      } else if (spec.min !== undefined && number < spec.min) {
+        fieldErrors[path] = `Must be at least ${spec.min}`;
+      } else if (spec.max !== undefined && number > spec.max) {
+        fieldErrors[path] = `Must be at most ${spec.max}`;
+      }
+
+      return number;
+    }
+    case 'date':
+      if (!toDate(value)) {
+        fieldErrors[path] = 'Please enter a valid date';
+      }
+
+      return value;
+    case 'enum':
+      if (!spec.values.includes(value)) {
+        fieldErrors[path] = 'Choose one of the listed options';
+      }
+
+      return value;
+    case 'array': {
+      if (!Array.isArray(value)) {
+        fieldErrors[path] = 'Must be a list';
+        return [];
+      }
+
+      const items = value.map(item => (typeof item === 'string' ? item.trim() : item));
+      if (spec.maxItems && items.length > spec.maxItems) {
+        fieldErrors[path] = `Choose ${spec.maxItems} or fewer`;
+      } else if (spec.values && items.some(item => !spec.values.includes(item))) {
+        fieldErrors[path] = 'Choose from the listed options';
+      } else if (items.some(item => typeof item !== 'string' || (spec.maxLength && item.length > spec.maxLength))) {
+        fieldErrors[path] = `Each entry must be text of ${spec.maxLength} characters or fewer`;
+      } else if (spec.pattern && items.some(item => !spec.pattern.test(item))) {
+        fieldErrors[path] = spec.patternMessage || 'Invalid value';
+      }
+
+      return [...new Set(items)];
+    }
+    case 'object':
+      if (typeof value !== 'object' || Array.isArray(value)) {
+        fieldErrors[path] = 'Invalid value';
+        return validateFields(spec.fields, {}, path, fieldErrors);
+      }
+
+      return validateFields(spec.fields, value, path, fieldErrors);
+    default:
+      return value;
+  }
+};
+
+/**
+ * Check every field of a section or nested object
+ * @param {Object} fields - Field specs by name
+ * @param {Object} data - Values by name
+ * @param {string} prefix - Path of the section
+ * @param {Object} fieldErrors - Errors so far, by path
+ * @returns {Object} - Values to keep
+ */
+const validateFields = (fields, data, prefix, fieldErrors) => Object.entries(fields).reduce((values, [name, spec]) => ({
+  ...values,
+  [name]: validateField(spec, data?.[name], `${prefix}.${name}`, fieldErrors)
+}), {});
+
+/**
+ * Rules that depend on more than one field
+ * @param {Object} values - Checked campaign fields
+ * @param {Object} fieldErrors - Errors so far, by path
+ * @param {Object} options - { budgetBounds, checkStartDate, now }
+ */
+const validateCampaignRules = (values, fieldErrors, { budgetBounds = null, checkStartDate = true, now = new Date() }) => {
+  const { songDetails, campaignDetails } = values;
+
+  if (budgetBounds && !fieldErrors['campaignDetails.budget'] &&
+    (campaignDetails.budget < budgetBounds.min || campaignDetails.budget > budgetBounds.max)) {
+    fieldErrors['campaignDetails.budget'] = `Budget must be between ${budgetBounds.min} and ${budgetBounds.max} ${campaignDetails.currency}`;
+  }
+
+  // A scheduled start has to be in the future
+  if (!checkStartDate) {
+    return;
+  }
+
+  if (campaignDetails.startOption === 'releaseDate') {
+    if (!songDetails.releaseDate) {
+      fieldErrors['songDetails.releaseDate'] = 'Add a release date to start the campaign on release day';
+    } else if (toDate(songDetails.releaseDate) && toDate(songDetails.releaseDate) <= now) {
+      fieldErrors['campaignDetails.startOption'] = 'The release date has passed; start the campaign once it is approved instead';
+    }
+  } else if (campaignDetails.startOption === 'custom') {
+    if (!campaignDetails.customStartDate) {
+      fieldErrors['campaignDetails.customStartDate'] = 'Choose a start date';
+    } else if (toDate(campaignDetails.customStartDate) && toDate(campaignDetails.customStartDate) <= now) {
+      fieldErrors['campaignDetails.customStartDate'] = 'The start date must be in the future';
+    }
+  }
+};
+
+/**
+ * Check a campaign from the wizard against the schema
+ * @param {Object} campaign - { songDetails, artistDetails, campaignDetails, billingDetails }
+ * @param {Object} options - { budgetBounds: { min, max } in the campaign currency, or null to skip,
+ *   checkStartDate: false once the campaign has been paid for, now }
+ * @returns {Object} - { values: the fields to store, fieldErrors: messages by path, e.g. 'songDetails.title' }
+ */
+const validateCampaignPayload = (campaign, options = {}) => {
+  const fieldErrors = {};
+  const values = Object.entries(CAMPAIGN_SCHEMA).reduce((sections, [section, fields]) => ({
+    ...sections,
+    [section]: validateFields(fields, campaign?.[section], section, fieldErrors)
+  }), {});
+
+  validateCampaignRules(values, fieldErrors, options);
+
+  return { values, fieldErrors };
+};
+
+module.exports = {
+  CREATOR_TYPES,
+  AUDIENCE_AGES,
+  VIDEO_STYLES,
+  START_OPTIONS,
+  OBJECTIVES,
+  AUDIENCE_INTERESTS,
+  HASHTAG_PATTERN,
+  DURATION_BOUNDS,
+  CAMPAIGN_SCHEMA,
+  validateCampaignPayload
+};
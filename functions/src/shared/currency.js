@@ -0,0 +1,85 @@
+// functions/src/shared/currency.js
+// Supported campaign currencies and currency-aware budget helpers, used by the web app and Cloud Functions alike.
+// Files in this directory are copied into the web app's src/shared before it starts, builds or runs tests,
+// so they must not require anything.
+
+/**
+ * Price list per currency. videoPrice is what one creator video costs in that currency;
+ * budgets are converted through it so every currency buys the same videos (see shared/pricing.js).
+ */
+const CURRENCIES = {
+  USD: { code: 'USD', symbol: '$', label: 'US Dollar', videoPrice: 100 },
+  EUR: { code: 'EUR', symbol: '€', label: 'Euro', videoPrice: 90 },
+  GBP: { code: 'GBP', symbol: '£', label: 'British Pound', videoPrice: 80 }
+};
+
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Get the price list for a currency, falling back to the default currency
+ * @param {string} currency - Currency code
+ * @returns {Object} - Currency config
+ */
+const getCurrencyConfig = (currency) => CURRENCIES[currency] || CURRENCIES[DEFAULT_CURRENCY];
+
+/**
+ * Check whether a currency can be used for campaigns
+ * @param {string} currency - Currency code
+ * @returns {boolean}
+ */
+const isSupportedCurrency = (currency) => Object.prototype.hasOwnProperty.call(CURRENCIES, currency);
+
+/**
+ * Get the currency a campaign is priced in
+ * @param {Object} campaign - Campaign data
+ * @returns {string} - Currency code
+ */
+const getCampaignCurrency = (campaign) => (
+  campaign?.campaignDetails?.currency || campaign?.paymentDetails?.currency || DEFAULT_CURRENCY
+);
+
+/**
+ * Get the bounds for a single budget top-up on a running campaign (1 to 20 videos)
+ * @param {string} currency - Currency code
+ * @returns {Object} - { min, max, step }
+ */
+const getTopUpBounds = (currency) => {
+  const { videoPrice } = getCurrencyConfig(currency);
+
+  return {
+    min: videoPrice,
+    max: videoPrice * 20,
+    step: videoPrice / 2
+  };
+};
+
+/**
+ * Convert a budget into base (USD price list) units, so the video formulas work in any currency
+ * @param {number} budget - Budget in the campaign currency
+ * @param {string} currency - Currency code
+ * @returns {number} - Budget in base units
+ */
+const toBaseBudget = (budget, currency) => (
+  (budget * CURRENCIES[DEFAULT_CURRENCY].videoPrice) / getCurrencyConfig(currency).videoPrice
+);
+
+/**
+ * Convert an amount in base (USD price list) units into a currency
+ * @param {number} baseAmount - Amount in base units
+ * @param {string} currency - Currency code
+ * @returns {number} - Amount in the currency
+ */
+const fromBaseBudget = (baseAmount, currency) => (
+  (baseAmount * getCurrencyConfig(currency).videoPrice) / CURRENCIES[DEFAULT_CURRENCY].videoPrice
+);
+
+module.exports = {
+  CURRENCIES,
+  DEFAULT_CURRENCY,
+  getCurrencyConfig,
+  isSupportedCurrency,
+  getCampaignCurrency,
+  getTopUpBounds,
+  toBaseBudget,
+  fromBaseBudget
+};
@@ -0,0 +1,172 @@
+// functions/src/shared/pricing.js
+// Pricing engine: budget bounds, videos and reach for a budget, used by the web app and Cloud Functions alike.
+// Tiers are edited by admins and stored in config/pricing (see payments/pricing.js); each campaign keeps
+// a snapshot of the pricing it was bought under.
+const { getCampaignCurrency, toBaseBudget, fromBaseBudget } = require('./currency');
+
+// Campaign length in days that reach per video is quoted for, and the length of campaigns without one
+const STANDARD_DURATION = 30;
+
+/**
+ * Default pricing, used until an admin saves config/pricing.
+ * Budgets and costs are in base (USD price list) units and converted to the campaign currency.
+ * Tiers are contiguous: a budget belongs to the first tier whose maxBudget it doesn't exceed.
+ * Each tier buys 1 video per costPerVideo plus bonusVideos per bonusEvery, and each video is
+ * estimated to reach reachPerVideo * reachMultiplier views, give or take reachVariance.
+ * Campaigns of compressedDays or fewer pay compressedCostMultiplier times the cost per video,
+ * and estimated reach scales with (duration / STANDARD_DURATION) ^ reachDurationExponent.
+ * Pricing saved before these fields existed has no surcharge and no duration effect on reach.
+ */
+const DEFAULT_PRICING = {
+  version: 1,
+  budgetStep: 50,
+  reachVariance: 0.3,
+  reachDurationExponent: 0.3,
+  tiers: [
+    { id: 'starter', label: 'Starter', minBudget: 200, maxBudget: 500, costPerVideo: 100, compressedDays: 14, compressedCostMultiplier: 1.25, bonusVideos: 2, bonusEvery: 1000, reachPerVideo: 12000, reachMultiplier: 1.0 },
+    { id: 'growth', label: 'Growth', minBudget: 500, maxBudget: 1000, costPerVideo: 100, compressedDays: 14, compressedCostMultiplier: 1.2, bonusVideos: 2, bonusEvery: 1000, reachPerVideo: 12000, reachMultiplier: 1.1 },
+    { id: 'pro', label: 'Pro', minBudget: 1000, maxBudget: 2000, costPerVideo: 100, compressedDays: 14, compressedCostMultiplier: 1.15, bonusVideos: 2, bonusEvery: 1000, reachPerVideo: 12000, reachMultiplier: 1.3 }
+  ]
+};
+
+/**
+ * Get the pricing a campaign was bought under; campaigns from before pricing snapshots use the defaults
+ * @param {Object} campaign - Campaign (or checkout campaign) data
+ * @returns {Object} - Pricing
+ */
+const getCampaignPricing = (campaign) => campaign?.pricing || DEFAULT_PRICING;
+
+/**
+ * Find the tier a budget falls in
+ * @param {number} baseBudget - Budget in base units
+ * @param {Object} pricing - Pricing
+ * @returns {Object} - Tier
+ */
+const getPricingTier = (baseBudget, pricing = DEFAULT_PRICING) => {
+  const { tiers } = pricing;
+  return tiers.find(tier => baseBudget <= tier.maxBudget) || tiers[tiers.length - 1];
+};
+
+/**
+ * Get the budget slider bounds for a currency
+ * @param {string} currency - Currency code
+ * @param {Object} pricing - Pricing
+ * @returns {Object} - { min, max, step }
+ */
+const getBudgetBounds = (currency, pricing = DEFAULT_PRICING) => {
+  const { tiers, budgetStep } = pricing;
+
+  return {
+    min: fromBaseBudget(tiers[0].minBudget, currency),
+    max: fromBaseBudget(tiers[tiers.length - 1].maxBudget, currency),
+    step: fromBaseBudget(budgetStep, currency)
+  };
+};
+
+/**
+ * Convert a budget between currencies, snapped to the target currency's slider step
+ * @param {number} budget - Budget in the source currency
+ * @param {string} fromCurrency - Source currency code
+ * @param {string} toCurrency - Target currency code
+ * @param {Object} pricing - Pricing
+ * @returns {number} - Budget in the target currency
+ */
+const convertBudget = (budget, fromCurrency, toCurrency, pricing = DEFAULT_PRICING) => {
+  const { min, max, step } = getBudgetBounds(toCurrency, pricing);
+  const converted = fromBaseBudget(toBaseBudget(budget, fromCurrency), toCurrency);
+
+  return Math.min(max, Math.max(min, Math.round(converted / step) * step));
+};
+
+/**
+ * Whether a campaign's duration counts as a compressed timeline for a tier
+ * @param {Object} tier - Pricing tier
+ * @param {number} duration - Campaign duration in days
+ * @returns {boolean}
+ */
+const isCompressedDuration = (tier, duration = STANDARD_DURATION) => (
+  tier.compressedDays > 0 && duration <= tier.compressedDays
+);
+
+/**
+ * Cost of one video in a tier, with the surcharge for compressed timelines
+ * @param {Object} tier - Pricing tier
+ * @param {number} duration - Campaign duration in days
+ * @returns {number} - Cost per video in base units
+ */
+const getCostPerVideo = (tier, duration = STANDARD_DURATION) => (
+  isCompressedDuration(tier, duration) ? tier.costPerVideo * (tier.compressedCostMultiplier || 1) : tier.costPerVideo
+);
+
+/**
+ * Number of videos a budget buys
+ * @param {number} budget - Budget in the campaign currency
+ * @param {string} currency - Currency code
+ * @param {Object} pricing - Pricing
+ * @param {number} duration - Campaign duration in days
+ * @returns {number} - Video count
+ */
+const getVideoCount = (budget, currency, pricing = DEFAULT_PRICING, duration = STANDARD_DURATION) => {
+  const baseBudget = toBaseBudget(budget || 0, currency);
+  const tier = getPricingTier(baseBudget, pricing);
+  const bonusVideos = tier.bonusEvery > 0 ? Math.floor((baseBudget / tier.bonusEvery) * tier.bonusVideos) : 0;
+
+  return Math.floor(baseBudget / getCostPerVideo(tier, duration)) + bonusVideos;
+};
+
+/**
+ * Duration a campaign was priced at. Extensions bought with top-ups lengthen the campaign
+ * but don't re-price it, so the original duration is kept as pricedDuration once it changes.
+ * @param {Object} campaign - Campaign data
+ * @returns {number} - Duration in days
+ */
+const getPricedDuration = (campaign) => (
+  campaign?.campaignDetails?.pricedDuration || campaign?.campaignDetails?.duration || STANDARD_DURATION
+);
+
+/**
+ * Number of videos a campaign's budget (including top-ups) buys under its own pricing
+ * @param {Object} campaign - Campaign data
+ * @returns {number} - Video count
+ */
+const getCampaignVideoCount = (campaign) => getVideoCount(
+  campaign?.campaignDetails?.budget,
+  getCampaignCurrency(campaign),
+  getCampaignPricing(campaign),
+  getPricedDuration(campaign)
+);
+
+/**
+ * Estimated total views for a budget; higher tiers get premium creators with more reach,
+ * and videos in longer campaigns have longer to pick up views
+ * @param {number} budget - Budget in the campaign currency
+ * @param {string} currency - Currency code
+ * @param {Object} pricing - Pricing
+ * @param {number} duration - Campaign duration in days
+ * @returns {Object} - { min, max }
+ */
+const estimateReach = (budget, currency, pricing = DEFAULT_PRICING, duration = STANDARD_DURATION) => {
+  const tier = getPricingTier(toBaseBudget(budget || 0, currency), pricing);
+  const durationFactor = Math.pow(duration / STANDARD_DURATION, pricing.reachDurationExponent || 0);
+  const views = getVideoCount(budget, currency, pricing, duration) * tier.reachPerVideo * tier.reachMultiplier * durationFactor;
+
+  return {
+    min: Math.round(views * (1 - pricing.reachVariance)),
+    max: Math.round(views * (1 + pricing.reachVariance))
+  };
+};
+
+module.exports = {
+  STANDARD_DURATION,
+  DEFAULT_PRICING,
+  getCampaignPricing,
+  getPricingTier,
+  getBudgetBounds,
+  convertBudget,
+  isCompressedDuration,
+  getCostPerVideo,
+  getVideoCount,
+  getPricedDuration,
+  getCampaignVideoCount,
+  estimateReach
+};
@@ -0,0 +1,193 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin'));
+
+const mockRefunds = { create: jest.fn() };
+jest.mock('../src/payments/stripeClient', () => ({
+  ...jest.requireActual('../src/payments/stripeClient'),
+  getStripe: () => ({ refunds: mockRefunds })
+}));
+
+const mockPaypalRequest = jest.fn();
+jest.mock('../src/payments/paypalClient', () => ({
+  ...jest.requireActual('../src/payments/paypalClient'),
+  paypalRequest: (...args) => mockPaypalRequest(...args)
+}));
+
+const { db, firestore } = require('firebase-admin');
+const { completeBudgetTopUp, handleBudgetTopUpSuccess } = require('../src/payments/budgetTopUps');
+const { getCampaignVideoCount } = require('../src/shared/pricing');
+const { generateInvoice } = require('../src/payments/generateInvoice');
+const { captureBudgetTopUp } = require('../src/payments/captureBudgetTopUp');
+const { authContext } = require('./helpers/fixtures');
+
+const payment = { processor: 'stripe', transactionId: 'pi_1', amountReceived: 110 };
+
+const seedCampaign = (status) => db.seed('campaigns/campaign-1', {
+  userId: 'artist-1',
+  status,
+  campaignDetails: { budget: 500, duration: 30, currency: 'USD' },
+  endDate: firestore.Timestamp.fromMillis(Date.UTC(2026, 5, 1)),
+  topUps: {
+    pi_1: { budget: 100, amount: 110, currency: 'USD', processor: 'stripe', stripePaymentId: 'pi_1', extendDays: 0, status: 'pending' }
+  }
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  db.reset();
+  mockRefunds.create.mockReset();
+  mockPaypalRequest.mockReset();
+});
+
+describe('completeBudgetTopUp', () => {
+  it.each(['active', 'paused'])('adds the budget to a %s campaign once', async (status) => {
+    seedCampaign(status);
+
+    await expect(completeBudgetTopUp('campaign-1', 'pi_1', payment)).resolves.toEqual({ processed: true });
+    await expect(completeBudgetTopUp('campaign-1', 'pi_1', payment)).resolves.toEqual({ processed: false, reason: 'duplicate' });
+
+    const campaign = db.getData('campaigns/campaign-1');
+    expect(campaign.campaignDetails.budget).toBe(600);
+    expect(campaign.topUps.pi_1).toMatchObject({ status: 'succeeded', amountReceived: 110 });
+  });
+
+  it('refunds instead of adding budget when the campaign has stopped running', async () => {
+    seedCampaign('cancelled');
+    mockRefunds.create.mockResolvedValue({ id: 're_1', amount: 11000, currency: 'usd', status: 'succeeded' });
+
+    const result = await completeBudgetTopUp('campaign-1', 'pi_1', payment);
+
+    expect(result).toMatchObject({ processed: false, reason: 'campaign-not-running', refund: { id: 're_1', amount: 110 } });
+    expect(mockRefunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: 'pi_1', amount: 11000 }),
+      expect.anything()
+    );
+
+    const campaign = db.getData('campaigns/campaign-1');
+    expect(campaign.campaignDetails.budget).toBe(500);
+    expect(campaign.topUps.pi_1).toMatchObject({ status: 'refunded', refund: { id: 're_1', status: 'succeeded' } });
+
+    // A repeated webhook delivery doesn't refund twice
+    await expect(completeBudgetTopUp('campaign-1', 'pi_1', payment)).resolves.toEqual({ processed: false, reason: 'duplicate' });
+    expect(mockRefunds.create).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('handleBudgetTopUpSuccess', () => {
+  const event = {
+    id: 'evt_1',
+    type: 'payment_intent.succeeded',
+    data: { object: { id: 'pi_1', amount_received: 11000, metadata: { purpose: 'budget_topup', campaignId: 'campaign-1' } } }
+  };
+
+  it('adds the budget when a delivery is retried after the first one failed', async () => {
+    seedCampaign('active');
+    jest.spyOn(db, 'applyUpdate').mockImplementationOnce(() => {
+      throw new Error('Firestore unavailable');
+    });
+
+    await expect(handleBudgetTopUpSuccess(event)).rejects.toThrow('Firestore unavailable');
+    expect(db.getData('stripeEvents/evt_1')).toBeUndefined();
+
+    await expect(handleBudgetTopUpSuccess(event)).resolves.toEqual({ processed: true });
+    await expect(handleBudgetTopUpSuccess(event)).resolves.toEqual({ processed: false, reason: 'duplicate' });
+    expect(db.getData('campaigns/campaign-1').campaignDetails.budget).toBe(600);
+  });
+});
+
+describe('captureBudgetTopUp', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    db.seed('campaigns/campaign-1', {
+      userId: 'artist-1',
+      status: 'active',
+      campaignDetails: { budget: 500, duration: 30, currency: 'USD' },
+      topUps: { 'ORDER-1': { budget: 100, amount: 110, currency: 'USD', processor: 'paypal', status: 'pending' } }
+    });
+  });
+
+  const capturedOrder = (value) => ({
+    id: 'ORDER-1',
+    status: 'COMPLETED',
+    purchase_units: [{ payments: { captures: [{ id: 'CAPTURE-1', status: 'COMPLETED', amount: { value, currency_code: 'USD' } }] } }]
+  });
+
+  it('refunds a completed capture that does not match the top-up', async () => {
+    mockPaypalRequest
+      .mockResolvedValueOnce(capturedOrder('11.00'))
+      .mockResolvedValueOnce({ id: 'REFUND-1', status: 'COMPLETED' });
+
+    await expect(captureBudgetTopUp.run({ campaignId: 'campaign-1', orderId: 'ORDER-1' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+
+    expect(mockPaypalRequest).toHaveBeenLastCalledWith('/v2/payments/captures/CAPTURE-1/refund', expect.anything());
+    const campaign = db.getData('campaigns/campaign-1');
+    expect(campaign.campaignDetails.budget).toBe(500);
+    expect(campaign.topUps['ORDER-1']).toMatchObject({
+      status: 'refunded',
+      unverifiedCapture: { needsReview: false, refunds: [{ captureId: 'CAPTURE-1', id: 'REFUND-1', status: 'succeeded' }] }
+    });
+  });
+
+  it('marks the top-up failed when nothing was captured', async () => {
+    mockPaypalRequest.mockResolvedValueOnce({ id: 'ORDER-1', status: 'APPROVED', purchase_units: [{}] });
+
+    await expect(captureBudgetTopUp.run({ campaignId: 'campaign-1', orderId: 'ORDER-1' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'aborted' });
+
+    expect(mockPaypalRequest).toHaveBeenCalledTimes(1);
+    expect(db.getData('campaigns/campaign-1').topUps['ORDER-1'].status).toBe('failed');
+  });
+});
+
+describe('top-up extensions', () => {
+  it('keep pricing the campaign at the compressed duration it was bought with', async () => {
+    db.seed('campaigns/campaign-1', {
+      userId: 'artist-1',
+      status: 'active',
+      campaignDetails: { budget: 500, duration: 14, currency: 'USD' },
+      endDate: firestore.Timestamp.fromMillis(Date.UTC(2026, 5, 1)),
+      topUps: { pi_1: { budget: 100, currency: 'USD', processor: 'stripe', extendDays: 7, status: 'pending' } }
+    });
+
+    await completeBudgetTopUp('campaign-1', 'pi_1', payment);
+
+    const campaign = db.getData('campaigns/campaign-1');
+    expect(campaign.campaignDetails).toMatchObject({ budget: 600, duration: 21, pricedDuration: 14 });
+    expect(campaign.endDate).toEqual(new Date(Date.UTC(2026, 5, 8)));
+
+    // 600 on the Growth tier at the 1.2x compressed surcharge: floor(600 / 120) + 1 bonus video,
+    // rather than the 7 videos an uncompressed 21-day campaign would get
+    expect(getCampaignVideoCount(campaign)).toBe(6);
+  });
+});
+
+describe('generateInvoice', () => {
+  const runTrigger = () => {
+    const after = db.doc('campaigns/campaign-1').getNow();
+    return generateInvoice.run({ before: { exists: false }, after }, { params: { campaignId: 'campaign-1' } });
+  };
+
+  it('invoices paid top-ups separately from the campaign payment', async () => {
+    db.seed('counters/invoices', { lastNumber: 41 });
+    db.seed('campaigns/campaign-1', {
+      userId: 'artist-1',
+      status: 'active',
+      billingDetails: { name: 'The Artist', country: 'US' },
+      paymentDetails: { status: 'succeeded', amount: 500 },
+      topUps: {
+        pi_1: { budget: 100, status: 'succeeded', paidAt: firestore.Timestamp.now() },
+        pi_2: { budget: 50, status: 'pending' }
+      }
+    });
+
+    await runTrigger();
+    await runTrigger();
+
+    const campaign = db.getData('campaigns/campaign-1');
+    const year = new Date().getFullYear();
+    expect(campaign.paymentDetails.invoice.number).toBe(`ST-${year}-000042`);
+    expect(campaign.topUps.pi_1.invoice).toMatchObject({ number: `ST-${year}-000043`, billingName: 'The Artist' });
+    expect(campaign.topUps.pi_2.invoice).toBeUndefined();
+    expect(db.getData('counters/invoices').lastNumber).toBe(43);
+  });
+});
@@ -0,0 +1,78 @@
+const { validateCampaignPayload } = require('../src/shared/campaignSchema');
+
+const NOW = new Date('2026-06-01T12:00:00Z');
+const OPTIONS = { budgetBounds: { min: 200, max: 2000 }, now: NOW };
+
+const validCampaign = () => ({
+  songDetails: {
+    title: 'Night Drive',
+    genre: 'Pop',
+    releaseDate: '2026-07-01',
+    audioUrl: 'https://example.com/night-drive.mp3'
+  },
+  artistDetails: {
+    name: 'The Artist',
+    socialLinks: { tiktok: 'https://tiktok.com/@theartist' }
+  },
+  campaignDetails: {
+    budget: 500,
+    currency: 'USD',
+    duration: 30,
+    startOption: 'releaseDate',
+    creatorTargeting: { creatorTypes: ['dance', 'music'], audienceAge: ['teens'] },
+    objectives: ['streams'],
+    hashtags: ['#nightdrive', '#夜'],
+    untracked: 'dropped'
+  },
+  billingDetails: {
+    name: 'The Artist',
+    line1: '1 Main Street',
+    city: 'Austin',
+    region: 'TX',
+    postalCode: '73301',
+    country: 'US'
+  }
+});
+
+const withCampaignDetails = (changes) => {
+  const campaign = validCampaign();
+  return { ...campaign, campaignDetails: { ...campaign.campaignDetails, ...changes } };
+};
+
+describe('validateCampaignPayload', () => {
+  it('accepts a valid campaign and keeps only the fields in the schema', () => {
+    const { values, fieldErrors } = validateCampaignPayload(validCampaign(), OPTIONS);
+
+    expect(fieldErrors).toEqual({});
+    expect(values.campaignDetails).not.toHaveProperty('untracked');
+    expect(values.campaignDetails.targetAudience).toEqual({ ageRange: [], interests: [], locations: [] });
+  });
+
+  it('reports every missing or invalid field by path', () => {
+    const campaign = { ...validCampaign(), songDetails: { genre: 'Pop', audioUrl: 'ftp://example.com/a.mp3' } };
+
+    expect(validateCampaignPayload(campaign, OPTIONS).fieldErrors).toEqual({
+      'songDetails.title': 'Song title is required',
+      'songDetails.audioUrl': 'Please enter a valid URL',
+      'songDetails.releaseDate': 'Add a release date to start the campaign on release day'
+    });
+  });
+
+  it.each([
+    ['a duration out of range', { duration: 120 }, { 'campaignDetails.duration': 'Must be at most 90' }],
+    ['a fractional duration', { duration: 10.5 }, { 'campaignDetails.duration': 'Must be a whole number' }],
+    ['an unknown creator type', { creatorTargeting: { creatorTypes: ['cooking'] } }, { 'campaignDetails.creatorTargeting.creatorTypes': 'Choose from the listed options' }],
+    ['a malformed hashtag', { hashtags: ['no-hash', '#ok'] }, { 'campaignDetails.hashtags': 'Hashtags start with # and use only letters, numbers and underscores' }],
+    ['no objectives', { objectives: [] }, { 'campaignDetails.objectives': 'Please choose at least one objective' }],
+    ['a start date in the past', { startOption: 'custom', customStartDate: '2026-05-01' }, { 'campaignDetails.customStartDate': 'The start date must be in the future' }],
+    ['a budget over the bounds', { budget: 5000 }, { 'campaignDetails.budget': 'Budget must be between 200 and 2000 USD' }]
+  ])('rejects %s', (name, changes, fieldErrors) => {
+    expect(validateCampaignPayload(withCampaignDetails(changes), OPTIONS).fieldErrors).toEqual(fieldErrors);
+  });
+
+  it('does not check the start date once the campaign has been paid for', () => {
+    const campaign = withCampaignDetails({ startOption: 'custom', customStartDate: '2026-05-01' });
+
+    expect(validateCampaignPayload(campaign, { ...OPTIONS, checkStartDate: false }).fieldErrors).toEqual({});
+  });
+});
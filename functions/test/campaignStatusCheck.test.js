@@ -0,0 +1,98 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin'));
+
+const { db, firestore } = require('firebase-admin');
+const { setClock } = require('./helpers/fakeFirestore');
+const { runCampaignStatusCheck } = require('../src/scheduled/campaignStatusCheck');
+const { campaignForm } = require('./helpers/fixtures');
+
+const NOW = new Date(Date.UTC(2026, 5, 1, 12));
+const DAY_IN_MS = 86400000;
+
+const seedCampaign = (id, status, endMillis) => db.seed(`campaigns/${id}`, {
+  userId: 'artist-1',
+  ...campaignForm(),
+  status,
+  startDate: firestore.Timestamp.fromMillis(endMillis - 30 * DAY_IN_MS),
+  endDate: firestore.Timestamp.fromMillis(endMillis)
+});
+
+const seedVideos = (campaignId, count) => {
+  for (let i = 0; i < count; i++) {
+    db.seed(`videos/${campaignId}-${i}`, {
+      campaignId,
+      status: 'published',
+      metrics: { views: 1000, likes: 100, comments: 10, shares: 5 }
+    });
+  }
+};
+
+beforeEach(() => {
+  db.reset();
+  setClock(() => NOW.getTime());
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+  setClock(() => Date.now());
+  jest.restoreAllMocks();
+});
+
+describe('runCampaignStatusCheck', () => {
+  it('completes ended campaigns, freezing their metrics', async () => {
+    // 500 USD on the Starter tier buys 6 videos
+    seedCampaign('ended', 'active', NOW.getTime() - DAY_IN_MS);
+    seedVideos('ended', 6);
+
+    const result = await runCampaignStatusCheck(NOW);
+
+    expect(result).toEqual({ checked: 1, completed: 1, flagged: 0 });
+
+    const campaign = db.getData('campaigns/ended');
+    expect(campaign.status).toBe('completed');
+    expect(campaign.deliveryShortfall).toBeNull();
+    expect(campaign.finalMetrics).toMatchObject({ views: 6000, videoCount: 6 });
+    expect(campaign.finalMetrics.frozenAt.toMillis()).toBe(NOW.getTime());
+    expect(db.getData('campaignMetrics/ended')).toMatchObject({ final: true, summary: { views: 6000 } });
+
+    const [change] = db.listDocuments('campaigns/ended/statusHistory').map(({ data }) => data);
+    expect(change).toMatchObject({ from: 'active', to: 'completed', actor: { role: 'system' } });
+  });
+
+  it('flags a campaign that ended short on videos', async () => {
+    seedCampaign('short', 'active', NOW.getTime() - DAY_IN_MS);
+    seedVideos('short', 2);
+
+    const result = await runCampaignStatusCheck(NOW);
+
+    expect(result).toEqual({ checked: 1, completed: 1, flagged: 1 });
+    expect(db.getData('campaigns/short').deliveryShortfall).toMatchObject({
+      videosExpected: 6,
+      videosDelivered: 2,
+      shortfall: 4,
+      resolved: false
+    });
+  });
+
+  it('leaves running and paused campaigns alone', async () => {
+    seedCampaign('running', 'active', NOW.getTime() + DAY_IN_MS);
+    seedCampaign('paused', 'paused', NOW.getTime() - DAY_IN_MS);
+
+    const result = await runCampaignStatusCheck(NOW);
+
+    expect(result).toEqual({ checked: 0, completed: 0, flagged: 0 });
+    expect(db.getData('campaigns/running').status).toBe('active');
+    expect(db.getData('campaigns/paused').status).toBe('paused');
+  });
+
+  it('completes a campaign once its end date passes on a later run', async () => {
+    seedCampaign('later', 'active', NOW.getTime() + DAY_IN_MS);
+    seedVideos('later', 6);
+
+    await runCampaignStatusCheck(NOW);
+    expect(db.getData('campaigns/later').status).toBe('active');
+
+    const result = await runCampaignStatusCheck(new Date(NOW.getTime() + 2 * DAY_IN_MS));
+    expect(result.completed).toBe(1);
+    expect(db.getData('campaigns/later').status).toBe('completed');
+  });
+});
@@ -0,0 +1,72 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin'));
+
+const mockRefunds = { create: jest.fn() };
+jest.mock('../src/payments/stripeClient', () => ({
+  ...jest.requireActual('../src/payments/stripeClient'),
+  getStripe: () => ({ refunds: mockRefunds })
+}));
+
+const { db } = require('firebase-admin');
+const { cancelCampaign } = require('../src/campaigns/cancelCampaign');
+const { campaignForm, authContext } = require('./helpers/fixtures');
+
+const paidTopUp = { budget: 100, amount: 110, amountReceived: 110, currency: 'USD', processor: 'stripe', stripePaymentId: 'pi_2', status: 'succeeded' };
+
+const seedCampaign = (fields = {}) => db.seed('campaigns/campaign-1', {
+  userId: 'artist-1',
+  ...campaignForm(),
+  status: 'pending',
+  paymentDetails: { status: 'succeeded', processor: 'stripe', stripePaymentId: 'pi_1', amount: 500, amountReceived: 500, currency: 'USD' },
+  ...fields
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db.reset();
+  mockRefunds.create.mockReset().mockImplementation(async ({ amount }) => ({ id: `re_${amount}`, amount, currency: 'usd', status: 'succeeded' }));
+});
+
+describe('cancelCampaign', () => {
+  it('quotes without cancelling on a dry run', async () => {
+    seedCampaign();
+
+    const result = await cancelCampaign.run({ campaignId: 'campaign-1', dryRun: true }, authContext('artist-1'));
+
+    expect(result.quote).toMatchObject({ amountPaid: 500, refundAmount: 500 });
+    expect(db.getData('campaigns/campaign-1').status).toBe('pending');
+    expect(mockRefunds.create).not.toHaveBeenCalled();
+  });
+
+  it('refunds a top-up paid while the cancellation was being requested', async () => {
+    seedCampaign();
+    const runTransaction = db.runTransaction.bind(db);
+    jest.spyOn(db, 'runTransaction').mockImplementationOnce((updateFunction) => {
+      seedCampaign({ topUps: { pi_2: paidTopUp } });
+      return runTransaction(updateFunction);
+    });
+
+    const result = await cancelCampaign.run({ campaignId: 'campaign-1', reason: 'Changed plans' }, authContext('artist-1'));
+
+    expect(result.quote).toMatchObject({ amountPaid: 610, topUpPayments: 110, refundAmount: 610 });
+    expect(db.getData('campaigns/campaign-1')).toMatchObject({
+      status: 'cancelled',
+      cancellation: { amountPaid: 610, previousStatus: 'pending' },
+      topUps: { pi_2: { refund: { amount: 110, status: 'succeeded' } } }
+    });
+    expect(mockRefunds.create).toHaveBeenCalledWith(expect.objectContaining({ payment_intent: 'pi_2', amount: 11000 }), expect.anything());
+  });
+
+  it('does not cancel a campaign that finished while the cancellation was being requested', async () => {
+    seedCampaign();
+    const runTransaction = db.runTransaction.bind(db);
+    jest.spyOn(db, 'runTransaction').mockImplementationOnce((updateFunction) => {
+      seedCampaign({ status: 'completed' });
+      return runTransaction(updateFunction);
+    });
+
+    await expect(cancelCampaign.run({ campaignId: 'campaign-1' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+    expect(mockRefunds.create).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,88 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin'));
+
+const mockPaypalRequest = jest.fn();
+jest.mock('../src/payments/paypalClient', () => ({
+  ...jest.requireActual('../src/payments/paypalClient'),
+  paypalRequest: (...args) => mockPaypalRequest(...args)
+}));
+
+const { db, firestore } = require('firebase-admin');
+const { capturePayPalOrder } = require('../src/payments/capturePayPalOrder');
+const { campaignForm, authContext } = require('./helpers/fixtures');
+
+/**
+ * A captured PayPal order
+ * @param {string} value - Captured amount
+ * @param {string} customId - Checkout the order was created for
+ * @returns {Object} - PayPal order
+ */
+const capturedOrder = (value, customId = 'checkout-1') => ({
+  id: 'ORDER-1',
+  status: 'COMPLETED',
+  payer: { email_address: 'artist@example.com' },
+  purchase_units: [{
+    custom_id: customId,
+    payments: { captures: [{ id: 'CAPTURE-1', status: 'COMPLETED', amount: { value, currency_code: 'USD' } }] }
+  }]
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  mockPaypalRequest.mockReset();
+  db.reset();
+  db.seed('checkoutSessions/checkout-1', {
+    userId: 'artist-1',
+    campaign: campaignForm(),
+    paymentDetails: { amount: 500, currency: 'USD', processor: 'paypal', paypalOrderId: 'ORDER-1', status: 'pending' },
+    draftId: null,
+    resubmitCampaignId: null,
+    status: 'open',
+    expiresAt: firestore.Timestamp.fromMillis(Date.now() + 3600000)
+  });
+});
+
+describe('capturePayPalOrder', () => {
+  it('creates the campaign once the capture matches the checkout', async () => {
+    mockPaypalRequest.mockResolvedValue(capturedOrder('500.00'));
+
+    const result = await capturePayPalOrder.run({ checkoutId: 'checkout-1', orderId: 'ORDER-1' }, authContext('artist-1'));
+
+    expect(result).toMatchObject({ success: true, campaignId: 'checkout-1', transactionId: 'CAPTURE-1', amount: 500 });
+    expect(db.getData('campaigns/checkout-1')).toMatchObject({
+      status: 'pending',
+      paymentDetails: { status: 'succeeded', processor: 'paypal', paypalTransactionId: 'CAPTURE-1', amountReceived: 500 }
+    });
+    expect(db.getData('checkoutSessions/checkout-1').status).toBe('completed');
+  });
+
+  it('refunds a capture that does not match the checkout', async () => {
+    mockPaypalRequest
+      .mockResolvedValueOnce(capturedOrder('50.00'))
+      .mockResolvedValueOnce({ id: 'REFUND-1', status: 'COMPLETED' });
+
+    await expect(capturePayPalOrder.run({ checkoutId: 'checkout-1', orderId: 'ORDER-1' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'failed-precondition', message: expect.stringContaining('has been refunded') });
+
+    expect(mockPaypalRequest).toHaveBeenLastCalledWith('/v2/payments/captures/CAPTURE-1/refund', expect.objectContaining({ method: 'POST' }));
+    expect(db.getData('campaigns/checkout-1')).toBeUndefined();
+    expect(db.getData('checkoutSessions/checkout-1').paymentDetails).toMatchObject({
+      status: 'failed',
+      unverifiedCapture: { orderId: 'ORDER-1', needsReview: false, refunds: [{ captureId: 'CAPTURE-1', id: 'REFUND-1', status: 'succeeded' }] }
+    });
+  });
+
+  it('flags the capture for review when the refund fails', async () => {
+    mockPaypalRequest
+      .mockResolvedValueOnce(capturedOrder('500.00', 'checkout-2'))
+      .mockRejectedValueOnce(new Error('PayPal request failed with status 500'));
+
+    await expect(capturePayPalOrder.run({ checkoutId: 'checkout-1', orderId: 'ORDER-1' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'failed-precondition', message: 'PayPal order belongs to a different checkout' });
+
+    expect(db.getData('checkoutSessions/checkout-1').paymentDetails.unverifiedCapture).toMatchObject({
+      needsReview: true,
+      refunds: [{ captureId: 'CAPTURE-1', status: 'failed' }]
+    });
+  });
+});
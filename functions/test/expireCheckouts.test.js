@@ -0,0 +1,87 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin'));
+
+const mockStripe = { paymentIntents: { retrieve: jest.fn(), cancel: jest.fn() } };
+jest.mock('../src/payments/stripeClient', () => ({
+  ...jest.requireActual('../src/payments/stripeClient'),
+  getStripe: () => mockStripe
+}));
+
+const { db, firestore } = require('firebase-admin');
+const { setClock } = require('./helpers/fakeFirestore');
+const { expireCheckouts } = require('../src/scheduled/expireCheckouts');
+const { campaignForm } = require('./helpers/fixtures');
+
+const NOW = Date.UTC(2026, 5, 1, 12);
+
+const INTENTS = {
+  pi_paid: { id: 'pi_paid', status: 'succeeded', amount_received: 50000, currency: 'usd', metadata: { checkoutId: 'paid' } },
+  pi_processing: { id: 'pi_processing', status: 'processing', metadata: { checkoutId: 'processing' } },
+  pi_abandoned: { id: 'pi_abandoned', status: 'requires_payment_method', metadata: { checkoutId: 'abandoned' } }
+};
+
+const seedCheckout = (id, stripePaymentId = null) => db.seed(`checkoutSessions/${id}`, {
+  userId: 'artist-1',
+  campaign: campaignForm(),
+  paymentDetails: { amount: 500, currency: 'USD', status: 'pending', ...(stripePaymentId ? { processor: 'stripe', stripePaymentId } : {}) },
+  draftId: null,
+  resubmitCampaignId: null,
+  status: 'open',
+  expiresAt: firestore.Timestamp.fromMillis(NOW - 60000)
+});
+
+beforeEach(() => {
+  db.reset();
+  setClock(() => NOW);
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  mockStripe.paymentIntents.retrieve.mockReset().mockImplementation(async (id) => INTENTS[id]);
+  mockStripe.paymentIntents.cancel.mockReset().mockResolvedValue({});
+});
+
+afterEach(() => {
+  setClock(() => Date.now());
+  jest.restoreAllMocks();
+});
+
+describe('expireCheckouts', () => {
+  it('expires unpaid checkouts and cancels their card payments', async () => {
+    seedCheckout('unpaid');
+    seedCheckout('abandoned', 'pi_abandoned');
+
+    await expireCheckouts.run({});
+
+    expect(db.getData('checkoutSessions/unpaid').status).toBe('expired');
+    expect(db.getData('checkoutSessions/abandoned').status).toBe('expired');
+    expect(mockStripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_abandoned', { cancellation_reason: 'abandoned' });
+  });
+
+  it('creates the campaign for a card payment that succeeded but was never completed', async () => {
+    seedCheckout('paid', 'pi_paid');
+
+    await expireCheckouts.run({});
+
+    expect(db.getData('checkoutSessions/paid')).toMatchObject({ status: 'completed', campaignId: 'paid' });
+    expect(db.getData('campaigns/paid')).toMatchObject({
+      status: 'pending',
+      paymentDetails: { status: 'succeeded', stripePaymentId: 'pi_paid', amountReceived: 500 }
+    });
+    expect(mockStripe.paymentIntents.cancel).not.toHaveBeenCalled();
+  });
+
+  it('leaves a checkout whose payment is still processing for the webhook', async () => {
+    seedCheckout('processing', 'pi_processing');
+
+    await expireCheckouts.run({});
+
+    expect(db.getData('checkoutSessions/processing').status).toBe('open');
+    expect(db.getData('campaigns/processing')).toBeUndefined();
+  });
+
+  it('leaves checkouts that have not expired yet', async () => {
+    seedCheckout('open');
+    await db.doc('checkoutSessions/open').update({ expiresAt: firestore.Timestamp.fromMillis(NOW + 60000) });
+
+    await expireCheckouts.run({});
+
+    expect(db.getData('checkoutSessions/open').status).toBe('open');
+  });
+});
@@ -0,0 +1,77 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin'));
+
+const { db } = require('firebase-admin');
+const { handlePaymentFailure } = require('../src/payments/handlePaymentFailure');
+
+/**
+ * A payment_intent.payment_failed event
+ * @param {string} eventId - Event ID
+ * @param {Object} metadata - PaymentIntent metadata
+ * @returns {Object} - Stripe event
+ */
+const failedEvent = (eventId, metadata) => ({
+  id: eventId,
+  type: 'payment_intent.payment_failed',
+  data: {
+    object: {
+      id: 'pi_1',
+      metadata,
+      last_payment_error: { message: 'Your card was declined.' }
+    }
+  }
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  db.reset();
+});
+
+describe('handlePaymentFailure for wallet top-ups', () => {
+  it('marks a pending top-up as failed', async () => {
+    db.seed('walletTopUps/pi_1', { userId: 'artist-1', status: 'pending', amount: 100 });
+
+    const result = await handlePaymentFailure(failedEvent('evt_1', { purpose: 'wallet_topup' }));
+
+    expect(result).toEqual({ processed: true });
+    expect(db.getData('walletTopUps/pi_1')).toMatchObject({ status: 'failed', failureMessage: 'Your card was declined.' });
+  });
+
+  it('leaves a top-up that was already credited alone', async () => {
+    db.seed('walletTopUps/pi_1', { userId: 'artist-1', status: 'succeeded', amount: 100 });
+
+    const result = await handlePaymentFailure(failedEvent('evt_1', { purpose: 'wallet_topup' }));
+
+    expect(result).toEqual({ processed: false, reason: 'already-succeeded' });
+    expect(db.getData('walletTopUps/pi_1').status).toBe('succeeded');
+  });
+
+  it('does not create a top-up it has no record of', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await handlePaymentFailure(failedEvent('evt_1', { purpose: 'wallet_topup' }));
+
+    expect(result).toEqual({ processed: false, reason: 'missing-top-up' });
+    expect(db.getData('walletTopUps/pi_1')).toBeUndefined();
+  });
+});
+
+describe('handlePaymentFailure for budget top-ups', () => {
+  const metadata = { purpose: 'budget_topup', campaignId: 'campaign-1' };
+
+  it('marks a pending top-up as failed once per event', async () => {
+    db.seed('campaigns/campaign-1', { status: 'active', topUps: { pi_1: { budget: 100, status: 'pending' } } });
+
+    await expect(handlePaymentFailure(failedEvent('evt_1', metadata))).resolves.toEqual({ processed: true });
+    await expect(handlePaymentFailure(failedEvent('evt_1', metadata))).resolves.toEqual({ processed: false, reason: 'duplicate' });
+    expect(db.getData('campaigns/campaign-1').topUps.pi_1).toMatchObject({ status: 'failed', failureMessage: 'Your card was declined.' });
+  });
+
+  it('leaves a top-up that was already paid alone', async () => {
+    db.seed('campaigns/campaign-1', { status: 'active', topUps: { pi_1: { budget: 100, status: 'succeeded' } } });
+
+    const result = await handlePaymentFailure(failedEvent('evt_1', metadata));
+
+    expect(result).toEqual({ processed: false, reason: 'already-succeeded' });
+    expect(db.getData('campaigns/campaign-1').topUps.pi_1.status).toBe('succeeded');
+  });
+});
@@ -0,0 +1,18 @@
+// functions/test/helpers/fakeAdmin.js
+// Replacement for firebase-admin in tests: jest.mock('firebase-admin', () => require('./helpers/fakeAdmin'))
+const { FakeFirestore, Timestamp, FieldValue } = require('./fakeFirestore');
+
+const db = new FakeFirestore();
+
+const firestore = () => db;
+firestore.Timestamp = Timestamp;
+firestore.FieldValue = FieldValue;
+
+module.exports = {
+  initializeApp: () => {},
+  firestore,
+  auth: () => ({
+    getUser: async (uid) => ({ uid, email: `${uid}@example.com` })
+  }),
+  db
+};
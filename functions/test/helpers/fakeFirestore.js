@@ -0,0 +1,409 @@
+// functions/test/helpers/fakeFirestore.js
+// In-memory stand-in for the parts of firebase-admin's Firestore the functions use.
+// Tests mock firebase-admin with fakeAdmin.js, which shares one of these databases.
+
+let clock = () => Date.now();
+
+/**
+ * Set the time used for server timestamps
+ * @param {Function} now - Returns the current time in milliseconds
+ */
+const setClock = (now) => {
+  clock = now;
+};
+
+class Timestamp {
+  constructor(millis) {
+    this.millis = millis;
+  }
+
+  static fromMillis(millis) {
+    return new Timestamp(millis);
+  }
+
+  static fromDate(date) {
+    return new Timestamp(date.getTime());
+  }
+
+  static now() {
+    return new Timestamp(clock());
+  }
+
+  toMillis() {
+    return this.millis;
+  }
+
+  toDate() {
+    return new Date(this.millis);
+  }
+}
+
+// FieldValue sentinels, resolved when a write is applied
+class Sentinel {
+  constructor(op, value) {
+    this.op = op;
+    this.value = value;
+  }
+}
+
+const FieldValue = {
+  serverTimestamp: () => new Sentinel('serverTimestamp'),
+  increment: (n) => new Sentinel('increment', n),
+  arrayUnion: (...items) => new Sentinel('arrayUnion', items),
+  delete: () => new Sentinel('delete')
+};
+
+const isPlainObject = (value) => (
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Timestamp) && !(value instanceof Sentinel) && !(value instanceof Date)
+);
+
+const clone = (value) => {
+  if (Array.isArray(value)) return value.map(clone);
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  }
+  return value;
+};
+
+const resolveValue = (value, current) => {
+  if (value instanceof Sentinel) {
+    switch (value.op) {
+      case 'serverTimestamp':
+        return new Timestamp(clock());
+      case 'increment':
+        return (typeof current === 'number' ? current : 0) + value.value;
+      case 'arrayUnion':
+        return [...(Array.isArray(current) ? current : []), ...value.value.filter(item => !(current || []).includes(item))];
+      default:
+        return undefined;
+    }
+  }
+
+  if (isPlainObject(value)) {
+    return Object.fromEntries(Object.entries(value)
+      .filter(([, item]) => !(item instanceof Sentinel && item.op === 'delete'))
+      .map(([key, item]) => [key, resolveValue(item, undefined)]));
+  }
+
+  return clone(value);
+};
+
+const getField = (data, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+
+const setField = (data, path, value) => {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const parent = keys.reduce((object, key) => {
+    if (!isPlainObject(object[key])) {
+      object[key] = {};
+    }
+    return object[key];
+  }, data);
+
+  if (value instanceof Sentinel && value.op === 'delete') {
+    delete parent[last];
+  } else {
+    parent[last] = resolveValue(value, parent[last]);
+  }
+};
+
+const mergeInto = (target, source) => {
+  Object.entries(source).forEach(([key, value]) => {
+    if (isPlainObject(value) && isPlainObject(target[key])) {
+      mergeInto(target[key], value);
+    } else {
+      setField(target, key, value);
+    }
+  });
+};
+
+const comparable = (value) => (value instanceof Timestamp ? value.toMillis() : value);
+
+const OPERATORS = {
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b,
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  in: (a, b) => b.includes(a),
+  'array-contains': (a, b) => Array.isArray(a) && a.includes(b)
+};
+
+class DocumentSnapshot {
+  constructor(ref, data) {
+    this.ref = ref;
+    this.id = ref.id;
+    this.exists = data !== undefined;
+    this.storedData = data;
+  }
+
+  data() {
+    return this.exists ? clone(this.storedData) : undefined;
+  }
+
+  get(field) {
+    return getField(this.storedData, field);
+  }
+}
+
+class QuerySnapshot {
+  constructor(docs) {
+    this.docs = docs;
+    this.size = docs.length;
+    this.empty = docs.length === 0;
+  }
+
+  forEach(callback) {
+    this.docs.forEach(callback);
+  }
+}
+
+class Query {
+  constructor(db, path, filters = [], order = null, max = null, cursor = null) {
+    this.db = db;
+    this.path = path;
+    this.filters = filters;
+    this.order = order;
+    this.max = max;
+    this.cursor = cursor;
+  }
+
+  where(field, op, value) {
+    return new Query(this.db, this.path, [...this.filters, { field, op, value }], this.order, this.max, this.cursor);
+  }
+
+  orderBy(field, direction = 'asc') {
+    return new Query(this.db, this.path, this.filters, { field, direction }, this.max, this.cursor);
+  }
+
+  limit(max) {
+    return new Query(this.db, this.path, this.filters, this.order, max, this.cursor);
+  }
+
+  // Only document snapshot cursors from an earlier page of the same query are supported
+  startAfter(snapshot) {
+    return new Query(this.db, this.path, this.filters, this.order, this.max, snapshot.id);
+  }
+
+  async get() {
+    return this.getNow();
+  }
+
+  getNow() {
+    let docs = this.db.listDocuments(this.path)
+      .filter(({ data }) => this.filters.every(({ field, op, value }) => {
+        const actual = getField(data, field);
+        if (actual === undefined && op !== '!=') return false;
+        const expected = Array.isArray(value) ? value.map(comparable) : comparable(value);
+        return OPERATORS[op](comparable(actual), expected);
+      }));
+
+    if (this.order) {
+      const { field, direction } = this.order;
+      docs = docs
+        .filter(({ data }) => getField(data, field) !== undefined)
+        .sort((a, b) => {
+          const x = comparable(getField(a.data, field));
+          const y = comparable(getField(b.data, field));
+          const result = x < y ? -1 : x > y ? 1 : 0;
+          return direction === 'desc' ? -result : result;
+        });
+    }
+
+    if (this.cursor !== null) {
+      docs = docs.slice(docs.findIndex(({ id }) => id === this.cursor) + 1);
+    }
+
+    if (this.max !== null) {
+      docs = docs.slice(0, this.max);
+    }
+
+    return new QuerySnapshot(docs.map(({ id, data }) => new DocumentSnapshot(new DocumentReference(this.db, `${this.path}/${id}`), data)));
+  }
+}
+
+class CollectionReference extends Query {
+  constructor(db, path) {
+    super(db, path);
+    this.id = path.split('/').pop();
+  }
+
+  doc(id = this.db.newId()) {
+    return new DocumentReference(this.db, `${this.path}/${id}`);
+  }
+
+  async add(data) {
+    const ref = this.doc();
+    await ref.set(data);
+    return ref;
+  }
+}
+
+class DocumentReference {
+  constructor(db, path) {
+    this.db = db;
+    this.path = path;
+    this.id = path.split('/').pop();
+  }
+
+  collection(name) {
+    return new CollectionReference(this.db, `${this.path}/${name}`);
+  }
+
+  async get() {
+    return this.getNow();
+  }
+
+  getNow() {
+    return new DocumentSnapshot(this, this.db.docs.get(this.path));
+  }
+
+  async set(data, options) {
+    this.db.applySet(this.path, data, options);
+  }
+
+  async update(data) {
+    this.db.applyUpdate(this.path, data);
+  }
+
+  async delete() {
+    this.db.docs.delete(this.path);
+  }
+}
+
+class Transaction {
+  constructor(db) {
+    this.db = db;
+    this.writes = [];
+  }
+
+  async get(refOrQuery) {
+    if (this.writes.length > 0) {
+      throw new Error('Firestore transactions require all reads to be executed before all writes.');
+    }
+    return refOrQuery.getNow();
+  }
+
+  set(ref, data, options) {
+    this.writes.push(() => this.db.applySet(ref.path, data, options));
+    return this;
+  }
+
+  update(ref, data) {
+    // Like Firestore, fail the whole transaction if the document is missing
+    if (!this.db.docs.has(ref.path)) {
+      throw new Error(`No document to update: ${ref.path}`);
+    }
+    this.writes.push(() => this.db.applyUpdate(ref.path, data));
+    return this;
+  }
+
+  create(ref, data) {
+    if (this.db.docs.has(ref.path)) {
+      throw new Error(`Document already exists: ${ref.path}`);
+    }
+    return this.set(ref, data);
+  }
+
+  delete(ref) {
+    this.writes.push(() => this.db.docs.delete(ref.path));
+    return this;
+  }
+}
+
+class FakeFirestore {
+  constructor() {
+    this.docs = new Map();
+    this.nextId = 1;
+  }
+
+  reset() {
+    this.docs.clear();
+    this.nextId = 1;
+  }
+
+  newId() {
+    const id = `auto-${this.nextId}`;
+    this.nextId += 1;
+    return id;
+  }
+
+  collection(path) {
+    return new CollectionReference(this, path);
+  }
+
+  doc(path) {
+    return new DocumentReference(this, path);
+  }
+
+  listDocuments(collectionPath) {
+    const depth = collectionPath.split('/').length + 1;
+    return [...this.docs.entries()]
+      .filter(([path]) => path.startsWith(`${collectionPath}/`) && path.split('/').length === depth)
+      .map(([path, data]) => ({ id: path.split('/').pop(), data }));
+  }
+
+  applySet(path, data, { merge = false } = {}) {
+    const existing = this.docs.get(path);
+    if (merge && existing) {
+      const updated = clone(existing);
+      mergeInto(updated, data);
+      this.docs.set(path, updated);
+    } else {
+      this.docs.set(path, resolveValue(data, undefined));
+    }
+  }
+
+  applyUpdate(path, data) {
+    const existing = this.docs.get(path);
+    if (!existing) {
+      throw new Error(`No document to update: ${path}`);
+    }
+
+    const updated = clone(existing);
+    Object.entries(data).forEach(([field, value]) => setField(updated, field, value));
+    this.docs.set(path, updated);
+  }
+
+  async runTransaction(updateFunction) {
+    const transaction = new Transaction(this);
+    const result = await updateFunction(transaction);
+
+    // Like Firestore, commit all of the writes or none of them
+    const committed = new Map(this.docs);
+    try {
+      transaction.writes.forEach(write => write());
+    } catch (error) {
+      this.docs = committed;
+      throw error;
+    }
+    return result;
+  }
+
+  /**
+   * Read a document's data directly, for assertions
+   * @param {string} path - Document path
+   * @returns {Object|undefined}
+   */
+  getData(path) {
+    return clone(this.docs.get(path));
+  }
+
+  /**
+   * Store a document directly, for test setup
+   * @param {string} path - Document path
+   * @param {Object} data - Document data
+   */
+  seed(path, data) {
+    this.applySet(path, data);
+  }
+}
+
+module.exports = {
+  FakeFirestore,
+  Timestamp,
+  FieldValue,
+  setClock
+};
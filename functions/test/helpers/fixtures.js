@@ -0,0 +1,48 @@
+// functions/test/helpers/fixtures.js
+// Campaign data that passes the campaign schema, for tests to adjust
+
+/**
+ * Wizard fields for a valid campaign
+ * @param {Object} campaignDetails - Campaign detail overrides
+ * @returns {Object} - { songDetails, artistDetails, campaignDetails, billingDetails }
+ */
+const campaignForm = (campaignDetails = {}) => ({
+  songDetails: {
+    title: 'Night Drive',
+    genre: 'Pop',
+    audioUrl: 'https://example.com/night-drive.mp3'
+  },
+  artistDetails: {
+    name: 'The Artist'
+  },
+  campaignDetails: {
+    budget: 500,
+    currency: 'USD',
+    duration: 30,
+    startOption: 'approval',
+    creatorTargeting: { creatorTypes: ['dance'] },
+    objectives: ['streams'],
+    hashtags: ['#nightdrive'],
+    ...campaignDetails
+  },
+  billingDetails: {
+    name: 'The Artist',
+    line1: '1 Main Street',
+    city: 'Austin',
+    region: 'TX',
+    postalCode: '73301',
+    country: 'US'
+  }
+});
+
+/**
+ * Callable context for a signed-in user
+ * @param {string} uid - User ID
+ * @returns {Object} - Callable context
+ */
+const authContext = (uid) => ({ auth: { uid } });
+
+module.exports = {
+  campaignForm,
+  authContext
+};
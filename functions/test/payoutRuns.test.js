@@ -0,0 +1,65 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin'));
+
+const { db } = require('firebase-admin');
+const { MAX_ENTRIES_PER_RUN, createPayoutRun, exportPayoutRun } = require('../src/payouts/payoutRuns');
+const { authContext } = require('./helpers/fixtures');
+
+/**
+ * Store an accrued ledger entry
+ * @param {number} index - Position in accrual order
+ * @param {Object} fields - Entry overrides
+ */
+const seedEntry = (index, fields = {}) => db.seed(`payoutLedger/entry-${index}`, {
+  status: 'accrued',
+  creatorUsername: 'dancer',
+  videoId: `video-${index}`,
+  videoUrl: `https://www.tiktok.com/@dancer/video/${index}`,
+  campaignId: 'campaign-1',
+  tier: 'standard',
+  amount: 10,
+  currency: 'USD',
+  accruedAt: new Date(Date.UTC(2026, 0, 1) + index * 1000),
+  ...fields
+});
+
+beforeEach(() => {
+  db.reset();
+  db.seed('users/admin-1', { role: 'admin' });
+});
+
+describe('createPayoutRun', () => {
+  it('fills a run from entries with a creator username, passing over the ones without', async () => {
+    for (let index = 0; index < 50; index += 1) {
+      seedEntry(index, { creatorUsername: '' });
+    }
+    for (let index = 50; index < 50 + MAX_ENTRIES_PER_RUN + 10; index += 1) {
+      seedEntry(index);
+    }
+
+    const run = await createPayoutRun.run({}, authContext('admin-1'));
+
+    expect(run).toMatchObject({ entryCount: MAX_ENTRIES_PER_RUN, skipped: 50 });
+    expect(db.getData('payoutLedger/entry-0').status).toBe('accrued');
+    expect(db.getData('payoutLedger/entry-50')).toMatchObject({ status: 'batched', payoutRunId: run.payoutRunId });
+    expect(db.getData(`payoutLedger/entry-${50 + MAX_ENTRIES_PER_RUN}`).status).toBe('accrued');
+  });
+
+  it('refuses when every accrued entry is missing a creator username', async () => {
+    seedEntry(0, { creatorUsername: '' });
+
+    await expect(createPayoutRun.run({}, authContext('admin-1')))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+  });
+});
+
+describe('exportPayoutRun', () => {
+  it('keeps cells that a spreadsheet would read as formulas as text', async () => {
+    db.seed('payoutRuns/run-1', { status: 'pending' });
+    seedEntry(0, { payoutRunId: 'run-1', status: 'batched', creatorUsername: '=HYPERLINK("x")', videoId: '@1', campaignId: '-2+3' });
+
+    const { csv } = await exportPayoutRun.run({ payoutRunId: 'run-1' }, authContext('admin-1'));
+    const [, row] = csv.split('\n');
+
+    expect(row).toBe(`run-1,"'=HYPERLINK(""x"")",'@1,https://www.tiktok.com/@dancer/video/0,'-2+3,standard,10.00,USD,batched`);
+  });
+});
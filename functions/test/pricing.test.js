@@ -0,0 +1,62 @@
+const { DEFAULT_PRICING, getBudgetBounds, convertBudget, getVideoCount, getCampaignVideoCount, estimateReach } = require('../src/shared/pricing');
+const { getTopUpBounds, toBaseBudget, fromBaseBudget, getCampaignCurrency } = require('../src/shared/currency');
+
+// An admin-edited price list, with the optional fields missing as in pricing saved before they existed
+const CUSTOM_PRICING = {
+  version: 7,
+  budgetStep: 25,
+  reachVariance: 0.2,
+  tiers: [
+    { id: 'small', label: 'Small', minBudget: 100, maxBudget: 400, costPerVideo: 80, bonusVideos: 1, bonusEvery: 400, reachPerVideo: 9000, reachMultiplier: 1 },
+    { id: 'large', label: 'Large', minBudget: 400, maxBudget: 3000, costPerVideo: 90, compressedDays: 10, compressedCostMultiplier: 1.5, bonusVideos: 0, bonusEvery: 0, reachPerVideo: 15000, reachMultiplier: 1.2 }
+  ]
+};
+
+describe('currency helpers', () => {
+  it('converts budgets through each currency\'s video price', () => {
+    expect(toBaseBudget(450, 'EUR')).toBe(500);
+    expect(fromBaseBudget(500, 'GBP')).toBe(400);
+  });
+
+  it('bounds top-ups at 1 to 20 videos, in the default currency when one is not supported', () => {
+    expect(getTopUpBounds('GBP')).toEqual({ min: 80, max: 1600, step: 40 });
+    expect(getTopUpBounds('JPY')).toEqual({ min: 100, max: 2000, step: 50 });
+  });
+
+  it('reads the campaign currency from the campaign, then its payment', () => {
+    expect(getCampaignCurrency({ campaignDetails: { currency: 'EUR' }, paymentDetails: { currency: 'GBP' } })).toBe('EUR');
+    expect(getCampaignCurrency({ paymentDetails: { currency: 'GBP' } })).toBe('GBP');
+    expect(getCampaignCurrency({})).toBe('USD');
+  });
+});
+
+describe('pricing engine', () => {
+  it('converts budget bounds and snaps converted budgets to the slider step', () => {
+    expect(getBudgetBounds('EUR')).toEqual({ min: 180, max: 1800, step: 45 });
+    expect(convertBudget(500, 'USD', 'GBP')).toBe(400);
+  });
+
+  it('counts videos with tier bonuses and the compressed timeline surcharge', () => {
+    expect(getVideoCount(500, 'USD')).toBe(6);
+    expect(getVideoCount(500, 'USD', DEFAULT_PRICING, 14)).toBe(5);
+    expect(getVideoCount(450, 'EUR', DEFAULT_PRICING, 14)).toBe(5);
+    expect(getVideoCount(2000, 'USD')).toBe(24);
+  });
+
+  it('prices admin-edited tiers without the optional fields', () => {
+    expect(getVideoCount(400, 'USD', CUSTOM_PRICING, 7)).toBe(6);
+    expect(getVideoCount(900, 'USD', CUSTOM_PRICING, 7)).toBe(6);
+    expect(estimateReach(400, 'USD', CUSTOM_PRICING)).toEqual({ min: 43200, max: 64800 });
+  });
+
+  it('counts a campaign\'s videos at the duration it was priced at, after a top-up extension', () => {
+    expect(getCampaignVideoCount({ campaignDetails: { budget: 600, duration: 21, pricedDuration: 14 } })).toBe(6);
+    expect(getCampaignVideoCount({ campaignDetails: { budget: 600, duration: 21 } })).toBe(7);
+    expect(getCampaignVideoCount({ campaignDetails: { budget: 900, duration: 10 }, pricing: CUSTOM_PRICING })).toBe(6);
+  });
+
+  it('estimates more reach for longer campaigns', () => {
+    expect(estimateReach(500, 'USD')).toEqual({ min: 50400, max: 93600 });
+    expect(estimateReach(500, 'USD', DEFAULT_PRICING, 60)).toEqual({ min: 62050, max: 115235 });
+  });
+});
@@ -0,0 +1,78 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin'));
+
+const { db, firestore } = require('firebase-admin');
+const { payWithCredits } = require('../src/payments/payWithCredits');
+const { completeStripeCheckout } = require('../src/payments/checkoutSessions');
+const { campaignForm, authContext } = require('./helpers/fixtures');
+
+const LAUNCH = { type: 'percentage', value: 10, active: true, maxRedemptions: 1 };
+
+const seedCheckout = (paymentDetails = {}) => db.seed('checkoutSessions/checkout-1', {
+  userId: 'artist-1',
+  campaign: campaignForm(),
+  paymentDetails: { amount: 500, currency: 'USD', status: 'pending', ...paymentDetails },
+  draftId: null,
+  resubmitCampaignId: null,
+  status: 'open',
+  expiresAt: firestore.Timestamp.fromMillis(Date.now() + 3600000)
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  db.reset();
+  db.seed('users/artist-1', { role: 'artist' });
+});
+
+describe('payWithCredits', () => {
+  it('refuses a promo code that another payment used up since it was applied', async () => {
+    db.seed('promoCodes/LAUNCH', { ...LAUNCH, redemptionCount: 0 });
+    db.seed('wallets/artist-1', { userId: 'artist-1', balances: { USD: 1000 } });
+    seedCheckout();
+
+    // Another checkout redeems the last use between pricing and paying
+    const runTransaction = db.runTransaction.bind(db);
+    jest.spyOn(db, 'runTransaction').mockImplementationOnce((updateFunction) => {
+      db.seed('promoCodes/LAUNCH', { ...LAUNCH, redemptionCount: 1 });
+      return runTransaction(updateFunction);
+    });
+
+    await expect(payWithCredits.run({ checkoutId: 'checkout-1', promoCode: 'launch' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'resource-exhausted' });
+
+    expect(db.getData('wallets/artist-1').balances.USD).toBe(1000);
+    expect(db.getData('checkoutSessions/checkout-1').status).toBe('open');
+    expect(db.getData('campaigns/checkout-1')).toBeUndefined();
+    expect(db.getData('promoCodes/LAUNCH').redemptionCount).toBe(1);
+  });
+});
+
+describe('completeStripeCheckout', () => {
+  const paymentIntent = {
+    id: 'pi_1',
+    amount_received: 45000,
+    currency: 'usd',
+    metadata: { checkoutId: 'checkout-1' }
+  };
+
+  it('counts the promo code redemption with the payment', async () => {
+    db.seed('promoCodes/LAUNCH', { ...LAUNCH, redemptionCount: 0 });
+    seedCheckout({ amount: 450, discount: 50, promoCode: 'LAUNCH', stripePaymentId: 'pi_1' });
+
+    await completeStripeCheckout(paymentIntent);
+
+    expect(db.getData('promoCodes/LAUNCH').redemptionCount).toBe(1);
+    expect(db.getData('campaigns/checkout-1').paymentDetails.promoOverLimit).toBeUndefined();
+  });
+
+  it('flags a card payment that was taken with a promo code that has since run out', async () => {
+    db.seed('promoCodes/LAUNCH', { ...LAUNCH, redemptionCount: 1 });
+    seedCheckout({ amount: 450, discount: 50, promoCode: 'LAUNCH', stripePaymentId: 'pi_1' });
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+    const result = await completeStripeCheckout(paymentIntent);
+
+    expect(result).toEqual({ processed: true, campaignId: 'checkout-1' });
+    expect(db.getData('campaigns/checkout-1').paymentDetails).toMatchObject({ status: 'succeeded', promoOverLimit: true });
+    expect(db.getData('promoCodes/LAUNCH').redemptionCount).toBe(2);
+  });
+});
@@ -0,0 +1,218 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin'));
+
+const Stripe = require('stripe');
+
+const WEBHOOK_SECRET = 'whsec_test';
+const realStripe = new Stripe('sk_test_123');
+const mockStripe = {
+  webhooks: realStripe.webhooks,
+  customers: { create: jest.fn() },
+  paymentIntents: { create: jest.fn(), retrieve: jest.fn(), cancel: jest.fn() },
+  refunds: { create: jest.fn() }
+};
+jest.mock('../src/payments/stripeClient', () => ({
+  ...jest.requireActual('../src/payments/stripeClient'),
+  getStripe: () => mockStripe
+}));
+
+const { db, firestore } = require('firebase-admin');
+const { createPaymentIntent } = require('../src/payments/createPaymentIntent');
+const { confirmCheckoutPayment } = require('../src/payments/checkoutSessions');
+const { stripeWebhook } = require('../src/payments/stripeWebhook');
+const { campaignForm, authContext } = require('./helpers/fixtures');
+
+/**
+ * A payment_intent.succeeded event for the seeded checkout
+ * @param {string} eventId - Event ID
+ * @param {string} paymentIntentId - PaymentIntent that succeeded
+ * @returns {Object} - Stripe event
+ */
+const succeededEvent = (eventId, paymentIntentId = 'pi_1') => ({
+  id: eventId,
+  object: 'event',
+  type: 'payment_intent.succeeded',
+  data: {
+    object: {
+      id: paymentIntentId,
+      status: 'succeeded',
+      amount_received: 50000,
+      currency: 'usd',
+      metadata: { checkoutId: 'checkout-1', campaignId: 'checkout-1' }
+    }
+  }
+});
+
+/**
+ * Deliver an event to the webhook the way Stripe does, signed with the endpoint secret
+ * @param {Object} event - Stripe event
+ * @param {string} secret - Secret to sign with
+ * @returns {Promise<Object>} - { statusCode, body }
+ */
+const deliver = async (event, secret = WEBHOOK_SECRET) => {
+  const payload = JSON.stringify(event);
+  const req = {
+    method: 'POST',
+    rawBody: Buffer.from(payload),
+    headers: { 'stripe-signature': realStripe.webhooks.generateTestHeaderString({ payload, secret }) }
+  };
+  const res = {
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+    },
+    send(body) {
+      this.body = body;
+    }
+  };
+
+  await stripeWebhook(req, res);
+  return res;
+};
+
+beforeAll(() => {
+  process.env.STRIPE_WEBHOOK_SECRET = WEBHOOK_SECRET;
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  db.reset();
+  mockStripe.customers.create.mockReset().mockResolvedValue({ id: 'cus_1' });
+  mockStripe.paymentIntents.create.mockReset().mockImplementation(async (params) => ({
+    id: 'pi_1',
+    client_secret: 'pi_1_secret',
+    status: 'requires_payment_method',
+    ...params
+  }));
+  mockStripe.paymentIntents.retrieve.mockReset();
+  mockStripe.paymentIntents.cancel.mockReset().mockResolvedValue({});
+  mockStripe.refunds.create.mockReset().mockResolvedValue({ id: 're_1', amount: 50000, currency: 'usd', status: 'succeeded' });
+
+  db.seed('users/artist-1', { role: 'artist' });
+  db.seed('checkoutSessions/checkout-1', {
+    userId: 'artist-1',
+    campaign: campaignForm(),
+    paymentDetails: { amount: 500, currency: 'USD', status: 'pending' },
+    draftId: null,
+    resubmitCampaignId: null,
+    status: 'open',
+    expiresAt: firestore.Timestamp.fromMillis(Date.now() + 3600000)
+  });
+});
+
+describe('createPaymentIntent', () => {
+  it('charges the budget stored on the checkout, whatever the client sends', async () => {
+    const result = await createPaymentIntent.run({ checkoutId: 'checkout-1', amount: 1 }, authContext('artist-1'));
+
+    const [params] = mockStripe.paymentIntents.create.mock.calls[0];
+    expect(params).toMatchObject({ amount: Math.round(result.amount * 100), currency: 'usd', customer: 'cus_1' });
+    expect(params.metadata).toMatchObject({ checkoutId: 'checkout-1', campaignId: 'checkout-1' });
+    expect(result.amount).toBeGreaterThanOrEqual(500);
+    expect(db.getData('checkoutSessions/checkout-1').paymentDetails).toMatchObject({
+      processor: 'stripe',
+      stripePaymentId: 'pi_1',
+      originalAmount: 500,
+      status: 'pending'
+    });
+  });
+
+  it('cancels the earlier intent when the amount changes, so it can no longer be paid', async () => {
+    await db.doc('checkoutSessions/checkout-1').update({ 'paymentDetails.stripePaymentId': 'pi_1' });
+    mockStripe.paymentIntents.retrieve.mockResolvedValue({
+      id: 'pi_1', status: 'requires_payment_method', amount: 1, currency: 'usd', customer: 'cus_1'
+    });
+    mockStripe.paymentIntents.create.mockImplementation(async (params) => ({ id: 'pi_2', client_secret: 'pi_2_secret', ...params }));
+
+    const result = await createPaymentIntent.run({ checkoutId: 'checkout-1' }, authContext('artist-1'));
+
+    expect(mockStripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_1', { cancellation_reason: 'duplicate' });
+    expect(result.paymentIntentId).toBe('pi_2');
+    expect(db.getData('checkoutSessions/checkout-1').paymentDetails.stripePaymentId).toBe('pi_2');
+  });
+
+  it('does not start a new payment while the earlier one is going through', async () => {
+    await db.doc('checkoutSessions/checkout-1').update({ 'paymentDetails.stripePaymentId': 'pi_1' });
+    mockStripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_1', status: 'processing', amount: 1, currency: 'usd' });
+
+    await expect(createPaymentIntent.run({ checkoutId: 'checkout-1' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+    expect(mockStripe.paymentIntents.create).not.toHaveBeenCalled();
+  });
+
+  it('refuses to pay for someone else\'s checkout', async () => {
+    await expect(createPaymentIntent.run({ checkoutId: 'checkout-1' }, authContext('artist-2')))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+    expect(mockStripe.paymentIntents.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('stripeWebhook', () => {
+  beforeEach(async () => {
+    await db.doc('checkoutSessions/checkout-1').update({ 'paymentDetails.processor': 'stripe', 'paymentDetails.stripePaymentId': 'pi_1' });
+  });
+
+  it('creates the campaign from its checkout once, however often the event is delivered', async () => {
+    const first = await deliver(succeededEvent('evt_1'));
+    const repeat = await deliver(succeededEvent('evt_1'));
+
+    expect(first).toMatchObject({ statusCode: 200, body: { processed: true, campaignId: 'checkout-1' } });
+    expect(repeat).toMatchObject({ statusCode: 200, body: { processed: false, reason: 'duplicate' } });
+
+    expect(db.getData('campaigns/checkout-1')).toMatchObject({
+      userId: 'artist-1',
+      status: 'pending',
+      paymentDetails: { status: 'succeeded', processor: 'stripe', stripePaymentId: 'pi_1', amountReceived: 500 }
+    });
+    expect(db.getData('checkoutSessions/checkout-1')).toMatchObject({ status: 'completed', campaignId: 'checkout-1' });
+    expect(db.listDocuments('campaigns/checkout-1/statusHistory')).toHaveLength(1);
+  });
+
+  it('refunds a card payment that is not the one the checkout was completed with', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    await deliver(succeededEvent('evt_1'));
+
+    const stray = await deliver(succeededEvent('evt_2', 'pi_old'));
+
+    expect(stray.body).toMatchObject({ processed: false, reason: 'not-checkout-payment', refund: { id: 're_1', status: 'succeeded' } });
+    expect(mockStripe.refunds.create).toHaveBeenCalledWith(
+      expect.objectContaining({ payment_intent: 'pi_old' }),
+      { idempotencyKey: 'refund-stray-pi_old' }
+    );
+    expect(db.getData('checkoutSessions/checkout-1').strayPayments.pi_old).toMatchObject({ amount: 500, refund: { status: 'succeeded' } });
+    expect(db.getData('campaigns/checkout-1').paymentDetails.stripePaymentId).toBe('pi_1');
+  });
+
+  it('rejects events that are not signed with the endpoint secret', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    const response = await deliver(succeededEvent('evt_1'), 'whsec_other');
+
+    expect(response.statusCode).toBe(400);
+    expect(db.getData('campaigns/checkout-1')).toBeUndefined();
+  });
+});
+
+describe('confirmCheckoutPayment', () => {
+  it('creates the campaign before the webhook arrives, and the webhook then leaves it alone', async () => {
+    await db.doc('checkoutSessions/checkout-1').update({ 'paymentDetails.stripePaymentId': 'pi_1' });
+    mockStripe.paymentIntents.retrieve.mockResolvedValue(succeededEvent('evt_1').data.object);
+
+    const confirmation = await confirmCheckoutPayment.run({ checkoutId: 'checkout-1' }, authContext('artist-1'));
+    const webhook = await deliver(succeededEvent('evt_1'));
+
+    expect(confirmation).toEqual({ success: true, campaignId: 'checkout-1' });
+    expect(webhook.body).toMatchObject({ processed: false, reason: 'already-completed' });
+    expect(db.listDocuments('campaigns/checkout-1/statusHistory')).toHaveLength(1);
+  });
+
+  it('does not create a campaign for a payment Stripe has not confirmed', async () => {
+    await db.doc('checkoutSessions/checkout-1').update({ 'paymentDetails.stripePaymentId': 'pi_1' });
+    mockStripe.paymentIntents.retrieve.mockResolvedValue({ ...succeededEvent('evt_1').data.object, status: 'requires_action' });
+
+    await expect(confirmCheckoutPayment.run({ checkoutId: 'checkout-1' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+    expect(db.getData('campaigns/checkout-1')).toBeUndefined();
+  });
+});
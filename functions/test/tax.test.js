@@ -0,0 +1,35 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin'));
+
+const { DEFAULT_TAX_RATES, calculateTax } = require('../src/payments/tax');
+
+describe('calculateTax', () => {
+  it('reverse charges VAT for a business with a VAT ID in another country', () => {
+    expect(calculateTax(500, { country: 'DE', vatId: 'DE 123456789' }, DEFAULT_TAX_RATES, 'GB')).toMatchObject({
+      rate: 0,
+      amount: 0,
+      reverseCharge: true,
+      vatId: 'DE123456789'
+    });
+  });
+
+  it('charges VAT to a business with a VAT ID in the seller\'s own country', () => {
+    expect(calculateTax(500, { country: 'GB', vatId: 'GB123456789' }, DEFAULT_TAX_RATES, 'GB')).toMatchObject({
+      type: 'VAT',
+      rate: 0.2,
+      amount: 100,
+      reverseCharge: false,
+      vatId: null
+    });
+  });
+
+  it('takes the seller\'s country from SELLER_COUNTRY', () => {
+    process.env.SELLER_COUNTRY = 'de';
+
+    try {
+      expect(calculateTax(500, { country: 'DE', vatId: 'DE123456789' }, DEFAULT_TAX_RATES).reverseCharge).toBe(false);
+      expect(calculateTax(500, { country: 'GB', vatId: 'GB123456789' }, DEFAULT_TAX_RATES).reverseCharge).toBe(true);
+    } finally {
+      delete process.env.SELLER_COUNTRY;
+    }
+  });
+});
@@ -0,0 +1,132 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin'));
+
+const { db } = require('firebase-admin');
+const { updateCampaignStatus } = require('../src/campaigns/updateCampaignStatus');
+const { resubmitCampaign } = require('../src/campaigns/resubmitCampaign');
+const { campaignForm, authContext } = require('./helpers/fixtures');
+
+const seedCampaign = (id, fields) => db.seed(`campaigns/${id}`, {
+  userId: 'artist-1',
+  ...campaignForm(),
+  ...fields
+});
+
+beforeEach(() => {
+  db.reset();
+  db.seed('users/admin-1', { role: 'admin' });
+  db.seed('users/artist-1', { role: 'artist' });
+});
+
+describe('updateCampaignStatus', () => {
+  it('does not let the owner send a refunded rejected campaign back for review', async () => {
+    seedCampaign('campaign-1', {
+      status: 'rejected',
+      paymentDetails: { status: 'refunded', refund: { status: 'succeeded', processor: 'stripe' } }
+    });
+
+    await expect(updateCampaignStatus.run({ campaignId: 'campaign-1', status: 'pending' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+    expect(db.getData('campaigns/campaign-1').status).toBe('rejected');
+  });
+
+  it('does not let the owner submit an unpaid draft for review', async () => {
+    seedCampaign('campaign-1', { status: 'draft', paymentDetails: { status: 'pending' } });
+
+    await expect(updateCampaignStatus.run({ campaignId: 'campaign-1', status: 'pending' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+    expect(db.getData('campaigns/campaign-1').status).toBe('draft');
+  });
+
+  it.each(['active', 'scheduled'])('does not let an admin move a pending campaign to %s without reviewing it', async (status) => {
+    seedCampaign('campaign-1', { status: 'pending', paymentDetails: { status: 'succeeded' } });
+
+    await expect(updateCampaignStatus.run({ campaignId: 'campaign-1', status }, authContext('admin-1')))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+    expect(db.getData('campaigns/campaign-1').status).toBe('pending');
+  });
+
+  it('leaves completing a campaign to the status check, which freezes its metrics', async () => {
+    seedCampaign('campaign-1', { status: 'active' });
+
+    await expect(updateCampaignStatus.run({ campaignId: 'campaign-1', status: 'completed' }, authContext('admin-1')))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+    expect(db.getData('campaigns/campaign-1').status).toBe('active');
+  });
+
+  it('lets the owner pause an active campaign', async () => {
+    seedCampaign('campaign-1', { status: 'active' });
+
+    const result = await updateCampaignStatus.run({ campaignId: 'campaign-1', status: 'paused' }, authContext('artist-1'));
+
+    expect(result).toMatchObject({ success: true, previousStatus: 'active', status: 'paused' });
+    expect(db.getData('campaigns/campaign-1').status).toBe('paused');
+  });
+});
+
+describe('resubmitCampaign', () => {
+  it('sends a rejected campaign whose payment was kept back for review, recorded as the owner', async () => {
+    seedCampaign('campaign-1', { status: 'rejected', paymentDetails: { status: 'succeeded', amount: 500 } });
+
+    const result = await resubmitCampaign.run({ campaignId: 'campaign-1', campaign: campaignForm() }, authContext('artist-1'));
+
+    expect(result).toMatchObject({ success: true, paymentType: 'retained' });
+    expect(db.getData('campaigns/campaign-1').status).toBe('pending');
+
+    const [change] = db.listDocuments('campaigns/campaign-1/statusHistory').map(({ data }) => data);
+    expect(change).toMatchObject({ from: 'rejected', to: 'pending', actor: { uid: 'artist-1', role: 'owner' } });
+  });
+
+  it('asks for a new payment once the original was refunded to the card', async () => {
+    seedCampaign('campaign-1', {
+      status: 'rejected',
+      paymentDetails: { status: 'refunded', refund: { status: 'succeeded', processor: 'stripe' } }
+    });
+
+    const result = await resubmitCampaign.run({ campaignId: 'campaign-1', campaign: campaignForm() }, authContext('artist-1'));
+
+    expect(result).toMatchObject({ success: false, paymentRequired: true });
+    expect(db.getData('campaigns/campaign-1').status).toBe('rejected');
+  });
+});
+
+describe('validateCampaign', () => {
+  const { validateCampaign } = require('../src/index');
+
+  it('schedules an approved campaign with a future start date, recorded as the admin', async () => {
+    seedCampaign('campaign-1', {
+      status: 'pending',
+      campaignDetails: { ...campaignForm().campaignDetails, startOption: 'custom', customStartDate: '2099-01-01T00:00:00.000Z' }
+    });
+
+    const result = await validateCampaign.run({ campaignId: 'campaign-1', isApproved: true }, authContext('admin-1'));
+
+    expect(result).toEqual({ success: true, status: 'scheduled' });
+    const campaign = db.getData('campaigns/campaign-1');
+    expect(campaign.scheduledStartDate.toMillis()).toBe(Date.UTC(2099, 0, 1));
+
+    const [change] = db.listDocuments('campaigns/campaign-1/statusHistory').map(({ data }) => data);
+    expect(change).toMatchObject({ from: 'pending', to: 'scheduled', actor: { uid: 'admin-1', role: 'admin' } });
+  });
+});
+
+describe('submitCampaignForValidation', () => {
+  const { submitCampaignForValidation } = require('../src/index');
+
+  it('refuses a draft that has not been paid for', async () => {
+    seedCampaign('campaign-1', { status: 'draft', paymentDetails: { status: 'pending' } });
+
+    await expect(submitCampaignForValidation.run({ campaignId: 'campaign-1' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+    expect(db.getData('campaigns/campaign-1').status).toBe('draft');
+  });
+
+  it('submits a paid draft, recorded as the owner', async () => {
+    seedCampaign('campaign-1', { status: 'draft', paymentDetails: { status: 'succeeded' } });
+
+    await submitCampaignForValidation.run({ campaignId: 'campaign-1' }, authContext('artist-1'));
+
+    expect(db.getData('campaigns/campaign-1').status).toBe('pending');
+    const [change] = db.listDocuments('campaigns/campaign-1/statusHistory').map(({ data }) => data);
+    expect(change.actor).toEqual({ uid: 'artist-1', role: 'owner' });
+  });
+});
@@ -0,0 +1,210 @@
+jest.mock('firebase-admin', () => require('./helpers/fakeAdmin'));
+
+const mockStripe = {
+  paymentIntents: { create: jest.fn(), retrieve: jest.fn(), cancel: jest.fn() }
+};
+jest.mock('../src/payments/stripeClient', () => ({
+  ...jest.requireActual('../src/payments/stripeClient'),
+  getStripe: () => mockStripe
+}));
+
+const mockPaypalRequest = jest.fn();
+jest.mock('../src/payments/paypalClient', () => ({
+  ...jest.requireActual('../src/payments/paypalClient'),
+  paypalRequest: (...args) => mockPaypalRequest(...args)
+}));
+
+const { db, firestore } = require('firebase-admin');
+const { handleWalletTopUpSuccess } = require('../src/payments/wallet');
+const { createWalletTopUp } = require('../src/payments/createWalletTopUp');
+const { captureWalletTopUp } = require('../src/payments/captureWalletTopUp');
+const { payWithCredits } = require('../src/payments/payWithCredits');
+const { campaignForm, authContext } = require('./helpers/fixtures');
+
+/**
+ * A payment_intent.succeeded event for a wallet top-up
+ * @param {string} eventId - Event ID
+ * @returns {Object} - Stripe event
+ */
+const topUpEvent = (eventId) => ({
+  id: eventId,
+  type: 'payment_intent.succeeded',
+  data: {
+    object: { id: 'pi_1', amount_received: 10000, metadata: { purpose: 'wallet_topup', userId: 'artist-1', topUpId: 'topup-1' } }
+  }
+});
+
+const seedCheckout = (fields = {}) => db.seed('checkoutSessions/checkout-1', {
+  userId: 'artist-1',
+  campaign: campaignForm(),
+  paymentDetails: { amount: 500, currency: 'USD', status: 'pending' },
+  draftId: null,
+  resubmitCampaignId: null,
+  status: 'open',
+  expiresAt: firestore.Timestamp.fromMillis(Date.now() + 3600000),
+  ...fields
+});
+
+beforeEach(() => {
+  jest.restoreAllMocks();
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  db.reset();
+  mockStripe.paymentIntents.create.mockReset();
+  mockStripe.paymentIntents.retrieve.mockReset();
+  mockStripe.paymentIntents.cancel.mockReset().mockResolvedValue({});
+  mockPaypalRequest.mockReset();
+  db.seed('users/artist-1', { role: 'artist' });
+});
+
+describe('handleWalletTopUpSuccess', () => {
+  beforeEach(() => {
+    db.seed('walletTopUps/topup-1', { userId: 'artist-1', amount: 100, currency: 'USD', processor: 'stripe', status: 'pending' });
+  });
+
+  it('credits the wallet once, however often the event is delivered', async () => {
+    await expect(handleWalletTopUpSuccess(topUpEvent('evt_1'))).resolves.toEqual({ processed: true, balance: 100 });
+    await expect(handleWalletTopUpSuccess(topUpEvent('evt_1'))).resolves.toEqual({ processed: false, reason: 'duplicate' });
+
+    expect(db.getData('wallets/artist-1').balances.USD).toBe(100);
+    expect(db.getData('walletTopUps/topup-1')).toMatchObject({ status: 'succeeded', amountReceived: 100 });
+    expect(db.getData('wallets/artist-1/transactions/topup-topup-1')).toMatchObject({ type: 'topup', amount: 100, balanceAfter: 100 });
+  });
+
+  it('credits the wallet when a delivery is retried after the credit failed', async () => {
+    jest.spyOn(db, 'applyUpdate').mockImplementationOnce(() => {
+      throw new Error('Firestore unavailable');
+    });
+
+    await expect(handleWalletTopUpSuccess(topUpEvent('evt_1'))).rejects.toThrow('Firestore unavailable');
+    expect(db.getData('stripeEvents/evt_1')).toBeUndefined();
+    expect(db.getData('wallets/artist-1')).toBeUndefined();
+
+    await expect(handleWalletTopUpSuccess(topUpEvent('evt_1'))).resolves.toEqual({ processed: true, balance: 100 });
+    expect(db.getData('wallets/artist-1').balances.USD).toBe(100);
+  });
+});
+
+describe('createWalletTopUp', () => {
+  it('stores the pending top-up before the card payment and passes its ID to Stripe', async () => {
+    mockStripe.paymentIntents.create.mockImplementation(async (params) => ({ id: 'pi_1', client_secret: 'pi_1_secret', ...params }));
+
+    const result = await createWalletTopUp.run({ processor: 'stripe', amount: 100, currency: 'USD' }, authContext('artist-1'));
+
+    const [params, options] = mockStripe.paymentIntents.create.mock.calls[0];
+    expect(params.metadata).toEqual({ purpose: 'wallet_topup', userId: 'artist-1', topUpId: result.topUpId });
+    expect(options).toEqual({ idempotencyKey: `wallet-topup-${result.topUpId}` });
+    expect(db.getData(`walletTopUps/${result.topUpId}`)).toMatchObject({ status: 'pending', amount: 100, stripePaymentId: 'pi_1' });
+  });
+
+  it('marks the top-up failed when the card payment cannot be created', async () => {
+    mockStripe.paymentIntents.create.mockRejectedValue(new Error('Stripe unavailable'));
+
+    await expect(createWalletTopUp.run({ processor: 'stripe', amount: 100, currency: 'USD' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'internal' });
+
+    const [topUp] = db.listDocuments('walletTopUps').map(({ data }) => data);
+    expect(topUp).toMatchObject({ status: 'failed', failureMessage: 'Stripe unavailable' });
+  });
+});
+
+describe('captureWalletTopUp', () => {
+  const capturedOrder = (value) => ({
+    id: 'ORDER-1',
+    status: 'COMPLETED',
+    purchase_units: [{ payments: { captures: [{ id: 'CAPTURE-1', status: 'COMPLETED', amount: { value, currency_code: 'USD' } }] } }]
+  });
+
+  beforeEach(() => {
+    db.seed('walletTopUps/ORDER-1', { userId: 'artist-1', amount: 100, currency: 'USD', processor: 'paypal', status: 'pending' });
+  });
+
+  it('credits a capture that matches the top-up', async () => {
+    mockPaypalRequest.mockResolvedValueOnce(capturedOrder('100.00'));
+
+    const result = await captureWalletTopUp.run({ orderId: 'ORDER-1' }, authContext('artist-1'));
+
+    expect(result).toEqual({ success: true, amount: 100, currency: 'USD', balance: 100 });
+    expect(db.getData('walletTopUps/ORDER-1').status).toBe('succeeded');
+  });
+
+  it('refunds a completed capture that does not match the top-up', async () => {
+    mockPaypalRequest
+      .mockResolvedValueOnce(capturedOrder('1.00'))
+      .mockResolvedValueOnce({ id: 'REFUND-1', status: 'COMPLETED' });
+
+    await expect(captureWalletTopUp.run({ orderId: 'ORDER-1' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+
+    expect(mockPaypalRequest).toHaveBeenLastCalledWith('/v2/payments/captures/CAPTURE-1/refund', expect.anything());
+    expect(db.getData('walletTopUps/ORDER-1')).toMatchObject({
+      status: 'refunded',
+      unverifiedCapture: { needsReview: false, refunds: [{ captureId: 'CAPTURE-1', id: 'REFUND-1', status: 'succeeded' }] }
+    });
+    expect(db.getData('wallets/artist-1')).toBeUndefined();
+  });
+
+  it('marks the top-up failed when nothing was captured', async () => {
+    mockPaypalRequest.mockRejectedValueOnce(new Error('INSTRUMENT_DECLINED'));
+
+    await expect(captureWalletTopUp.run({ orderId: 'ORDER-1' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'aborted' });
+
+    expect(db.getData('walletTopUps/ORDER-1').status).toBe('failed');
+  });
+});
+
+describe('payWithCredits', () => {
+  beforeEach(() => {
+    db.seed('wallets/artist-1', { userId: 'artist-1', balances: { USD: 1000 } });
+  });
+
+  it('spends the credits and creates the campaign in one go', async () => {
+    seedCheckout();
+
+    const result = await payWithCredits.run({ checkoutId: 'checkout-1' }, authContext('artist-1'));
+
+    // 500 plus Texas sales tax
+    expect(result).toMatchObject({ success: true, campaignId: 'checkout-1', amount: 531.25, balance: 468.75 });
+    expect(db.getData('wallets/artist-1').balances.USD).toBe(468.75);
+    expect(db.getData('wallets/artist-1/transactions/spend-checkout-1')).toMatchObject({
+      type: 'spend',
+      amount: -531.25,
+      campaignId: 'checkout-1'
+    });
+    expect(db.getData('campaigns/checkout-1')).toMatchObject({
+      status: 'pending',
+      paymentDetails: { status: 'succeeded', processor: 'wallet', walletUserId: 'artist-1', amountReceived: 531.25, taxAmount: 31.25 }
+    });
+    expect(db.getData('checkoutSessions/checkout-1')).toMatchObject({ status: 'completed', paymentDetails: { processor: 'wallet' } });
+  });
+
+  it('cancels a card payment started for the checkout first', async () => {
+    seedCheckout({ paymentDetails: { amount: 500, currency: 'USD', status: 'pending', processor: 'stripe', stripePaymentId: 'pi_1' } });
+    mockStripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_1', status: 'requires_payment_method' });
+
+    await payWithCredits.run({ checkoutId: 'checkout-1' }, authContext('artist-1'));
+
+    expect(mockStripe.paymentIntents.cancel).toHaveBeenCalledWith('pi_1', { cancellation_reason: 'duplicate' });
+    expect(db.getData('campaigns/checkout-1').paymentDetails.stripePaymentId).toBeNull();
+  });
+
+  it('does not spend credits while a card payment for the checkout is going through', async () => {
+    seedCheckout({ paymentDetails: { amount: 500, currency: 'USD', status: 'pending', processor: 'stripe', stripePaymentId: 'pi_1' } });
+    mockStripe.paymentIntents.retrieve.mockResolvedValue({ id: 'pi_1', status: 'processing' });
+
+    await expect(payWithCredits.run({ checkoutId: 'checkout-1' }, authContext('artist-1')))
+      .rejects.toMatchObject({ code: 'failed-precondition' });
+    expect(db.getData('wallets/artist-1').balances.USD).toBe(1000);
+  });
+
+  it('records the spend against the campaign that was created when the resubmitted one moved on', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    db.seed('campaigns/campaign-1', { userId: 'artist-1', ...campaignForm(), status: 'pending' });
+    seedCheckout({ resubmitCampaignId: 'campaign-1' });
+
+    const result = await payWithCredits.run({ checkoutId: 'checkout-1' }, authContext('artist-1'));
+
+    expect(result.campaignId).toBe('checkout-1');
+    expect(db.getData('wallets/artist-1/transactions/spend-checkout-1').campaignId).toBe('checkout-1');
+  });
+});
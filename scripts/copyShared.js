@@ -0,0 +1,13 @@
+/**
+ * Copy the modules shared with Cloud Functions (functions/src/shared) into src/shared.
+ * Create React App only compiles files under src and the functions are deployed on their own,
+ * so the shared code lives with the functions and is copied here before every start, build and test run.
+ */
+const fs = require('fs');
+const path = require('path');
+
+const from = path.join(__dirname, '..', 'functions', 'src', 'shared');
+const to = path.join(__dirname, '..', 'src', 'shared');
+
+fs.rmSync(to, { recursive: true, force: true });
+fs.cpSync(from, to, { recursive: true });
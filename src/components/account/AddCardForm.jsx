@@ -0,0 +1,84 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
+import { createSetupIntent } from '../../firebase/functions';
+import { trackFeatureUsage } from '../../firebase/analytics';
+import Button from '../common/Button';
+
+/**
+ * Add card form - saves a card on the user's Stripe customer for one-click checkout
+ * Must be rendered inside Stripe Elements
+ * @param {Object} props - Component props
+ */
+const AddCardForm = ({ onComplete, onCancel }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+
+  const [cardComplete, setCardComplete] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  // Save the card; Stripe runs any 3-D Secure check the bank asks for
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!stripe || !elements || isSaving) {
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      setError(null);
+
+      const { clientSecret } = await createSetupIntent();
+      const { error: stripeError, setupIntent } = await stripe.confirmCardSetup(clientSecret, {
+        payment_method: { card: elements.getElement(CardElement) }
+      });
+
+      if (stripeError) {
+        throw stripeError;
+      }
+
+      if (setupIntent.status !== 'succeeded') {
+        throw new Error('The card could not be saved. Please try again.');
+      }
+
+      trackFeatureUsage('payment_method_saved');
+      onComplete();
+    } catch (err) {
+      console.error('Error saving card:', err);
+      setError(err.message || 'Failed to save the card');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="border border-gray-200 rounded-lg p-4 mb-6">
+      <label className="block mb-2 font-medium">Card Details</label>
+      <div className="p-3 mb-4 border border-gray-300 rounded-md">
+        <CardElement onChange={(event) => setCardComplete(event.complete)} />
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md text-sm">{error}</div>
+      )}
+
+      <div className="flex justify-end space-x-2">
+        <Button type="button" variant="outline" size="small" onClick={onCancel} disabled={isSaving}>
+          Cancel
+        </Button>
+        <Button type="submit" variant="primary" size="small" disabled={!stripe || !cardComplete || isSaving}>
+          {isSaving ? 'Saving...' : 'Save Card'}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+AddCardForm.propTypes = {
+  onComplete: PropTypes.func.isRequired,
+  onCancel: PropTypes.func.isRequired
+};
+
+export default AddCardForm;
@@ -0,0 +1,75 @@
+import React from 'react';
+import PropTypes from 'prop-types';
+import { formatCurrency, formatDate } from '../../utils/formatting';
+import { getInvoices, downloadInvoice } from '../../utils/invoice';
+
+/**
+ * Billing history component - lists the invoices for the artist's paid campaigns
+ * @param {Object} props - Component props
+ */
+const BillingHistory = ({ campaigns }) => {
+  const invoices = getInvoices(campaigns);
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-xl font-bold mb-6">Billing History</h2>
+
+      {invoices.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-4 font-medium">Invoice</th>
+                <th className="py-2 pr-4 font-medium">Date</th>
+                <th className="py-2 pr-4 font-medium">Campaign</th>
+                <th className="py-2 pr-4 font-medium text-right">Amount</th>
+                <th className="py-2 font-medium"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {invoices.map(invoice => (
+                <tr key={invoice.number}>
+                  <td className="py-3 pr-4 font-medium">{invoice.number}</td>
+                  <td className="py-3 pr-4 text-gray-600">{formatDate(invoice.paidAt)}</td>
+                  <td className="py-3 pr-4">
+                    {invoice.campaignTitle}
+                    {invoice.refund && (
+                      <span className="ml-2 px-2 py-0.5 text-xs rounded-full bg-gray-100 text-gray-700">
+                        Refunded {formatCurrency(invoice.refund.amount, invoice.currency, 2, 2)}
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-3 pr-4 text-right">
+                    {formatCurrency(invoice.amount, invoice.currency, 2, 2)}
+                  </td>
+                  <td className="py-3 text-right">
+                    <button
+                      type="button"
+                      className="text-primary hover:underline"
+                      onClick={() => downloadInvoice(invoice)}
+                    >
+                      Download
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="py-6 text-center text-gray-600">
+          Invoices for your campaign payments will appear here.
+        </p>
+      )}
+    </div>
+  );
+};
+
+BillingHistory.propTypes = {
+  campaigns: PropTypes.arrayOf(PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    paymentDetails: PropTypes.object
+  }))
+};
+
+export default BillingHistory;
@@ -0,0 +1,116 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../hooks/useAuth';
+import { getCampaignDrafts, deleteCampaignDraft } from '../../firebase/firestore';
+import { formatCurrency, formatRelativeTime } from '../../utils/formatting';
+
+// Wizard step names, by the step index saved on the draft
+const STEP_LABELS = ['Song Details', 'Artist Details', 'Budget', 'Targeting', 'Objectives', 'Billing', 'Payment'];
+
+/**
+ * Campaign drafts component - lists unfinished campaigns so the artist can resume or discard them
+ */
+const CampaignDrafts = () => {
+  const { currentUser } = useAuth();
+  const navigate = useNavigate();
+  const [drafts, setDrafts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [discardingId, setDiscardingId] = useState(null);
+
+  // Load the artist's drafts
+  const loadDrafts = useCallback(async () => {
+    if (!currentUser) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setDrafts(await getCampaignDrafts(currentUser.uid));
+    } catch (err) {
+      setError('Failed to load drafts');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser]);
+
+  useEffect(() => {
+    loadDrafts();
+  }, [loadDrafts]);
+
+  // Discard a draft
+  const handleDiscard = async (draftId) => {
+    if (!window.confirm('Discard this draft? This cannot be undone.')) {
+      return;
+    }
+
+    try {
+      setDiscardingId(draftId);
+      setError(null);
+      await deleteCampaignDraft(draftId);
+      setDrafts(prev => prev.filter(draft => draft.id !== draftId));
+    } catch (err) {
+      setError('Failed to discard draft');
+    } finally {
+      setDiscardingId(null);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <h2 className="text-xl font-bold mb-4">Unfinished Campaigns</h2>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+
+      {loading ? (
+        <div className="py-4 text-center">
+          <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-primary"></div>
+        </div>
+      ) : drafts.length > 0 ? (
+        <ul className="divide-y divide-gray-200">
+          {drafts.map(draft => (
+            <li key={draft.id} className="py-3">
+              <p className="font-medium">{draft.title || 'Untitled campaign'}</p>
+              <p className="text-xs text-gray-500">
+                {STEP_LABELS[draft.currentStep] || STEP_LABELS[0]} step
+                {draft.formData.campaignDetails?.budget
+                  ? ` · ${formatCurrency(draft.formData.campaignDetails.budget, draft.formData.campaignDetails.currency)}`
+                  : ''}
+                {' · saved '}{formatRelativeTime(draft.updatedAt)}
+              </p>
+              <div className="mt-2 flex gap-4 text-sm">
+                <button
+                  type="button"
+                  className="text-primary hover:underline"
+                  onClick={() => navigate(`/create-campaign?draft=${draft.id}`)}
+                >
+                  Resume
+                </button>
+                <button
+                  type="button"
+                  className="text-red-600 hover:underline disabled:opacity-50"
+                  onClick={() => handleDiscard(draft.id)}
+                  disabled={discardingId === draft.id}
+                >
+                  {discardingId === draft.id ? 'Discarding...' : 'Discard'}
+                </button>
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="py-4 text-center text-gray-600">
+          Campaigns you start and don't finish are saved here automatically.
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CampaignDrafts;
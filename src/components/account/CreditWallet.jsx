@@ -0,0 +1,126 @@
+import React, { useState } from 'react';
+import { Elements } from '@stripe/react-stripe-js';
+import { PayPalScriptProvider } from '@paypal/react-paypal-js';
+import { useWallet } from '../../hooks/useWallet';
+import { stripePromise } from '../../services/stripe';
+import { paypalOptions } from '../../services/paypal';
+import { formatCurrency, formatDate } from '../../utils/formatting';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../../shared/currency';
+import Button from '../common/Button';
+import WalletTopUpForm from './WalletTopUpForm';
+
+const ENTRY_LABELS = {
+  topup: 'Top-up',
+  spend: 'Campaign payment',
+  refund: 'Refund'
+};
+
+/**
+ * Credit wallet component - shows the artist's prepaid balance, top-ups and ledger
+ */
+const CreditWallet = () => {
+  const { balances, transactions, loading, error, refreshWallet } = useWallet({ withTransactions: true });
+  const [showTopUp, setShowTopUp] = useState(false);
+  const [currency, setCurrency] = useState(DEFAULT_CURRENCY);
+
+  // Show every currency the wallet has held, or the default one for a new wallet
+  const heldCurrencies = Object.keys(balances).filter(code => CURRENCIES[code]);
+  const displayCurrencies = heldCurrencies.length > 0 ? heldCurrencies : [DEFAULT_CURRENCY];
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-xl font-bold">Credit Wallet</h2>
+        <Button
+          variant={showTopUp ? 'outline' : 'primary'}
+          size="small"
+          onClick={() => setShowTopUp(!showTopUp)}
+        >
+          {showTopUp ? 'Close' : 'Add Credits'}
+        </Button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-4 mb-6">
+        {displayCurrencies.map(code => (
+          <div key={code} className="bg-gray-50 p-4 rounded-lg min-w-[140px]">
+            <p className="text-sm text-gray-500">{code} balance</p>
+            <p className="text-2xl font-bold">
+              {loading ? '...' : formatCurrency(balances[code] || 0, code, 2, 2)}
+            </p>
+          </div>
+        ))}
+      </div>
+
+      {showTopUp && (
+        <div className="border border-gray-200 rounded-lg p-4 mb-6">
+          <div className="mb-4">
+            <label htmlFor="walletCurrency" className="block mb-1 font-medium">Currency</label>
+            <select
+              id="walletCurrency"
+              value={currency}
+              onChange={(e) => setCurrency(e.target.value)}
+              className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              {Object.values(CURRENCIES).map(option => (
+                <option key={option.code} value={option.code}>{option.code} - {option.label}</option>
+              ))}
+            </select>
+            <p className="mt-1 text-sm text-gray-500">
+              Credits can be spent on campaigns priced in the same currency
+            </p>
+          </div>
+
+          <PayPalScriptProvider options={{ ...paypalOptions, currency }}>
+            <Elements stripe={stripePromise}>
+              <WalletTopUpForm currency={currency} onComplete={refreshWallet} />
+            </Elements>
+          </PayPalScriptProvider>
+        </div>
+      )}
+
+      <h3 className="font-medium mb-2">Recent Activity</h3>
+      {transactions.length > 0 ? (
+        <div className="overflow-x-auto">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500 border-b border-gray-200">
+                <th className="py-2 pr-4 font-medium">Date</th>
+                <th className="py-2 pr-4 font-medium">Type</th>
+                <th className="py-2 pr-4 font-medium">Details</th>
+                <th className="py-2 pr-4 font-medium text-right">Amount</th>
+                <th className="py-2 font-medium text-right">Balance</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {transactions.map(entry => (
+                <tr key={entry.id}>
+                  <td className="py-3 pr-4 text-gray-600">{formatDate(entry.createdAt)}</td>
+                  <td className="py-3 pr-4">{ENTRY_LABELS[entry.type] || entry.type}</td>
+                  <td className="py-3 pr-4 text-gray-600">{entry.description}</td>
+                  <td className={`py-3 pr-4 text-right ${entry.amount < 0 ? 'text-gray-800' : 'text-green-700'}`}>
+                    {entry.amount > 0 ? '+' : ''}{formatCurrency(entry.amount, entry.currency, 2, 2)}
+                  </td>
+                  <td className="py-3 text-right text-gray-600">
+                    {formatCurrency(entry.balanceAfter, entry.currency, 2, 2)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ) : (
+        <p className="py-6 text-center text-gray-600">
+          {loading ? 'Loading wallet...' : 'Add credits once and use them to pay for any campaign.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default CreditWallet;
@@ -0,0 +1,82 @@
+import React, { useState } from 'react';
+import { Elements } from '@stripe/react-stripe-js';
+import { usePaymentMethods } from '../../hooks/usePaymentMethods';
+import { stripePromise } from '../../services/stripe';
+import { formatCardLabel } from '../../utils/formatting';
+import Button from '../common/Button';
+import AddCardForm from './AddCardForm';
+
+/**
+ * Payment methods component - lists, adds and removes the artist's saved cards
+ */
+const PaymentMethods = () => {
+  const { paymentMethods, loading, error, refreshPaymentMethods, removePaymentMethod } = usePaymentMethods();
+  const [showAddCard, setShowAddCard] = useState(false);
+  const [removingId, setRemovingId] = useState(null);
+
+  // Close the form and show the new card
+  const handleCardAdded = () => {
+    setShowAddCard(false);
+    refreshPaymentMethods();
+  };
+
+  // Remove a card after confirmation
+  const handleRemove = async (paymentMethod) => {
+    if (!window.confirm(`Remove ${formatCardLabel(paymentMethod)}?`)) {
+      return;
+    }
+
+    setRemovingId(paymentMethod.id);
+    await removePaymentMethod(paymentMethod.id);
+    setRemovingId(null);
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-6">
+        <h2 className="text-xl font-bold">Payment Methods</h2>
+        {!showAddCard && (
+          <Button variant="primary" size="small" onClick={() => setShowAddCard(true)}>
+            Add Card
+          </Button>
+        )}
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+
+      {showAddCard && (
+        <Elements stripe={stripePromise}>
+          <AddCardForm onComplete={handleCardAdded} onCancel={() => setShowAddCard(false)} />
+        </Elements>
+      )}
+
+      {paymentMethods.length > 0 ? (
+        <ul className="divide-y divide-gray-200">
+          {paymentMethods.map(paymentMethod => (
+            <li key={paymentMethod.id} className="py-3 flex justify-between items-center">
+              <span>{formatCardLabel(paymentMethod)}</span>
+              <button
+                type="button"
+                className="text-sm text-red-600 hover:underline disabled:opacity-50"
+                onClick={() => handleRemove(paymentMethod)}
+                disabled={removingId === paymentMethod.id}
+              >
+                {removingId === paymentMethod.id ? 'Removing...' : 'Remove'}
+              </button>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <p className="py-6 text-center text-gray-600">
+          {loading ? 'Loading saved cards...' : 'Save a card to pay for your next campaign in one click.'}
+        </p>
+      )}
+    </div>
+  );
+};
+
+export default PaymentMethods;
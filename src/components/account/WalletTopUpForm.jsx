@@ -0,0 +1,179 @@
+import React, { useState } from 'react';
+import PropTypes from 'prop-types';
+import { CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
+import { PayPalButtons } from '@paypal/react-paypal-js';
+import { createWalletTopUp, captureWalletTopUp } from '../../firebase/functions';
+import { trackFeatureUsage } from '../../firebase/analytics';
+import { formatCurrency } from '../../utils/formatting';
+import Button from '../common/Button';
+import Input from '../common/Input';
+
+// Must match TOP_UP_LIMITS in functions/src/payments/wallet.js
+const MIN_TOP_UP = 50;
+const MAX_TOP_UP = 10000;
+
+/**
+ * Wallet top-up form - adds credits through Stripe or PayPal
+ * Must be rendered inside Stripe Elements and a PayPalScriptProvider for the same currency
+ * @param {Object} props - Component props
+ */
+const WalletTopUpForm = ({ currency, onComplete }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+
+  const [amount, setAmount] = useState(String(MIN_TOP_UP * 4));
+  const [processor, setProcessor] = useState('stripe');
+  const [cardComplete, setCardComplete] = useState(false);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const numericAmount = Number(amount);
+  const isAmountValid = numericAmount >= MIN_TOP_UP && numericAmount <= MAX_TOP_UP;
+
+  // Report a finished top-up to the parent
+  const finishTopUp = (text) => {
+    setMessage(text);
+    trackFeatureUsage('wallet_top_up', { amount: numericAmount, currency, processor });
+    onComplete();
+  };
+
+  // Pay for the top-up by card
+  const handleCardSubmit = async (e) => {
+    e.preventDefault();
+
+    if (!stripe || !elements || !isAmountValid || isProcessing) {
+      return;
+    }
+
+    try {
+      setIsProcessing(true);
+      setError(null);
+      setMessage(null);
+
+      const { clientSecret } = await createWalletTopUp(numericAmount, currency, 'stripe');
+      const { error: stripeError, paymentIntent } = await stripe.confirmCardPayment(clientSecret, {
+        payment_method: { card: elements.getElement(CardElement) }
+      });
+
+      if (stripeError) {
+        throw stripeError;
+      }
+
+      if (paymentIntent.status !== 'succeeded') {
+        throw new Error('The payment could not be completed. Please try again.');
+      }
+
+      // The Stripe webhook adds the credits once the payment is confirmed
+      elements.getElement(CardElement).clear();
+      finishTopUp('Payment received. Your credits will appear in a few moments.');
+    } catch (err) {
+      console.error('Wallet top-up error:', err);
+      setError(err.message || 'Failed to add credits');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Create the PayPal order for the top-up
+  const handlePayPalCreateOrder = async () => {
+    setError(null);
+    setMessage(null);
+    const { orderId } = await createWalletTopUp(numericAmount, currency, 'paypal');
+    return orderId;
+  };
+
+  // Capture the approved PayPal order; credits are added straight away
+  const handlePayPalApprove = async (data) => {
+    try {
+      setIsProcessing(true);
+      const result = await captureWalletTopUp(data.orderID);
+      finishTopUp(`${formatCurrency(result.amount, currency, 2, 2)} added to your wallet.`);
+    } catch (err) {
+      console.error('PayPal wallet top-up error:', err);
+      setError(err.message || 'Failed to add credits');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return (
+    <div>
+      <Input
+        type="number"
+        id="topUpAmount"
+        name="topUpAmount"
+        label={`Amount (${currency})`}
+        value={amount}
+        onChange={(e) => setAmount(e.target.value)}
+        min={MIN_TOP_UP}
+        max={MAX_TOP_UP}
+        error={amount && !isAmountValid ? `Enter between ${formatCurrency(MIN_TOP_UP, currency)} and ${formatCurrency(MAX_TOP_UP, currency)}` : ''}
+      />
+
+      <div className="flex space-x-2 mb-4">
+        <Button
+          type="button"
+          variant={processor === 'stripe' ? 'primary' : 'outline'}
+          size="small"
+          onClick={() => setProcessor('stripe')}
+        >
+          Credit Card
+        </Button>
+        <Button
+          type="button"
+          variant={processor === 'paypal' ? 'primary' : 'outline'}
+          size="small"
+          onClick={() => setProcessor('paypal')}
+        >
+          PayPal
+        </Button>
+      </div>
+
+      {error && (
+        <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md text-sm">
+          {error}
+        </div>
+      )}
+
+      {message && (
+        <div className="mb-4 p-3 bg-green-50 text-green-800 rounded-md text-sm">
+          {message}
+        </div>
+      )}
+
+      {processor === 'stripe' ? (
+        <form onSubmit={handleCardSubmit}>
+          <div className="p-3 mb-4 border border-gray-300 rounded-md">
+            <CardElement onChange={(event) => setCardComplete(event.complete)} />
+          </div>
+
+          <Button
+            type="submit"
+            variant="primary"
+            disabled={!stripe || !cardComplete || !isAmountValid || isProcessing}
+            fullWidth
+          >
+            {isProcessing ? 'Processing...' : `Add ${isAmountValid ? formatCurrency(numericAmount, currency, 2, 2) : 'credits'}`}
+          </Button>
+        </form>
+      ) : (
+        <PayPalButtons
+          createOrder={handlePayPalCreateOrder}
+          onApprove={handlePayPalApprove}
+          onError={() => setError('An error occurred with PayPal. Please try again.')}
+          forceReRender={[numericAmount, currency]}
+          style={{ layout: 'vertical', color: 'blue', shape: 'rect', label: 'pay' }}
+          disabled={!isAmountValid || isProcessing}
+        />
+      )}
+    </div>
+  );
+};
+
+WalletTopUpForm.propTypes = {
+  currency: PropTypes.string.isRequired,
+  onComplete: PropTypes.func.isRequired
+};
+
+export default WalletTopUpForm;
@@ -0,0 +1,87 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { getCampaignRevision } from '../../firebase/firestore';
+import { diffCampaigns } from '../../utils/campaignDiff';
+import { formatDate } from '../../utils/formatting';
+
+/**
+ * Campaign revision diff - shows a reviewer what an artist changed since the campaign was last rejected
+ */
+const CampaignRevisionDiff = ({ campaign }) => {
+  const [revision, setRevision] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Load the rejected version the campaign was resubmitted from
+  useEffect(() => {
+    const loadRevision = async () => {
+      try {
+        setLoading(true);
+        setError(null);
+        setRevision(await getCampaignRevision(campaign.id, campaign.lastRevisionId));
+      } catch (err) {
+        setError('Failed to load the previous version');
+      } finally {
+        setLoading(false);
+      }
+    };
+
+    loadRevision();
+  }, [campaign.id, campaign.lastRevisionId]);
+
+  if (loading) {
+    return <p className="mb-6 text-sm text-gray-500">Loading changes since the last rejection...</p>;
+  }
+
+  if (error || !revision) {
+    return <p className="mb-6 text-sm text-red-600">{error || 'The previous version could not be found.'}</p>;
+  }
+
+  const changes = diffCampaigns(revision, campaign);
+
+  return (
+    <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg">
+      <h3 className="font-medium text-blue-900">
+        Resubmitted after rejection{campaign.resubmissionCount > 1 ? ` (${campaign.resubmissionCount} times)` : ''}
+      </h3>
+      {revision.adminNotes && (
+        <p className="mt-1 text-sm text-blue-800">
+          Rejected{revision.rejectedAt ? ` on ${formatDate(revision.rejectedAt)}` : ''}: {revision.adminNotes}
+        </p>
+      )}
+
+      {changes.length > 0 ? (
+        <table className="mt-3 min-w-full text-sm">
+          <thead>
+            <tr className="text-left text-blue-900">
+              <th className="py-1 pr-4 font-medium">Field</th>
+              <th className="py-1 pr-4 font-medium">Rejected version</th>
+              <th className="py-1 font-medium">Resubmitted</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-blue-100">
+            {changes.map(change => (
+              <tr key={change.path}>
+                <td className="py-1 pr-4 text-gray-600">{change.label}</td>
+                <td className="py-1 pr-4 text-red-700 line-through break-all">{change.before || '—'}</td>
+                <td className="py-1 text-green-800 break-all">{change.after || '—'}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <p className="mt-2 text-sm text-blue-800">The artist resubmitted the campaign without changes.</p>
+      )}
+    </div>
+  );
+};
+
+CampaignRevisionDiff.propTypes = {
+  campaign: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    lastRevisionId: PropTypes.string.isRequired,
+    resubmissionCount: PropTypes.number
+  }).isRequired
+};
+
+export default CampaignRevisionDiff;
@@ -0,0 +1,262 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { format } from 'date-fns';
+import { getPayoutLedgerEntries, getPayoutRuns } from '../../firebase/firestore';
+import { createPayoutRun, markPayoutRunPaid, exportPayoutRun } from '../../firebase/functions';
+import { formatCurrency } from '../../utils/formatting';
+import Button from '../common/Button';
+
+/**
+ * Total accrued ledger entries per creator and currency
+ * @param {Array} entries - Accrued ledger entries
+ * @returns {Array} - [{ creatorUsername, currency, amount, entryCount }]
+ */
+const summarizeOwed = (entries) => {
+  const owed = {};
+
+  entries.forEach((entry) => {
+    const key = `${entry.creatorUsername}|${entry.currency}`;
+    if (!owed[key]) {
+      owed[key] = { creatorUsername: entry.creatorUsername, currency: entry.currency, amount: 0, entryCount: 0 };
+    }
+    owed[key].amount += entry.amount;
+    owed[key].entryCount += 1;
+  });
+
+  return Object.values(owed).sort((a, b) => b.amount - a.amount);
+};
+
+/**
+ * Save a CSV export to the admin's computer
+ * @param {string} filename - File name
+ * @param {string} csv - CSV content
+ */
+const downloadCsv = (filename, csv) => {
+  const blob = new Blob([csv], { type: 'text/csv' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+};
+
+/**
+ * Payout manager - shows what creators are owed and lets admins run, pay and export payout batches
+ */
+const PayoutManager = () => {
+  const [accrued, setAccrued] = useState([]);
+  const [runs, setRuns] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [busyAction, setBusyAction] = useState(null);
+
+  // Load accrued entries and recent runs
+  const loadPayouts = useCallback(async () => {
+    try {
+      setLoading(true);
+      const [entries, payoutRuns] = await Promise.all([
+        getPayoutLedgerEntries('accrued'),
+        getPayoutRuns()
+      ]);
+      setAccrued(entries);
+      setRuns(payoutRuns);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading payouts:', err);
+      setError('Failed to load payouts: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPayouts();
+  }, [loadPayouts]);
+
+  const owed = summarizeOwed(accrued.filter(entry => entry.creatorUsername));
+  const missingUsernames = accrued.filter(entry => !entry.creatorUsername).length;
+
+  // Batch everything that is owed into a new run
+  const handleCreateRun = async () => {
+    try {
+      setBusyAction('create');
+      setMessage(null);
+      const run = await createPayoutRun();
+      setMessage(`Payout run created for ${run.entryCount} videos.`);
+      await loadPayouts();
+    } catch (err) {
+      console.error('Error creating payout run:', err);
+      setError('Failed to create payout run: ' + err.message);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  // Record that a run has been paid out
+  const handleMarkPaid = async (run) => {
+    const reference = window.prompt('Payment reference (optional)', '');
+    if (reference === null) {
+      return;
+    }
+
+    try {
+      setBusyAction(`paid-${run.id}`);
+      await markPayoutRunPaid(run.id, reference.trim());
+      await loadPayouts();
+    } catch (err) {
+      console.error('Error marking payout run paid:', err);
+      setError('Failed to mark payout run as paid: ' + err.message);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  // Download a run as CSV
+  const handleExport = async (run) => {
+    try {
+      setBusyAction(`export-${run.id}`);
+      const { filename, csv } = await exportPayoutRun(run.id);
+      downloadCsv(filename, csv);
+    } catch (err) {
+      console.error('Error exporting payout run:', err);
+      setError('Failed to export payout run: ' + err.message);
+    } finally {
+      setBusyAction(null);
+    }
+  };
+
+  // Describe a run's totals, e.g. "$1,200 + €450"
+  const formatTotals = (totals = {}) => Object.entries(totals)
+    .map(([currency, amount]) => formatCurrency(amount, currency, 2, 2))
+    .join(' + ');
+
+  if (loading) {
+    return (
+      <div className="py-10 text-center">
+        <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        <p className="mt-2 text-gray-500">Loading payouts...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Left Column - Owed to creators */}
+      <div className="lg:col-span-1">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-bold mb-4">Owed to Creators</h2>
+
+          {owed.length > 0 ? (
+            <div className="divide-y divide-gray-200 mb-4">
+              {owed.map(creator => (
+                <div key={`${creator.creatorUsername}-${creator.currency}`} className="py-3 flex justify-between">
+                  <div>
+                    <p className="font-medium">@{creator.creatorUsername}</p>
+                    <p className="text-xs text-gray-500">{creator.entryCount} video{creator.entryCount === 1 ? '' : 's'}</p>
+                  </div>
+                  <span className="font-medium">{formatCurrency(creator.amount, creator.currency, 2, 2)}</span>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="py-6 text-center text-gray-600">Nothing is owed right now.</p>
+          )}
+
+          {missingUsernames > 0 && (
+            <p className="mb-4 text-sm text-yellow-700">
+              {missingUsernames} video{missingUsernames === 1 ? ' has' : 's have'} no creator username and
+              will be left out of payout runs until corrected.
+            </p>
+          )}
+
+          <Button
+            variant="primary"
+            fullWidth
+            onClick={handleCreateRun}
+            disabled={owed.length === 0 || busyAction !== null}
+          >
+            {busyAction === 'create' ? 'Creating...' : 'Create Payout Run'}
+          </Button>
+        </div>
+      </div>
+
+      {/* Right Column - Payout runs */}
+      <div className="lg:col-span-2">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-bold mb-4">Payout Runs</h2>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {message && (
+            <div className="mb-4 p-3 bg-green-50 text-green-800 rounded-md text-sm">
+              {message}
+            </div>
+          )}
+
+          {runs.length > 0 ? (
+            <div className="divide-y divide-gray-200">
+              {runs.map(run => (
+                <div key={run.id} className="py-4 flex justify-between items-center">
+                  <div>
+                    <p className="font-medium">
+                      {formatTotals(run.totals)}
+                      <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${
+                        run.status === 'paid' ? 'bg-green-100 text-green-800' : 'bg-yellow-100 text-yellow-800'
+                      }`}>
+                        {run.status === 'paid' ? 'Paid' : 'Pending'}
+                      </span>
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {run.creators?.length || 0} creators • {run.entryCount} videos
+                      {run.createdAt ? ` • created ${format(run.createdAt.toDate(), 'PP')}` : ''}
+                    </p>
+                    {run.status === 'paid' && (
+                      <p className="text-xs text-gray-500">
+                        Paid {run.paidAt ? format(run.paidAt.toDate(), 'PP') : ''}
+                        {run.reference ? ` • ref ${run.reference}` : ''}
+                      </p>
+                    )}
+                  </div>
+
+                  <div className="flex space-x-2">
+                    <Button
+                      variant="outline"
+                      size="small"
+                      onClick={() => handleExport(run)}
+                      disabled={busyAction !== null}
+                    >
+                      {busyAction === `export-${run.id}` ? 'Exporting...' : 'Export CSV'}
+                    </Button>
+                    {run.status === 'pending' && (
+                      <Button
+                        variant="primary"
+                        size="small"
+                        onClick={() => handleMarkPaid(run)}
+                        disabled={busyAction !== null}
+                      >
+                        {busyAction === `paid-${run.id}` ? 'Saving...' : 'Mark Paid'}
+                      </Button>
+                    )}
+                  </div>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="py-10 text-center text-gray-600">No payout runs yet.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default PayoutManager;
@@ -0,0 +1,238 @@
+import React, { useState, useEffect } from 'react';
+import { updatePricing } from '../../firebase/functions';
+import { usePricing } from '../../hooks/usePricing';
+import { STANDARD_DURATION, getVideoCount, estimateReach } from '../../shared/pricing';
+import { DEFAULT_CURRENCY } from '../../shared/currency';
+import { formatCurrency } from '../../utils/formatting';
+import Button from '../common/Button';
+
+// Editable tier columns; budgets and costs are in USD price list units
+const TIER_FIELDS = [
+  { name: 'label', label: 'Label', type: 'text' },
+  { name: 'id', label: 'ID', type: 'text' },
+  { name: 'minBudget', label: 'Min budget', type: 'number' },
+  { name: 'maxBudget', label: 'Max budget', type: 'number' },
+  { name: 'costPerVideo', label: 'Cost / video', type: 'number' },
+  { name: 'compressedDays', label: 'Burst ≤ days', type: 'number' },
+  { name: 'compressedCostMultiplier', label: 'Burst cost ×', type: 'number' },
+  { name: 'bonusVideos', label: 'Bonus videos', type: 'number' },
+  { name: 'bonusEvery', label: 'per budget of', type: 'number' },
+  { name: 'reachPerVideo', label: 'Views / video', type: 'number' },
+  { name: 'reachMultiplier', label: 'Reach ×', type: 'number' }
+];
+
+/**
+ * Pricing manager - lets admins edit the budget tiers used for video counts and reach estimates.
+ * Saving creates a new pricing version; campaigns keep the version they were bought under.
+ */
+const PricingManager = () => {
+  const { pricing, loading, error: loadError, refreshPricing } = usePricing();
+  const [form, setForm] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // Start editing from the pricing in force
+  useEffect(() => {
+    if (!loading) {
+      setForm({
+        budgetStep: pricing.budgetStep,
+        reachVariance: pricing.reachVariance,
+        reachDurationExponent: pricing.reachDurationExponent ?? 0,
+        // Tiers saved before compressed-timeline pricing have no surcharge
+        tiers: pricing.tiers.map(tier => ({ compressedDays: 0, compressedCostMultiplier: 1, ...tier }))
+      });
+    }
+  }, [loading, pricing]);
+
+  // Handle a tier field change
+  const handleTierChange = (index, name, value) => {
+    setForm(prev => ({
+      ...prev,
+      tiers: prev.tiers.map((tier, i) => (i === index ? { ...tier, [name]: value } : tier))
+    }));
+  };
+
+  // Add a tier starting where the last one ends
+  const handleAddTier = () => {
+    setForm(prev => {
+      const last = prev.tiers[prev.tiers.length - 1];
+      const minBudget = Number(last.maxBudget);
+
+      return {
+        ...prev,
+        tiers: [...prev.tiers, { ...last, id: '', label: '', minBudget, maxBudget: minBudget * 2 }]
+      };
+    });
+  };
+
+  // Remove a tier
+  const handleRemoveTier = (index) => {
+    setForm(prev => ({ ...prev, tiers: prev.tiers.filter((_, i) => i !== index) }));
+  };
+
+  // Save the tiers as a new pricing version
+  const handleSave = async (e) => {
+    e.preventDefault();
+
+    try {
+      setIsSaving(true);
+      setError(null);
+      setMessage(null);
+
+      const { version } = await updatePricing(form);
+      setMessage(`Pricing version ${version} is now in force for new campaigns.`);
+      await refreshPricing();
+    } catch (err) {
+      console.error('Error saving pricing:', err);
+      setError('Failed to save pricing: ' + err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (loading || !form) {
+    return (
+      <div className="py-10 text-center">
+        <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+        <p className="mt-2 text-gray-500">Loading pricing...</p>
+      </div>
+    );
+  }
+
+  return (
+    <div className="bg-white rounded-lg shadow-md p-6">
+      <div className="flex justify-between items-center mb-4">
+        <h2 className="text-xl font-bold">Pricing Tiers</h2>
+        <span className="text-sm text-gray-500">Version {pricing.version} in force</span>
+      </div>
+
+      <p className="text-sm text-gray-600 mb-4">
+        Amounts are in USD price list units and converted for other currencies. Each tier buys one video per
+        cost per video plus its bonus videos; tiers must follow on from each other without gaps. Campaigns of
+        the burst length or shorter pay the burst multiplier on the cost per video (0 days turns it off), and
+        reach per video is quoted for a {STANDARD_DURATION}-day campaign, scaled by the duration to the power
+        of the reach duration exponent.
+      </p>
+
+      {(error || loadError) && (
+        <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md text-sm">
+          {error || loadError}
+        </div>
+      )}
+
+      {message && (
+        <div className="mb-4 p-3 bg-green-50 text-green-800 rounded-md text-sm">
+          {message}
+        </div>
+      )}
+
+      <form onSubmit={handleSave}>
+        <div className="overflow-x-auto mb-4">
+          <table className="min-w-full text-sm">
+            <thead>
+              <tr className="text-left text-gray-500">
+                {TIER_FIELDS.map(field => (
+                  <th key={field.name} className="px-2 py-2 font-medium">{field.label}</th>
+                ))}
+                <th className="px-2 py-2"></th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-gray-200">
+              {form.tiers.map((tier, index) => (
+                <tr key={index}>
+                  {TIER_FIELDS.map(field => (
+                    <td key={field.name} className="px-2 py-2">
+                      <input
+                        type={field.type}
+                        step="any"
+                        value={tier[field.name]}
+                        onChange={(e) => handleTierChange(
+                          index,
+                          field.name,
+                          field.type === 'number' ? Number(e.target.value) : e.target.value
+                        )}
+                        className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+                      />
+                    </td>
+                  ))}
+                  <td className="px-2 py-2">
+                    <button
+                      type="button"
+                      className="text-red-600 hover:underline disabled:opacity-50"
+                      onClick={() => handleRemoveTier(index)}
+                      disabled={form.tiers.length === 1}
+                    >
+                      Remove
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-4 mb-6">
+          <label className="text-sm">
+            <span className="block text-gray-600 mb-1">Budget slider step</span>
+            <input
+              type="number"
+              step="any"
+              value={form.budgetStep}
+              onChange={(e) => setForm(prev => ({ ...prev, budgetStep: Number(e.target.value) }))}
+              className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm">
+            <span className="block text-gray-600 mb-1">Reach variance (0-1)</span>
+            <input
+              type="number"
+              step="any"
+              value={form.reachVariance}
+              onChange={(e) => setForm(prev => ({ ...prev, reachVariance: Number(e.target.value) }))}
+              className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+            />
+          </label>
+          <label className="text-sm">
+            <span className="block text-gray-600 mb-1">Reach duration exponent (0-1)</span>
+            <input
+              type="number"
+              step="any"
+              value={form.reachDurationExponent}
+              onChange={(e) => setForm(prev => ({ ...prev, reachDurationExponent: Number(e.target.value) }))}
+              className="w-24 px-2 py-1 border border-gray-300 rounded-md"
+            />
+          </label>
+          <Button type="button" variant="outline" size="small" onClick={handleAddTier}>
+            Add Tier
+          </Button>
+        </div>
+
+        {/* Preview of the pricing in force at each tier's maximum budget over a standard campaign */}
+        <div className="mb-6 text-sm text-gray-600">
+          {pricing.tiers.map(tier => {
+            const reach = estimateReach(tier.maxBudget, DEFAULT_CURRENCY, pricing);
+            return (
+              <p key={tier.id}>
+                {tier.label}: {formatCurrency(tier.maxBudget, DEFAULT_CURRENCY)} buys{' '}
+                {getVideoCount(tier.maxBudget, DEFAULT_CURRENCY, pricing)} videos,{' '}
+                {(reach.min / 1000).toFixed(1)}K-{(reach.max / 1000).toFixed(1)}K views over {STANDARD_DURATION} days
+                {tier.compressedDays > 0 && (
+                  <> ({getVideoCount(tier.maxBudget, DEFAULT_CURRENCY, pricing, tier.compressedDays)} videos in a {tier.compressedDays}-day burst)</>
+                )}
+              </p>
+            );
+          })}
+        </div>
+
+        <div className="flex justify-end">
+          <Button type="submit" variant="primary" disabled={isSaving}>
+            {isSaving ? 'Saving...' : 'Save as New Version'}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default PricingManager;
@@ -0,0 +1,273 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import PropTypes from 'prop-types';
+import { format } from 'date-fns';
+import { getPromoCodes, createPromoCode, setPromoCodeActive } from '../../firebase/firestore';
+import { formatCurrency } from '../../utils/formatting';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../../shared/currency';
+import Button from '../common/Button';
+import Input from '../common/Input';
+
+const EMPTY_FORM = {
+  code: '',
+  type: 'percentage',
+  value: '',
+  currency: DEFAULT_CURRENCY,
+  expiresAt: '',
+  maxRedemptions: '',
+  minBudget: ''
+};
+
+/**
+ * Promo code manager - lets admins create and disable checkout promo codes
+ * @param {Object} props - Component props
+ */
+const PromoCodeManager = ({ adminId }) => {
+  const [promoCodes, setPromoCodes] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+
+  // Load all promo codes
+  const loadPromoCodes = useCallback(async () => {
+    try {
+      setLoading(true);
+      setPromoCodes(await getPromoCodes());
+      setError(null);
+    } catch (err) {
+      console.error('Error loading promo codes:', err);
+      setError('Failed to load promo codes: ' + err.message);
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadPromoCodes();
+  }, [loadPromoCodes]);
+
+  // Handle form field changes
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setForm(prev => ({ ...prev, [name]: value }));
+  };
+
+  // Create a new promo code
+  const handleCreate = async (e) => {
+    e.preventDefault();
+
+    const value = Number(form.value);
+    if (!form.code.trim() || !(value > 0) || (form.type === 'percentage' && value > 100)) {
+      setError('Enter a code and a discount (percentages must be between 1 and 100)');
+      return;
+    }
+
+    try {
+      setIsSaving(true);
+      await createPromoCode({
+        code: form.code,
+        type: form.type,
+        value,
+        currency: form.currency,
+        // Codes stay valid until the end of the chosen day
+        expiresAt: form.expiresAt ? new Date(`${form.expiresAt}T23:59:59`) : null,
+        maxRedemptions: form.maxRedemptions ? Number(form.maxRedemptions) : null,
+        minBudget: form.minBudget ? Number(form.minBudget) : null
+      }, adminId);
+
+      setForm(EMPTY_FORM);
+      setError(null);
+      await loadPromoCodes();
+    } catch (err) {
+      console.error('Error creating promo code:', err);
+      setError('Failed to create promo code: ' + err.message);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Enable or disable a promo code
+  const handleToggleActive = async (promo) => {
+    try {
+      await setPromoCodeActive(promo.id, !promo.active);
+      await loadPromoCodes();
+    } catch (err) {
+      console.error('Error updating promo code:', err);
+      setError('Failed to update promo code: ' + err.message);
+    }
+  };
+
+  // Describe the discount a code gives
+  const formatDiscount = (promo) => (
+    promo.type === 'percentage' ? `${promo.value}% off` : `${formatCurrency(promo.value, promo.currency || DEFAULT_CURRENCY)} off`
+  );
+
+  return (
+    <div className="grid grid-cols-1 lg:grid-cols-3 gap-6">
+      {/* Left Column - New Promo Code */}
+      <div className="lg:col-span-1">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-bold mb-4">New Promo Code</h2>
+
+          <form onSubmit={handleCreate}>
+            <Input
+              id="code"
+              name="code"
+              label="Code"
+              value={form.code}
+              onChange={(e) => setForm(prev => ({ ...prev, code: e.target.value.toUpperCase() }))}
+              placeholder="LAUNCH20"
+              required
+            />
+
+            <div className="mb-4">
+              <label htmlFor="type" className="block mb-1 font-medium">Discount Type</label>
+              <select
+                id="type"
+                name="type"
+                value={form.type}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                <option value="percentage">Percentage</option>
+                <option value="fixed">Fixed amount</option>
+              </select>
+            </div>
+
+            <div className="mb-4">
+              <label htmlFor="currency" className="block mb-1 font-medium">Currency</label>
+              <select
+                id="currency"
+                name="currency"
+                value={form.currency}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                {Object.values(CURRENCIES).map(option => (
+                  <option key={option.code} value={option.code}>{option.code}</option>
+                ))}
+              </select>
+              <p className="mt-1 text-sm text-gray-500">
+                Fixed discounts and minimum budgets only apply to campaigns in this currency
+              </p>
+            </div>
+
+            <Input
+              type="number"
+              id="value"
+              name="value"
+              label={form.type === 'percentage' ? 'Discount (%)' : `Discount (${form.currency})`}
+              value={form.value}
+              onChange={handleChange}
+              min={1}
+              max={form.type === 'percentage' ? 100 : undefined}
+              required
+            />
+
+            <Input
+              type="date"
+              id="expiresAt"
+              name="expiresAt"
+              label="Expires On"
+              value={form.expiresAt}
+              onChange={handleChange}
+              helperText="Leave empty for no expiry"
+            />
+
+            <Input
+              type="number"
+              id="maxRedemptions"
+              name="maxRedemptions"
+              label="Usage Limit"
+              value={form.maxRedemptions}
+              onChange={handleChange}
+              min={1}
+              helperText="Leave empty for unlimited uses"
+            />
+
+            <Input
+              type="number"
+              id="minBudget"
+              name="minBudget"
+              label={`Minimum Budget (${form.currency})`}
+              value={form.minBudget}
+              onChange={handleChange}
+              min={0}
+            />
+
+            <Button
+              type="submit"
+              variant="primary"
+              disabled={isSaving}
+              fullWidth
+            >
+              {isSaving ? 'Creating...' : 'Create Promo Code'}
+            </Button>
+          </form>
+        </div>
+      </div>
+
+      {/* Right Column - Existing Promo Codes */}
+      <div className="lg:col-span-2">
+        <div className="bg-white rounded-lg shadow-md p-6">
+          <h2 className="text-xl font-bold mb-4">Promo Codes</h2>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md text-sm">
+              {error}
+            </div>
+          )}
+
+          {loading ? (
+            <div className="py-10 text-center">
+              <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+              <p className="mt-2 text-gray-500">Loading promo codes...</p>
+            </div>
+          ) : promoCodes.length > 0 ? (
+            <div className="divide-y divide-gray-200">
+              {promoCodes.map(promo => (
+                <div key={promo.id} className="py-4 flex justify-between items-center">
+                  <div>
+                    <p className="font-medium">
+                      {promo.code}
+                      <span className={`ml-2 px-2 py-0.5 text-xs rounded-full ${
+                        promo.active ? 'bg-green-100 text-green-800' : 'bg-gray-200 text-gray-700'
+                      }`}>
+                        {promo.active ? 'Active' : 'Disabled'}
+                      </span>
+                    </p>
+                    <p className="text-sm text-gray-600">
+                      {formatDiscount(promo)}
+                      {promo.minBudget ? ` • min budget ${formatCurrency(promo.minBudget, promo.currency || DEFAULT_CURRENCY)}` : ''}
+                      {promo.expiresAt ? ` • expires ${format(promo.expiresAt.toDate(), 'PP')}` : ''}
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Used {promo.redemptionCount || 0}
+                      {promo.maxRedemptions ? ` of ${promo.maxRedemptions}` : ''} times
+                    </p>
+                  </div>
+
+                  <Button
+                    variant={promo.active ? 'outline' : 'primary'}
+                    size="small"
+                    onClick={() => handleToggleActive(promo)}
+                  >
+                    {promo.active ? 'Disable' : 'Enable'}
+                  </Button>
+                </div>
+              ))}
+            </div>
+          ) : (
+            <p className="py-10 text-center text-gray-600">No promo codes yet.</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+PromoCodeManager.propTypes = {
+  adminId: PropTypes.string.isRequired
+};
+
+export default PromoCodeManager;
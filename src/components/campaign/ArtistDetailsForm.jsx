@@ -8,7 +8,7 @@ import Button from '../common/Button';
  * Artist details form component - second step of campaign creation
  */
 const ArtistDetailsForm = ({ onNext, onBack }) => {
-  const { formData, updateFormData, updateNestedFormData, errors } = useFormContext();
+  const { formData, updateFormData, updateNestedFormData, errors, validateStep } = useFormContext();
   
   // Local state for form handling
   const [localErrors, setLocalErrors] = useState({});
@@ -80,8 +80,8 @@ const ArtistDetailsForm = ({ onNext, onBack }) => {
     // Update local errors
     setLocalErrors(newErrors);
     
-    // If no errors, proceed to next step
-    if (Object.keys(newErrors).length === 0) {
+    // If no errors, check the rest of the step against the campaign schema
+    if (Object.keys(newErrors).length === 0 && validateStep()) {
       logFormStepComplete('campaign_creation', 1, 'artistDetails');
       onNext();
     }
@@ -122,6 +122,7 @@ const ArtistDetailsForm = ({ onNext, onBack }) => {
             className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
             placeholder="Tell us about yourself as an artist"
           />
+          {errors.bio && <p className="mt-1 text-sm text-red-500">{errors.bio}</p>}
         </div>
         
         {/* Social Media Links */}
@@ -135,7 +136,7 @@ const ArtistDetailsForm = ({ onNext, onBack }) => {
             label="Instagram"
             value={formData.artistDetails.socialLinks.instagram}
             onChange={handleSocialLinkChange}
-            error={localErrors['socialLinks.instagram']}
+            error={localErrors['socialLinks.instagram'] || errors['socialLinks.instagram']}
             placeholder="https://instagram.com/yourusername"
             className="mb-3"
           />
@@ -147,7 +148,7 @@ const ArtistDetailsForm = ({ onNext, onBack }) => {
             label="TikTok"
             value={formData.artistDetails.socialLinks.tiktok}
             onChange={handleSocialLinkChange}
-            error={localErrors['socialLinks.tiktok']}
+            error={localErrors['socialLinks.tiktok'] || errors['socialLinks.tiktok']}
             placeholder="https://tiktok.com/@yourusername"
             className="mb-3"
           />
@@ -159,7 +160,7 @@ const ArtistDetailsForm = ({ onNext, onBack }) => {
             label="Spotify"
             value={formData.artistDetails.socialLinks.spotify}
             onChange={handleSocialLinkChange}
-            error={localErrors['socialLinks.spotify']}
+            error={localErrors['socialLinks.spotify'] || errors['socialLinks.spotify']}
             placeholder="https://open.spotify.com/artist/yourid"
             className="mb-3"
           />
@@ -171,7 +172,7 @@ const ArtistDetailsForm = ({ onNext, onBack }) => {
             label="YouTube"
             value={formData.artistDetails.socialLinks.youtube}
             onChange={handleSocialLinkChange}
-            error={localErrors['socialLinks.youtube']}
+            error={localErrors['socialLinks.youtube'] || errors['socialLinks.youtube']}
             placeholder="https://youtube.com/c/yourchannel"
             className="mb-3"
           />
@@ -185,7 +186,7 @@ const ArtistDetailsForm = ({ onNext, onBack }) => {
           label="Press Kit Link (Optional)"
           value={formData.artistDetails.pressKit}
           onChange={handleChange}
-          error={localErrors.pressKit}
+          error={localErrors.pressKit || errors.pressKit}
           placeholder="https://yourwebsite.com/press-kit"
           helperText="Link to your press kit or EPK"
           className="mb-6"
@@ -0,0 +1,287 @@
+import React, { useState } from 'react';
+import { useFormContext } from '../../contexts/FormContext';
+import { logFormStepComplete } from '../../firebase/analytics';
+import Input from '../common/Input';
+import Button from '../common/Button';
+
+// Billing countries (ISO codes). Tax rates for each are applied on the server.
+const COUNTRIES = [
+  { code: 'US', name: 'United States' },
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'CA', name: 'Canada' },
+  { code: 'AU', name: 'Australia' },
+  { code: 'NZ', name: 'New Zealand' },
+  { code: 'IE', name: 'Ireland' },
+  { code: 'DE', name: 'Germany' },
+  { code: 'FR', name: 'France' },
+  { code: 'ES', name: 'Spain' },
+  { code: 'IT', name: 'Italy' },
+  { code: 'NL', name: 'Netherlands' },
+  { code: 'BE', name: 'Belgium' },
+  { code: 'AT', name: 'Austria' },
+  { code: 'PT', name: 'Portugal' },
+  { code: 'PL', name: 'Poland' },
+  { code: 'DK', name: 'Denmark' },
+  { code: 'SE', name: 'Sweden' },
+  { code: 'FI', name: 'Finland' },
+  { code: 'NO', name: 'Norway' },
+  { code: 'CH', name: 'Switzerland' },
+  { code: 'BR', name: 'Brazil' },
+  { code: 'MX', name: 'Mexico' },
+  { code: 'JP', name: 'Japan' },
+  { code: 'KR', name: 'South Korea' },
+  { code: 'IN', name: 'India' },
+  { code: 'NG', name: 'Nigeria' },
+  { code: 'ZA', name: 'South Africa' }
+];
+
+// Countries where tax depends on the state or province
+const REGIONS = {
+  US: [
+    'AL', 'AK', 'AZ', 'AR', 'CA', 'CO', 'CT', 'DE', 'DC', 'FL', 'GA', 'HI', 'ID', 'IL', 'IN', 'IA', 'KS',
+    'KY', 'LA', 'ME', 'MD', 'MA', 'MI', 'MN', 'MS', 'MO', 'MT', 'NE', 'NV', 'NH', 'NJ', 'NM', 'NY', 'NC',
+    'ND', 'OH', 'OK', 'OR', 'PA', 'RI', 'SC', 'SD', 'TN', 'TX', 'UT', 'VT', 'VA', 'WA', 'WV', 'WI', 'WY'
+  ],
+  CA: ['AB', 'BC', 'MB', 'NB', 'NL', 'NS', 'NT', 'NU', 'ON', 'PE', 'QC', 'SK', 'YT']
+};
+
+/**
+ * Billing details form component - collects the billing address used for tax and invoices
+ * @param {Object} props - Component props
+ * @param {string} props.nextLabel - Label of the continue button (resubmissions may not go on to payment)
+ * @param {boolean} props.isSubmitting - Disables the continue button while the next step is being prepared
+ */
+const BillingDetailsForm = ({ onNext, onBack, nextLabel = 'Continue to Payment', isSubmitting = false }) => {
+  const { formData, updateFormData, errors, validateStep } = useFormContext();
+  const billingDetails = formData.billingDetails;
+
+  // Local state for form handling
+  const [localErrors, setLocalErrors] = useState({});
+  const [isBusiness, setIsBusiness] = useState(Boolean(billingDetails.companyName || billingDetails.vatId));
+
+  // Handle text input change
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    updateFormData('billingDetails', { [name]: value });
+
+    // Clear local error when user types
+    if (localErrors[name]) {
+      setLocalErrors(prev => ({ ...prev, [name]: '' }));
+    }
+  };
+
+  // Changing country clears a region that no longer applies
+  const handleCountryChange = (e) => {
+    updateFormData('billingDetails', { country: e.target.value, region: '' });
+    setLocalErrors(prev => ({ ...prev, country: '', region: '' }));
+  };
+
+  // Switching back to an individual clears the business fields
+  const handleBusinessToggle = (e) => {
+    setIsBusiness(e.target.checked);
+    if (!e.target.checked) {
+      updateFormData('billingDetails', { companyName: '', vatId: '' });
+    }
+  };
+
+  // Handle form submission
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    const newErrors = {};
+
+    if (!billingDetails.name.trim()) {
+      newErrors.name = 'Billing name is required';
+    }
+
+    if (!billingDetails.line1.trim()) {
+      newErrors.line1 = 'Address is required';
+    }
+
+    if (!billingDetails.city.trim()) {
+      newErrors.city = 'City is required';
+    }
+
+    if (!billingDetails.country) {
+      newErrors.country = 'Country is required';
+    }
+
+    if (REGIONS[billingDetails.country] && !billingDetails.region) {
+      newErrors.region = 'State or province is required';
+    }
+
+    if (isBusiness && !billingDetails.companyName.trim()) {
+      newErrors.companyName = 'Company name is required';
+    }
+
+    setLocalErrors(newErrors);
+
+    if (Object.keys(newErrors).length === 0 && validateStep()) {
+      logFormStepComplete('campaign_creation', 4, 'billing');
+      onNext();
+    }
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <h2 className="text-2xl font-bold mb-2">Billing Details</h2>
+      <p className="text-gray-600 mb-6">
+        Your billing address is shown on your invoice and determines the sales tax or VAT we charge.
+      </p>
+
+      <form onSubmit={handleSubmit}>
+        <Input
+          type="text"
+          id="billingName"
+          name="name"
+          label="Full Name"
+          value={billingDetails.name}
+          onChange={handleChange}
+          error={localErrors.name || errors.name}
+          required
+        />
+
+        <div className="mb-4 flex items-center">
+          <input
+            id="isBusiness"
+            type="checkbox"
+            checked={isBusiness}
+            onChange={handleBusinessToggle}
+            className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+          />
+          <label htmlFor="isBusiness" className="ml-2 text-gray-700">
+            I'm buying for a business or label
+          </label>
+        </div>
+
+        {isBusiness && (
+          <>
+            <Input
+              type="text"
+              id="companyName"
+              name="companyName"
+              label="Company Name"
+              value={billingDetails.companyName}
+              onChange={handleChange}
+              error={localErrors.companyName || errors.companyName}
+              required
+            />
+
+            <Input
+              type="text"
+              id="vatId"
+              name="vatId"
+              label="VAT ID (Optional)"
+              value={billingDetails.vatId}
+              onChange={(e) => updateFormData('billingDetails', { vatId: e.target.value.toUpperCase() })}
+              placeholder="e.g. DE123456789"
+              error={errors.vatId}
+              helperText="EU and UK businesses with a valid VAT ID are invoiced under the reverse-charge rules"
+            />
+          </>
+        )}
+
+        <Input
+          type="text"
+          id="line1"
+          name="line1"
+          label="Address"
+          value={billingDetails.line1}
+          onChange={handleChange}
+          error={localErrors.line1 || errors.line1}
+          required
+        />
+
+        <div className="grid grid-cols-2 gap-4">
+          <Input
+            type="text"
+            id="city"
+            name="city"
+            label="City"
+            value={billingDetails.city}
+            onChange={handleChange}
+            error={localErrors.city || errors.city}
+            required
+          />
+
+          <Input
+            type="text"
+            id="postalCode"
+            name="postalCode"
+            label="Postal Code"
+            value={billingDetails.postalCode}
+            onChange={handleChange}
+            error={errors.postalCode}
+          />
+        </div>
+
+        <div className="grid grid-cols-2 gap-4">
+          <div className="mb-4">
+            <label htmlFor="country" className="block mb-1 font-medium">
+              Country <span className="text-red-500 ml-1">*</span>
+            </label>
+            <select
+              id="country"
+              name="country"
+              value={billingDetails.country}
+              onChange={handleCountryChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              <option value="">Select a country</option>
+              {COUNTRIES.map(country => (
+                <option key={country.code} value={country.code}>{country.name}</option>
+              ))}
+            </select>
+            {(localErrors.country || errors.country) && (
+              <p className="mt-1 text-sm text-error">{localErrors.country || errors.country}</p>
+            )}
+          </div>
+
+          {REGIONS[billingDetails.country] && (
+            <div className="mb-4">
+              <label htmlFor="region" className="block mb-1 font-medium">
+                {billingDetails.country === 'CA' ? 'Province' : 'State'} <span className="text-red-500 ml-1">*</span>
+              </label>
+              <select
+                id="region"
+                name="region"
+                value={billingDetails.region}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary"
+              >
+                <option value="">Select</option>
+                {REGIONS[billingDetails.country].map(region => (
+                  <option key={region} value={region}>{region}</option>
+                ))}
+              </select>
+              {(localErrors.region || errors.region) && (
+                <p className="mt-1 text-sm text-error">{localErrors.region || errors.region}</p>
+              )}
+            </div>
+          )}
+        </div>
+
+        {/* Navigation Buttons */}
+        <div className="flex justify-between mt-2">
+          <Button
+            type="button"
+            variant="outline"
+            onClick={onBack}
+          >
+            Back to Objectives
+          </Button>
+
+          <Button
+            type="submit"
+            variant="primary"
+            disabled={isSubmitting}
+          >
+            {nextLabel}
+          </Button>
+        </div>
+      </form>
+    </div>
+  );
+};
+
+export default BillingDetailsForm;
@@ -1,63 +1,87 @@
 import React, { useState, useEffect } from 'react';
 import { useFormContext } from '../../contexts/FormContext';
 import Button from '../common/Button';
+import { formatCurrency } from '../../utils/formatting';
+import { CURRENCIES, DEFAULT_CURRENCY, toBaseBudget } from '../../shared/currency';
+import {
+  STANDARD_DURATION,
+  getBudgetBounds,
+  convertBudget,
+  getPricingTier,
+  isCompressedDuration,
+  getVideoCount,
+  estimateReach
+} from '../../shared/pricing';
+import { DURATION_BOUNDS } from '../../shared/campaignSchema';
+import { usePricing } from '../../hooks/usePricing';
+
+// Durations offered as one-click choices, from short bursts to long runs
+const DURATION_PRESETS = [7, 14, 30, 60, 90];
 
 /**
  * Budget selector component - part of the campaign creation process
  * Shows the relationship between budget and number of videos created by our network
  */
 const BudgetSelector = ({ onBudgetSet, onNext }) => {
-  const { formData, updateFormData, errors } = useFormContext();
+  const { formData, updateFormData, errors, validateStep } = useFormContext();
   
   // Local state for form handling
   const [localErrors, setLocalErrors] = useState({});
-  const [estimatedVideos, setEstimatedVideos] = useState(0);
-  const [estimatedReach, setEstimatedReach] = useState({
-    min: 0,
-    max: 0
-  });
   
-  // Budget range settings
-  const minBudget = 200;
-  const maxBudget = 2000;
+  // Pricing tiers in force (the server snapshots them onto the campaign at checkout)
+  const { pricing } = usePricing();
+  
+  // Currency the campaign is priced and paid in
+  const [currency, setCurrency] = useState(
+    formData.campaignDetails.currency || DEFAULT_CURRENCY
+  );
+  
+  // Budget range settings for the selected currency
+  const { min: minBudget, max: maxBudget, step: budgetStep } = getBudgetBounds(currency, pricing);
   
   // Budget options - using a slider
   const [sliderBudget, setSliderBudget] = useState(
     formData.campaignDetails.budget || minBudget
   );
   
-  // Update form data when slider changes
+  // Campaign length in days
+  const [duration, setDuration] = useState(
+    formData.campaignDetails.duration || STANDARD_DURATION
+  );
+  
+  // Keep the budget inside the bounds once the current pricing has loaded
+  useEffect(() => {
+    setSliderBudget(prev => Math.min(maxBudget, Math.max(minBudget, prev)));
+  }, [minBudget, maxBudget]);
+  
+  // Videos and reach the budget buys over the chosen duration, from the pricing tiers
+  const estimatedVideos = getVideoCount(sliderBudget, currency, pricing, duration);
+  const estimatedReach = estimateReach(sliderBudget, currency, pricing, duration);
+  
+  // Short bursts can cost more per video in the budget's tier
+  const tier = getPricingTier(toBaseBudget(sliderBudget, currency), pricing);
+  const surcharge = isCompressedDuration(tier, duration) ? (tier.compressedCostMultiplier || 1) - 1 : 0;
+  
+  // Format an amount in the selected currency
+  const formatAmount = (amount, fractionDigits = 0) => formatCurrency(amount, currency, fractionDigits, fractionDigits);
+  
+  // Update form data when the budget, currency or duration changes
   useEffect(() => {
-    // Set a standard 30-day campaign duration
     updateFormData('campaignDetails', { 
       budget: sliderBudget,
-      duration: 30 // Fixed 30-day campaign duration
+      currency,
+      duration
     });
-  }, [sliderBudget, updateFormData]);
+  }, [sliderBudget, currency, duration, updateFormData]);
   
-  // Calculate estimated videos based on budget
-  useEffect(() => {
-    // Formula: $200 = 2 videos base, then 1 video per $100 with bonus videos for larger budgets
-    const baseVideos = Math.floor(sliderBudget / 100);
-    const bonusVideos = Math.floor((sliderBudget / 1000) * 3); // 3 bonus videos per $1000
-    const total = Math.max(2, baseVideos + bonusVideos);
+  // Switch currency, keeping roughly the same budget
+  const handleCurrencyChange = (newCurrency) => {
+    if (newCurrency === currency) return;
     
-    setEstimatedVideos(total);
-  }, [sliderBudget]);
-  
-  // Calculate estimated reach based on budget and videos
-  useEffect(() => {
-    // Formula: Each video reaches approximately 8,000-15,000 people
-    // Higher budgets get premium creators with more reach
-    const budgetFactor = sliderBudget > 1000 ? 1.3 : (sliderBudget > 500 ? 1.1 : 1.0);
-    const avgViewsPerVideo = 12000 * budgetFactor;
-    
-    const totalEstimatedViews = estimatedVideos * avgViewsPerVideo;
-    setEstimatedReach({
-      min: Math.round(totalEstimatedViews * 0.7), // 30% lower bound for variability
-      max: Math.round(totalEstimatedViews * 1.3), // 30% upper bound for variability
-    });
-  }, [sliderBudget, estimatedVideos]);
+    setSliderBudget(convertBudget(sliderBudget, currency, newCurrency, pricing));
+    setCurrency(newCurrency);
+    setLocalErrors(prev => ({ ...prev, budget: '' }));
+  };
   
   // Handle slider change
   const handleSliderChange = (e) => {
@@ -66,6 +90,12 @@ const BudgetSelector = ({ onBudgetSet, onNext }) => {
     setLocalErrors(prev => ({ ...prev, budget: '' }));
   };
   
+  // Handle duration change from the slider or a preset
+  const handleDurationChange = (value) => {
+    setDuration(Math.min(DURATION_BOUNDS.max, Math.max(DURATION_BOUNDS.min, parseInt(value))));
+    setLocalErrors(prev => ({ ...prev, duration: '' }));
+  };
+  
   // Calculate average cost per video
   const calculateCostPerVideo = () => {
     return estimatedVideos > 0 ? (sliderBudget / estimatedVideos).toFixed(2) : 0;
@@ -77,13 +107,13 @@ const BudgetSelector = ({ onBudgetSet, onNext }) => {
     const newErrors = {};
     
     if (!sliderBudget || sliderBudget < minBudget) {
-      newErrors.budget = `Minimum budget is $${minBudget}`;
+      newErrors.budget = `Minimum budget is ${formatAmount(minBudget)}`;
     }
     
     setLocalErrors(newErrors);
     
-    // If no errors, continue
-    if (Object.keys(newErrors).length === 0) {
+    // If no errors, check the step against the campaign schema and continue
+    if (Object.keys(newErrors).length === 0 && validateStep()) {
       onBudgetSet();
       onNext();
     }
@@ -93,23 +123,45 @@ const BudgetSelector = ({ onBudgetSet, onNext }) => {
     <div className="max-w-2xl mx-auto">
       <h3 className="text-xl font-bold mb-4">Campaign Budget</h3>
       
+      {/* Currency Selection */}
+      <div className="mb-6">
+        <label className="block font-medium mb-2">Currency</label>
+        <div className="grid grid-cols-3 gap-3">
+          {Object.values(CURRENCIES).map(option => (
+            <button
+              key={option.code}
+              type="button"
+              className={`p-3 border rounded-lg text-center ${
+                currency === option.code
+                  ? 'border-primary bg-primary bg-opacity-5 font-medium'
+                  : 'border-gray-200 hover:border-primary'
+              }`}
+              onClick={() => handleCurrencyChange(option.code)}
+            >
+              {option.symbol} {option.code}
+              <span className="block text-xs text-gray-500">{option.label}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+      
       {/* Budget Selection */}
       <div className="mb-8">
         <div className="flex justify-between items-center mb-2">
           <label className="font-medium">Select Your Budget</label>
-          <span className="text-xl font-bold text-primary">${sliderBudget}</span>
+          <span className="text-xl font-bold text-primary">{formatAmount(sliderBudget)}</span>
         </div>
         
         <div className="mb-6">
           <div className="flex justify-between text-sm text-gray-600 mb-2">
-            <span>${minBudget}</span>
-            <span>${maxBudget}</span>
+            <span>{formatAmount(minBudget)}</span>
+            <span>{formatAmount(maxBudget)}</span>
           </div>
           <input
             type="range"
             min={minBudget}
             max={maxBudget}
-            step="50"
+            step={budgetStep}
             value={sliderBudget}
             onChange={handleSliderChange}
             className="w-full h-4 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-primary"
@@ -119,8 +171,57 @@ const BudgetSelector = ({ onBudgetSet, onNext }) => {
           />
         </div>
         
-        {localErrors.budget && (
-          <p className="text-error text-sm mb-4">{localErrors.budget}</p>
+        {(localErrors.budget || errors.budget) && (
+          <p className="text-error text-sm mb-4">{localErrors.budget || errors.budget}</p>
+        )}
+      </div>
+      
+      {/* Duration Selection */}
+      <div className="mb-8">
+        <div className="flex justify-between items-center mb-2">
+          <label className="font-medium">Campaign Duration</label>
+          <span className="text-xl font-bold text-primary">{duration} days</span>
+        </div>
+        
+        <div className="grid grid-cols-5 gap-2 mb-4">
+          {DURATION_PRESETS.map(days => (
+            <button
+              key={days}
+              type="button"
+              className={`p-2 border rounded-lg text-sm text-center ${
+                duration === days
+                  ? 'border-primary bg-primary bg-opacity-5 font-medium'
+                  : 'border-gray-200 hover:border-primary'
+              }`}
+              onClick={() => handleDurationChange(days)}
+            >
+              {days} days
+            </button>
+          ))}
+        </div>
+        
+        <div className="flex justify-between text-sm text-gray-600 mb-2">
+          <span>{DURATION_BOUNDS.min} days</span>
+          <span>{DURATION_BOUNDS.max} days</span>
+        </div>
+        <input
+          type="range"
+          min={DURATION_BOUNDS.min}
+          max={DURATION_BOUNDS.max}
+          step={1}
+          value={duration}
+          onChange={(e) => handleDurationChange(e.target.value)}
+          className="w-full h-4 bg-gray-200 rounded-lg appearance-none cursor-pointer accent-primary"
+        />
+        
+        <p className="text-sm text-gray-600 mt-2">
+          {surcharge > 0
+            ? `Short burst: creators post within ${duration} days, so each video costs ${Math.round(surcharge * 100)}% more.`
+            : 'Longer runs give videos more time to be discovered and pick up views.'}
+        </p>
+        
+        {(localErrors.duration || errors.duration) && (
+          <p className="text-error text-sm mt-2">{localErrors.duration || errors.duration}</p>
         )}
       </div>
       
@@ -130,12 +231,12 @@ const BudgetSelector = ({ onBudgetSet, onNext }) => {
           <div className="mb-4 md:mb-0">
             <p className="text-gray-600 text-sm">Your budget will create</p>
             <p className="text-3xl font-bold text-primary">{estimatedVideos} TikTok videos</p>
-            <p className="text-sm text-gray-600 mt-1">Average cost: ${calculateCostPerVideo()} per video</p>
+            <p className="text-sm text-gray-600 mt-1">Average cost: {formatAmount(Number(calculateCostPerVideo()), 2)} per video</p>
           </div>
           <div>
             <p className="text-gray-600 text-sm">Estimated total reach</p>
             <p className="text-3xl font-bold text-primary">{(estimatedReach.min/1000).toFixed(1)}K-{(estimatedReach.max/1000).toFixed(1)}K views</p>
-            <p className="text-sm text-gray-600 mt-1">Across all videos</p>
+            <p className="text-sm text-gray-600 mt-1">Across all videos over {duration} days</p>
           </div>
         </div>
         
@@ -178,7 +279,7 @@ const BudgetSelector = ({ onBudgetSet, onNext }) => {
             <svg className="h-5 w-5 text-green-500 mr-2 mt-0.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth="2" d="M5 13l4 4L19 7" />
             </svg>
-            <span className="text-gray-700">30-day campaign duration with real-time analytics</span>
+            <span className="text-gray-700">{duration}-day campaign duration with real-time analytics</span>
           </li>
         </ul>
       </div>
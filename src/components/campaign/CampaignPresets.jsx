@@ -0,0 +1,161 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { useAuth } from '../../hooks/useAuth';
+import { useFormContext } from '../../contexts/FormContext';
+import { getCampaignPresets, saveCampaignPreset, deleteCampaignPreset } from '../../firebase/firestore';
+import { formatCurrency } from '../../utils/formatting';
+
+/**
+ * Campaign presets component - saves the budget and creator targeting under a name
+ * so artists can apply them to their next campaigns
+ */
+const CampaignPresets = ({ onApply }) => {
+  const { currentUser } = useAuth();
+  const { formData, applyPreset } = useFormContext();
+  const [presets, setPresets] = useState([]);
+  const [selectedId, setSelectedId] = useState('');
+  const [presetName, setPresetName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // Load the artist's presets
+  useEffect(() => {
+    const loadPresets = async () => {
+      if (!currentUser) return;
+
+      try {
+        setPresets(await getCampaignPresets(currentUser.uid));
+      } catch (err) {
+        setError('Failed to load presets');
+      }
+    };
+
+    loadPresets();
+  }, [currentUser]);
+
+  const selectedPreset = presets.find(preset => preset.id === selectedId);
+
+  // Apply the selected preset to the form
+  const handleApply = () => {
+    if (!selectedPreset) return;
+
+    applyPreset(selectedPreset);
+    setMessage(`Applied "${selectedPreset.name}"`);
+    onApply();
+  };
+
+  // Save the current budget and targeting as a new preset
+  const handleSave = async () => {
+    const name = presetName.trim();
+    if (!name) {
+      setError('Give the preset a name');
+      return;
+    }
+
+    try {
+      setSaving(true);
+      setError(null);
+
+      const presetId = await saveCampaignPreset(currentUser.uid, name, formData.campaignDetails);
+      const { budget, currency, creatorTargeting } = formData.campaignDetails;
+
+      setPresets(prev => [...prev, { id: presetId, name, budget, currency, creatorTargeting }]
+        .sort((a, b) => a.name.localeCompare(b.name)));
+      setPresetName('');
+      setMessage(`Saved "${name}"`);
+    } catch (err) {
+      setError('Failed to save preset');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  // Delete the selected preset
+  const handleDelete = async () => {
+    if (!selectedPreset || !window.confirm(`Delete the preset "${selectedPreset.name}"?`)) {
+      return;
+    }
+
+    try {
+      setError(null);
+      await deleteCampaignPreset(selectedPreset.id);
+      setPresets(prev => prev.filter(preset => preset.id !== selectedPreset.id));
+      setSelectedId('');
+      setMessage(null);
+    } catch (err) {
+      setError('Failed to delete preset');
+    }
+  };
+
+  if (!currentUser) {
+    return null;
+  }
+
+  return (
+    <div className="mb-6 p-4 bg-gray-50 border border-gray-200 rounded-lg text-sm">
+      <p className="font-medium text-gray-700 mb-2">Budget & targeting presets</p>
+
+      {presets.length > 0 && (
+        <div className="flex flex-wrap items-center gap-2 mb-3">
+          <select
+            className="border border-gray-300 rounded-md px-2 py-1"
+            value={selectedId}
+            onChange={(e) => setSelectedId(e.target.value)}
+          >
+            <option value="">Choose a preset...</option>
+            {presets.map(preset => (
+              <option key={preset.id} value={preset.id}>
+                {preset.name}{preset.budget ? ` (${formatCurrency(preset.budget, preset.currency)})` : ''}
+              </option>
+            ))}
+          </select>
+          <button
+            type="button"
+            className="text-primary hover:underline disabled:opacity-50"
+            onClick={handleApply}
+            disabled={!selectedPreset}
+          >
+            Apply
+          </button>
+          <button
+            type="button"
+            className="text-red-600 hover:underline disabled:opacity-50"
+            onClick={handleDelete}
+            disabled={!selectedPreset}
+          >
+            Delete
+          </button>
+        </div>
+      )}
+
+      <div className="flex flex-wrap items-center gap-2">
+        <input
+          type="text"
+          className="border border-gray-300 rounded-md px-2 py-1"
+          placeholder="Preset name"
+          value={presetName}
+          onChange={(e) => setPresetName(e.target.value)}
+          maxLength={60}
+        />
+        <button
+          type="button"
+          className="text-primary hover:underline disabled:opacity-50"
+          onClick={handleSave}
+          disabled={saving}
+        >
+          {saving ? 'Saving...' : 'Save current as preset'}
+        </button>
+      </div>
+
+      {error && <p className="mt-2 text-red-600">{error}</p>}
+      {!error && message && <p className="mt-2 text-green-700">{message}</p>}
+    </div>
+  );
+};
+
+CampaignPresets.propTypes = {
+  onApply: PropTypes.func.isRequired
+};
+
+export default CampaignPresets;
@@ -1,14 +1,18 @@
-import React from 'react';
+import React, { useState, useEffect } from 'react';
 import PropTypes from 'prop-types';
-import { formatDistanceToNow, format, differenceInDays } from 'date-fns';
+import { formatDistanceToNow, format, differenceInDays, intervalToDuration, formatDuration } from 'date-fns';
 import { useCampaign } from '../../hooks/useCampaign';
+import { formatCurrency } from '../../utils/formatting';
+import { getCampaignCurrency } from '../../shared/currency';
+import { getCampaignVideoCount } from '../../shared/pricing';
+import { calculateCampaignProgress } from '../../utils/metrics';
 
 /**
  * Campaign status component - displays timeline of campaign events
  * @param {Object} props - Component props
  */
 const CampaignStatus = ({ campaign }) => {
-  const { campaignVideos } = useCampaign();
+  const { campaignVideos, campaignStatusHistory } = useCampaign();
   
   // Early return if no campaign data
   if (!campaign) {
@@ -63,42 +67,27 @@ const CampaignStatus = ({ campaign }) => {
     switch (status) {
       case 'draft': return 'Draft Created';
       case 'pending': return 'Awaiting Approval';
+      case 'scheduled': return 'Launch Scheduled';
       case 'active': return 'Campaign Active';
+      case 'paused': return 'Campaign Paused';
       case 'completed': return 'Campaign Completed';
       case 'rejected': return 'Campaign Rejected';
+      case 'cancelled': return 'Campaign Cancelled';
       default: return 'Unknown Status';
     }
   };
 
-  // Get step color based on current campaign status
-  const getStepColor = (stepName) => {
-    const statusOrder = ['draft', 'pending', 'active', 'completed'];
-    const currentIndex = statusOrder.indexOf(campaign.status);
-    const stepIndex = statusOrder.indexOf(stepName);
-    
-    if (campaign.status === 'rejected') {
-      return stepName === 'rejected' ? 'text-error' : 'text-gray-400';
-    }
-    
-    if (stepIndex <= currentIndex) {
-      return 'text-primary';
-    }
-    
-    return 'text-gray-400';
-  };
-
   // Get dates for timeline
-  const createdDate = formatDate(campaign.createdAt);
-  const submittedDate = formatDate(campaign.submittedAt);
-  const validatedDate = formatDate(campaign.validatedAt);
   const startDate = formatDate(campaign.startDate);
   const endDate = formatDate(campaign.endDate);
+  const cancelledDate = formatDate(campaign.cancelledAt);
+  const pausedDate = formatDate(campaign.pausedAt);
+  const scheduledStartDate = formatDate(campaign.scheduledStartDate);
   
   // Calculate video creation progress
   const calculateVideoProgress = () => {
-    // Calculate total expected videos based on budget
-    const budget = campaign.campaignDetails?.budget || 0;
-    const totalVideos = Math.floor(budget / 100) + Math.floor((budget / 1000) * 2);
+    // Calculate total expected videos based on budget, under the pricing the campaign was bought with
+    const totalVideos = getCampaignVideoCount(campaign);
     const createdVideos = campaignVideos?.length || 0;
     const percentage = Math.min(100, Math.round((createdVideos / totalVideos) * 100));
     
@@ -109,9 +98,9 @@ const CampaignStatus = ({ campaign }) => {
     };
   };
   
-  // Calculate days remaining
+  // Calculate days remaining; the count stands still while the campaign is paused
   const calculateDaysRemaining = () => {
-    if (!campaign.startDate || campaign.status !== 'active') {
+    if (!campaign.startDate || !['active', 'paused'].includes(campaign.status)) {
       return null;
     }
     
@@ -127,7 +116,7 @@ const CampaignStatus = ({ campaign }) => {
       end = new Date(start.getTime() + (campaignDuration * 86400000));
     }
     
-    const now = new Date();
+    const now = (campaign.status === 'paused' && safelyGetDate(campaign.pausedAt)) || new Date();
     
     // If campaign already ended
     if (now > end) {
@@ -139,6 +128,80 @@ const CampaignStatus = ({ campaign }) => {
   
   const videoProgress = calculateVideoProgress();
   const daysRemaining = calculateDaysRemaining();
+  
+  // Budget top-ups, oldest first (failed attempts are not shown)
+  const topUps = Object.entries(campaign.topUps || {})
+    .map(([id, topUp]) => ({ id, ...topUp }))
+    .filter(topUp => topUp.status !== 'failed')
+    .sort((a, b) => (safelyGetDate(a.paidAt || a.createdAt)?.getTime() || 0) - (safelyGetDate(b.paidAt || b.createdAt)?.getTime() || 0));
+  
+  // Status changes for the timeline; campaigns from before the history was kept fall back to their date fields
+  const statusHistory = campaignStatusHistory?.length > 0 ? campaignStatusHistory : getLegacyStatusHistory(campaign);
+  
+  // Steps still to come after the current status
+  const getUpcomingSteps = () => {
+    switch (campaign.status) {
+      case 'draft':
+        return [{ title: 'Submitted for Review', description: 'Pending submission' }];
+      case 'pending':
+        return [{ title: 'Campaign Approved', description: 'Awaiting review (1-2 business days)' }];
+      case 'scheduled':
+        return [{
+          title: 'Campaign Launch',
+          description: scheduledStartDate ? `Starts ${scheduledStartDate.exact}` : 'Starts on the scheduled date'
+        }];
+      case 'active': {
+        const start = safelyGetDate(campaign.startDate);
+        const end = safelyGetDate(campaign.endDate)
+          || (start && new Date(start.getTime() + (campaign.campaignDetails?.duration || 30) * 86400000));
+        return [{
+          title: 'Campaign Completed',
+          description: end ? `Expected to end ${formatDate(end).relative}` : 'Expected to end when campaign completes'
+        }];
+      }
+      default:
+        return [];
+    }
+  };
+  
+  const upcomingSteps = getUpcomingSteps();
+  
+  // Render refund information for rejected or cancelled campaigns
+  const renderRefundDetails = () => {
+    const refund = campaign.paymentDetails?.refund;
+    if (!refund) return null;
+    
+    switch (refund.status) {
+      case 'succeeded':
+      case 'pending': {
+        const refundedDate = formatDate(refund.refundedAt);
+        return (
+          <div className="mt-2 text-sm">
+            <p>
+              {refund.status === 'succeeded' ? 'Refunded' : 'Refund issued'}:{' '}
+              <span className="font-medium">{formatCurrency(refund.amount, refund.currency || 'USD', 2, 2)}</span>
+              {refund.processor === 'wallet' && ' to your credit wallet'}
+              {refundedDate && ` on ${refundedDate.exact}`}
+            </p>
+            <p className="text-xs">
+              Refund ID: {refund.id}
+              {refund.status === 'pending' && ' • It may take 5-10 business days to reach your account'}
+            </p>
+          </div>
+        );
+      }
+      case 'processing':
+        return <p className="mt-2 text-sm">Your refund is being processed.</p>;
+      case 'failed':
+        return (
+          <p className="mt-2 text-sm">
+            We couldn't refund your payment automatically. Our support team will contact you.
+          </p>
+        );
+      default:
+        return null;
+    }
+  };
 
   return (
     <div className="bg-white rounded-lg shadow-md p-5">
@@ -147,17 +210,23 @@ const CampaignStatus = ({ campaign }) => {
       {/* Status Banner */}
       <div className={`p-4 mb-6 rounded-md ${
         campaign.status === 'active' ? 'bg-green-50 text-green-800' :
+        campaign.status === 'paused' ? 'bg-indigo-50 text-indigo-800' :
+        campaign.status === 'scheduled' ? 'bg-teal-50 text-teal-800' :
         campaign.status === 'pending' ? 'bg-yellow-50 text-yellow-800' :
         campaign.status === 'completed' ? 'bg-blue-50 text-blue-800' :
         campaign.status === 'rejected' ? 'bg-red-50 text-red-800' :
+        campaign.status === 'cancelled' ? 'bg-orange-50 text-orange-800' :
         'bg-gray-50 text-gray-800'
       }`}>
         <div className="flex items-center">
           <div className={`rounded-full h-3 w-3 mr-2 ${
             campaign.status === 'active' ? 'bg-green-500' :
+            campaign.status === 'paused' ? 'bg-indigo-500' :
+            campaign.status === 'scheduled' ? 'bg-teal-500' :
             campaign.status === 'pending' ? 'bg-yellow-500' :
             campaign.status === 'completed' ? 'bg-blue-500' :
             campaign.status === 'rejected' ? 'bg-red-500' :
+            campaign.status === 'cancelled' ? 'bg-orange-500' :
             'bg-gray-500'
           }`}></div>
           <h4 className="font-bold">{getStatusName(campaign.status)}</h4>
@@ -175,19 +244,63 @@ const CampaignStatus = ({ campaign }) => {
           </div>
         )}
         
+        {campaign.status === 'paused' && (
+          <div className="mt-1">
+            <p>
+              Paused{pausedDate && ` ${pausedDate.relative}`}
+              {daysRemaining !== null && ` with ${daysRemaining} ${daysRemaining === 1 ? 'day' : 'days'} left to run`}.
+            </p>
+            <p>No new videos are assigned to creators while paused, and the end date moves back by the time the campaign is paused.</p>
+          </div>
+        )}
+        
         {campaign.status === 'pending' && (
           <p className="mt-1">
             Your campaign is being reviewed by our team. This typically takes 1-2 business days.
           </p>
         )}
         
+        {campaign.status === 'scheduled' && (
+          <div className="mt-1">
+            <p>
+              Your campaign has been approved and starts
+              {campaign.campaignDetails?.startOption === 'releaseDate' ? ' on release day' : ''}
+              {scheduledStartDate && `, ${scheduledStartDate.exact}`}.
+            </p>
+            {campaign.scheduledStartDate && <LaunchCountdown startDate={safelyGetDate(campaign.scheduledStartDate)} />}
+          </div>
+        )}
+        
+        {campaign.status === 'completed' && campaign.deliveryShortfall && (
+          <p className="mt-1">
+            {campaign.deliveryShortfall.videosDelivered} of {campaign.deliveryShortfall.videosExpected} videos were
+            delivered before the end date. Our team has been notified and will be in touch about the missing videos.
+          </p>
+        )}
+        
         {campaign.status === 'rejected' && campaign.adminNotes && (
           <p className="mt-1">Reason: {campaign.adminNotes}</p>
         )}
+        
+        {campaign.status === 'rejected' && renderRefundDetails()}
+        
+        {campaign.status === 'cancelled' && (
+          <div className="mt-1">
+            <p>
+              You cancelled this campaign
+              {cancelledDate && ` on ${cancelledDate.exact}`}
+              {campaign.cancellation && ` after ${campaign.cancellation.videosDelivered} of ${campaign.cancellation.videosExpected} videos were delivered`}.
+            </p>
+            {campaign.cancellation?.reason && (
+              <p>Reason: {campaign.cancellation.reason}</p>
+            )}
+            {renderRefundDetails()}
+          </div>
+        )}
       </div>
       
       {/* Video Creation Progress */}
-      {(campaign.status === 'active' || campaign.status === 'completed') && (
+      {['active', 'paused', 'completed'].includes(campaign.status) && (
         <div className="mb-6">
           <h4 className="text-base font-medium mb-2">TikTok Video Creation</h4>
           <div className="flex justify-between text-sm mb-1">
@@ -201,7 +314,7 @@ const CampaignStatus = ({ campaign }) => {
             ></div>
           </div>
           <p className="text-xs text-gray-500">
-            {videoProgress.percentage}% complete • Budget of ${campaign.campaignDetails?.budget} creates approximately {videoProgress.total} videos
+            {videoProgress.percentage}% complete • Budget of {formatCurrency(campaign.campaignDetails?.budget, getCampaignCurrency(campaign))} creates approximately {videoProgress.total} videos
           </p>
         </div>
       )}
@@ -210,150 +323,54 @@ const CampaignStatus = ({ campaign }) => {
         {/* Timeline line */}
         <div className="absolute left-5 top-0 h-full w-0.5 bg-gray-200"></div>
         
-        {/* Created */}
-        <div className="relative flex items-start mb-6">
-          <div className={`absolute left-5 mt-1.5 -ml-2.5 h-5 w-5 rounded-full border-2 border-white ${
-            campaign.status !== 'draft' ? 'bg-primary' : 'bg-primary'
-          }`}></div>
-          <div className="ml-10">
-            <h4 className="text-base font-medium">Campaign Created</h4>
-            {createdDate && (
-              <>
-                <p className="text-sm text-gray-500">{createdDate.relative}</p>
-                <p className="text-xs text-gray-400">{createdDate.exact}</p>
-              </>
-            )}
-          </div>
-        </div>
-        
-        {/* Submitted */}
-        <div className="relative flex items-start mb-6">
-          <div className={`absolute left-5 mt-1.5 -ml-2.5 h-5 w-5 rounded-full border-2 border-white ${
-            campaign.status !== 'draft' ? 'bg-primary' : 'bg-gray-300'
-          }`}></div>
-          <div className="ml-10">
-            <h4 className={`text-base font-medium ${
-              campaign.status !== 'draft' ? 'text-gray-800' : 'text-gray-500'
-            }`}>Submitted for Review</h4>
-            {submittedDate ? (
-              <>
-                <p className="text-sm text-gray-500">{submittedDate.relative}</p>
-                <p className="text-xs text-gray-400">{submittedDate.exact}</p>
-              </>
-            ) : (
-              campaign.status === 'draft' && (
-                <p className="text-sm text-gray-500">Pending submission</p>
-              )
-            )}
-          </div>
-        </div>
-        
-        {/* Validated/Rejected */}
-        <div className="relative flex items-start mb-6">
-          <div className={`absolute left-5 mt-1.5 -ml-2.5 h-5 w-5 rounded-full border-2 border-white ${
-            campaign.status === 'active' || campaign.status === 'completed' ? 'bg-primary' : 
-            campaign.status === 'rejected' ? 'bg-error' : 'bg-gray-300'
-          }`}></div>
-          <div className="ml-10">
-            <h4 className={`text-base font-medium ${
-              campaign.status === 'active' || campaign.status === 'completed' ? 'text-gray-800' : 
-              campaign.status === 'rejected' ? 'text-error' : 'text-gray-500'
-            }`}>
-              {campaign.status === 'rejected' ? 'Campaign Rejected' : 'Campaign Approved'}
-            </h4>
-            {validatedDate ? (
-              <>
-                <p className="text-sm text-gray-500">{validatedDate.relative}</p>
-                <p className="text-xs text-gray-400">{validatedDate.exact}</p>
-                {campaign.status === 'rejected' && campaign.adminNotes && (
-                  <p className="mt-1 text-sm text-error">{campaign.adminNotes}</p>
+        {/* Status changes so far */}
+        {statusHistory.map((entry, index) => {
+          const changedDate = formatDate(entry.createdAt);
+          const isLast = index === statusHistory.length - 1 && upcomingSteps.length === 0;
+          return (
+            <div key={entry.id} className={`relative flex items-start ${isLast ? '' : 'mb-6'}`}>
+              <div className={`absolute left-5 mt-1.5 -ml-2.5 h-5 w-5 rounded-full border-2 border-white ${
+                entry.to === 'rejected' ? 'bg-error' :
+                entry.to === 'cancelled' ? 'bg-orange-500' : 'bg-primary'
+              }`}></div>
+              <div className="ml-10">
+                <h4 className={`text-base font-medium ${
+                  entry.to === 'rejected' ? 'text-error' :
+                  entry.to === 'cancelled' ? 'text-orange-700' : 'text-gray-800'
+                }`}>
+                  {getTimelineTitle(entry)}
+                </h4>
+                {changedDate && (
+                  <>
+                    <p className="text-sm text-gray-500">
+                      {changedDate.relative}
+                      {ACTOR_LABELS[entry.actor?.role] && ` • ${ACTOR_LABELS[entry.actor.role]}`}
+                    </p>
+                    <p className="text-xs text-gray-400">{changedDate.exact}</p>
+                  </>
                 )}
-              </>
-            ) : (
-              campaign.status === 'pending' && (
-                <p className="text-sm text-gray-500">Awaiting review (1-2 business days)</p>
-              )
-            )}
-          </div>
-        </div>
-        
-        {/* Creator Onboarding */}
-        <div className="relative flex items-start mb-6">
-          <div className={`absolute left-5 mt-1.5 -ml-2.5 h-5 w-5 rounded-full border-2 border-white ${
-            campaign.status === 'active' || campaign.status === 'completed' ? 'bg-primary' : 'bg-gray-300'
-          }`}></div>
-          <div className="ml-10">
-            <h4 className={`text-base font-medium ${
-              campaign.status === 'active' || campaign.status === 'completed' ? 'text-gray-800' : 'text-gray-500'
-            }`}>Creator Onboarding</h4>
-            {campaign.status === 'active' || campaign.status === 'completed' ? (
-              <p className="text-sm text-gray-500">Content creators briefed on your song</p>
-            ) : (
-              <p className="text-sm text-gray-500">Pending campaign activation</p>
-            )}
-          </div>
-        </div>
-        
-        {/* Video Creation */}
-        <div className="relative flex items-start mb-6">
-          <div className={`absolute left-5 mt-1.5 -ml-2.5 h-5 w-5 rounded-full border-2 border-white ${
-            campaign.status === 'active' || campaign.status === 'completed' ? 
-              videoProgress.created > 0 ? 'bg-primary' : 'bg-gray-300' 
-            : 'bg-gray-300'
-          }`}></div>
-          <div className="ml-10">
-            <h4 className={`text-base font-medium ${
-              campaign.status === 'active' || campaign.status === 'completed' ? 'text-gray-800' : 'text-gray-500'
-            }`}>TikTok Video Creation</h4>
-            {campaign.status === 'active' || campaign.status === 'completed' ? (
-              videoProgress.created > 0 ? (
-                <p className="text-sm text-gray-500">
-                  {videoProgress.created} of {videoProgress.total} videos created ({videoProgress.percentage}%)
-                </p>
-              ) : (
-                <p className="text-sm text-gray-500">Videos being created by our network</p>
-              )
-            ) : (
-              <p className="text-sm text-gray-500">Pending campaign activation</p>
-            )}
-          </div>
-        </div>
+                {entry.reason && (
+                  <p className={`mt-1 text-sm ${entry.to === 'rejected' ? 'text-error' : 'text-gray-600'}`}>{entry.reason}</p>
+                )}
+              </div>
+            </div>
+          );
+        })}
         
-        {/* Completed */}
-        <div className="relative flex items-start">
-          <div className={`absolute left-5 mt-1.5 -ml-2.5 h-5 w-5 rounded-full border-2 border-white ${
-            campaign.status === 'completed' ? 'bg-primary' : 'bg-gray-300'
-          }`}></div>
-          <div className="ml-10">
-            <h4 className={`text-base font-medium ${
-              campaign.status === 'completed' ? 'text-gray-800' : 'text-gray-500'
-            }`}>Campaign Completed</h4>
-            {endDate && campaign.status === 'completed' ? (
-              <>
-                <p className="text-sm text-gray-500">Completed {endDate.relative}</p>
-                <p className="text-xs text-gray-400">{endDate.exact}</p>
-              </>
-            ) : startDate && campaign.status === 'active' ? (
-              <p className="text-sm text-gray-500">
-                {(() => {
-                  const start = safelyGetDate(campaign.startDate);
-                  if (!start) return 'Expected to end when campaign completes';
-                  
-                  const campaignDuration = campaign.campaignDetails?.duration || 30;
-                  const endDate = new Date(start.getTime() + (campaignDuration * 86400000));
-                  const formattedDate = formatDate(endDate);
-                  return `Expected to end ${formattedDate?.relative || 'when campaign completes'}`;
-                })()}
-              </p>
-            ) : (
-              <p className="text-sm text-gray-500">Not yet completed</p>
-            )}
+        {/* What happens next */}
+        {upcomingSteps.map((step, index) => (
+          <div key={step.title} className={`relative flex items-start ${index === upcomingSteps.length - 1 ? '' : 'mb-6'}`}>
+            <div className="absolute left-5 mt-1.5 -ml-2.5 h-5 w-5 rounded-full border-2 border-white bg-gray-300"></div>
+            <div className="ml-10">
+              <h4 className="text-base font-medium text-gray-500">{step.title}</h4>
+              <p className="text-sm text-gray-500">{step.description}</p>
+            </div>
           </div>
-        </div>
+        ))}
       </div>
       
       {/* Campaign Timeline */}
-      {(campaign.status === 'active' || campaign.status === 'completed') && startDate && (
+      {['active', 'paused', 'completed'].includes(campaign.status) && startDate && (
         <div className="mt-6 pt-6 border-t border-gray-200">
           <h4 className="text-base font-medium mb-3">Campaign Timeline</h4>
           
@@ -361,7 +378,7 @@ const CampaignStatus = ({ campaign }) => {
             <div 
               className="bg-primary h-2.5 rounded-full"
               style={{ 
-                width: `${Math.min(100, calculateProgress(campaign))}%` 
+                width: `${calculateCampaignProgress(campaign)}%` 
               }}
             ></div>
           </div>
@@ -369,73 +386,115 @@ const CampaignStatus = ({ campaign }) => {
           <div className="flex justify-between text-xs text-gray-500">
             <span>{startDate.exact}</span>
             <span>
-              {campaign.status === 'completed' ? 'Completed' : `${Math.min(100, calculateProgress(campaign))}% complete`}
+              {campaign.status === 'completed' ? 'Completed' : `${calculateCampaignProgress(campaign)}% complete${campaign.status === 'paused' ? ' (paused)' : ''}`}
             </span>
             <span>{endDate ? endDate.exact : 'In progress'}</span>
           </div>
+          
+          {topUps.length > 0 && (
+            <ul className="mt-4 space-y-2 text-sm">
+              {topUps.map(topUp => {
+                const topUpDate = formatDate(topUp.paidAt || topUp.createdAt);
+                // Paid after the campaign had stopped running, so refunded instead of added
+                const wasReturned = topUp.status === 'refunding' || topUp.status === 'refunded';
+                return (
+                  <li key={topUp.id} className="flex justify-between">
+                    <span>
+                      {wasReturned ? 'Top-up not applied' : 'Budget added'}: <span className="font-medium">{wasReturned ? '' : '+'}{formatCurrency(topUp.budget, topUp.currency || getCampaignCurrency(campaign))}</span>
+                      {!wasReturned && topUp.extendDays > 0 && ` • extended by ${topUp.extendDays} days`}
+                      {topUp.status === 'pending' && ' • processing'}
+                      {topUp.status === 'refunding' && ' • refund in progress'}
+                      {topUp.refund?.status === 'succeeded' && ` • ${formatCurrency(topUp.refund.amount, topUp.refund.currency, 2, 2)} refunded`}
+                    </span>
+                    <span className="text-gray-500">{topUpDate && topUpDate.exact}</span>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
         </div>
       )}
     </div>
   );
 };
 
-// Helper function to calculate campaign progress
-const calculateProgress = (campaign) => {
-  if (!campaign.startDate) return 0;
+/**
+ * Time left until a scheduled campaign starts, updated every minute
+ * @param {Object} props - Component props
+ * @param {Date} props.startDate - Scheduled start
+ */
+const LaunchCountdown = ({ startDate }) => {
+  const [now, setNow] = useState(() => new Date());
   
-  const start = safelyGetDate(campaign.startDate);
-  if (!start) return 0;
+  useEffect(() => {
+    const timer = setInterval(() => setNow(new Date()), 60000);
+    return () => clearInterval(timer);
+  }, []);
   
-  let end;
-  if (campaign.endDate) {
-    end = safelyGetDate(campaign.endDate);
-    if (!end) {
-      const campaignDuration = campaign.campaignDetails?.duration || 30;
-      end = new Date(start.getTime() + (campaignDuration * 86400000));
-    }
-  } else {
-    const campaignDuration = campaign.campaignDetails?.duration || 30;
-    end = new Date(start.getTime() + (campaignDuration * 86400000));
+  if (!startDate || startDate <= now) {
+    return <p className="font-medium">Starting shortly</p>;
   }
   
-  const now = new Date();
-  const totalDuration = end.getTime() - start.getTime();
-  if (totalDuration <= 0) return 0;
-  
-  const elapsed = now.getTime() - start.getTime();
+  const remaining = formatDuration(
+    intervalToDuration({ start: now, end: startDate }),
+    { format: ['months', 'days', 'hours', 'minutes'], delimiter: ', ' }
+  );
   
-  return Math.max(0, Math.min(100, Math.round((elapsed / totalDuration) * 100)));
+  return <p className="font-medium">Starts in {remaining || 'less than a minute'}</p>;
 };
 
-// Add the safelyGetDate helper function to the global scope
-function safelyGetDate(dateValue) {
-  if (!dateValue) return null;
+LaunchCountdown.propTypes = {
+  startDate: PropTypes.instanceOf(Date)
+};
+
+// Who made a status change, as shown on the timeline
+const ACTOR_LABELS = {
+  owner: 'by you',
+  admin: 'by our team',
+  system: 'automatically'
+};
+
+// Timeline title for a status change
+const getTimelineTitle = (entry) => {
+  switch (entry.to) {
+    case 'draft': return 'Draft Created';
+    case 'pending': return entry.from ? 'Submitted for Review' : 'Campaign Created';
+    case 'scheduled': return 'Campaign Approved';
+    case 'active':
+      if (entry.from === 'paused') return 'Campaign Resumed';
+      return entry.from === 'scheduled' ? 'Campaign Launched' : 'Campaign Approved';
+    case 'paused': return 'Campaign Paused';
+    case 'rejected': return 'Campaign Rejected';
+    case 'completed': return 'Campaign Completed';
+    case 'cancelled': return 'Campaign Cancelled';
+    default: return 'Status Changed';
+  }
+};
+
+// Rebuild the status changes of a campaign created before statusHistory was kept
+const getLegacyStatusHistory = (campaign) => {
+  const entries = [{ id: 'created', from: null, to: campaign.submittedAt ? 'pending' : 'draft', createdAt: campaign.submittedAt || campaign.createdAt }];
   
-  try {
-    // Case 1: Firebase Timestamp with toDate method
-    if (dateValue.toDate && typeof dateValue.toDate === 'function') {
-      return dateValue.toDate();
-    }
-    
-    // Case 2: JavaScript Date object
-    if (dateValue instanceof Date) {
-      return dateValue;
-    }
-    
-    // Case 3: String or number timestamp
-    const parsedDate = new Date(dateValue);
-    if (!isNaN(parsedDate.getTime())) {
-      return parsedDate;
-    }
-    
-    // If we can't parse it, log and return null
-    console.warn('Unable to parse date:', dateValue);
-    return null;
-  } catch (error) {
-    console.error('Error parsing date:', error, dateValue);
-    return null;
+  if (campaign.validatedAt) {
+    entries.push({
+      id: 'validated',
+      from: 'pending',
+      to: campaign.status === 'rejected' ? 'rejected' : 'active',
+      createdAt: campaign.validatedAt,
+      reason: campaign.status === 'rejected' ? campaign.adminNotes : ''
+    });
   }
-}
+  
+  if (campaign.status === 'completed') {
+    entries.push({ id: 'completed', from: 'active', to: 'completed', createdAt: campaign.completedAt || campaign.endDate });
+  }
+  
+  if (campaign.cancelledAt) {
+    entries.push({ id: 'cancelled', from: campaign.cancellation?.previousStatus || null, to: 'cancelled', createdAt: campaign.cancelledAt, reason: campaign.cancellation?.reason });
+  }
+  
+  return entries;
+};
 
 CampaignStatus.propTypes = {
   campaign: PropTypes.shape({
@@ -447,9 +506,45 @@ CampaignStatus.propTypes = {
     startDate: PropTypes.any,
     endDate: PropTypes.any,
     adminNotes: PropTypes.string,
+    cancelledAt: PropTypes.any,
+    pausedAt: PropTypes.any,
+    pausedMs: PropTypes.number,
+    scheduledStartDate: PropTypes.any,
+    completedAt: PropTypes.any,
+    deliveryShortfall: PropTypes.shape({
+      videosExpected: PropTypes.number,
+      videosDelivered: PropTypes.number,
+      shortfall: PropTypes.number
+    }),
+    topUps: PropTypes.objectOf(PropTypes.shape({
+      budget: PropTypes.number,
+      currency: PropTypes.string,
+      extendDays: PropTypes.number,
+      status: PropTypes.string,
+      createdAt: PropTypes.any,
+      paidAt: PropTypes.any
+    })),
+    cancellation: PropTypes.shape({
+      reason: PropTypes.string,
+      videosDelivered: PropTypes.number,
+      videosExpected: PropTypes.number,
+      refundAmount: PropTypes.number
+    }),
     campaignDetails: PropTypes.shape({
       duration: PropTypes.number,
-      budget: PropTypes.number
+      budget: PropTypes.number,
+      currency: PropTypes.string
+    }),
+    paymentDetails: PropTypes.shape({
+      processor: PropTypes.string,
+      status: PropTypes.string,
+      refund: PropTypes.shape({
+        id: PropTypes.string,
+        amount: PropTypes.number,
+        currency: PropTypes.string,
+        status: PropTypes.string,
+        refundedAt: PropTypes.any
+      })
     })
   }).isRequired
 };
@@ -2,12 +2,14 @@ import React from 'react';
 import PropTypes from 'prop-types';
 import { formatDistanceToNow } from 'date-fns';
 import Button from '../common/Button';
+import { formatCurrency } from '../../utils/formatting';
+import { getCampaignCurrency } from '../../shared/currency';
 
 /**
  * Campaign summary component - displays campaign details on dashboard
  * @param {Object} props - Component props
  */
-const CampaignSummary = ({ campaign, onViewDetails }) => {
+const CampaignSummary = ({ campaign, onViewDetails, onDuplicate }) => {
   // Early return if no campaign data
   if (!campaign) {
     return null;
@@ -28,12 +30,18 @@ const CampaignSummary = ({ campaign, onViewDetails }) => {
         return { label: 'Draft', color: 'bg-gray-200 text-gray-800' };
       case 'pending':
         return { label: 'Pending Approval', color: 'bg-yellow-100 text-yellow-800' };
+      case 'scheduled':
+        return { label: 'Scheduled', color: 'bg-teal-100 text-teal-800' };
       case 'active':
         return { label: 'Active', color: 'bg-green-100 text-green-800' };
+      case 'paused':
+        return { label: 'Paused', color: 'bg-indigo-100 text-indigo-800' };
       case 'completed':
         return { label: 'Completed', color: 'bg-blue-100 text-blue-800' };
       case 'rejected':
         return { label: 'Rejected', color: 'bg-red-100 text-red-800' };
+      case 'cancelled':
+        return { label: 'Cancelled', color: 'bg-orange-100 text-orange-800' };
       default:
         return { label: 'Unknown', color: 'bg-gray-200 text-gray-800' };
     }
@@ -43,7 +51,7 @@ const CampaignSummary = ({ campaign, onViewDetails }) => {
   const formatBudget = (budget) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
+      currency: getCampaignCurrency(campaign),
       minimumFractionDigits: 0,
       maximumFractionDigits: 0
     }).format(budget);
@@ -95,6 +103,17 @@ const CampaignSummary = ({ campaign, onViewDetails }) => {
           </div>
         )}
         
+        {campaign.status === 'cancelled' && (
+          <div className="mb-4 p-3 bg-orange-50 text-orange-700 rounded-md text-sm">
+            <p className="font-medium">Cancelled {formatDate(campaign.cancelledAt)}</p>
+            {campaign.paymentDetails?.refund?.amount > 0 && (
+              <p>
+                Refund: {formatCurrency(campaign.paymentDetails.refund.amount, campaign.paymentDetails.refund.currency || 'USD', 2, 2)}
+              </p>
+            )}
+          </div>
+        )}
+        
         {campaign.status === 'pending' && (
           <div className="mb-4 p-3 bg-yellow-50 text-yellow-700 rounded-md text-sm">
             <p>Your campaign is currently under review. This usually takes 1-2 business days.</p>
@@ -108,6 +127,17 @@ const CampaignSummary = ({ campaign, onViewDetails }) => {
         >
           View Details
         </Button>
+        
+        {onDuplicate && (
+          <Button
+            variant="outline"
+            onClick={() => onDuplicate(campaign.id)}
+            className="mt-2"
+            fullWidth
+          >
+            Duplicate
+          </Button>
+        )}
       </div>
     </div>
   );
@@ -119,6 +149,13 @@ CampaignSummary.propTypes = {
     status: PropTypes.string,
     createdAt: PropTypes.any,
     adminNotes: PropTypes.string,
+    cancelledAt: PropTypes.any,
+    paymentDetails: PropTypes.shape({
+      refund: PropTypes.shape({
+        amount: PropTypes.number,
+        currency: PropTypes.string
+      })
+    }),
     songDetails: PropTypes.shape({
       title: PropTypes.string,
       genre: PropTypes.string
@@ -128,10 +165,12 @@ CampaignSummary.propTypes = {
     }),
     campaignDetails: PropTypes.shape({
       budget: PropTypes.number,
+      currency: PropTypes.string,
       duration: PropTypes.number
     })
   }).isRequired,
-  onViewDetails: PropTypes.func.isRequired
+  onViewDetails: PropTypes.func.isRequired,
+  onDuplicate: PropTypes.func
 };
 
 export default CampaignSummary;
\ No newline at end of file
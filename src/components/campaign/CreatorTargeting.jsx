@@ -7,7 +7,7 @@ import Button from '../common/Button';
  * Part of the campaign creation process after budget selection
  */
 const CreatorTargeting = ({ onBack, onNext }) => {
-  const { formData, updateFormData } = useFormContext();
+  const { formData, updateFormData, errors, validateStep } = useFormContext();
   
   // Get or initialize targeting data
   const initialTargeting = formData.campaignDetails.creatorTargeting || {
@@ -95,6 +95,11 @@ const CreatorTargeting = ({ onBack, onNext }) => {
       return;
     }
     
+    // Check the rest of the targeting against the campaign schema
+    if (!validateStep()) {
+      return;
+    }
+    
     onNext();
   };
   
@@ -110,6 +115,9 @@ const CreatorTargeting = ({ onBack, onNext }) => {
       <div className="mb-8">
         <h4 className="font-medium mb-3">Content Creator Types</h4>
         <p className="text-sm text-gray-500 mb-3">Select the types of creators you'd like to feature your music (select at least one)</p>
+        {errors['creatorTargeting.creatorTypes'] && (
+          <p className="text-error text-sm mb-3">{errors['creatorTargeting.creatorTypes']}</p>
+        )}
         
         <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
           {creatorTypeOptions.map(type => (
@@ -194,6 +202,9 @@ const CreatorTargeting = ({ onBack, onNext }) => {
           value={targeting.notes || ''}
           onChange={(e) => setTargeting(prev => ({ ...prev, notes: e.target.value }))}
         ></textarea>
+        {errors['creatorTargeting.notes'] && (
+          <p className="text-error text-sm mt-1">{errors['creatorTargeting.notes']}</p>
+        )}
       </div>
       
       {/* Navigation Buttons */}
@@ -211,7 +222,7 @@ const CreatorTargeting = ({ onBack, onNext }) => {
           variant="primary"
           onClick={handleContinue}
         >
-          Continue to Payment
+          Continue to Objectives
         </Button>
       </div>
     </div>
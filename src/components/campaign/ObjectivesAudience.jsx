@@ -0,0 +1,245 @@
+import React, { useState, useEffect } from 'react';
+import { useFormContext } from '../../contexts/FormContext';
+import { CAMPAIGN_SCHEMA, HASHTAG_PATTERN } from '../../shared/campaignSchema';
+import { OBJECTIVE_OPTIONS, INTEREST_OPTIONS, TARGET_COUNTRIES, normalizeHashtag } from '../../utils/campaignOptions';
+import Button from '../common/Button';
+
+const MAX_HASHTAGS = CAMPAIGN_SCHEMA.campaignDetails.hashtags.maxItems;
+
+/**
+ * Objectives and audience component - what the campaign should achieve, the hashtags creators
+ * should use and the listeners it is aimed at. Part of the campaign creation process after creator targeting.
+ */
+const ObjectivesAudience = ({ onBack, onNext }) => {
+  const { formData, updateFormData, errors, validateStep } = useFormContext();
+  const { campaignDetails } = formData;
+
+  // Local state
+  const [objectives, setObjectives] = useState(campaignDetails.objectives || []);
+  const [hashtags, setHashtags] = useState(campaignDetails.hashtags || []);
+  const [targetAudience, setTargetAudience] = useState({
+    ageRange: [],
+    interests: [],
+    locations: [],
+    ...campaignDetails.targetAudience
+  });
+  const [hashtagInput, setHashtagInput] = useState('');
+  const [hashtagError, setHashtagError] = useState('');
+
+  // Update form context when the selections change
+  useEffect(() => {
+    updateFormData('campaignDetails', { objectives, hashtags, targetAudience });
+  }, [objectives, hashtags, targetAudience, updateFormData]);
+
+  // Add or remove a value from a list
+  const toggle = (values, value) => (
+    values.includes(value) ? values.filter(item => item !== value) : [...values, value]
+  );
+
+  // Toggle a target audience list entry (interests or locations)
+  const toggleAudience = (field, value) => {
+    setTargetAudience(prev => ({ ...prev, [field]: toggle(prev[field], value) }));
+  };
+
+  // Add the typed hashtag
+  const handleAddHashtag = () => {
+    const hashtag = normalizeHashtag(hashtagInput);
+
+    if (!hashtag) {
+      return;
+    }
+
+    if (!HASHTAG_PATTERN.test(hashtag)) {
+      setHashtagError('Hashtags can only use letters, numbers and underscores');
+      return;
+    }
+
+    if (hashtags.some(tag => tag.toLowerCase() === hashtag.toLowerCase())) {
+      setHashtagError(`${hashtag} has already been added`);
+      return;
+    }
+
+    if (hashtags.length >= MAX_HASHTAGS) {
+      setHashtagError(`You can add up to ${MAX_HASHTAGS} hashtags`);
+      return;
+    }
+
+    setHashtags(prev => [...prev, hashtag]);
+    setHashtagInput('');
+    setHashtagError('');
+  };
+
+  // Add the hashtag on Enter or comma instead of submitting
+  const handleHashtagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      handleAddHashtag();
+    }
+  };
+
+  // Handle continue
+  const handleContinue = () => {
+    if (validateStep()) {
+      onNext();
+    }
+  };
+
+  return (
+    <div className="max-w-2xl mx-auto">
+      <h3 className="text-xl font-bold mb-4">Objectives & Audience</h3>
+      <p className="text-gray-600 mb-6">
+        Tell us what the campaign should achieve and who it is for. We use this to brief creators
+        and to benchmark your results against similar campaigns.
+      </p>
+
+      {/* Objectives */}
+      <div className="mb-8">
+        <h4 className="font-medium mb-3">Campaign Objectives</h4>
+        <p className="text-sm text-gray-500 mb-3">Select what matters most for this release (select at least one)</p>
+        {errors.objectives && (
+          <p className="text-error text-sm mb-3">{errors.objectives}</p>
+        )}
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3">
+          {OBJECTIVE_OPTIONS.map(objective => (
+            <button
+              key={objective.id}
+              type="button"
+              onClick={() => setObjectives(prev => toggle(prev, objective.id))}
+              className={`
+                p-3 rounded-lg border text-left transition-all
+                ${objectives.includes(objective.id)
+                  ? 'bg-primary-light bg-opacity-10 border-primary'
+                  : 'bg-white border-gray-200 hover:border-primary-light'}
+              `}
+            >
+              <span className={`block ${objectives.includes(objective.id) ? 'font-medium' : ''}`}>
+                {objective.label}
+              </span>
+              <span className="block text-sm text-gray-500">{objective.description}</span>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Hashtags */}
+      <div className="mb-8">
+        <h4 className="font-medium mb-3">Hashtags</h4>
+        <p className="text-sm text-gray-500 mb-3">
+          Hashtags creators should include in their captions (optional, up to {MAX_HASHTAGS})
+        </p>
+
+        <div className="flex gap-2 mb-3">
+          <input
+            type="text"
+            className="flex-grow px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
+            placeholder="#yoursong"
+            value={hashtagInput}
+            onChange={(e) => {
+              setHashtagInput(e.target.value);
+              setHashtagError('');
+            }}
+            onKeyDown={handleHashtagKeyDown}
+            maxLength={CAMPAIGN_SCHEMA.campaignDetails.hashtags.maxLength}
+          />
+          <Button type="button" variant="outline" onClick={handleAddHashtag}>
+            Add
+          </Button>
+        </div>
+
+        {(hashtagError || errors.hashtags) && (
+          <p className="text-error text-sm mb-3">{hashtagError || errors.hashtags}</p>
+        )}
+
+        {hashtags.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {hashtags.map(tag => (
+              <span key={tag} className="inline-flex items-center px-3 py-1 bg-purple-100 text-purple-800 text-sm rounded-full">
+                {tag}
+                <button
+                  type="button"
+                  className="ml-2 text-purple-600 hover:text-purple-900"
+                  onClick={() => setHashtags(prev => prev.filter(item => item !== tag))}
+                  aria-label={`Remove ${tag}`}
+                >
+                  ×
+                </button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {/* Audience Interests */}
+      <div className="mb-8">
+        <h4 className="font-medium mb-3">Audience Interests</h4>
+        <p className="text-sm text-gray-500 mb-3">What your listeners are into (optional)</p>
+        {errors['targetAudience.interests'] && (
+          <p className="text-error text-sm mb-3">{errors['targetAudience.interests']}</p>
+        )}
+
+        <div className="flex flex-wrap gap-2">
+          {INTEREST_OPTIONS.map(interest => (
+            <button
+              key={interest.id}
+              type="button"
+              onClick={() => toggleAudience('interests', interest.id)}
+              className={`
+                px-4 py-2 rounded-full border transition-all
+                ${targetAudience.interests.includes(interest.id)
+                  ? 'bg-primary text-white border-primary'
+                  : 'bg-white text-gray-700 border-gray-200 hover:border-primary'}
+              `}
+            >
+              {interest.label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Target Countries */}
+      <div className="mb-8">
+        <h4 className="font-medium mb-3">Target Countries</h4>
+        <p className="text-sm text-gray-500 mb-3">Where creators should be based (optional; leave empty for anywhere)</p>
+        {errors['targetAudience.locations'] && (
+          <p className="text-error text-sm mb-3">{errors['targetAudience.locations']}</p>
+        )}
+
+        <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+          {TARGET_COUNTRIES.map(country => (
+            <label key={country.code} className="flex items-center text-sm text-gray-700">
+              <input
+                type="checkbox"
+                className="mr-2 accent-primary"
+                checked={targetAudience.locations.includes(country.code)}
+                onChange={() => toggleAudience('locations', country.code)}
+              />
+              {country.name}
+            </label>
+          ))}
+        </div>
+      </div>
+
+      {/* Navigation Buttons */}
+      <div className="flex justify-between">
+        <Button
+          type="button"
+          variant="outline"
+          onClick={onBack}
+        >
+          Back to Targeting
+        </Button>
+
+        <Button
+          type="button"
+          variant="primary"
+          onClick={handleContinue}
+        >
+          Continue to Billing
+        </Button>
+      </div>
+    </div>
+  );
+};
+
+export default ObjectivesAudience;
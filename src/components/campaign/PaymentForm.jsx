@@ -1,25 +1,42 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useRef } from 'react';
 import { useNavigate } from 'react-router-dom';
 import { CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
 import { PayPalButtons } from '@paypal/react-paypal-js';
-import { useFormContext } from '../../contexts/FormContext';
+import { useFormContext, STEP_NAMES } from '../../contexts/FormContext';
 import { useCampaign } from '../../hooks/useCampaign';
-import { useAuth } from '../../hooks/useAuth';
-import { createCampaign, submitCampaign } from '../../firebase/firestore';
+import useStripePayment from '../../hooks/useStripe';
+import { useWallet } from '../../hooks/useWallet';
+import { usePaymentMethods } from '../../hooks/usePaymentMethods';
+import { usePricing } from '../../hooks/usePricing';
+import {
+  createCheckoutSession,
+  confirmCheckoutPayment,
+  createPayPalOrder,
+  capturePayPalOrder,
+  validatePromoCode,
+  quoteCheckout,
+  payWithCredits
+} from '../../firebase/functions';
 import { logPayment, logFormStepComplete } from '../../firebase/analytics';
+import { DEFAULT_CURRENCY } from '../../shared/currency';
+import { getVideoCount } from '../../shared/pricing';
+import { formatCardLabel } from '../../utils/formatting';
 import Button from '../common/Button';
 
+// Position of this step in the wizard, for analytics
+const PAYMENT_STEP = STEP_NAMES.indexOf('payment');
+
 /**
  * Payment form component - final step of campaign creation
  */
 const PaymentForm = ({ onBack }) => {
-  const { formData, updateFormData, resetForm } = useFormContext();
-  const { currentUser } = useAuth();
+  const { formData, updateFormData, resetForm, draftId, resubmitCampaignId, applyFieldErrors } = useFormContext();
   const { refreshCampaigns } = useCampaign();
   
   // Stripe hooks
   const stripe = useStripe();
   const elements = useElements();
+  const { initializePayment, processPayment, error: stripePaymentError } = useStripePayment();
   
   // Component state
   const [isProcessing, setIsProcessing] = useState(false);
@@ -27,17 +44,117 @@ const PaymentForm = ({ onBack }) => {
   const [paymentSuccess, setPaymentSuccess] = useState(false);
   const [campaignId, setCampaignId] = useState(null);
   const [cardComplete, setCardComplete] = useState(false);
-  const [paymentMethod, setPaymentMethod] = useState('stripe'); // 'stripe' or 'paypal'
+  const [paymentMethod, setPaymentMethod] = useState('stripe'); // 'stripe', 'paypal' or 'wallet'
+  
+  // Prepaid credits
+  const { getBalance, loading: walletLoading, refreshWallet } = useWallet();
+  
+  // Saved cards: the first one is picked by default for one-click checkout
+  const { paymentMethods: savedCards } = usePaymentMethods();
+  const [cardChoice, setCardChoice] = useState(null); // saved card ID or 'new'
+  const [saveCard, setSaveCard] = useState(false);
+  const selectedCardId = cardChoice || savedCards[0]?.id || 'new';
+  const isNewCard = selectedCardId === 'new';
+  
+  // Promo code state
+  const [promoInput, setPromoInput] = useState('');
+  const [appliedPromo, setAppliedPromo] = useState(null);
+  const [promoError, setPromoError] = useState(null);
+  const [isApplyingPromo, setIsApplyingPromo] = useState(false);
+  
+  // Server price quote (discount and tax for the billing address)
+  const [quote, setQuote] = useState(null);
+  const [quoteError, setQuoteError] = useState(null);
+  
+  // Server-side checkout holding this form until it is paid for (also read from PayPal callbacks)
+  const checkoutIdRef = useRef(null);
   
   const navigate = useNavigate();
   
-  // Format budget for display
-  const formattedBudget = formData.campaignDetails.budget.toLocaleString('en-US', {
+  // Currency the campaign is priced and paid in
+  const currency = formData.campaignDetails.currency || DEFAULT_CURRENCY;
+  
+  // Format an amount for display
+  const formatAmount = (amount) => amount.toLocaleString('en-US', {
     style: 'currency',
-    currency: 'USD',
+    currency,
     minimumFractionDigits: 2
   });
   
+  // Number of videos the full budget buys over the chosen duration (discounts don't reduce it)
+  const { pricing } = usePricing();
+  const videoCount = getVideoCount(formData.campaignDetails.budget, currency, pricing, formData.campaignDetails.duration);
+  
+  // The budget drives the video count; the artist pays the discounted total plus tax
+  const formattedBudget = formatAmount(formData.campaignDetails.budget);
+  const formattedTotal = quote ? formatAmount(quote.total) : '...';
+  
+  // Re-quote whenever the promo code or billing address changes
+  const { budget } = formData.campaignDetails;
+  const { billingDetails } = formData;
+  const appliedPromoCode = appliedPromo?.code || null;
+  useEffect(() => {
+    let cancelled = false;
+    
+    setQuote(null);
+    setQuoteError(null);
+    quoteCheckout(budget, currency, appliedPromoCode, billingDetails)
+      .then((result) => {
+        if (!cancelled) setQuote(result);
+      })
+      .catch((error) => {
+        if (!cancelled) setQuoteError(error.message || 'Failed to calculate the total');
+      });
+    
+    return () => {
+      cancelled = true;
+    };
+  }, [budget, currency, appliedPromoCode, billingDetails]);
+  
+  // Credits available in the campaign currency
+  const creditBalance = getBalance(currency);
+  const hasEnoughCredits = Boolean(quote) && creditBalance >= quote.total;
+  
+  // Label for the tax line, e.g. "VAT (20%)"
+  const getTaxLabel = (tax) => {
+    if (tax.reverseCharge) {
+      return `VAT reverse charge (${tax.vatId})`;
+    }
+    const rate = `${Math.round(tax.rate * 10000) / 100}%`;
+    return `${tax.type || 'Tax'} (${rate})`;
+  };
+  
+  // Check the promo code on the server and show the discounted price
+  const handleApplyPromo = async () => {
+    if (!promoInput.trim()) return;
+    
+    try {
+      setIsApplyingPromo(true);
+      setPromoError(null);
+      const promo = await validatePromoCode(promoInput, formData.campaignDetails.budget, currency);
+      setAppliedPromo(promo);
+    } catch (error) {
+      setAppliedPromo(null);
+      setPromoError(error.message || 'This promo code is not valid');
+    } finally {
+      setIsApplyingPromo(false);
+    }
+  };
+  
+  // Remove the applied promo code
+  const handleRemovePromo = () => {
+    setAppliedPromo(null);
+    setPromoInput('');
+    setPromoError(null);
+  };
+  
+  // Surface card errors reported while confirming the payment
+  useEffect(() => {
+    if (stripePaymentError) {
+      setPaymentError(stripePaymentError);
+    }
+  }, [stripePaymentError]);
+  
   // Handle card element change
   const handleCardChange = (event) => {
     setCardComplete(event.complete);
@@ -48,38 +165,40 @@ const PaymentForm = ({ onBack }) => {
     }
   };
   
-  // Create campaign in Firestore
-  const createCampaignRecord = async (paymentDetails = {}) => {
+  // Start a checkout for the form, or reuse the one from an earlier attempt
+  // The campaign is only created on the server once the payment is confirmed
+  const startCheckout = async () => {
+    if (checkoutIdRef.current) {
+      return checkoutIdRef.current;
+    }
+    
     try {
-      // Prepare campaign data
-      const campaignData = {
-        songDetails: {
-          ...formData.songDetails,
-          // Make sure the URLs are valid
-          audioUrl: formData.songDetails.audioUrl || '',
-          coverArtUrl: formData.songDetails.coverArtUrl || ''
-        },
+      const { checkoutId } = await createCheckoutSession({
+        songDetails: formData.songDetails,
         artistDetails: formData.artistDetails,
         campaignDetails: formData.campaignDetails,
-        paymentDetails: {
-          amount: formData.campaignDetails.budget,
-          status: 'pending',
-          method: paymentMethod,
-          ...paymentDetails
-        }
-      };
+        billingDetails: formData.billingDetails
+      }, { draftId, resubmitCampaignId });
       
-      // Create campaign
-      const newCampaignId = await createCampaign(currentUser.uid, campaignData);
-      setCampaignId(newCampaignId);
-      return newCampaignId;
+      checkoutIdRef.current = checkoutId;
+      return checkoutId;
     } catch (error) {
-      console.error('Error creating campaign:', error);
-      setPaymentError('Failed to create campaign. Please try again.');
+      console.error('Error starting checkout:', error);
+      // Details the server rejected send the artist back to the step where they can be fixed
+      if (!applyFieldErrors(error.details?.fieldErrors)) {
+        setPaymentError(error.message || 'Failed to start checkout. Please try again.');
+      }
       return null;
     }
   };
   
+  // An expired checkout can't be paid; the next attempt starts a fresh one
+  const discardExpiredCheckout = (error) => {
+    if (error?.code === 'functions/deadline-exceeded') {
+      checkoutIdRef.current = null;
+    }
+  };
+  
   // Handle Stripe payment submission
   const handleStripeSubmit = async (event) => {
     event.preventDefault();
@@ -92,30 +211,37 @@ const PaymentForm = ({ onBack }) => {
       setIsProcessing(true);
       setPaymentError(null);
       
-      // Create campaign in Firestore first
-      const newCampaignId = await createCampaignRecord({ 
-        processor: 'stripe',
-        paymentMethodType: 'card'
-      });
-      
-      if (!newCampaignId) {
-        setIsProcessing(false);
+      const checkoutId = await startCheckout();
+      if (!checkoutId) {
         return;
       }
       
-      // In a real application, we would create a payment intent with Stripe here
-      // For now, we'll simulate a successful payment
+      // Create the payment intent on the server (amount comes from the stored budget and promo code)
+      const intent = await initializePayment(checkoutId, appliedPromo?.code, isNewCard && saveCard);
+      if (!intent) {
+        checkoutIdRef.current = null;
+        throw new Error('Failed to initialize payment. Please try again.');
+      }
       
-      // Simulate payment processing
-      await new Promise(resolve => setTimeout(resolve, 2000));
+      // Confirm the payment with Stripe, which asks for 3-D Secure again if the bank wants it
+      const paid = await processPayment(isNewCard ? elements.getElement(CardElement) : selectedCardId, checkoutId);
+      if (!paid) {
+        return;
+      }
       
-      // Update campaign status to pending after successful payment
-      await submitCampaign(newCampaignId);
+      // Create the campaign straight away; the Stripe webhook does the same if this call fails.
+      // A resubmission is applied to the rejected campaign, other checkouts create one with the checkout's ID.
+      let paidCampaignId = resubmitCampaignId || checkoutId;
+      try {
+        const confirmation = await confirmCheckoutPayment(checkoutId);
+        paidCampaignId = confirmation.campaignId || paidCampaignId;
+      } catch (error) {
+        console.warn('Campaign will be created by the payment webhook:', error);
+      }
       
-      // Simulate success
+      setCampaignId(paidCampaignId);
       setPaymentSuccess(true);
-      logFormStepComplete('campaign_creation', 3, 'payment');
-      logPayment(newCampaignId, formData.campaignDetails.budget, 'stripe');
+      logFormStepComplete('campaign_creation', PAYMENT_STEP, 'payment');
       await refreshCampaigns();
       
       // Reset form data after successful payment
@@ -127,37 +253,84 @@ const PaymentForm = ({ onBack }) => {
       console.error('Payment error:', error);
       setPaymentError(error.message || 'An error occurred during payment processing');
     } finally {
-      setIsProcessing(false); // Fixed from setIsSubmitting(false)
+      setIsProcessing(false);
     }
   };
   
-  // Handle PayPal payment
-  const handlePayPalApprove = async (data, actions) => {
+  // Pay from the credit wallet; the server debits it and submits the campaign in one step
+  const handleCreditsSubmit = async (event) => {
+    event.preventDefault();
+    
+    if (!hasEnoughCredits || isProcessing) {
+      return;
+    }
+    
     try {
       setIsProcessing(true);
+      setPaymentError(null);
+      
+      const checkoutId = await startCheckout();
+      if (!checkoutId) {
+        return;
+      }
       
-      // Create the order
-      const orderDetails = await actions.order.capture();
+      const payment = await payWithCredits(checkoutId, appliedPromo?.code);
       
-      // Create campaign in Firestore
-      const newCampaignId = await createCampaignRecord({
-        processor: 'paypal',
-        transactionId: orderDetails.id,
-        payerEmail: orderDetails.payer.email_address,
-        paymentMethodType: 'paypal'
-      });
+      setCampaignId(payment.campaignId);
+      setPaymentSuccess(true);
+      logFormStepComplete('campaign_creation', PAYMENT_STEP, 'payment');
+      logPayment(payment.campaignId, payment.amount, payment.currency, payment.tax);
+      await refreshCampaigns();
       
-      if (!newCampaignId) {
-        throw new Error('Failed to create campaign');
+      // Reset form data after successful payment
+      setTimeout(() => {
+        resetForm();
+      }, 3000);
+    } catch (error) {
+      console.error('Credits payment error:', error);
+      discardExpiredCheckout(error);
+      setPaymentError(error.message || 'An error occurred while paying with credits');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+  
+  // Start the checkout and a server-side PayPal order for its budget
+  const handlePayPalCreateOrder = async () => {
+    setPaymentError(null);
+    
+    const checkoutId = await startCheckout();
+    if (!checkoutId) {
+      throw new Error('Failed to start checkout');
+    }
+    
+    try {
+      const { orderId } = await createPayPalOrder(checkoutId, appliedPromo?.code);
+      return orderId;
+    } catch (error) {
+      discardExpiredCheckout(error);
+      throw error;
+    }
+  };
+  
+  // Handle PayPal payment
+  const handlePayPalApprove = async (data) => {
+    try {
+      setIsProcessing(true);
+      
+      const checkoutId = checkoutIdRef.current;
+      if (!checkoutId) {
+        throw new Error('Failed to start checkout');
       }
       
-      // Update campaign status to pending after successful payment
-      await submitCampaign(newCampaignId);
+      // Capture and verify the order on the server; it creates the campaign and submits it for review
+      const capture = await capturePayPalOrder(checkoutId, data.orderID);
       
       // Handle successful payment
+      setCampaignId(capture.campaignId);
       setPaymentSuccess(true);
-      logFormStepComplete('campaign_creation', 3, 'payment');
-      logPayment(newCampaignId, formData.campaignDetails.budget, 'paypal');
+      logFormStepComplete('campaign_creation', PAYMENT_STEP, 'payment');
+      logPayment(capture.campaignId, capture.amount, capture.currency, capture.tax);
       await refreshCampaigns();
       
       // Reset form data after successful payment
@@ -168,6 +341,7 @@ const PaymentForm = ({ onBack }) => {
       return true;
     } catch (error) {
       console.error('PayPal payment error:', error);
+      discardExpiredCheckout(error);
       setPaymentError(error.message || 'An error occurred during PayPal payment processing');
       return false;
     } finally {
@@ -234,21 +408,98 @@ const PaymentForm = ({ onBack }) => {
         <div className="flex justify-between py-2 border-b border-gray-200">
           <span>Number of Videos</span>
           <span className="font-medium">
-            {Math.floor(formData.campaignDetails.budget / 100) + Math.floor((formData.campaignDetails.budget / 1000) * 2)}
+            {videoCount}
           </span>
         </div>
         
+        <div className="flex justify-between py-2 border-b border-gray-200">
+          <span>Budget</span>
+          <span className="font-medium">{formattedBudget}</span>
+        </div>
+        
+        {quote?.discount > 0 && (
+          <div className="flex justify-between py-2 border-b border-gray-200 text-green-700">
+            <span>Promo code {quote.promoCode}</span>
+            <span className="font-medium">-{formatAmount(quote.discount)}</span>
+          </div>
+        )}
+        
+        {quote && (
+          <div className="flex justify-between py-2 border-b border-gray-200">
+            <span>{getTaxLabel(quote.tax)}</span>
+            <span className="font-medium">{formatAmount(quote.tax.amount)}</span>
+          </div>
+        )}
+        
         <div className="flex justify-between py-2 font-bold text-lg mt-2">
           <span>Total</span>
-          <span className="text-primary">{formattedBudget}</span>
+          <span className="text-primary">{formattedTotal}</span>
         </div>
+        
+        {quote?.tax.reverseCharge && (
+          <p className="text-xs text-gray-500">
+            VAT to be accounted for by the recipient under the reverse-charge procedure.
+          </p>
+        )}
+        
+        {quoteError && (
+          <p className="mt-1 text-sm text-red-600">{quoteError}</p>
+        )}
+      </div>
+      
+      {/* Promo Code */}
+      <div className="mb-6">
+        <label htmlFor="promoCode" className="block mb-2 font-medium">
+          Promo Code
+        </label>
+        
+        {appliedPromo ? (
+          <div className="flex justify-between items-center p-3 bg-green-50 text-green-800 rounded-md border border-green-200">
+            <span>
+              <span className="font-medium">{appliedPromo.code}</span> applied
+              {appliedPromo.type === 'percentage' ? ` (${appliedPromo.value}% off)` : ''}
+            </span>
+            <button
+              type="button"
+              className="text-sm text-green-800 hover:underline"
+              onClick={handleRemovePromo}
+              disabled={isProcessing}
+            >
+              Remove
+            </button>
+          </div>
+        ) : (
+          <div className="flex space-x-2">
+            <input
+              id="promoCode"
+              type="text"
+              value={promoInput}
+              onChange={(e) => setPromoInput(e.target.value.toUpperCase())}
+              placeholder="Enter code"
+              className="flex-grow px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-primary"
+              disabled={isProcessing}
+            />
+            <Button
+              type="button"
+              variant="outline"
+              onClick={handleApplyPromo}
+              disabled={!promoInput.trim() || isApplyingPromo || isProcessing}
+            >
+              {isApplyingPromo ? 'Checking...' : 'Apply'}
+            </Button>
+          </div>
+        )}
+        
+        {promoError && (
+          <p className="mt-1 text-sm text-red-600">{promoError}</p>
+        )}
       </div>
       
       {/* Payment Method Selection */}
       <div className="mb-6">
         <h3 className="text-lg font-medium mb-3">Select Payment Method</h3>
         
-        <div className="grid grid-cols-2 gap-4">
+        <div className="grid grid-cols-3 gap-4">
           <button
             type="button"
             className={`
@@ -285,6 +536,25 @@ const PaymentForm = ({ onBack }) => {
             </svg>
             <span className={paymentMethod === 'paypal' ? 'font-medium' : ''}>PayPal</span>
           </button>
+          
+          <button
+            type="button"
+            className={`
+              p-4 border rounded-lg flex flex-col items-center justify-center
+              ${paymentMethod === 'wallet' 
+                ? 'border-primary bg-primary bg-opacity-5' 
+                : 'border-gray-200 hover:border-primary'}
+            `}
+            onClick={() => setPaymentMethod('wallet')}
+          >
+            <svg xmlns="http://www.w3.org/2000/svg" className="h-8 w-8 mb-2 text-primary" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M3 10h18M7 15h1m4 0h1m-7 4h12a3 3 0 003-3V8a3 3 0 00-3-3H6a3 3 0 00-3 3v8a3 3 0 003 3z" />
+            </svg>
+            <span className={paymentMethod === 'wallet' ? 'font-medium' : ''}>Pay with Credits</span>
+            <span className="text-xs text-gray-500">
+              {walletLoading ? '...' : formatAmount(creditBalance)} available
+            </span>
+          </button>
         </div>
       </div>
       
@@ -297,35 +567,89 @@ const PaymentForm = ({ onBack }) => {
       {/* Stripe Payment Form */}
       {paymentMethod === 'stripe' && (
         <form onSubmit={handleStripeSubmit}>
-          <div className="mb-6">
-            <label className="block mb-2 font-medium">
-              Card Details
-            </label>
+          {savedCards.length > 0 && (
+            <div className="mb-6">
+              <label className="block mb-2 font-medium">
+                Saved Cards
+              </label>
+              
+              <div className="space-y-2">
+                {savedCards.map(card => (
+                  <label key={card.id} className="flex items-center p-3 border border-gray-300 rounded-md cursor-pointer">
+                    <input
+                      type="radio"
+                      name="savedCard"
+                      value={card.id}
+                      checked={selectedCardId === card.id}
+                      onChange={() => setCardChoice(card.id)}
+                      className="h-4 w-4 text-primary focus:ring-primary border-gray-300"
+                      disabled={isProcessing}
+                    />
+                    <span className="ml-3">{formatCardLabel(card)}</span>
+                  </label>
+                ))}
+                
+                <label className="flex items-center p-3 border border-gray-300 rounded-md cursor-pointer">
+                  <input
+                    type="radio"
+                    name="savedCard"
+                    value="new"
+                    checked={isNewCard}
+                    onChange={() => setCardChoice('new')}
+                    className="h-4 w-4 text-primary focus:ring-primary border-gray-300"
+                    disabled={isProcessing}
+                  />
+                  <span className="ml-3">Use a new card</span>
+                </label>
+              </div>
+            </div>
+          )}
+          
+          {isNewCard && (
+            <div className="mb-6">
+              <label className="block mb-2 font-medium">
+                Card Details
+              </label>
             
-            <div className="p-4 border border-gray-300 rounded-md">
-              <CardElement
-                options={{
-                  style: {
-                    base: {
-                      fontSize: '16px',
-                      color: '#424770',
-                      '::placeholder': {
-                        color: '#aab7c4',
+              <div className="p-4 border border-gray-300 rounded-md">
+                <CardElement
+                  options={{
+                    style: {
+                      base: {
+                        fontSize: '16px',
+                        color: '#424770',
+                        '::placeholder': {
+                          color: '#aab7c4',
+                        },
+                      },
+                      invalid: {
+                        color: '#9e2146',
                       },
                     },
-                    invalid: {
-                      color: '#9e2146',
-                    },
-                  },
-                }}
-                onChange={handleCardChange}
-              />
-            </div>
+                  }}
+                  onChange={handleCardChange}
+                />
+              </div>
             
-            <p className="mt-2 text-sm text-gray-500">
-              Your payment information is processed securely via Stripe. We do not store your card details.
-            </p>
-          </div>
+              <div className="mt-3 flex items-center">
+                <input
+                  id="saveCard"
+                  type="checkbox"
+                  checked={saveCard}
+                  onChange={(e) => setSaveCard(e.target.checked)}
+                  className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+                  disabled={isProcessing}
+                />
+                <label htmlFor="saveCard" className="ml-2 text-sm text-gray-700">
+                  Save this card for future campaigns
+                </label>
+              </div>
+            
+              <p className="mt-2 text-sm text-gray-500">
+                Your payment information is processed securely via Stripe. We do not store your card details.
+              </p>
+            </div>
+          )}
           
           {/* Terms & Conditions */}
           <div className="mb-6">
@@ -368,9 +692,86 @@ const PaymentForm = ({ onBack }) => {
             <Button
               type="submit"
               variant="primary"
-              disabled={!stripe || !cardComplete || isProcessing}
+              disabled={!stripe || (isNewCard && !cardComplete) || !quote || isProcessing}
+            >
+              {isProcessing ? 'Processing Payment...' : `Pay ${formattedTotal}`}
+            </Button>
+          </div>
+        </form>
+      )}
+      
+      {/* Credits Payment Form */}
+      {paymentMethod === 'wallet' && (
+        <form onSubmit={handleCreditsSubmit}>
+          <div className="mb-6 p-4 bg-gray-50 rounded-md border border-gray-200">
+            <div className="flex justify-between">
+              <span>Wallet balance</span>
+              <span className="font-medium">{formatAmount(creditBalance)}</span>
+            </div>
+            {quote && (
+              <div className="flex justify-between mt-1 text-sm text-gray-600">
+                <span>Balance after payment</span>
+                <span>{formatAmount(Math.max(creditBalance - quote.total, 0))}</span>
+              </div>
+            )}
+            {!walletLoading && quote && !hasEnoughCredits && (
+              <p className="mt-2 text-sm text-red-600">
+                You don't have enough {currency} credits for this campaign.{' '}
+                <a href="/account" target="_blank" rel="noopener noreferrer" className="text-primary hover:underline">
+                  Add credits
+                </a>
+                {' '}then{' '}
+                <button type="button" className="text-primary hover:underline" onClick={refreshWallet}>
+                  refresh your balance
+                </button>.
+              </p>
+            )}
+          </div>
+          
+          {/* Terms & Conditions */}
+          <div className="mb-6">
+            <div className="flex items-start">
+              <div className="flex items-center h-5">
+                <input
+                  id="terms-wallet"
+                  name="terms"
+                  type="checkbox"
+                  required
+                  className="h-4 w-4 text-primary focus:ring-primary border-gray-300 rounded"
+                />
+              </div>
+              <div className="ml-3 text-sm">
+                <label htmlFor="terms-wallet" className="text-gray-700">
+                  I agree to the{' '}
+                  <a href="/terms" className="text-primary hover:underline">
+                    Terms of Service
+                  </a>{' '}
+                  and{' '}
+                  <a href="/privacy" className="text-primary hover:underline">
+                    Privacy Policy
+                  </a>
+                </label>
+              </div>
+            </div>
+          </div>
+          
+          {/* Navigation Buttons */}
+          <div className="flex justify-between">
+            <Button
+              type="button"
+              variant="outline"
+              onClick={onBack}
+              disabled={isProcessing}
+            >
+              Back
+            </Button>
+            
+            <Button
+              type="submit"
+              variant="primary"
+              disabled={!hasEnoughCredits || isProcessing}
             >
-              {isProcessing ? 'Processing Payment...' : `Pay ${formattedBudget}`}
+              {isProcessing ? 'Processing Payment...' : `Pay ${formattedTotal} with Credits`}
             </Button>
           </div>
         </form>
@@ -386,28 +787,17 @@ const PaymentForm = ({ onBack }) => {
             
             <div className="paypal-button-container">
               <PayPalButtons
-                createOrder={(data, actions) => {
-                  return actions.order.create({
-                    purchase_units: [
-                      {
-                        amount: {
-                          currency_code: 'USD',
-                          value: formData.campaignDetails.budget.toString(),
-                        },
-                        description: `SoundTik Campaign: ${formData.songDetails.title}`,
-                      },
-                    ],
-                  });
-                }}
+                createOrder={handlePayPalCreateOrder}
                 onApprove={handlePayPalApprove}
                 onError={handlePayPalError}
+                forceReRender={[appliedPromo?.code, quote?.total]}
                 style={{
                   layout: 'vertical',
                   color: 'blue',
                   shape: 'rect',
                   label: 'pay',
                 }}
-                disabled={isProcessing}
+                disabled={!quote || isProcessing}
               />
             </div>
           </div>
@@ -4,11 +4,26 @@ import { logFormStepComplete } from '../../firebase/analytics';
 import Input from '../common/Input';
 import Button from '../common/Button';
 
+// When an approved campaign goes live
+const START_OPTIONS = [
+  { id: 'approval', label: 'As soon as it is approved' },
+  { id: 'releaseDate', label: 'On release day' },
+  { id: 'custom', label: 'On a date I choose' }
+];
+
+/**
+ * Format a date for a date input
+ * @param {Date|null} date - Date
+ * @returns {string} YYYY-MM-DD, or '' when there is no date
+ */
+const toDateInputValue = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
 /**
  * Song details form component - first step of campaign creation
  */
 const SongDetailsForm = ({ onNext }) => {
   const { formData, updateFormData, errors, validateStep } = useFormContext();
+  const { startOption, customStartDate } = formData.campaignDetails;
   
   // Local state for form handling
   const [localErrors, setLocalErrors] = useState({});
@@ -34,6 +49,11 @@ const SongDetailsForm = ({ onNext }) => {
       setLocalErrors(prev => ({ ...prev, releaseDate: '' }));
     }
   };
+  
+  // Handle campaign start choice and custom start date
+  const handleStartChange = (data) => {
+    updateFormData('campaignDetails', data);
+  };
 
   // Validate URL format
   const validateUrl = (url) => {
@@ -69,8 +89,8 @@ const SongDetailsForm = ({ onNext }) => {
     // Update local errors
     setLocalErrors(newErrors);
     
-    // If no errors, proceed to next step
-    if (Object.keys(newErrors).length === 0) {
+    // If no errors, check the rest of the step (lengths, start date) against the campaign schema
+    if (Object.keys(newErrors).length === 0 && validateStep()) {
       logFormStepComplete('campaign_creation', 0, 'songDetails');
       onNext();
     }
@@ -135,6 +155,7 @@ const SongDetailsForm = ({ onNext }) => {
           label="Mood"
           value={formData.songDetails.mood}
           onChange={handleChange}
+          error={errors.mood}
           helperText="Describe the vibe of your song (e.g., Energetic, Chill, Emotional)"
           className="mb-4"
         />
@@ -145,12 +166,50 @@ const SongDetailsForm = ({ onNext }) => {
           id="releaseDate"
           name="releaseDate"
           label="Release Date"
-          value={formData.songDetails.releaseDate ? new Date(formData.songDetails.releaseDate).toISOString().split('T')[0] : ''}
+          value={toDateInputValue(formData.songDetails.releaseDate)}
           onChange={handleDateChange}
-          error={localErrors.releaseDate}
+          error={errors.releaseDate}
           className="mb-4"
         />
         
+        {/* Campaign Start */}
+        <fieldset className="mb-4">
+          <legend className="block mb-1 font-medium">Start the Campaign</legend>
+          <div className="space-y-1">
+            {START_OPTIONS.map(option => (
+              <label key={option.id} className="flex items-center gap-2">
+                <input
+                  type="radio"
+                  name="startOption"
+                  value={option.id}
+                  checked={(startOption || 'approval') === option.id}
+                  onChange={() => handleStartChange({ startOption: option.id })}
+                />
+                {option.label}
+              </label>
+            ))}
+          </div>
+          
+          {startOption === 'custom' && (
+            <Input
+              type="date"
+              id="customStartDate"
+              name="customStartDate"
+              value={toDateInputValue(customStartDate)}
+              onChange={(e) => handleStartChange({ customStartDate: e.target.value ? new Date(e.target.value) : null })}
+              className="mt-2"
+            />
+          )}
+          
+          {errors.startOption || errors.customStartDate ? (
+            <p className="mt-1 text-sm text-red-500">{errors.startOption || errors.customStartDate}</p>
+          ) : (
+            <p className="mt-1 text-sm text-gray-500">
+              Campaigns still need approval first. If approval comes after the start date, the campaign starts as soon as it is approved.
+            </p>
+          )}
+        </fieldset>
+        
         {/* Audio Link */}
         <Input
           type="url"
@@ -178,6 +237,7 @@ const SongDetailsForm = ({ onNext }) => {
           value={formData.songDetails.coverArtUrl}
           onChange={handleChange}
           placeholder="https://images.com/your-cover-art.jpg"
+          error={errors.coverArtUrl}
           helperText="Link to your song's cover art"
           className="mb-4"
         />
@@ -199,6 +259,7 @@ const SongDetailsForm = ({ onNext }) => {
             className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary focus:border-transparent"
             placeholder="Enter your song lyrics"
           />
+          {errors.lyrics && <p className="mt-1 text-sm text-red-500">{errors.lyrics}</p>}
         </div>
         
         {/* Navigation Buttons */}
@@ -0,0 +1,275 @@
+import React, { useState, useEffect } from 'react';
+import PropTypes from 'prop-types';
+import { CardElement, useStripe, useElements } from '@stripe/react-stripe-js';
+import { PayPalButtons } from '@paypal/react-paypal-js';
+import { createBudgetTopUp, captureBudgetTopUp, quoteCheckout } from '../../firebase/functions';
+import { logPayment } from '../../firebase/analytics';
+import { useWallet } from '../../hooks/useWallet';
+import { formatCurrency } from '../../utils/formatting';
+import { getCampaignCurrency, getTopUpBounds } from '../../shared/currency';
+import { getCampaignPricing, getPricedDuration, getVideoCount } from '../../shared/pricing';
+import Button from '../common/Button';
+
+// How many days a top-up can extend the campaign by
+const EXTENSION_OPTIONS = [0, 7, 14, 30];
+
+/**
+ * Add budget form - lets the artist top up a running campaign
+ * Must be rendered inside Stripe Elements and a PayPalScriptProvider in the campaign currency
+ * @param {Object} props - Component props
+ */
+const AddBudgetForm = ({ campaign, onComplete, onClose }) => {
+  const stripe = useStripe();
+  const elements = useElements();
+  const { getBalance } = useWallet();
+
+  const currency = getCampaignCurrency(campaign);
+  const { min, max, step } = getTopUpBounds(currency);
+  const currentBudget = campaign.campaignDetails?.budget || 0;
+  const pricedDuration = getPricedDuration(campaign);
+
+  const [amount, setAmount] = useState(min * 5);
+  const [extendDays, setExtendDays] = useState(0);
+  const [processor, setProcessor] = useState('stripe');
+  const [cardComplete, setCardComplete] = useState(false);
+  const [quote, setQuote] = useState(null);
+  const [isProcessing, setIsProcessing] = useState(false);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  // Extra videos the top-up buys on top of the current budget, under the campaign's own pricing
+  // (an extension doesn't re-price the campaign, so it stays on the duration it was bought with)
+  const pricing = getCampaignPricing(campaign);
+  const extraVideos = getVideoCount(currentBudget + amount, currency, pricing, pricedDuration)
+    - getVideoCount(currentBudget, currency, pricing, pricedDuration);
+  const creditBalance = getBalance(currency);
+
+  // Price the top-up (tax for the campaign's billing address)
+  const { billingDetails } = campaign;
+  useEffect(() => {
+    let cancelled = false;
+
+    setQuote(null);
+    setError(null);
+    quoteCheckout(amount, currency, null, billingDetails)
+      .then((result) => {
+        if (!cancelled) setQuote(result);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(err.message || 'Failed to calculate the total');
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [amount, currency, billingDetails]);
+
+  // Report a finished top-up to the dashboard
+  const finishTopUp = (payment, text) => {
+    setMessage(text);
+    logPayment(campaign.id, payment.amount, payment.currency, payment.tax);
+    onComplete();
+  };
+
+  // Pay by card or with credits
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (isProcessing || !quote) {
+      return;
+    }
+
+    try {
+      setIsProcessing(true);
+      setError(null);
+      setMessage(null);
+
+      const topUp = await createBudgetTopUp(campaign.id, amount, extendDays, processor);
+
+      if (processor === 'stripe') {
+        const { error: stripeError, paymentIntent } = await stripe.confirmCardPayment(topUp.clientSecret, {
+          payment_method: { card: elements.getElement(CardElement) }
+        });
+
+        if (stripeError) {
+          throw stripeError;
+        }
+
+        if (paymentIntent.status !== 'succeeded') {
+          throw new Error('The payment could not be completed. Please try again.');
+        }
+
+        // The Stripe webhook adds the budget once the payment is confirmed
+        finishTopUp(topUp, 'Payment received. The extra budget will appear on your campaign in a few moments.');
+      } else {
+        finishTopUp(topUp, `${formatCurrency(amount, currency)} added to your campaign.`);
+      }
+    } catch (err) {
+      console.error('Budget top-up error:', err);
+      setError(err.message || 'Failed to add budget');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  // Create the PayPal order for the top-up
+  const handlePayPalCreateOrder = async () => {
+    setError(null);
+    setMessage(null);
+    const { orderId } = await createBudgetTopUp(campaign.id, amount, extendDays, 'paypal');
+    return orderId;
+  };
+
+  // Capture the approved PayPal order; the budget is added straight away
+  const handlePayPalApprove = async (data) => {
+    try {
+      setIsProcessing(true);
+      const capture = await captureBudgetTopUp(campaign.id, data.orderID);
+      finishTopUp(capture, `${formatCurrency(amount, currency)} added to your campaign.`);
+    } catch (err) {
+      console.error('PayPal budget top-up error:', err);
+      setError(err.message || 'Failed to add budget');
+    } finally {
+      setIsProcessing(false);
+    }
+  };
+
+  return (
+    <div className="mb-6 p-4 bg-white border border-gray-200 rounded-lg shadow">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="font-medium text-lg">Add Budget</h3>
+        <button type="button" className="text-sm text-gray-500 hover:underline" onClick={onClose}>
+          Close
+        </button>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label htmlFor="topUpBudget" className="block mb-1 font-medium">
+            Extra budget: {formatCurrency(amount, currency)}
+          </label>
+          <input
+            id="topUpBudget"
+            type="range"
+            min={min}
+            max={max}
+            step={step}
+            value={amount}
+            onChange={(e) => setAmount(Number(e.target.value))}
+            className="w-full"
+            disabled={isProcessing}
+          />
+          <p className="text-sm text-gray-500 mb-4">
+            About {extraVideos} more video{extraVideos === 1 ? '' : 's'} • new budget {formatCurrency(currentBudget + amount, currency)}
+          </p>
+
+          <label htmlFor="extendDays" className="block mb-1 font-medium">Extend campaign</label>
+          <select
+            id="extendDays"
+            value={extendDays}
+            onChange={(e) => setExtendDays(Number(e.target.value))}
+            className="w-full px-3 py-2 border border-gray-300 rounded focus:outline-none focus:ring-2 focus:ring-primary"
+            disabled={isProcessing}
+          >
+            {EXTENSION_OPTIONS.map(days => (
+              <option key={days} value={days}>
+                {days === 0 ? 'Keep the current end date' : `Add ${days} days`}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <div className="bg-gray-50 p-3 rounded-md text-sm mb-4">
+            <div className="flex justify-between py-1">
+              <span>Extra budget</span>
+              <span>{formatCurrency(amount, currency, 2, 2)}</span>
+            </div>
+            {quote && quote.tax.amount > 0 && (
+              <div className="flex justify-between py-1">
+                <span>{quote.tax.type} ({Math.round(quote.tax.rate * 10000) / 100}%)</span>
+                <span>{formatCurrency(quote.tax.amount, currency, 2, 2)}</span>
+              </div>
+            )}
+            <div className="flex justify-between py-1 font-bold">
+              <span>Total</span>
+              <span>{quote ? formatCurrency(quote.total, currency, 2, 2) : '...'}</span>
+            </div>
+          </div>
+
+          <div className="flex space-x-2 mb-4">
+            {[['stripe', 'Card'], ['paypal', 'PayPal'], ['wallet', 'Credits']].map(([value, label]) => (
+              <Button
+                key={value}
+                type="button"
+                variant={processor === value ? 'primary' : 'outline'}
+                size="small"
+                onClick={() => setProcessor(value)}
+                disabled={isProcessing}
+              >
+                {label}
+              </Button>
+            ))}
+          </div>
+
+          {error && (
+            <div className="mb-4 p-3 bg-red-50 text-red-700 rounded-md text-sm">{error}</div>
+          )}
+
+          {message && (
+            <div className="mb-4 p-3 bg-green-50 text-green-800 rounded-md text-sm">{message}</div>
+          )}
+
+          {processor === 'paypal' ? (
+            <PayPalButtons
+              createOrder={handlePayPalCreateOrder}
+              onApprove={handlePayPalApprove}
+              onError={() => setError('An error occurred with PayPal. Please try again.')}
+              forceReRender={[amount, extendDays]}
+              style={{ layout: 'vertical', color: 'blue', shape: 'rect', label: 'pay' }}
+              disabled={!quote || isProcessing}
+            />
+          ) : (
+            <form onSubmit={handleSubmit}>
+              {processor === 'stripe' ? (
+                <div className="p-3 mb-4 border border-gray-300 rounded-md">
+                  <CardElement onChange={(event) => setCardComplete(event.complete)} />
+                </div>
+              ) : (
+                <p className={`mb-4 text-sm ${quote && creditBalance < quote.total ? 'text-red-600' : 'text-gray-600'}`}>
+                  Wallet balance: {formatCurrency(creditBalance, currency, 2, 2)}
+                </p>
+              )}
+
+              <Button
+                type="submit"
+                variant="primary"
+                fullWidth
+                disabled={
+                  !quote ||
+                  isProcessing ||
+                  (processor === 'stripe' && (!stripe || !cardComplete)) ||
+                  (processor === 'wallet' && creditBalance < quote.total)
+                }
+              >
+                {isProcessing ? 'Processing...' : `Pay ${quote ? formatCurrency(quote.total, currency, 2, 2) : ''}`}
+              </Button>
+            </form>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+AddBudgetForm.propTypes = {
+  campaign: PropTypes.shape({
+    id: PropTypes.string.isRequired,
+    campaignDetails: PropTypes.object,
+    billingDetails: PropTypes.object
+  }).isRequired,
+  onComplete: PropTypes.func.isRequired,
+  onClose: PropTypes.func.isRequired
+};
+
+export default AddBudgetForm;
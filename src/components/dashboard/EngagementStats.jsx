@@ -1,6 +1,8 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import { useCampaign } from '../../hooks/useCampaign';
+import { getEngagementBenchmark } from '../../utils/metrics';
+import { INTEREST_OPTIONS, OBJECTIVE_OPTIONS, getOptionLabel } from '../../utils/campaignOptions';
 
 /**
  * Engagement statistics component - displays engagement rates and comparisons to benchmarks
@@ -28,28 +30,11 @@ const EngagementStats = ({ metrics }) => {
     return isNaN(numValue) ? '0.00%' : `${numValue.toFixed(precision)}%`;
   };
   
-  // Get engagement rate compared to industry average
+  // Get engagement rate compared to the benchmark for the campaign's audience and objective
   const getEngagementComparison = () => {
     const rate = calculateEngagementRate();
-    
-    // TikTok industry average engagement rates by category
-    const industryAverages = {
-      dance: 5.3,
-      music: 4.8,
-      comedy: 5.7,
-      lifestyle: 4.2,
-      fashion: 3.9,
-      beauty: 4.1,
-      fitness: 4.5,
-      gaming: 4.3,
-      default: 4.7 // Overall TikTok average
-    };
-    
-    // Get the primary creator type from targeting if available
-    const primaryType = activeCampaign?.campaignDetails?.creatorTargeting?.creatorTypes?.[0] || 'default';
-    
-    // Get the relevant industry average
-    const industryAverage = industryAverages[primaryType] || industryAverages.default;
+    const { industryAverage, category, objective } = getEngagementBenchmark(activeCampaign?.campaignDetails);
+    const categoryLabel = category ? getOptionLabel(INTEREST_OPTIONS, category).toLowerCase() : 'all categories';
     
     const difference = rate - industryAverage;
     const percentDifference = (difference / industryAverage) * 100;
@@ -60,7 +45,7 @@ const EngagementStats = ({ metrics }) => {
       difference,
       percentDifference: isNaN(percentDifference) ? 0 : percentDifference,
       isAboveAverage: difference > 0,
-      category: primaryType !== 'default' ? primaryType : 'all categories'
+      category: objective ? `${categoryLabel} (${getOptionLabel(OBJECTIVE_OPTIONS, objective).toLowerCase()})` : categoryLabel
     };
   };
   
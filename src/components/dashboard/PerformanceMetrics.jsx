@@ -1,6 +1,8 @@
 import React from 'react';
 import PropTypes from 'prop-types';
 import { useCampaign } from '../../hooks/useCampaign';
+import { formatCurrency } from '../../utils/formatting';
+import { getCampaignCurrency } from '../../shared/currency';
 
 /**
  * Performance metrics component - displays campaign metrics in dashboard
@@ -54,8 +56,8 @@ const PerformanceMetrics = ({ metrics }) => {
       return '—'; // Em dash for N/A
     }
     
-    const cost = (activeCampaign.campaignDetails.budget / metricValue).toFixed(2);
-    return `$${cost}`;
+    const cost = activeCampaign.campaignDetails.budget / metricValue;
+    return formatCurrency(cost, getCampaignCurrency(activeCampaign), 2, 2);
   };
   
   // Calculate performance scores
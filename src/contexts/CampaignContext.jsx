@@ -5,8 +5,9 @@ import {
   getCampaignMetrics, 
   getCampaignVideos, 
   updateCampaignMetricsFromVideos,
-  submitCampaign 
+  getCampaignStatusHistory
 } from '../firebase/firestore';
+import { submitCampaignForValidation } from '../firebase/functions';
 import { useAuth } from '../hooks/useAuth';
 
 // Create the context
@@ -29,6 +30,7 @@ export const CampaignProvider = ({ children }) => {
   const [activeCampaign, setActiveCampaign] = useState(null);
   const [campaignMetrics, setCampaignMetrics] = useState(null);
   const [campaignVideos, setCampaignVideos] = useState([]);
+  const [campaignStatusHistory, setCampaignStatusHistory] = useState([]);
   const [activeCampaignLoading, setActiveCampaignLoading] = useState(false);
 
   // Fetch user's campaigns when user changes
@@ -95,8 +97,12 @@ export const CampaignProvider = ({ children }) => {
       const videos = await getCampaignVideos(campaignId);
       setCampaignVideos(videos);
       
-      // Update campaign metrics based on the actual videos
-      if (videos.length > 0) {
+      // Fetch the campaign's status changes for the timeline
+      const statusHistory = await getCampaignStatusHistory(campaignId);
+      setCampaignStatusHistory(statusHistory);
+      
+      // Update campaign metrics based on the actual videos (completed campaigns keep their final metrics)
+      if (videos.length > 0 && !campaignData.finalMetrics) {
         await updateCampaignMetricsFromVideos(campaignId);
         
         // Refetch metrics to get the updated values
@@ -130,8 +136,14 @@ export const CampaignProvider = ({ children }) => {
       const videos = await getCampaignVideos(activeCampaign.id);
       setCampaignVideos(videos);
       
-      // Update campaign metrics based on the refreshed videos
-      await updateCampaignMetricsFromVideos(activeCampaign.id);
+      // Refresh the campaign's status changes
+      const statusHistory = await getCampaignStatusHistory(activeCampaign.id);
+      setCampaignStatusHistory(statusHistory);
+      
+      // Update campaign metrics based on the refreshed videos, unless they were frozen at completion
+      if (!campaignData.finalMetrics) {
+        await updateCampaignMetricsFromVideos(activeCampaign.id);
+      }
       
       // Refresh campaign metrics
       const metrics = await getCampaignMetrics(activeCampaign.id);
@@ -152,7 +164,7 @@ export const CampaignProvider = ({ children }) => {
    */
   const submitCampaignForApproval = useCallback(async (campaignId) => {
     try {
-      await submitCampaign(campaignId);
+      await submitCampaignForValidation(campaignId);
       
       // Update local campaigns list
       setCampaigns(prevCampaigns => {
@@ -175,6 +187,7 @@ export const CampaignProvider = ({ children }) => {
           status: 'pending',
           submittedAt: new Date()
         });
+        setCampaignStatusHistory(await getCampaignStatusHistory(campaignId));
       }
       
       return true;
@@ -201,6 +214,7 @@ export const CampaignProvider = ({ children }) => {
     setActiveCampaign(null);
     setCampaignMetrics(null);
     setCampaignVideos([]);
+    setCampaignStatusHistory([]);
   }, []);
 
   // Context value
@@ -211,6 +225,7 @@ export const CampaignProvider = ({ children }) => {
     activeCampaign,
     campaignMetrics,
     campaignVideos,
+    campaignStatusHistory,
     activeCampaignLoading,
     refreshCampaigns,
     loadCampaignDetails,
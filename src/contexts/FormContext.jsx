@@ -1,5 +1,163 @@
-import React, { createContext, useState, useCallback, useContext } from 'react';
+import React, { createContext, useState, useCallback, useContext, useEffect, useRef } from 'react';
 import { logFormStepComplete } from '../firebase/analytics';
+import { saveCampaignDraft } from '../firebase/firestore';
+import { useAuth } from '../hooks/useAuth';
+import { DEFAULT_CURRENCY } from '../shared/currency';
+import { getBudgetBounds } from '../shared/pricing';
+import { validateCampaignPayload } from '../shared/campaignSchema';
+import { usePricing } from '../hooks/usePricing';
+
+// How long typing has to pause before the draft is saved
+const DRAFT_SAVE_DELAY = 1500;
+
+// Wizard steps, in order
+export const STEP_NAMES = ['songDetails', 'artistDetails', 'budget', 'targeting', 'audience', 'billing', 'payment'];
+
+// Form fields each step edits, as paths into the form data (a section covers all of its fields)
+const STEP_FIELDS = {
+  songDetails: ['songDetails', 'campaignDetails.startOption', 'campaignDetails.customStartDate'],
+  artistDetails: ['artistDetails'],
+  budget: ['campaignDetails.budget', 'campaignDetails.currency', 'campaignDetails.duration'],
+  targeting: ['campaignDetails.creatorTargeting'],
+  audience: ['campaignDetails.objectives', 'campaignDetails.hashtags', 'campaignDetails.targetAudience'],
+  billing: ['billingDetails']
+};
+
+/**
+ * Pick out the field errors that belong to a step, keyed by the field's path inside its section
+ * (e.g. title or socialLinks.instagram), as the step components look them up
+ * @param {Object} fieldErrors - Messages by full path, from validateCampaignPayload or the server
+ * @param {string} stepName - Step name
+ * @returns {Object} Step errors
+ */
+const getStepErrors = (fieldErrors, stepName) => Object.entries(fieldErrors).reduce((stepErrors, [path, message]) => (
+  (STEP_FIELDS[stepName] || []).some(field => path === field || path.startsWith(`${field}.`))
+    ? { ...stepErrors, [path.split('.').slice(1).join('.')]: message }
+    : stepErrors
+), {});
+
+/**
+ * Empty campaign form
+ * @returns {Object} Initial form data
+ */
+const getInitialFormData = () => ({
+  songDetails: {
+    title: '',
+    genre: '',
+    mood: '',
+    releaseDate: null,
+    audioUrl: '', // This will now store the audio link provided by the artist
+    coverArtUrl: '',
+    lyrics: ''
+  },
+  artistDetails: {
+    name: '',
+    bio: '',
+    socialLinks: {
+      instagram: '',
+      tiktok: '',
+      spotify: '',
+      youtube: ''
+    },
+    pressKit: ''
+  },
+  campaignDetails: {
+    budget: 200, // Set default budget to minimum $200
+    currency: DEFAULT_CURRENCY,
+    duration: 30,
+    // When the campaign starts once approved: 'approval' (straight away), 'releaseDate' or 'custom'
+    startOption: 'approval',
+    customStartDate: null,
+    // New field for creator targeting
+    creatorTargeting: {
+      creatorTypes: [],
+      audienceAge: [],
+      preferredStyles: [],
+      notes: ''
+    },
+    targetAudience: {
+      ageRange: [],
+      interests: [],
+      locations: []
+    },
+    objectives: [],
+    hashtags: []
+  },
+  billingDetails: {
+    name: '',
+    companyName: '',
+    vatId: '',
+    line1: '',
+    city: '',
+    postalCode: '',
+    region: '',
+    country: ''
+  },
+  paymentDetails: {
+    processor: '', // 'stripe', 'paypal' or 'wallet'
+    stripePaymentId: '',
+    paypalTransactionId: '',
+    amount: 0,
+    status: 'pending',
+    createdAt: null
+  }
+});
+
+/**
+ * Turn a saved date back into a Date
+ * @param {*} value - Date, Firestore Timestamp (drafts, campaigns) or ISO string (callables)
+ * @returns {Date|null}
+ */
+const toFormDate = (value) => {
+  if (!value || value instanceof Date) return value || null;
+  return value.toDate ? value.toDate() : new Date(value);
+};
+
+/**
+ * Fill saved form data (a draft or an existing campaign) into the empty form.
+ * Merged section by section so data saved before a field existed still gets its default.
+ * @param {Object} data - Saved form sections
+ * @returns {Object} Form data
+ */
+const mergeFormData = (data = {}) => {
+  const initialData = getInitialFormData();
+  const merged = Object.keys(initialData).reduce((formData, section) => ({
+    ...formData,
+    [section]: { ...initialData[section], ...data[section] }
+  }), {});
+  
+  // Dates come back as Timestamps from Firestore and as strings from callables
+  merged.songDetails.releaseDate = toFormDate(merged.songDetails.releaseDate);
+  merged.campaignDetails.customStartDate = toFormDate(merged.campaignDetails.customStartDate);
+  
+  return merged;
+};
+
+/**
+ * Pick the budget and creator targeting that carry over from a past campaign or a preset
+ * @param {Object} source - Campaign details or a saved preset
+ * @returns {Object} Campaign details fields, leaving out any the source doesn't have
+ */
+const getTemplateDetails = (source = {}) => {
+  const { budget, currency, creatorTargeting } = source;
+  
+  return {
+    ...(budget ? { budget } : {}),
+    ...(currency ? { currency } : {}),
+    ...(creatorTargeting ? {
+      creatorTargeting: { ...getInitialFormData().campaignDetails.creatorTargeting, ...creatorTargeting }
+    } : {})
+  };
+};
+
+/**
+ * Whether the artist has entered enough for the form to be worth keeping as a draft
+ * @param {Object} formData - Form data
+ * @returns {boolean}
+ */
+const hasDraftContent = (formData) => Boolean(
+  formData.songDetails.title || formData.songDetails.audioUrl || formData.artistDetails.name
+);
 
 // Create the context
 export const FormContext = createContext();
@@ -23,54 +181,7 @@ export const useFormContext = () => {
  */
 export const FormProvider = ({ children }) => {
   // Initialize form state with default values
-  const [formData, setFormData] = useState({
-    songDetails: {
-      title: '',
-      genre: '',
-      mood: '',
-      releaseDate: null,
-      audioUrl: '', // This will now store the audio link provided by the artist
-      coverArtUrl: '',
-      lyrics: ''
-    },
-    artistDetails: {
-      name: '',
-      bio: '',
-      socialLinks: {
-        instagram: '',
-        tiktok: '',
-        spotify: '',
-        youtube: ''
-      },
-      pressKit: ''
-    },
-    campaignDetails: {
-      budget: 200, // Set default budget to minimum $200
-      duration: 30,
-      // New field for creator targeting
-      creatorTargeting: {
-        creatorTypes: [],
-        audienceAge: [],
-        preferredStyles: [],
-        notes: ''
-      },
-      targetAudience: {
-        ageRange: [],
-        interests: [],
-        locations: []
-      },
-      objectives: [],
-      hashtags: []
-    },
-    paymentDetails: {
-      processor: '', // 'stripe' or 'paypal'
-      stripePaymentId: '',
-      paypalTransactionId: '',
-      amount: 0,
-      status: 'pending',
-      createdAt: null
-    }
-  });
+  const [formData, setFormData] = useState(getInitialFormData);
 
   // Current step in the multi-step form
   const [currentStep, setCurrentStep] = useState(0);
@@ -80,6 +191,67 @@ export const FormProvider = ({ children }) => {
   
   // Form submission state
   const [isSubmitting, setIsSubmitting] = useState(false);
+  
+  // Pricing tiers, for the budget bounds
+  const { pricing } = usePricing();
+  
+  // Draft autosave state: the draft being written to and 'idle' | 'saving' | 'saved' | 'error'
+  const { currentUser } = useAuth();
+  const [draftId, setDraftId] = useState(null);
+  const [draftStatus, setDraftStatus] = useState('idle');
+  
+  // Rejected campaign being edited for resubmission; these are never saved as drafts
+  const [resubmitCampaignId, setResubmitCampaignId] = useState(null);
+  const draftIdRef = useRef(null);
+  const lastSavedRef = useRef(null);
+  const saveQueueRef = useRef(Promise.resolve());
+
+  // Save the draft once the artist stops typing. Saves are queued so the first one
+  // has created the draft before the next one writes to it.
+  useEffect(() => {
+    if (!currentUser || resubmitCampaignId || !hasDraftContent(formData)) {
+      return undefined;
+    }
+    
+    const snapshot = JSON.stringify({ formData, currentStep });
+    if (snapshot === lastSavedRef.current) {
+      return undefined;
+    }
+    
+    const timer = setTimeout(() => {
+      saveQueueRef.current = saveQueueRef.current.then(async () => {
+        try {
+          setDraftStatus('saving');
+          const savedId = await saveCampaignDraft(currentUser.uid, draftIdRef.current, formData, currentStep);
+          draftIdRef.current = savedId;
+          lastSavedRef.current = snapshot;
+          setDraftId(savedId);
+          setDraftStatus('saved');
+        } catch (error) {
+          setDraftStatus('error');
+        }
+      });
+    }, DRAFT_SAVE_DELAY);
+    
+    return () => clearTimeout(timer);
+  }, [currentUser, resubmitCampaignId, formData, currentStep]);
+
+  /**
+   * Continue a saved draft, at the step it was left on
+   * @param {Object} draft - Draft from getCampaignDraft / getCampaignDrafts
+   */
+  const loadDraft = useCallback((draft) => {
+    const loadedData = mergeFormData(draft.formData);
+    const step = draft.currentStep || 0;
+    
+    draftIdRef.current = draft.id;
+    lastSavedRef.current = JSON.stringify({ formData: loadedData, currentStep: step });
+    setDraftId(draft.id);
+    setDraftStatus('saved');
+    setFormData(loadedData);
+    setCurrentStep(step);
+    setErrors({});
+  }, []);
 
   /**
    * Update a section of the form data
@@ -174,8 +346,7 @@ export const FormProvider = ({ children }) => {
     setCurrentStep(newStep);
     
     // Log analytics for step completion
-    const stepNames = ['songDetails', 'artistDetails', 'budget', 'targeting', 'payment'];
-    logFormStepComplete('campaign_creation', currentStep, stepNames[currentStep]);
+    logFormStepComplete('campaign_creation', currentStep, STEP_NAMES[currentStep]);
   }, [currentStep]);
 
   /**
@@ -194,116 +365,78 @@ export const FormProvider = ({ children }) => {
   }, []);
 
   /**
-   * Validate the current form step
+   * Validate the current form step against the campaign schema the server also checks
    * @returns {boolean} - Whether the current step is valid
    */
   const validateStep = useCallback(() => {
-    const stepNames = ['songDetails', 'artistDetails', 'budget', 'targeting', 'payment'];
-    const currentSection = stepNames[currentStep];
-    let stepErrors = {};
-    let isValid = true;
-
-    // Validation logic for each step
-    switch (currentSection) {
-      case 'songDetails':
-        if (!formData.songDetails.title) {
-          stepErrors.title = 'Title is required';
-          isValid = false;
-        }
-        if (!formData.songDetails.genre) {
-          stepErrors.genre = 'Genre is required';
-          isValid = false;
-        }
-        if (!formData.songDetails.audioUrl) {
-          stepErrors.audioUrl = 'Audio link is required';
-          isValid = false;
-        }
-        break;
-        
-      case 'artistDetails':
-        if (!formData.artistDetails.name) {
-          stepErrors.name = 'Artist name is required';
-          isValid = false;
-        }
-        break;
-        
-      case 'budget':
-        if (!formData.campaignDetails.budget || formData.campaignDetails.budget < 200) {
-          stepErrors.budget = 'Budget must be at least $200';
-          isValid = false;
-        }
-        if (!formData.campaignDetails.duration || formData.campaignDetails.duration < 7) {
-          stepErrors.duration = 'Duration must be at least 7 days';
-          isValid = false;
-        }
-        break;
-        
-      case 'targeting':
-        if (!formData.campaignDetails.creatorTargeting.creatorTypes.length) {
-          stepErrors.creatorTypes = 'Please select at least one creator type';
-          isValid = false;
-        }
-        break;
-        
-      default:
-        break;
-    }
+    // A resubmitted campaign keeps the budget it was bought with, whatever the current bounds
+    const budgetBounds = resubmitCampaignId ? null : getBudgetBounds(formData.campaignDetails.currency, pricing);
+    const { fieldErrors } = validateCampaignPayload(formData, { budgetBounds });
+    const stepErrors = getStepErrors(fieldErrors, STEP_NAMES[currentStep]);
 
     setErrors(stepErrors);
-    return isValid;
-  }, [currentStep, formData]);
+    return Object.keys(stepErrors).length === 0;
+  }, [currentStep, formData, pricing, resubmitCampaignId]);
+
+  /**
+   * Show field errors from the server on the wizard, going back to the first step that has any
+   * @param {Object} fieldErrors - Messages by full path, e.g. { 'songDetails.title': '...' }
+   * @returns {boolean} - Whether any of the errors belong to a step
+   */
+  const applyFieldErrors = useCallback((fieldErrors = {}) => {
+    const stepIndex = STEP_NAMES.findIndex(stepName => Object.keys(getStepErrors(fieldErrors, stepName)).length > 0);
+    if (stepIndex === -1) {
+      return false;
+    }
+
+    setCurrentStep(stepIndex);
+    setErrors(getStepErrors(fieldErrors, STEP_NAMES[stepIndex]));
+    return true;
+  }, []);
+
+  /**
+   * Load a rejected campaign into the form so the artist can edit and resubmit it
+   * @param {Object} campaign - Rejected campaign
+   */
+  const loadCampaignForResubmission = useCallback((campaign) => {
+    setFormData(mergeFormData(campaign));
+    setResubmitCampaignId(campaign.id);
+    setCurrentStep(0);
+    setErrors({});
+  }, []);
+
+  /**
+   * Start a new campaign from a past one: the artist, budget and creator targeting carry over
+   * and the song details are left blank for the new release
+   * @param {Object} campaign - Campaign to duplicate
+   */
+  const loadCampaignAsTemplate = useCallback((campaign) => {
+    setFormData(mergeFormData({
+      artistDetails: campaign.artistDetails,
+      campaignDetails: getTemplateDetails(campaign.campaignDetails)
+    }));
+    setCurrentStep(0);
+    setErrors({});
+  }, []);
+
+  /**
+   * Apply a saved budget and targeting preset to the campaign being created
+   * @param {Object} preset - Preset from getCampaignPresets
+   */
+  const applyPreset = useCallback((preset) => {
+    updateFormData('campaignDetails', getTemplateDetails(preset));
+  }, [updateFormData]);
 
   /**
    * Reset the form to its initial state
    */
   const resetForm = useCallback(() => {
-    setFormData({
-      songDetails: {
-        title: '',
-        genre: '',
-        mood: '',
-        releaseDate: null,
-        audioUrl: '',
-        coverArtUrl: '',
-        lyrics: ''
-      },
-      artistDetails: {
-        name: '',
-        bio: '',
-        socialLinks: {
-          instagram: '',
-          tiktok: '',
-          spotify: '',
-          youtube: ''
-        },
-        pressKit: ''
-      },
-      campaignDetails: {
-        budget: 200,
-        duration: 30,
-        creatorTargeting: {
-          creatorTypes: [],
-          audienceAge: [],
-          preferredStyles: [],
-          notes: ''
-        },
-        targetAudience: {
-          ageRange: [],
-          interests: [],
-          locations: []
-        },
-        objectives: [],
-        hashtags: []
-      },
-      paymentDetails: {
-        processor: '',
-        stripePaymentId: '',
-        paypalTransactionId: '',
-        amount: 0,
-        status: 'pending',
-        createdAt: null
-      }
-    });
+    setFormData(getInitialFormData());
+    draftIdRef.current = null;
+    lastSavedRef.current = null;
+    setDraftId(null);
+    setDraftStatus('idle');
+    setResubmitCampaignId(null);
     setCurrentStep(0);
     setErrors({});
     setIsSubmitting(false);
@@ -323,7 +456,15 @@ export const FormProvider = ({ children }) => {
     prevStep,
     goToStep,
     validateStep,
+    applyFieldErrors,
     resetForm,
+    draftId,
+    draftStatus,
+    loadDraft,
+    resubmitCampaignId,
+    loadCampaignForResubmission,
+    loadCampaignAsTemplate,
+    applyPreset,
     setIsSubmitting,
     setErrors
   };
@@ -103,13 +103,15 @@ export const logCampaignSubmission = (campaignId) => {
  * @param {string} campaignId - ID of the campaign
  * @param {number} amount - Payment amount
  * @param {string} currency - Payment currency
+ * @param {number} tax - Tax included in the amount
  */
-export const logPayment = (campaignId, amount, currency = 'USD') => {
+export const logPayment = (campaignId, amount, currency = 'USD', tax = 0) => {
   try {
     if (analytics) {
       logEvent(analytics, 'purchase', {
         transaction_id: campaignId,
         value: amount,
+        tax,
         currency,
         items: [{ item_id: campaignId, item_name: 'TikTok Promotion Campaign' }]
       });
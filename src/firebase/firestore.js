@@ -19,39 +19,6 @@ import { db } from './config';
  * CAMPAIGN METHODS
  */
 
-/**
- * Create a new campaign
- * @param {string} userId - User ID of the campaign creator
- * @param {Object} campaignData - Campaign data
- * @returns {Promise<string>} - Campaign ID
- */
-export const createCampaign = async (userId, campaignData) => {
-  try {
-    // Ensure songDetails has valid URLs
-    const validatedCampaignData = {
-      ...campaignData,
-      songDetails: {
-        ...campaignData.songDetails,
-        audioUrl: campaignData.songDetails.audioUrl || '',
-        coverArtUrl: campaignData.songDetails.coverArtUrl || ''
-      }
-    };
-    
-    const campaignRef = await addDoc(collection(db, 'campaigns'), {
-      userId,
-      ...validatedCampaignData,
-      status: 'draft',
-      createdAt: serverTimestamp(),
-      isValidated: false
-    });
-    
-    return campaignRef.id;
-  } catch (error) {
-    console.error('Error creating campaign:', error);
-    throw error;
-  }
-};
-
 /**
  * Get a campaign by ID
  * @param {string} campaignId - Campaign ID
@@ -131,13 +98,18 @@ export const getActiveCampaigns = async (limitCount = 50) => {
 };
 
 /**
- * Update a campaign
+ * Update a campaign's details
+ * Status changes go through Cloud Functions so they follow the transition table and are logged
  * @param {string} campaignId - Campaign ID
  * @param {Object} campaignData - Updated campaign data
  * @returns {Promise<void>}
  */
 export const updateCampaign = async (campaignId, campaignData) => {
   try {
+    if ('status' in campaignData) {
+      throw new Error('Campaign status can only be changed through the updateCampaignStatus Cloud Function');
+    }
+    
     const campaignRef = doc(db, 'campaigns', campaignId);
     await updateDoc(campaignRef, {
       ...campaignData,
@@ -151,12 +123,24 @@ export const updateCampaign = async (campaignId, campaignData) => {
 
 /**
  * Delete a campaign
+ * Only unpaid drafts can be deleted; submitted campaigns must be cancelled so they get refunded
  * @param {string} campaignId - Campaign ID
  * @returns {Promise<void>}
  */
 export const deleteCampaign = async (campaignId) => {
   try {
-    await deleteDoc(doc(db, 'campaigns', campaignId));
+    const campaignRef = doc(db, 'campaigns', campaignId);
+    const campaignSnap = await getDoc(campaignRef);
+    
+    if (!campaignSnap.exists()) {
+      throw new Error('Campaign not found');
+    }
+    
+    if (campaignSnap.data().status !== 'draft') {
+      throw new Error('Only draft campaigns can be deleted. Cancel the campaign instead.');
+    }
+    
+    await deleteDoc(campaignRef);
   } catch (error) {
     console.error('Error deleting campaign:', error);
     throw error;
@@ -164,19 +148,213 @@ export const deleteCampaign = async (campaignId) => {
 };
 
 /**
- * Submit a campaign for validation
+ * Get a campaign's status changes, oldest first
+ * Written by Cloud Functions whenever the status changes; the actor is { uid, role }
  * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Array>} - Array of { from, to, actor, reason, createdAt }
+ */
+export const getCampaignStatusHistory = async (campaignId) => {
+  try {
+    const q = query(
+      collection(db, `campaigns/${campaignId}/statusHistory`),
+      orderBy('createdAt', 'asc')
+    );
+    
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  } catch (error) {
+    console.error('Error getting campaign status history:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a saved version of a campaign from before it was edited and resubmitted
+ * @param {string} campaignId - Campaign ID
+ * @param {string} revisionId - Revision ID (the campaign's lastRevisionId for the latest one)
+ * @returns {Promise<Object|null>} - Rejected version of the campaign, with adminNotes and rejectedAt
+ */
+export const getCampaignRevision = async (campaignId, revisionId) => {
+  try {
+    const revisionSnap = await getDoc(doc(db, `campaigns/${campaignId}/revisions`, revisionId));
+    return revisionSnap.exists() ? { id: revisionSnap.id, ...revisionSnap.data() } : null;
+  } catch (error) {
+    console.error('Error getting campaign revision:', error);
+    throw error;
+  }
+};
+
+/**
+ * CAMPAIGN DRAFT METHODS
+ */
+
+/**
+ * Turn a stored draft back into wizard form data (Firestore returns dates as Timestamps)
+ * @param {Object} docSnap - Draft document snapshot
+ * @returns {Object} - { id, formData, currentStep, updatedAt, ... }
+ */
+const toCampaignDraft = (docSnap) => {
+  const draft = docSnap.data();
+  const releaseDate = draft.formData?.songDetails?.releaseDate;
+  
+  return {
+    id: docSnap.id,
+    ...draft,
+    formData: {
+      ...draft.formData,
+      songDetails: {
+        ...draft.formData?.songDetails,
+        releaseDate: releaseDate?.toDate ? releaseDate.toDate() : releaseDate || null
+      }
+    }
+  };
+};
+
+/**
+ * Save the campaign creation wizard as a draft
+ * Payment details are never stored; the draft is deleted once its checkout has been paid
+ * @param {string} userId - User ID
+ * @param {string|null} draftId - Existing draft ID, or null to start a new draft
+ * @param {Object} formData - Wizard form data
+ * @param {number} currentStep - Wizard step the user is on
+ * @returns {Promise<string>} - Draft ID
+ */
+export const saveCampaignDraft = async (userId, draftId, formData, currentStep) => {
+  try {
+    const { paymentDetails, ...draftData } = formData;
+    const draftRef = draftId ? doc(db, 'campaignDrafts', draftId) : doc(collection(db, 'campaignDrafts'));
+    
+    await setDoc(draftRef, {
+      userId,
+      formData: draftData,
+      currentStep,
+      title: draftData.songDetails?.title || '',
+      updatedAt: serverTimestamp(),
+      ...(draftId ? {} : { createdAt: serverTimestamp() })
+    }, { merge: true });
+    
+    return draftRef.id;
+  } catch (error) {
+    console.error('Error saving campaign draft:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's unfinished campaign drafts
+ * @param {string} userId - User ID
+ * @param {number} limitCount - Maximum number of drafts
+ * @returns {Promise<Array>} - Array of drafts, most recently saved first
+ */
+export const getCampaignDrafts = async (userId, limitCount = 20) => {
+  try {
+    const q = query(
+      collection(db, 'campaignDrafts'),
+      where('userId', '==', userId),
+      orderBy('updatedAt', 'desc'),
+      limit(limitCount)
+    );
+    
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(toCampaignDraft);
+  } catch (error) {
+    console.error('Error getting campaign drafts:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a campaign draft by ID
+ * @param {string} draftId - Draft ID
+ * @returns {Promise<Object|null>} - Draft, or null if it no longer exists
+ */
+export const getCampaignDraft = async (draftId) => {
+  try {
+    const draftSnap = await getDoc(doc(db, 'campaignDrafts', draftId));
+    return draftSnap.exists() ? toCampaignDraft(draftSnap) : null;
+  } catch (error) {
+    console.error('Error getting campaign draft:', error);
+    throw error;
+  }
+};
+
+/**
+ * Discard a campaign draft
+ * @param {string} draftId - Draft ID
  * @returns {Promise<void>}
  */
-export const submitCampaign = async (campaignId) => {
+export const deleteCampaignDraft = async (draftId) => {
   try {
-    const campaignRef = doc(db, 'campaigns', campaignId);
-    await updateDoc(campaignRef, {
-      status: 'pending',
-      submittedAt: serverTimestamp()
+    await deleteDoc(doc(db, 'campaignDrafts', draftId));
+  } catch (error) {
+    console.error('Error deleting campaign draft:', error);
+    throw error;
+  }
+};
+
+/**
+ * CAMPAIGN PRESET METHODS
+ */
+
+/**
+ * Save a named budget and creator targeting preset to apply to later campaigns
+ * @param {string} userId - User ID
+ * @param {string} name - Preset name
+ * @param {Object} campaignDetails - Campaign details form section; only budget, currency and targeting are kept
+ * @returns {Promise<string>} - Preset ID
+ */
+export const saveCampaignPreset = async (userId, name, campaignDetails) => {
+  try {
+    const presetRef = await addDoc(collection(db, 'campaignPresets'), {
+      userId,
+      name,
+      budget: campaignDetails.budget,
+      currency: campaignDetails.currency,
+      creatorTargeting: campaignDetails.creatorTargeting,
+      createdAt: serverTimestamp()
     });
+    
+    return presetRef.id;
+  } catch (error) {
+    console.error('Error saving campaign preset:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get a user's campaign presets
+ * @param {string} userId - User ID
+ * @returns {Promise<Array>} - Array of presets, sorted by name
+ */
+export const getCampaignPresets = async (userId) => {
+  try {
+    const q = query(
+      collection(db, 'campaignPresets'),
+      where('userId', '==', userId),
+      orderBy('name')
+    );
+    
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+  } catch (error) {
+    console.error('Error getting campaign presets:', error);
+    throw error;
+  }
+};
+
+/**
+ * Delete a campaign preset
+ * @param {string} presetId - Preset ID
+ * @returns {Promise<void>}
+ */
+export const deleteCampaignPreset = async (presetId) => {
+  try {
+    await deleteDoc(doc(db, 'campaignPresets', presetId));
   } catch (error) {
-    console.error('Error submitting campaign:', error);
+    console.error('Error deleting campaign preset:', error);
     throw error;
   }
 };
@@ -339,6 +517,12 @@ export const addVideoToCampaign = async (videoData) => {
       throw new Error('Missing required fields for video');
     }
     
+    // Paused campaigns don't take new creator work
+    const campaignSnap = await getDoc(doc(db, 'campaigns', videoData.campaignId));
+    if (campaignSnap.exists() && campaignSnap.data().status === 'paused') {
+      throw new Error('This campaign is paused. Videos can be added once it resumes.');
+    }
+    
     // Add timestamps
     const enrichedVideoData = {
       ...videoData,
@@ -485,49 +669,233 @@ export const getPendingCampaigns = async (limitCount = 20) => {
 };
 
 /**
- * Validate a campaign (admin only)
- * @param {string} campaignId - Campaign ID
- * @param {boolean} isApproved - Whether the campaign is approved
+ * PROMO CODE METHODS
+ */
+
+/**
+ * Get all promo codes (admin only)
+ * @returns {Promise<Array>} - Array of promo code objects
+ */
+export const getPromoCodes = async () => {
+  try {
+    const q = query(collection(db, 'promoCodes'), orderBy('createdAt', 'desc'));
+    
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  } catch (error) {
+    console.error('Error getting promo codes:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a promo code (admin only)
+ * Codes are stored upper-case and used as the document ID
+ * Fixed amounts and minimum budgets are in the promo's currency
+ * @param {Object} promoData - { code, type: 'percentage'|'fixed', value, currency, expiresAt, maxRedemptions, minBudget }
  * @param {string} adminId - Admin user ID
- * @param {string} notes - Optional admin notes
- * @returns {Promise<void>}
+ * @returns {Promise<string>} - Promo code
  */
-export const validateCampaign = async (campaignId, isApproved, adminId, notes = '') => {
+export const createPromoCode = async (promoData, adminId) => {
   try {
-    const campaignRef = doc(db, 'campaigns', campaignId);
-    const campaignSnap = await getDoc(campaignRef);
+    const code = promoData.code.trim().toUpperCase();
+    const promoRef = doc(db, 'promoCodes', code);
     
-    if (!campaignSnap.exists()) {
-      throw new Error('Campaign not found');
+    const existingSnap = await getDoc(promoRef);
+    if (existingSnap.exists()) {
+      throw new Error(`Promo code ${code} already exists`);
     }
     
-    const campaignData = campaignSnap.data();
+    await setDoc(promoRef, {
+      code,
+      type: promoData.type,
+      value: promoData.value,
+      currency: promoData.currency || 'USD',
+      expiresAt: promoData.expiresAt || null,
+      maxRedemptions: promoData.maxRedemptions || null,
+      minBudget: promoData.minBudget || null,
+      redemptionCount: 0,
+      active: true,
+      createdBy: adminId,
+      createdAt: serverTimestamp()
+    });
     
-    await updateDoc(campaignRef, {
-      status: isApproved ? 'active' : 'rejected',
-      isValidated: true,
-      validatedBy: adminId,
-      adminNotes: notes,
-      validatedAt: serverTimestamp(),
-      startDate: isApproved ? serverTimestamp() : null,
-      endDate: isApproved 
-        ? new Date(Date.now() + (campaignData.campaignDetails.duration * 86400000))
-        : null
+    return code;
+  } catch (error) {
+    console.error('Error creating promo code:', error);
+    throw error;
+  }
+};
+
+/**
+ * Enable or disable a promo code (admin only)
+ * @param {string} code - Promo code
+ * @param {boolean} active - Whether the code can be used
+ * @returns {Promise<void>}
+ */
+export const setPromoCodeActive = async (code, active) => {
+  try {
+    await updateDoc(doc(db, 'promoCodes', code), {
+      active,
+      updatedAt: serverTimestamp()
     });
   } catch (error) {
-    console.error('Error validating campaign:', error);
+    console.error('Error updating promo code:', error);
+    throw error;
+  }
+};
+
+/**
+ * CREDIT WALLET METHODS
+ */
+
+/**
+ * Get a user's credit wallet
+ * Balances are kept per currency and only changed by Cloud Functions
+ * @param {string} userId - User ID
+ * @returns {Promise<Object>} - { balances: { USD: 0, ... } }
+ */
+export const getWallet = async (userId) => {
+  try {
+    const walletSnap = await getDoc(doc(db, 'wallets', userId));
+    
+    if (!walletSnap.exists()) {
+      return { balances: {} };
+    }
+    
+    return {
+      id: walletSnap.id,
+      balances: {},
+      ...walletSnap.data()
+    };
+  } catch (error) {
+    console.error('Error getting wallet:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the latest ledger entries (top-ups, spends and refunds) on a user's wallet
+ * @param {string} userId - User ID
+ * @param {number} limitCount - Maximum number of entries
+ * @returns {Promise<Array>} - Array of ledger entries, newest first
+ */
+export const getWalletTransactions = async (userId, limitCount = 20) => {
+  try {
+    const q = query(
+      collection(db, `wallets/${userId}/transactions`),
+      orderBy('createdAt', 'desc'),
+      limit(limitCount)
+    );
+    
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  } catch (error) {
+    console.error('Error getting wallet transactions:', error);
+    throw error;
+  }
+};
+
+/**
+ * CREATOR PAYOUT METHODS
+ */
+
+/**
+ * Get payout ledger entries in one state (admin only)
+ * Entries are written by Cloud Functions, one per published video
+ * @param {string} status - 'accrued', 'batched', 'paid' or 'void'
+ * @param {number} limitCount - Maximum number of entries
+ * @returns {Promise<Array>} - Array of ledger entries, oldest first
+ */
+export const getPayoutLedgerEntries = async (status = 'accrued', limitCount = 500) => {
+  try {
+    const q = query(
+      collection(db, 'payoutLedger'),
+      where('status', '==', status),
+      orderBy('accruedAt', 'asc'),
+      limit(limitCount)
+    );
+    
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  } catch (error) {
+    console.error('Error getting payout ledger:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the latest payout runs (admin only)
+ * @param {number} limitCount - Maximum number of runs
+ * @returns {Promise<Array>} - Array of payout runs, newest first
+ */
+export const getPayoutRuns = async (limitCount = 20) => {
+  try {
+    const q = query(
+      collection(db, 'payoutRuns'),
+      orderBy('createdAt', 'desc'),
+      limit(limitCount)
+    );
+    
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data()
+    }));
+  } catch (error) {
+    console.error('Error getting payout runs:', error);
+    throw error;
+  }
+};
+
+/**
+ * PRICING METHODS
+ */
+
+/**
+ * Get the pricing tiers in force
+ * Saved by admins through the updatePricing Cloud Function; null until pricing has first been saved
+ * @returns {Promise<Object|null>} - { version, budgetStep, reachVariance, reachDurationExponent, tiers }
+ */
+export const getPricingConfig = async () => {
+  try {
+    const pricingSnap = await getDoc(doc(db, 'config', 'pricing'));
+    
+    if (!pricingSnap.exists()) {
+      return null;
+    }
+    
+    return pricingSnap.data();
+  } catch (error) {
+    console.error('Error getting pricing:', error);
     throw error;
   }
 };
 
 export default {
-  createCampaign,
   getCampaign,
   getUserCampaigns,
   getActiveCampaigns,
   updateCampaign,
   deleteCampaign,
-  submitCampaign,
+  getCampaignStatusHistory,
+  getCampaignRevision,
+  saveCampaignDraft,
+  getCampaignDrafts,
+  getCampaignDraft,
+  deleteCampaignDraft,
+  saveCampaignPreset,
+  getCampaignPresets,
+  deleteCampaignPreset,
   getCampaignMetrics,
   updateCampaignMetrics,
   getDailyMetrics,
@@ -537,5 +905,12 @@ export default {
   deleteVideo,
   updateCampaignMetricsFromVideos,
   getPendingCampaigns,
-  validateCampaign
+  getPromoCodes,
+  createPromoCode,
+  setPromoCodeActive,
+  getWallet,
+  getWalletTransactions,
+  getPayoutLedgerEntries,
+  getPayoutRuns,
+  getPricingConfig
 };
\ No newline at end of file
@@ -36,6 +36,76 @@ export const validateCampaign = async (campaignId, isApproved, notes = '') => {
   }
 };
 
+/**
+ * Change a campaign's status; the server checks the change against its transition table
+ * @param {string} campaignId - Campaign ID
+ * @param {string} status - New status
+ * @param {string} reason - Optional reason, kept in the campaign's status history
+ * @returns {Promise<Object>} - { success, previousStatus, status }
+ */
+export const updateCampaignStatus = async (campaignId, status, reason = '') => {
+  try {
+    const updateCampaignStatusFunc = httpsCallable(functions, 'updateCampaignStatus');
+    const result = await updateCampaignStatusFunc({ campaignId, status, reason });
+    return result.data;
+  } catch (error) {
+    console.error('Error updating campaign status:', error);
+    throw error;
+  }
+};
+
+/**
+ * Send an edited rejected campaign back for review
+ * Reuses the original payment, or the credits it was refunded; if the money went back to a card
+ * or PayPal the result says so and the artist pays again through a checkout
+ * @param {string} campaignId - Rejected campaign ID
+ * @param {Object} campaign - { songDetails, artistDetails, campaignDetails, billingDetails }
+ * @returns {Promise<Object>} - { success, paymentRequired, campaignId, paymentType }
+ */
+export const resubmitCampaign = async (campaignId, campaign) => {
+  try {
+    const resubmitCampaignFunc = httpsCallable(functions, 'resubmitCampaign');
+    const result = await resubmitCampaignFunc({ campaignId, campaign });
+    return result.data;
+  } catch (error) {
+    console.error('Error resubmitting campaign:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get the refund an artist would receive for cancelling a campaign now
+ * @param {string} campaignId - Campaign ID
+ * @returns {Promise<Object>} - Refund quote
+ */
+export const previewCampaignCancellation = async (campaignId) => {
+  try {
+    const cancelCampaignFunc = httpsCallable(functions, 'cancelCampaign');
+    const result = await cancelCampaignFunc({ campaignId, dryRun: true });
+    return result.data.quote;
+  } catch (error) {
+    console.error('Error previewing campaign cancellation:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cancel a pending or active campaign and refund the unused part of the budget
+ * @param {string} campaignId - Campaign ID
+ * @param {string} reason - Optional cancellation reason
+ * @returns {Promise<Object>} - { success, quote, refund }
+ */
+export const cancelCampaign = async (campaignId, reason = '') => {
+  try {
+    const cancelCampaignFunc = httpsCallable(functions, 'cancelCampaign');
+    const result = await cancelCampaignFunc({ campaignId, reason });
+    return result.data;
+  } catch (error) {
+    console.error('Error cancelling campaign:', error);
+    throw error;
+  }
+};
+
 /**
  * Fetch TikTok video details using the video ID
  * @param {string} tiktokId - TikTok video ID
@@ -100,28 +170,335 @@ export const refreshVideoMetrics = async (videoId, tiktokId) => {
 };
 
 /**
- * For now, we'll use placeholders for these functions
- * In a real app, these would call actual cloud functions
+ * Check a promo code against a budget
+ * @param {string} code - Promo code
+ * @param {number} budget - Campaign budget
+ * @param {string} currency - Campaign currency
+ * @returns {Promise<Object>} - { code, type, value, discount, amount }
  */
+export const validatePromoCode = async (code, budget, currency = 'USD') => {
+  try {
+    const validatePromoCodeFunc = httpsCallable(functions, 'validatePromoCode');
+    const result = await validatePromoCodeFunc({ code, budget, currency });
+    return result.data;
+  } catch (error) {
+    console.error('Error validating promo code:', error);
+    throw error;
+  }
+};
 
-export const createPaymentIntent = async (campaignId, amount) => {
-  console.log('Creating payment intent for', campaignId, 'with amount', amount);
-  // Mock response
-  return {
-    clientSecret: 'mock_client_secret_' + Math.random().toString(36).substring(2, 15)
-  };
+/**
+ * Price a checkout (discount and tax) before the campaign is created
+ * @param {number} budget - Campaign budget
+ * @param {string} currency - Campaign currency
+ * @param {string} promoCode - Optional promo code
+ * @param {Object} billingDetails - Billing address ({ country, region, vatId, ... })
+ * @returns {Promise<Object>} - { budget, discount, promoCode, subtotal, tax, total, currency }
+ */
+export const quoteCheckout = async (budget, currency, promoCode, billingDetails) => {
+  try {
+    const quoteCheckoutFunc = httpsCallable(functions, 'quoteCheckout');
+    const result = await quoteCheckoutFunc({ budget, currency, promoCode, billingDetails });
+    return result.data;
+  } catch (error) {
+    console.error('Error quoting checkout:', error);
+    throw error;
+  }
 };
 
-export const handlePaymentSuccess = async (campaignId, paymentIntentId) => {
-  console.log('Payment success for', campaignId, 'with intent', paymentIntentId);
-  return { success: true };
+/**
+ * Start a checkout for a new campaign
+ * The form is held on the server and the campaign is only created once payment is confirmed
+ * @param {Object} campaign - { songDetails, artistDetails, campaignDetails, billingDetails }
+ * @param {Object} options - { draftId: wizard draft to delete once paid, resubmitCampaignId: rejected campaign the payment resubmits }
+ * @returns {Promise<Object>} - { checkoutId, expiresAt }
+ */
+export const createCheckoutSession = async (campaign, { draftId = null, resubmitCampaignId = null } = {}) => {
+  try {
+    const createCheckoutSessionFunc = httpsCallable(functions, 'createCheckoutSession');
+    const result = await createCheckoutSessionFunc({ campaign, draftId, resubmitCampaignId });
+    return result.data;
+  } catch (error) {
+    console.error('Error creating checkout session:', error);
+    throw error;
+  }
 };
 
-export const handlePaymentFailure = async (campaignId, paymentIntentId, errorMessage) => {
-  console.log('Payment failure for', campaignId, 'with intent', paymentIntentId, ':', errorMessage);
-  return { success: false };
+/**
+ * Create the campaign for a checkout once its card payment has been confirmed
+ * The server checks the payment with Stripe; the webhook does the same if this call never arrives
+ * @param {string} checkoutId - Checkout ID
+ * @returns {Promise<Object>} - { success, campaignId }
+ */
+export const confirmCheckoutPayment = async (checkoutId) => {
+  try {
+    const confirmCheckoutPaymentFunc = httpsCallable(functions, 'confirmCheckoutPayment');
+    const result = await confirmCheckoutPaymentFunc({ checkoutId });
+    return result.data;
+  } catch (error) {
+    console.error('Error confirming checkout payment:', error);
+    throw error;
+  }
 };
 
+/**
+ * Create a Stripe PaymentIntent for a campaign checkout
+ * The amount is calculated on the server from the budget stored on the checkout
+ * @param {string} checkoutId - Checkout ID
+ * @param {string} promoCode - Optional promo code
+ * @param {boolean} savePaymentMethod - Keep the card for later payments
+ * @returns {Promise<Object>} - { clientSecret, paymentIntentId, amount, discount, currency }
+ */
+export const createPaymentIntent = async (checkoutId, promoCode = null, savePaymentMethod = false) => {
+  try {
+    const createPaymentIntentFunc = httpsCallable(functions, 'createPaymentIntent');
+    const result = await createPaymentIntentFunc({ checkoutId, promoCode, savePaymentMethod });
+    return result.data;
+  } catch (error) {
+    console.error('Error creating payment intent:', error);
+    throw error;
+  }
+};
+
+/**
+ * Create a PayPal order for a campaign checkout
+ * The amount is calculated on the server from the budget stored on the checkout
+ * @param {string} checkoutId - Checkout ID
+ * @param {string} promoCode - Optional promo code
+ * @returns {Promise<Object>} - { orderId, amount, discount }
+ */
+export const createPayPalOrder = async (checkoutId, promoCode = null) => {
+  try {
+    const createPayPalOrderFunc = httpsCallable(functions, 'createPayPalOrder');
+    const result = await createPayPalOrderFunc({ checkoutId, promoCode });
+    return result.data;
+  } catch (error) {
+    console.error('Error creating PayPal order:', error);
+    throw error;
+  }
+};
+
+/**
+ * Capture an approved PayPal order on the server
+ * The server verifies amount, currency and status before creating the campaign
+ * @param {string} checkoutId - Checkout ID
+ * @param {string} orderId - PayPal order ID
+ * @returns {Promise<Object>} - { success, campaignId, transactionId, amount, currency }
+ */
+export const capturePayPalOrder = async (checkoutId, orderId) => {
+  try {
+    const capturePayPalOrderFunc = httpsCallable(functions, 'capturePayPalOrder');
+    const result = await capturePayPalOrderFunc({ checkoutId, orderId });
+    return result.data;
+  } catch (error) {
+    console.error('Error capturing PayPal order:', error);
+    throw error;
+  }
+};
+
+/**
+ * Add budget to an active campaign, charged as a separate payment
+ * @param {string} campaignId - Campaign ID
+ * @param {number} amount - Budget to add (tax is charged on top)
+ * @param {number} extendDays - Days to extend the campaign by (0 for none)
+ * @param {string} processor - 'stripe', 'paypal' or 'wallet'
+ * @returns {Promise<Object>} - { topUpId, clientSecret (Stripe) or orderId (PayPal), amount, tax, currency }
+ */
+export const createBudgetTopUp = async (campaignId, amount, extendDays, processor) => {
+  try {
+    const createBudgetTopUpFunc = httpsCallable(functions, 'createBudgetTopUp');
+    const result = await createBudgetTopUpFunc({ campaignId, amount, extendDays, processor });
+    return result.data;
+  } catch (error) {
+    console.error('Error creating budget top-up:', error);
+    throw error;
+  }
+};
+
+/**
+ * Capture an approved PayPal budget top-up
+ * @param {string} campaignId - Campaign ID
+ * @param {string} orderId - PayPal order ID
+ * @returns {Promise<Object>} - { success, transactionId, amount, tax, currency }
+ */
+export const captureBudgetTopUp = async (campaignId, orderId) => {
+  try {
+    const captureBudgetTopUpFunc = httpsCallable(functions, 'captureBudgetTopUp');
+    const result = await captureBudgetTopUpFunc({ campaignId, orderId });
+    return result.data;
+  } catch (error) {
+    console.error('Error capturing budget top-up:', error);
+    throw error;
+  }
+};
+
+/**
+ * Pay for a campaign checkout from the credit wallet
+ * The server debits the wallet and creates the campaign in one transaction
+ * @param {string} checkoutId - Checkout ID
+ * @param {string} promoCode - Optional promo code
+ * @returns {Promise<Object>} - { success, campaignId, transactionId, amount, discount, tax, currency, balance }
+ */
+export const payWithCredits = async (checkoutId, promoCode = null) => {
+  try {
+    const payWithCreditsFunc = httpsCallable(functions, 'payWithCredits');
+    const result = await payWithCreditsFunc({ checkoutId, promoCode });
+    return result.data;
+  } catch (error) {
+    console.error('Error paying with credits:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start a wallet top-up
+ * @param {number} amount - Amount to add
+ * @param {string} currency - Wallet currency
+ * @param {string} processor - 'stripe' or 'paypal'
+ * @returns {Promise<Object>} - { topUpId, clientSecret (Stripe) or orderId (PayPal), amount, currency }
+ */
+export const createWalletTopUp = async (amount, currency, processor) => {
+  try {
+    const createWalletTopUpFunc = httpsCallable(functions, 'createWalletTopUp');
+    const result = await createWalletTopUpFunc({ amount, currency, processor });
+    return result.data;
+  } catch (error) {
+    console.error('Error creating wallet top-up:', error);
+    throw error;
+  }
+};
+
+/**
+ * Capture an approved PayPal wallet top-up
+ * @param {string} orderId - PayPal order ID
+ * @returns {Promise<Object>} - { success, amount, currency, balance }
+ */
+export const captureWalletTopUp = async (orderId) => {
+  try {
+    const captureWalletTopUpFunc = httpsCallable(functions, 'captureWalletTopUp');
+    const result = await captureWalletTopUpFunc({ orderId });
+    return result.data;
+  } catch (error) {
+    console.error('Error capturing wallet top-up:', error);
+    throw error;
+  }
+};
+
+/**
+ * Start saving a card for later payments
+ * @returns {Promise<Object>} - { clientSecret } of a Stripe SetupIntent
+ */
+export const createSetupIntent = async () => {
+  try {
+    const createSetupIntentFunc = httpsCallable(functions, 'createSetupIntent');
+    const result = await createSetupIntentFunc();
+    return result.data;
+  } catch (error) {
+    console.error('Error creating setup intent:', error);
+    throw error;
+  }
+};
+
+/**
+ * List the user's saved cards
+ * @returns {Promise<Array>} - [{ id, brand, last4, expMonth, expYear }]
+ */
+export const listPaymentMethods = async () => {
+  try {
+    const listPaymentMethodsFunc = httpsCallable(functions, 'listPaymentMethods');
+    const result = await listPaymentMethodsFunc();
+    return result.data.paymentMethods;
+  } catch (error) {
+    console.error('Error listing payment methods:', error);
+    throw error;
+  }
+};
+
+/**
+ * Remove a saved card
+ * @param {string} paymentMethodId - Stripe PaymentMethod ID
+ * @returns {Promise<Object>} - { success }
+ */
+export const removePaymentMethod = async (paymentMethodId) => {
+  try {
+    const removePaymentMethodFunc = httpsCallable(functions, 'removePaymentMethod');
+    const result = await removePaymentMethodFunc({ paymentMethodId });
+    return result.data;
+  } catch (error) {
+    console.error('Error removing payment method:', error);
+    throw error;
+  }
+};
+
+/**
+ * Gather all accrued creator payouts into a new payout run (admin only)
+ * @returns {Promise<Object>} - { payoutRunId, creators, totals, entryCount, skipped }
+ */
+export const createPayoutRun = async () => {
+  try {
+    const createPayoutRunFunc = httpsCallable(functions, 'createPayoutRun');
+    const result = await createPayoutRunFunc();
+    return result.data;
+  } catch (error) {
+    console.error('Error creating payout run:', error);
+    throw error;
+  }
+};
+
+/**
+ * Mark a payout run as paid (admin only)
+ * @param {string} payoutRunId - Payout run ID
+ * @param {string} reference - Bank or payment provider reference
+ * @returns {Promise<Object>} - { success }
+ */
+export const markPayoutRunPaid = async (payoutRunId, reference = '') => {
+  try {
+    const markPayoutRunPaidFunc = httpsCallable(functions, 'markPayoutRunPaid');
+    const result = await markPayoutRunPaidFunc({ payoutRunId, reference });
+    return result.data;
+  } catch (error) {
+    console.error('Error marking payout run paid:', error);
+    throw error;
+  }
+};
+
+/**
+ * Export a payout run as CSV (admin only)
+ * @param {string} payoutRunId - Payout run ID
+ * @returns {Promise<Object>} - { filename, csv }
+ */
+export const exportPayoutRun = async (payoutRunId) => {
+  try {
+    const exportPayoutRunFunc = httpsCallable(functions, 'exportPayoutRun');
+    const result = await exportPayoutRunFunc({ payoutRunId });
+    return result.data;
+  } catch (error) {
+    console.error('Error exporting payout run:', error);
+    throw error;
+  }
+};
+
+/**
+ * Save new pricing tiers (admin only); the server validates them and assigns the next version
+ * @param {Object} pricing - { budgetStep, reachVariance, reachDurationExponent, tiers }
+ * @returns {Promise<Object>} - { version }
+ */
+export const updatePricing = async (pricing) => {
+  try {
+    const updatePricingFunc = httpsCallable(functions, 'updatePricing');
+    const result = await updatePricingFunc(pricing);
+    return result.data;
+  } catch (error) {
+    console.error('Error updating pricing:', error);
+    throw error;
+  }
+};
+
+/**
+ * For now, we'll use placeholders for these functions
+ * In a real app, these would call actual cloud functions
+ */
+
 export const fetchTikTokMetrics = async (campaignId) => {
   console.log('Fetching metrics for', campaignId);
   // Mock response with sample metrics
@@ -153,9 +530,29 @@ export const processAudio = async (campaignId, audioUrl) => {
 export default {
   submitCampaignForValidation,
   validateCampaign,
+  updateCampaignStatus,
+  resubmitCampaign,
+  previewCampaignCancellation,
+  cancelCampaign,
+  validatePromoCode,
+  quoteCheckout,
+  createCheckoutSession,
+  confirmCheckoutPayment,
   createPaymentIntent,
-  handlePaymentSuccess,
-  handlePaymentFailure,
+  createPayPalOrder,
+  capturePayPalOrder,
+  createBudgetTopUp,
+  captureBudgetTopUp,
+  payWithCredits,
+  createWalletTopUp,
+  captureWalletTopUp,
+  createSetupIntent,
+  listPaymentMethods,
+  removePaymentMethod,
+  createPayoutRun,
+  markPayoutRunPaid,
+  exportPayoutRun,
+  updatePricing,
   fetchTikTokMetrics,
   fetchTikTokVideoDetails,
   refreshVideoMetrics,
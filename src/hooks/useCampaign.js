@@ -10,6 +10,7 @@ import { CampaignContext } from '../contexts/CampaignContext';
  * @property {Object|null} activeCampaign - Currently active campaign
  * @property {Object|null} campaignMetrics - Metrics for active campaign
  * @property {Array} campaignVideos - Videos for active campaign
+ * @property {Array} campaignStatusHistory - Status changes of the active campaign, oldest first
  * @property {boolean} activeCampaignLoading - Whether active campaign is loading
  * @property {Function} refreshCampaigns - Refresh user's campaigns
  * @property {Function} loadCampaignDetails - Load details for a campaign
@@ -0,0 +1,67 @@
+import { useState, useEffect, useCallback } from 'react';
+import { listPaymentMethods, removePaymentMethod as removeSavedCard } from '../firebase/functions';
+import { useAuth } from './useAuth';
+
+/**
+ * Custom hook for the signed-in user's saved cards
+ * @returns {Object} Saved cards with refresh and remove methods
+ */
+export const usePaymentMethods = () => {
+  const { currentUser } = useAuth();
+  const [paymentMethods, setPaymentMethods] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Reload the saved cards from the server
+   */
+  const refreshPaymentMethods = useCallback(async () => {
+    if (!currentUser) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+      setPaymentMethods(await listPaymentMethods());
+    } catch (err) {
+      console.error('Error loading payment methods:', err);
+      setError('Failed to load your saved cards');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser]);
+
+  useEffect(() => {
+    refreshPaymentMethods();
+  }, [refreshPaymentMethods]);
+
+  /**
+   * Remove a saved card
+   * @param {string} paymentMethodId - Stripe PaymentMethod ID
+   * @returns {Promise<boolean>} Whether the card was removed
+   */
+  const removePaymentMethod = useCallback(async (paymentMethodId) => {
+    try {
+      setError(null);
+      await removeSavedCard(paymentMethodId);
+      setPaymentMethods(prev => prev.filter(method => method.id !== paymentMethodId));
+      return true;
+    } catch (err) {
+      console.error('Error removing payment method:', err);
+      setError(err.message || 'Failed to remove the card');
+      return false;
+    }
+  }, []);
+
+  return {
+    paymentMethods,
+    loading,
+    error,
+    refreshPaymentMethods,
+    removePaymentMethod
+  };
+};
+
+export default usePaymentMethods;
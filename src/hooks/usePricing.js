@@ -0,0 +1,45 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getPricingConfig } from '../firebase/firestore';
+import { DEFAULT_PRICING } from '../shared/pricing';
+
+/**
+ * Custom hook for the pricing tiers in force
+ * Falls back to the built-in pricing until config/pricing has loaded (or if it was never saved)
+ * @returns {Object} Pricing, loading state and a refresh method
+ */
+export const usePricing = () => {
+  const [pricing, setPricing] = useState(DEFAULT_PRICING);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Reload the pricing from Firestore
+   */
+  const refreshPricing = useCallback(async () => {
+    try {
+      setLoading(true);
+      setError(null);
+
+      const config = await getPricingConfig();
+      setPricing(config?.tiers?.length ? config : DEFAULT_PRICING);
+    } catch (err) {
+      console.error('Error loading pricing:', err);
+      setError('Failed to load pricing');
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    refreshPricing();
+  }, [refreshPricing]);
+
+  return {
+    pricing,
+    loading,
+    error,
+    refreshPricing
+  };
+};
+
+export default usePricing;
@@ -1,13 +1,8 @@
-import { useState, useCallback } from 'react';
-import { loadStripe } from '@stripe/stripe-js';
-import { createPaymentIntent, handlePaymentSuccess, handlePaymentFailure } from '../firebase/functions';
+import { useState, useCallback, useRef } from 'react';
+import { createPaymentIntent } from '../firebase/functions';
 import { logPayment } from '../firebase/analytics';
+import { stripePromise } from '../services/stripe';
 
-// Initialize Stripe with the public key
-// Note: In production, use an environment variable
-const stripePromise = process.env.REACT_APP_STRIPE_PUBLIC_KEY 
-  ? loadStripe(process.env.REACT_APP_STRIPE_PUBLIC_KEY) 
-  : null;
 /**
  * Custom hook for Stripe payment integration
  * @returns {Object} Stripe methods and state
@@ -18,14 +13,19 @@ export const useStripe = () => {
   const [paymentIntent, setPaymentIntent] = useState(null);
   const [paymentStatus, setPaymentStatus] = useState(null);
   
+  // Latest intent, readable by processPayment in the same tick as initializePayment
+  const paymentIntentRef = useRef(null);
+  
   /**
-   * Initialize a payment for a campaign
-   * @param {string} campaignId - Campaign ID
-   * @param {number} amount - Payment amount in dollars
+   * Initialize a payment for a campaign checkout
+   * The amount is worked out on the server from the budget stored on the checkout
+   * @param {string} checkoutId - Checkout ID
+   * @param {string} promoCode - Optional promo code
+   * @param {boolean} savePaymentMethod - Keep the card for later payments
    * @returns {Promise<Object|null>} - Payment intent data or null on error
    */
-  const initializePayment = useCallback(async (campaignId, amount) => {
-    if (!campaignId || !amount || amount <= 0) {
+  const initializePayment = useCallback(async (checkoutId, promoCode = null, savePaymentMethod = false) => {
+    if (!checkoutId) {
       setError('Invalid payment parameters');
       return null;
     }
@@ -35,7 +35,8 @@ export const useStripe = () => {
       setError(null);
       
       // Create a payment intent
-      const paymentData = await createPaymentIntent(campaignId, amount);
+      const paymentData = await createPaymentIntent(checkoutId, promoCode, savePaymentMethod);
+      paymentIntentRef.current = paymentData;
       setPaymentIntent(paymentData);
       setPaymentStatus('initialized');
       
@@ -51,14 +52,16 @@ export const useStripe = () => {
   }, []);
   
   /**
-   * Process a payment with card details
-   * @param {Object} cardElement - Stripe card element
-   * @param {string} campaignId - Campaign ID
-   * @param {number} amount - Payment amount
+   * Process a payment with new card details or a saved card
+   * Stripe shows its 3-D Secure challenge if the bank asks for one, including for saved cards
+   * @param {Object|string} paymentMethod - Stripe card element, or the ID of a saved card
+   * @param {string} checkoutId - Checkout ID (the campaign is created with the same ID)
    * @returns {Promise<boolean>} - Whether payment was successful
    */
-  const processPayment = useCallback(async (cardElement, campaignId, amount) => {
-    if (!cardElement || !campaignId || !paymentIntent) {
+  const processPayment = useCallback(async (paymentMethod, checkoutId) => {
+    const paymentIntent = paymentIntentRef.current;
+    
+    if (!paymentMethod || !checkoutId || !paymentIntent) {
       setError('Invalid payment parameters');
       return false;
     }
@@ -75,9 +78,9 @@ export const useStripe = () => {
       const { error, paymentIntent: confirmedIntent } = await stripe.confirmCardPayment(
         paymentIntent.clientSecret,
         {
-          payment_method: {
-            card: cardElement,
-          },
+          payment_method: typeof paymentMethod === 'string'
+            ? paymentMethod
+            : { card: paymentMethod },
         }
       );
       
@@ -86,18 +89,16 @@ export const useStripe = () => {
       }
       
       // Handle payment status
+      // The campaign itself is created on the server, never by the browser
       if (confirmedIntent.status === 'succeeded') {
-        // Notify our server about the successful payment
-        await handlePaymentSuccess(campaignId, confirmedIntent.id);
         setPaymentStatus('succeeded');
         
         // Log analytics
-        logPayment(campaignId, amount);
+        logPayment(checkoutId, paymentIntent.amount, paymentIntent.currency, paymentIntent.tax);
         
         return true;
       } else {
         // Payment requires additional action or failed
-        await handlePaymentFailure(campaignId, confirmedIntent.id, 'Payment not successful');
         setPaymentStatus(confirmedIntent.status);
         setError('Payment not completed successfully');
         return false;
@@ -106,15 +107,11 @@ export const useStripe = () => {
       console.error('Error processing payment:', err);
       setError(err.message || 'Failed to process payment');
       setPaymentStatus('failed');
-      
-      // Notify our server about the failed payment
-      await handlePaymentFailure(campaignId, paymentIntent?.id, err.message || 'Payment failed');
-      
       return false;
     } finally {
       setLoading(false);
     }
-  }, [paymentIntent]);
+  }, []);
   
   /**
    * Reset payment state
@@ -122,6 +119,7 @@ export const useStripe = () => {
   const resetPayment = useCallback(() => {
     setLoading(false);
     setError(null);
+    paymentIntentRef.current = null;
     setPaymentIntent(null);
     setPaymentStatus(null);
   }, []);
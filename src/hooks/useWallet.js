@@ -0,0 +1,66 @@
+import { useState, useEffect, useCallback } from 'react';
+import { getWallet, getWalletTransactions } from '../firebase/firestore';
+import { useAuth } from './useAuth';
+
+/**
+ * Custom hook for the signed-in user's credit wallet
+ * @param {Object} options - { withTransactions: also load the ledger }
+ * @returns {Object} Wallet balances, ledger and a refresh method
+ */
+export const useWallet = ({ withTransactions = false } = {}) => {
+  const { currentUser } = useAuth();
+  const [balances, setBalances] = useState({});
+  const [transactions, setTransactions] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  /**
+   * Reload the wallet (and ledger) from Firestore
+   */
+  const refreshWallet = useCallback(async () => {
+    if (!currentUser) {
+      setLoading(false);
+      return;
+    }
+
+    try {
+      setLoading(true);
+      setError(null);
+
+      const [wallet, ledger] = await Promise.all([
+        getWallet(currentUser.uid),
+        withTransactions ? getWalletTransactions(currentUser.uid) : Promise.resolve([])
+      ]);
+
+      setBalances(wallet.balances || {});
+      setTransactions(ledger);
+    } catch (err) {
+      console.error('Error loading wallet:', err);
+      setError('Failed to load your credit balance');
+    } finally {
+      setLoading(false);
+    }
+  }, [currentUser, withTransactions]);
+
+  useEffect(() => {
+    refreshWallet();
+  }, [refreshWallet]);
+
+  /**
+   * Get the balance held in one currency
+   * @param {string} currency - Currency code
+   * @returns {number} Balance
+   */
+  const getBalance = useCallback((currency) => balances[currency] || 0, [balances]);
+
+  return {
+    balances,
+    transactions,
+    loading,
+    error,
+    getBalance,
+    refreshWallet
+  };
+};
+
+export default useWallet;
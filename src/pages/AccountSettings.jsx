@@ -9,6 +9,10 @@ import Input from '../components/common/Input';
 import FileUpload from '../components/common/FileUpload';
 import Button from '../components/common/Button';
 import CampaignSummary from '../components/campaign/CampaignSummary';
+import BillingHistory from '../components/account/BillingHistory';
+import CampaignDrafts from '../components/account/CampaignDrafts';
+import CreditWallet from '../components/account/CreditWallet';
+import PaymentMethods from '../components/account/PaymentMethods';
 
 /**
  * Account Settings page - allows user to manage profile and view campaigns
@@ -174,6 +178,11 @@ const AccountSettings = () => {
     navigate(`/campaign/${campaignId}`);
   };
   
+  // Start a new campaign from a past one
+  const handleDuplicateCampaign = (campaignId) => {
+    navigate(`/create-campaign?duplicate=${campaignId}`);
+  };
+  
   // Force campaigns refresh
   const handleRefreshCampaigns = () => {
     console.log('Manual refresh triggered');
@@ -414,6 +423,7 @@ const AccountSettings = () => {
                           key={campaign.id} 
                           campaign={campaign}
                           onViewDetails={handleViewCampaign}
+                          onDuplicate={handleDuplicateCampaign}
                         />
                       );
                     })}
@@ -445,6 +455,26 @@ const AccountSettings = () => {
                   </div>
                 )}
               </div>
+              
+              {/* Unfinished campaign drafts */}
+              <div className="mt-6">
+                <CampaignDrafts />
+              </div>
+              
+              {/* Credit Wallet */}
+              <div className="mt-6">
+                <CreditWallet />
+              </div>
+              
+              {/* Payment Methods */}
+              <div className="mt-6">
+                <PaymentMethods />
+              </div>
+              
+              {/* Billing History */}
+              <div className="mt-6">
+                <BillingHistory campaigns={campaigns || []} />
+              </div>
             </div>
           </div>
         </div>
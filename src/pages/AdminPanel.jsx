@@ -3,17 +3,24 @@ import { useNavigate } from 'react-router-dom';
 import { useAuth } from '../hooks/useAuth';
 import { 
   getPendingCampaigns, 
-  validateCampaign, 
   getCampaignVideos, 
   addVideoToCampaign
 } from '../firebase/firestore';
-import { fetchTikTokVideoDetails } from '../firebase/functions';
+import { fetchTikTokVideoDetails, validateCampaign } from '../firebase/functions';
 import { logPageView } from '../firebase/analytics';
 import Navbar from '../components/common/Navbar';
 import Button from '../components/common/Button';
 import Input from '../components/common/Input';
 import AudioPlayer from '../components/common/AudioPlayer';
 import VideosList from '../components/dashboard/VideosList';
+import PromoCodeManager from '../components/admin/PromoCodeManager';
+import PayoutManager from '../components/admin/PayoutManager';
+import PricingManager from '../components/admin/PricingManager';
+import CampaignRevisionDiff from '../components/admin/CampaignRevisionDiff';
+import { formatCurrency } from '../utils/formatting';
+import { getCampaignCurrency } from '../shared/currency';
+import { getCampaignVideoCount } from '../shared/pricing';
+import { OBJECTIVE_OPTIONS, INTEREST_OPTIONS, TARGET_COUNTRIES, getOptionLabel } from '../utils/campaignOptions';
 
 // Import Firebase functions needed for getActiveCampaigns
 import { 
@@ -49,7 +56,7 @@ const AdminPanel = () => {
   const [activeCampaigns, setActiveCampaigns] = useState([]);
   const [selectedCampaign, setSelectedCampaign] = useState(null);
   const [campaignVideos, setCampaignVideos] = useState([]);
-  const [activeTab, setActiveTab] = useState('pending'); // 'pending', 'active', or 'drafts'
+  const [activeTab, setActiveTab] = useState('pending'); // 'pending', 'active', 'drafts', 'promos', 'payouts' or 'pricing'
   
   // State for adding videos
   const [showAddVideoModal, setShowAddVideoModal] = useState(false);
@@ -192,7 +199,7 @@ const AdminPanel = () => {
     
     try {
       setIsSubmitting(true);
-      await validateCampaign(activeCampaign.id, true, currentUser.uid, reviewNotes);
+      await validateCampaign(activeCampaign.id, true, reviewNotes);
       
       // Update local state
       setPendingCampaigns(prevCampaigns => 
@@ -247,7 +254,7 @@ const AdminPanel = () => {
     
     try {
       setIsSubmitting(true);
-      await validateCampaign(activeCampaign.id, false, currentUser.uid, reviewNotes);
+      await validateCampaign(activeCampaign.id, false, reviewNotes);
       
       // Update local state
       setPendingCampaigns(prevCampaigns => 
@@ -467,6 +474,36 @@ const AdminPanel = () => {
             >
               Active Campaigns
             </button>
+            <button
+              className={`px-4 py-2 font-medium text-sm ${
+                activeTab === 'promos'
+                  ? 'border-b-2 border-primary text-primary'
+                  : 'text-gray-600 hover:text-gray-800'
+              }`}
+              onClick={() => setActiveTab('promos')}
+            >
+              Promo Codes
+            </button>
+            <button
+              className={`px-4 py-2 font-medium text-sm ${
+                activeTab === 'payouts'
+                  ? 'border-b-2 border-primary text-primary'
+                  : 'text-gray-600 hover:text-gray-800'
+              }`}
+              onClick={() => setActiveTab('payouts')}
+            >
+              Payouts
+            </button>
+            <button
+              className={`px-4 py-2 font-medium text-sm ${
+                activeTab === 'pricing'
+                  ? 'border-b-2 border-primary text-primary'
+                  : 'text-gray-600 hover:text-gray-800'
+              }`}
+              onClick={() => setActiveTab('pricing')}
+            >
+              Pricing
+            </button>
           </div>
         </div>
         
@@ -537,6 +574,10 @@ const AdminPanel = () => {
                         </div>
                       </div>
                       
+                      {activeCampaign.lastRevisionId && (
+                        <CampaignRevisionDiff campaign={activeCampaign} />
+                      )}
+                      
                       <div className="grid grid-cols-1 md:grid-cols-2 gap-6 mb-6">
                         <div>
                           <h3 className="text-lg font-medium mb-4">Song Details</h3>
@@ -631,7 +672,7 @@ const AdminPanel = () => {
                           <div>
                             <p className="text-sm text-gray-500">Budget</p>
                             <p className="font-medium">
-                              ${activeCampaign.campaignDetails?.budget?.toLocaleString() || '0'}
+                              {formatCurrency(activeCampaign.campaignDetails?.budget || 0, getCampaignCurrency(activeCampaign))}
                             </p>
                           </div>
                           
@@ -645,8 +686,18 @@ const AdminPanel = () => {
                           <div>
                             <p className="text-sm text-gray-500">Estimated Videos</p>
                             <p className="font-medium">
-                              {Math.floor(activeCampaign.campaignDetails?.budget / 100) + 
-                                Math.floor((activeCampaign.campaignDetails?.budget / 1000) * 2) || '0'}
+                              {getCampaignVideoCount(activeCampaign)}
+                            </p>
+                          </div>
+                          
+                          <div>
+                            <p className="text-sm text-gray-500">Requested Start</p>
+                            <p className="font-medium">
+                              {activeCampaign.campaignDetails?.startOption === 'releaseDate'
+                                ? `Release day (${formatDate(activeCampaign.songDetails?.releaseDate)})`
+                                : activeCampaign.campaignDetails?.startOption === 'custom'
+                                  ? formatDate(activeCampaign.campaignDetails.customStartDate)
+                                  : 'On approval'}
                             </p>
                           </div>
                         </div>
@@ -683,6 +734,57 @@ const AdminPanel = () => {
                             )}
                           </div>
                         )}
+                        
+                        {/* Objectives, hashtags and target audience */}
+                        <div className="mt-4 border-t border-gray-200 pt-4">
+                          <h4 className="font-medium mb-2">Objectives & Audience</h4>
+                          
+                          <div className="mb-3">
+                            <p className="text-sm text-gray-500">Objectives</p>
+                            {activeCampaign.campaignDetails?.objectives?.length > 0 ? (
+                              <div className="flex flex-wrap gap-1 mt-1">
+                                {activeCampaign.campaignDetails.objectives.map(objective => (
+                                  <span key={objective} className="px-2 py-1 bg-green-100 text-green-800 text-xs rounded-full">
+                                    {getOptionLabel(OBJECTIVE_OPTIONS, objective)}
+                                  </span>
+                                ))}
+                              </div>
+                            ) : (
+                              <p className="text-sm">Not provided</p>
+                            )}
+                          </div>
+                          
+                          {activeCampaign.campaignDetails?.hashtags?.length > 0 && (
+                            <div className="mb-3">
+                              <p className="text-sm text-gray-500">Hashtags</p>
+                              <p className="text-sm font-medium mt-1">{activeCampaign.campaignDetails.hashtags.join(' ')}</p>
+                            </div>
+                          )}
+                          
+                          {activeCampaign.campaignDetails?.targetAudience?.interests?.length > 0 && (
+                            <div className="mb-3">
+                              <p className="text-sm text-gray-500">Audience Interests</p>
+                              <div className="flex flex-wrap gap-1 mt-1">
+                                {activeCampaign.campaignDetails.targetAudience.interests.map(interest => (
+                                  <span key={interest} className="px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded-full">
+                                    {getOptionLabel(INTEREST_OPTIONS, interest)}
+                                  </span>
+                                ))}
+                              </div>
+                            </div>
+                          )}
+                          
+                          <div className="mb-3">
+                            <p className="text-sm text-gray-500">Target Countries</p>
+                            <p className="text-sm mt-1">
+                              {activeCampaign.campaignDetails?.targetAudience?.locations?.length > 0
+                                ? activeCampaign.campaignDetails.targetAudience.locations
+                                  .map(code => getOptionLabel(TARGET_COUNTRIES, code))
+                                  .join(', ')
+                                : 'Anywhere'}
+                            </p>
+                          </div>
+                        </div>
                       </div>
                       
                       <div className="mb-6">
@@ -761,8 +863,8 @@ const AdminPanel = () => {
                         <h3 className="font-medium">{campaign.songDetails?.title || 'Untitled Campaign'}</h3>
                         <p className="text-sm text-gray-500">{campaign.artistDetails?.name || 'Unknown Artist'}</p>
                         <div className="flex justify-between mt-2">
-                          <p className="text-xs text-gray-400">Budget: ${campaign.campaignDetails?.budget}</p>
-                          <p className="text-xs text-gray-400">Videos: {campaignVideos.length}/{Math.floor(campaign.campaignDetails?.budget / 100) + Math.floor((campaign.campaignDetails?.budget / 1000) * 2)}</p>
+                          <p className="text-xs text-gray-400">Budget: {formatCurrency(campaign.campaignDetails?.budget, getCampaignCurrency(campaign))}</p>
+                          <p className="text-xs text-gray-400">Videos: {campaignVideos.length}/{getCampaignVideoCount(campaign)}</p>
                         </div>
                       </div>
                     ))}
@@ -788,13 +890,24 @@ const AdminPanel = () => {
                       <p className="text-gray-600">{selectedCampaign.artistDetails?.name || 'Unknown Artist'}</p>
                     </div>
                     
-                    <Button
-                      type="button"
-                      variant="primary"
-                      onClick={handleShowAddVideo}
-                    >
-                      Add TikTok Video
-                    </Button>
+                    <div className="flex space-x-3">
+                      {/* Pausing and resuming is done from the campaign dashboard */}
+                      <Button
+                        type="button"
+                        variant="outline"
+                        onClick={() => navigate(`/campaign/${selectedCampaign.id}`)}
+                      >
+                        Open Dashboard
+                      </Button>
+                      
+                      <Button
+                        type="button"
+                        variant="primary"
+                        onClick={handleShowAddVideo}
+                      >
+                        Add TikTok Video
+                      </Button>
+                    </div>
                   </div>
                   
                   <div className="mb-4">
@@ -828,6 +941,21 @@ const AdminPanel = () => {
           </div>
         )}
         
+        {/* Promo Codes Tab */}
+        {activeTab === 'promos' && (
+          <PromoCodeManager adminId={currentUser.uid} />
+        )}
+        
+        {/* Payouts Tab */}
+        {activeTab === 'payouts' && (
+          <PayoutManager />
+        )}
+        
+        {/* Pricing Tab */}
+        {activeTab === 'pricing' && (
+          <PricingManager />
+        )}
+        
         {/* Add Video Modal */}
         {showAddVideoModal && (
           <div className="fixed inset-0 z-50 overflow-y-auto" aria-labelledby="modal-title" role="dialog" aria-modal="true">
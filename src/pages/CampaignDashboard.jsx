@@ -1,8 +1,15 @@
 import React, { useEffect, useState } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import { Elements } from '@stripe/react-stripe-js';
+import { PayPalScriptProvider } from '@paypal/react-paypal-js';
 import { useCampaign } from '../hooks/useCampaign';
 import { useAuth } from '../hooks/useAuth';
 import { logPageView } from '../firebase/analytics';
+import { stripePromise } from '../services/stripe';
+import { paypalOptions } from '../services/paypal';
+import { previewCampaignCancellation, cancelCampaign, updateCampaignStatus } from '../firebase/functions';
+import { getCampaignCurrency } from '../shared/currency';
+import { getCampaignVideoCount } from '../shared/pricing';
 import Navbar from '../components/common/Navbar';
 import Button from '../components/common/Button';
 import PerformanceMetrics from '../components/dashboard/PerformanceMetrics';
@@ -12,6 +19,7 @@ import AudienceInsights from '../components/dashboard/AudienceInsights';
 import EngagementStats from '../components/dashboard/EngagementStats';
 import CampaignStatus from '../components/campaign/CampaignStatus';
 import AudioPlayer from '../components/common/AudioPlayer';
+import AddBudgetForm from '../components/dashboard/AddBudgetForm';
 
 /**
  * Campaign Dashboard Page - Displays campaign details and performance metrics
@@ -19,7 +27,7 @@ import AudioPlayer from '../components/common/AudioPlayer';
 const CampaignDashboard = () => {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { currentUser } = useAuth();
+  const { currentUser, isAdmin } = useAuth();
   const { 
     activeCampaign,
     campaignMetrics,
@@ -27,6 +35,7 @@ const CampaignDashboard = () => {
     activeCampaignLoading,
     loadCampaignDetails,
     refreshActiveCampaign,
+    refreshCampaigns,
     error,
     setError
   } = useCampaign();
@@ -35,6 +44,19 @@ const CampaignDashboard = () => {
   const [isRefreshing, setIsRefreshing] = useState(false);
   const [activeTab, setActiveTab] = useState('metrics'); // 'metrics', 'videos', 'details'
   
+  // Cancellation state
+  const [cancelQuote, setCancelQuote] = useState(null);
+  const [cancelReason, setCancelReason] = useState('');
+  const [isCancelling, setIsCancelling] = useState(false);
+  
+  // Budget top-up state
+  const [showAddBudget, setShowAddBudget] = useState(false);
+  
+  // Pause state
+  const [showPauseForm, setShowPauseForm] = useState(false);
+  const [pauseReason, setPauseReason] = useState('');
+  const [isChangingStatus, setIsChangingStatus] = useState(false);
+  
   // Load campaign details on mount
   useEffect(() => {
     if (id && currentUser) {
@@ -51,16 +73,80 @@ const CampaignDashboard = () => {
     setIsRefreshing(false);
   };
   
+  // Fetch the refund quote before asking the artist to confirm
+  const handleCancelRequest = async () => {
+    setIsCancelling(true);
+    try {
+      const quote = await previewCampaignCancellation(activeCampaign.id);
+      setCancelQuote(quote);
+    } catch (err) {
+      setError(err.message || 'Failed to calculate cancellation refund');
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+  
+  // Cancel the campaign and refund the unused budget
+  const handleCancelConfirm = async () => {
+    setIsCancelling(true);
+    try {
+      await cancelCampaign(activeCampaign.id, cancelReason);
+      setCancelQuote(null);
+      setCancelReason('');
+      await refreshActiveCampaign();
+      await refreshCampaigns();
+    } catch (err) {
+      setError(err.message || 'Failed to cancel campaign');
+    } finally {
+      setIsCancelling(false);
+    }
+  };
+  
+  // Pause a running campaign, or resume a paused one
+  const handleStatusChange = async (status, reason = '') => {
+    setIsChangingStatus(true);
+    try {
+      await updateCampaignStatus(activeCampaign.id, status, reason);
+      setShowPauseForm(false);
+      setPauseReason('');
+      await refreshActiveCampaign();
+      await refreshCampaigns();
+    } catch (err) {
+      setError(err.message || `Failed to ${status === 'paused' ? 'pause' : 'resume'} campaign`);
+    } finally {
+      setIsChangingStatus(false);
+    }
+  };
+  
   // Check if user owns the campaign
   const isOwner = activeCampaign?.userId === currentUser?.uid;
   
+  // Only submitted campaigns that haven't finished can be cancelled
+  const canCancel = isOwner && ['pending', 'scheduled', 'active', 'paused'].includes(activeCampaign?.status);
+  
+  // The artist or an admin can pause a running campaign and resume it later
+  const canPause = (isOwner || isAdmin) && activeCampaign?.status === 'active';
+  const canResume = (isOwner || isAdmin) && activeCampaign?.status === 'paused';
+  
+  // Rejected campaigns can be edited and sent back for review
+  const canResubmit = isOwner && activeCampaign?.status === 'rejected';
+  
+  // Running campaigns can be given more budget
+  const canAddBudget = isOwner && activeCampaign?.status === 'active';
+  
+  // Reload the campaign after a top-up so the budget, video target and end date update
+  const handleBudgetAdded = async () => {
+    await refreshActiveCampaign();
+    await refreshCampaigns();
+  };
+  
   // Calculate metrics for video progress
   const calculateCompletionMetrics = () => {
     if (!activeCampaign?.campaignDetails?.budget) return { total: 0, completed: 0, percentage: 0 };
     
-    const budget = activeCampaign.campaignDetails.budget;
-    // Formula: 1 video per $100, with slight scaling for larger budgets
-    const totalVideos = Math.floor(budget / 100) + Math.floor((budget / 1000) * 2);
+    // Priced with the tiers snapshotted on the campaign at purchase
+    // The budget includes any top-ups, so the target grows when budget is added
+    const totalVideos = getCampaignVideoCount(activeCampaign);
     const completedVideos = campaignVideos?.length || 0;
     const percentage = Math.min(100, Math.round((completedVideos / totalVideos) * 100));
     
@@ -70,12 +156,12 @@ const CampaignDashboard = () => {
   const completionMetrics = calculateCompletionMetrics();
   
   // Format currency
-  const formatCurrency = (amount) => {
+  const formatCurrency = (amount, currency = getCampaignCurrency(activeCampaign), fractionDigits = 0) => {
     return new Intl.NumberFormat('en-US', {
       style: 'currency',
-      currency: 'USD',
-      minimumFractionDigits: 0,
-      maximumFractionDigits: 0
+      currency,
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
     }).format(amount);
   };
   
@@ -86,10 +172,16 @@ const CampaignDashboard = () => {
     switch (activeCampaign.status) {
       case 'active':
         return 'in-progress';
+      case 'paused':
+        return 'paused';
+      case 'scheduled':
+        return 'scheduled';
       case 'completed':
         return 'completed';
       case 'rejected':
         return 'rejected';
+      case 'cancelled':
+        return 'cancelled';
       case 'pending':
         return 'pending';
       default:
@@ -97,8 +189,8 @@ const CampaignDashboard = () => {
     }
   };
   
-  // If campaign not found or not owned by the user
-  if (!activeCampaignLoading && (!activeCampaign || !isOwner)) {
+  // If campaign not found or not owned by the user (admins can open any campaign, e.g. to pause it)
+  if (!activeCampaignLoading && (!activeCampaign || (!isOwner && !isAdmin))) {
     return (
       <div className="min-h-screen flex flex-col bg-gray-50">
         <Navbar />
@@ -168,9 +260,150 @@ const CampaignDashboard = () => {
                       </>
                     )}
                   </Button>
+                  
+                  {isOwner && (
+                    <Button
+                      variant="outline"
+                      onClick={() => navigate(`/create-campaign?duplicate=${activeCampaign.id}`)}
+                    >
+                      Duplicate
+                    </Button>
+                  )}
+                  
+                  {canResubmit && (
+                    <Button
+                      variant="primary"
+                      onClick={() => navigate(`/create-campaign?resubmit=${activeCampaign.id}`)}
+                    >
+                      Edit and Resubmit
+                    </Button>
+                  )}
+                  
+                  {canAddBudget && !showAddBudget && (
+                    <Button
+                      variant="primary"
+                      onClick={() => setShowAddBudget(true)}
+                    >
+                      Add Budget
+                    </Button>
+                  )}
+                  
+                  {canPause && !showPauseForm && (
+                    <Button
+                      variant="outline"
+                      onClick={() => setShowPauseForm(true)}
+                    >
+                      Pause Campaign
+                    </Button>
+                  )}
+                  
+                  {canResume && (
+                    <Button
+                      variant="primary"
+                      onClick={() => handleStatusChange('active', 'Resumed')}
+                      disabled={isChangingStatus}
+                    >
+                      {isChangingStatus ? 'Resuming...' : 'Resume Campaign'}
+                    </Button>
+                  )}
+                  
+                  {canCancel && !cancelQuote && (
+                    <Button
+                      variant="danger"
+                      onClick={handleCancelRequest}
+                      disabled={isCancelling}
+                    >
+                      {isCancelling ? 'Loading...' : 'Cancel Campaign'}
+                    </Button>
+                  )}
                 </div>
               </div>
               
+              {/* Budget top-up */}
+              {canAddBudget && showAddBudget && (
+                <PayPalScriptProvider options={{ ...paypalOptions, currency: getCampaignCurrency(activeCampaign) }}>
+                  <Elements stripe={stripePromise}>
+                    <AddBudgetForm
+                      campaign={activeCampaign}
+                      onComplete={handleBudgetAdded}
+                      onClose={() => setShowAddBudget(false)}
+                    />
+                  </Elements>
+                </PayPalScriptProvider>
+              )}
+              
+              {/* Pause confirmation */}
+              {canPause && showPauseForm && (
+                <div className="mb-6 p-4 bg-indigo-50 border border-indigo-200 rounded-lg">
+                  <h3 className="font-medium text-indigo-900 mb-2">Pause this campaign?</h3>
+                  <p className="text-sm text-indigo-800 mb-3">
+                    Creators won't be given new videos while the campaign is paused, and videos already live stay up.
+                    The end date moves back by however long the campaign stays paused.
+                  </p>
+                  <textarea
+                    className="w-full p-2 border border-indigo-200 rounded-md text-sm mb-3"
+                    rows={2}
+                    placeholder="Reason (optional), e.g. release delayed"
+                    value={pauseReason}
+                    onChange={(e) => setPauseReason(e.target.value)}
+                  />
+                  <div className="flex space-x-3">
+                    <Button
+                      variant="primary"
+                      onClick={() => handleStatusChange('paused', pauseReason)}
+                      disabled={isChangingStatus}
+                    >
+                      {isChangingStatus ? 'Pausing...' : 'Pause Campaign'}
+                    </Button>
+                    <Button
+                      variant="outline"
+                      onClick={() => setShowPauseForm(false)}
+                      disabled={isChangingStatus}
+                    >
+                      Keep Running
+                    </Button>
+                  </div>
+                </div>
+              )}
+              
+              {/* Cancellation confirmation */}
+              {canCancel && cancelQuote && (
+                <div className="mb-6 p-4 bg-red-50 border border-red-200 rounded-lg">
+                  <h3 className="font-medium text-red-800 mb-2">Cancel this campaign?</h3>
+                  <p className="text-sm text-red-700 mb-3">
+                    {cancelQuote.videosDelivered} of {cancelQuote.videosExpected} videos have been delivered.
+                    {cancelQuote.amountPaid > 0 ? (
+                      <> You will be refunded <strong>{formatCurrency(cancelQuote.refundAmount, cancelQuote.currency, 2)}</strong> of the {formatCurrency(cancelQuote.amountPaid, cancelQuote.currency, 2)} you paid.</>
+                    ) : (
+                      <> No payment was taken for this campaign, so there is nothing to refund.</>
+                    )}
+                  </p>
+                  <textarea
+                    value={cancelReason}
+                    onChange={(e) => setCancelReason(e.target.value)}
+                    placeholder="Why are you cancelling? (optional)"
+                    rows={2}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-md text-sm mb-3 focus:outline-none focus:ring-2 focus:ring-primary"
+                  />
+                  <div className="flex space-x-3">
+                    <Button
+                      variant="danger"
+                      onClick={handleCancelConfirm}
+                      disabled={isCancelling}
+                    >
+                      {isCancelling ? 'Cancelling...' : 'Confirm Cancellation'}
+                    </Button>
+                    <Button
+                      variant="outline"
+                      onClick={() => setCancelQuote(null)}
+                      disabled={isCancelling}
+                    >
+                      Keep Campaign
+                    </Button>
+                  </div>
+                </div>
+              )}
+              
               {/* Campaign summary stats boxes */}
               <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
                 <div className="bg-white rounded-lg shadow p-4">
@@ -1,69 +1,219 @@
 import React, { useState, useEffect } from 'react';
-import { useNavigate } from 'react-router-dom';
-import { loadStripe } from '@stripe/stripe-js';
+import { useNavigate, useSearchParams } from 'react-router-dom';
 import { Elements } from '@stripe/react-stripe-js';
 import { PayPalScriptProvider } from '@paypal/react-paypal-js';
-import { FormProvider } from '../contexts/FormContext';
+import { FormProvider, useFormContext } from '../contexts/FormContext';
 import { useAuth } from '../hooks/useAuth';
 import { logPageView } from '../firebase/analytics';
+import { getCampaign, getCampaignDraft, getCampaignDrafts } from '../firebase/firestore';
+import { resubmitCampaign } from '../firebase/functions';
+import { stripePromise } from '../services/stripe';
+import { paypalOptions } from '../services/paypal';
 import Navbar from '../components/common/Navbar';
 import SongDetailsForm from '../components/campaign/SongDetailsForm';
 import ArtistDetailsForm from '../components/campaign/ArtistDetailsForm';
 import BudgetSelector from '../components/campaign/BudgetSelector';
 import CreatorTargeting from '../components/campaign/CreatorTargeting';
+import ObjectivesAudience from '../components/campaign/ObjectivesAudience';
+import BillingDetailsForm from '../components/campaign/BillingDetailsForm';
 import PaymentForm from '../components/campaign/PaymentForm';
+import CampaignPresets from '../components/campaign/CampaignPresets';
+import Button from '../components/common/Button';
+import { DEFAULT_CURRENCY, getCampaignCurrency } from '../shared/currency';
+import { getCampaignVideoCount } from '../shared/pricing';
+import { formatCurrency, formatRelativeTime } from '../utils/formatting';
 
-// Initialize Stripe with the public key
-const stripePromise = process.env.REACT_APP_STRIPE_PUBLIC_KEY 
-  ? loadStripe(process.env.REACT_APP_STRIPE_PUBLIC_KEY) 
-  : null;
+/**
+ * Payment step - loads PayPal in the currency the artist chose for the campaign
+ */
+const PaymentStep = ({ onBack }) => {
+  const { formData } = useFormContext();
+  const currency = formData.campaignDetails.currency || DEFAULT_CURRENCY;
+  
+  return (
+    <PayPalScriptProvider options={{ ...paypalOptions, currency }}>
+      <Elements stripe={stripePromise}>
+        <PaymentForm onBack={onBack} />
+      </Elements>
+    </PayPalScriptProvider>
+  );
+};
+
+/**
+ * Budget step for a resubmitted campaign - the budget stays as it was paid for
+ */
+const ResubmissionBudget = ({ campaign, onNext, onBack }) => (
+  <div>
+    <h2 className="text-2xl font-bold mb-4">Campaign Budget</h2>
+    <p className="text-gray-600 mb-6">
+      Your campaign keeps the budget it was bought with:{' '}
+      <span className="font-medium">{formatCurrency(campaign.campaignDetails?.budget || 0, getCampaignCurrency(campaign))}</span>
+      {' '}for {getCampaignVideoCount(campaign)} videos. You can add budget once the campaign is live.
+    </p>
+    <div className="flex justify-between">
+      <Button type="button" variant="outline" onClick={onBack}>
+        Back: Artist Details
+      </Button>
+      <Button type="button" variant="primary" onClick={onNext}>
+        Next: Creator Targeting
+      </Button>
+    </div>
+  </div>
+);
 
-// PayPal options
-const paypalOptions = {
-  "client-id": process.env.REACT_APP_PAYPAL_CLIENT_ID || "test",
-  currency: "USD",
-  intent: "capture"
+const STEPS = ['Song Details', 'Artist Details', 'Budget', 'Targeting', 'Objectives', 'Billing', 'Payment'];
+
+const DRAFT_STATUS_LABELS = {
+  saving: 'Saving draft...',
+  saved: 'Draft saved',
+  error: 'Draft could not be saved'
 };
 
 /**
- * Create Campaign page - multi-step form for campaign creation
+ * Campaign wizard - the steps of the form, driven by the form context so a resumed draft
+ * opens at the step it was left on
  */
-const CreateCampaign = () => {
+const CampaignWizard = () => {
   const { currentUser } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const {
+    formData,
+    currentStep,
+    nextStep,
+    prevStep,
+    draftStatus,
+    loadDraft,
+    loadCampaignForResubmission,
+    loadCampaignAsTemplate,
+    applyFieldErrors,
+    isSubmitting,
+    setIsSubmitting
+  } = useFormContext();
   
-  // Form step state
-  const [currentStep, setCurrentStep] = useState(0);
+  // 'checking' while looking for a draft, 'prompt' while offering to resume it, then 'ready'
+  const [resumeState, setResumeState] = useState('checking');
+  const [latestDraft, setLatestDraft] = useState(null);
   
-  // Track page view
+  // Rejected campaign being edited, and any error from resubmitting it
+  const [rejectedCampaign, setRejectedCampaign] = useState(null);
+  const [resubmitError, setResubmitError] = useState(null);
+  
+  // Past campaign the new one was duplicated from
+  const [templateCampaign, setTemplateCampaign] = useState(null);
+  
+  // Bumped when a preset is applied, so the budget and targeting steps reload from the form
+  const [presetKey, setPresetKey] = useState(0);
+  
+  const requestedDraftId = searchParams.get('draft');
+  const resubmitId = searchParams.get('resubmit');
+  const duplicateId = searchParams.get('duplicate');
+  
+  // Open a rejected campaign for editing, a past campaign to duplicate, the draft picked in account settings,
+  // or offer to resume the last draft
   useEffect(() => {
-    logPageView('Create Campaign');
-  }, []);
+    const findDraft = async () => {
+      if (!currentUser) {
+        setResumeState('ready');
+        return;
+      }
+      
+      try {
+        if (resubmitId) {
+          const campaign = await getCampaign(resubmitId);
+          if (campaign.userId === currentUser.uid && campaign.status === 'rejected') {
+            setRejectedCampaign(campaign);
+            loadCampaignForResubmission(campaign);
+            setResumeState('ready');
+            return;
+          }
+        }
+        
+        if (duplicateId) {
+          const campaign = await getCampaign(duplicateId);
+          if (campaign.userId === currentUser.uid) {
+            setTemplateCampaign(campaign);
+            loadCampaignAsTemplate(campaign);
+            setResumeState('ready');
+            return;
+          }
+        }
+        
+        if (requestedDraftId) {
+          const draft = await getCampaignDraft(requestedDraftId);
+          if (draft && draft.userId === currentUser.uid) {
+            loadDraft(draft);
+            setResumeState('ready');
+            return;
+          }
+        }
+        
+        const [draft] = await getCampaignDrafts(currentUser.uid, 1);
+        if (draft) {
+          setLatestDraft(draft);
+          setResumeState('prompt');
+        } else {
+          setResumeState('ready');
+        }
+      } catch (error) {
+        console.error('Error loading campaign drafts:', error);
+        setResumeState('ready');
+      }
+    };
+    
+    findDraft();
+  }, [currentUser, resubmitId, duplicateId, requestedDraftId, loadDraft, loadCampaignForResubmission, loadCampaignAsTemplate]);
+  
+  // Continue the last draft
+  const handleResume = () => {
+    loadDraft(latestDraft);
+    setResumeState('ready');
+  };
   
-  // Move to next step
-  const handleNext = () => {
-    setCurrentStep(currentStep + 1);
+  // Start a new campaign; the old draft stays in account settings
+  const handleStartNew = () => {
+    setResumeState('ready');
   };
   
-  // Move to previous step
-  const handleBack = () => {
-    setCurrentStep(currentStep - 1);
+  // Send the edited campaign back for review, going on to payment only if the old payment can't be reused
+  const handleResubmit = async () => {
+    try {
+      setIsSubmitting(true);
+      setResubmitError(null);
+      
+      const result = await resubmitCampaign(rejectedCampaign.id, {
+        songDetails: formData.songDetails,
+        artistDetails: formData.artistDetails,
+        campaignDetails: formData.campaignDetails,
+        billingDetails: formData.billingDetails
+      });
+      
+      if (result.paymentRequired) {
+        nextStep();
+      } else {
+        navigate(`/campaign/${rejectedCampaign.id}`);
+      }
+    } catch (error) {
+      if (!applyFieldErrors(error.details?.fieldErrors)) {
+        setResubmitError(error.message || 'Failed to resubmit campaign. Please try again.');
+      }
+    } finally {
+      setIsSubmitting(false);
+    }
   };
   
   // Handle budget set (will move to targeting step)
   const handleBudgetSet = () => {
     // Budget is set, move to targeting step
-    handleNext();
+    nextStep();
   };
   
   // Render step indicators
   const renderStepIndicators = () => {
-    const steps = ['Song Details', 'Artist Details', 'Budget', 'Targeting', 'Payment'];
-    
     return (
       <div className="mb-8">
         <div className="step-indicator">
-          {steps.map((step, index) => (
+          {STEPS.map((step, index) => (
             <div 
               key={index} 
               className={`step ${
@@ -82,13 +232,13 @@ const CreateCampaign = () => {
         </div>
         
         <div className="flex justify-between mt-2">
-          {steps.map((step, index) => (
+          {STEPS.map((step, index) => (
             <div 
               key={index} 
               className={`text-xs font-medium ${
                 index === currentStep ? 'text-primary' : 'text-gray-500'
               }`}
-              style={{ width: `${100 / steps.length}%`, textAlign: 'center' }}
+              style={{ width: `${100 / STEPS.length}%`, textAlign: 'center' }}
             >
               {step}
             </div>
@@ -102,26 +252,113 @@ const CreateCampaign = () => {
   const renderStepContent = () => {
     switch (currentStep) {
       case 0:
-        return <SongDetailsForm onNext={handleNext} />;
+        return <SongDetailsForm onNext={nextStep} />;
       case 1:
-        return <ArtistDetailsForm onNext={handleNext} onBack={handleBack} />;
+        return <ArtistDetailsForm onNext={nextStep} onBack={prevStep} />;
       case 2:
-        return <BudgetSelector onBudgetSet={handleBudgetSet} onNext={handleNext} />;
+        return rejectedCampaign
+          ? <ResubmissionBudget campaign={rejectedCampaign} onNext={nextStep} onBack={prevStep} />
+          : <BudgetSelector key={presetKey} onBudgetSet={handleBudgetSet} onNext={nextStep} />;
       case 3:
-        return <CreatorTargeting onNext={handleNext} onBack={handleBack} />;
+        return <CreatorTargeting key={presetKey} onNext={nextStep} onBack={prevStep} />;
       case 4:
-        return (
-          <PayPalScriptProvider options={paypalOptions}>
-            <Elements stripe={stripePromise}>
-              <PaymentForm onBack={handleBack} />
-            </Elements>
-          </PayPalScriptProvider>
+        return <ObjectivesAudience onNext={nextStep} onBack={prevStep} />;
+      case 5:
+        return rejectedCampaign ? (
+          <BillingDetailsForm
+            onNext={handleResubmit}
+            onBack={prevStep}
+            nextLabel={isSubmitting ? 'Resubmitting...' : 'Resubmit for Review'}
+            isSubmitting={isSubmitting}
+          />
+        ) : (
+          <BillingDetailsForm onNext={nextStep} onBack={prevStep} />
         );
+      case 6:
+        return <PaymentStep onBack={prevStep} />;
       default:
-        return <SongDetailsForm onNext={handleNext} />;
+        return <SongDetailsForm onNext={nextStep} />;
     }
   };
   
+  if (resumeState === 'checking') {
+    return (
+      <div className="py-10 text-center">
+        <div className="inline-block animate-spin rounded-full h-8 w-8 border-b-2 border-primary"></div>
+      </div>
+    );
+  }
+  
+  if (resumeState === 'prompt') {
+    return (
+      <div className="bg-white rounded-lg shadow-md p-6 mb-8 text-center">
+        <h2 className="text-xl font-bold mb-2">Pick up where you left off?</h2>
+        <p className="text-gray-600 mb-6">
+          You have an unfinished campaign
+          {latestDraft.title ? <> for <span className="font-medium">{latestDraft.title}</span></> : null}
+          {' '}at the {STEPS[latestDraft.currentStep] || STEPS[0]} step, last saved {formatRelativeTime(latestDraft.updatedAt)}.
+        </p>
+        <div className="flex justify-center gap-3">
+          <Button variant="outline" onClick={handleStartNew}>
+            Start New
+          </Button>
+          <Button variant="primary" onClick={handleResume}>
+            Resume Draft
+          </Button>
+        </div>
+      </div>
+    );
+  }
+  
+  return (
+    <>
+      {rejectedCampaign && (
+        <div className="mb-6 p-4 bg-yellow-50 border border-yellow-200 rounded-lg text-sm text-yellow-800">
+          <p className="font-medium">Editing your rejected campaign for resubmission</p>
+          {rejectedCampaign.adminNotes && <p className="mt-1">Reviewer notes: {rejectedCampaign.adminNotes}</p>}
+        </div>
+      )}
+      
+      {templateCampaign && (
+        <div className="mb-6 p-4 bg-blue-50 border border-blue-200 rounded-lg text-sm text-blue-800">
+          <p className="font-medium">
+            Starting from {templateCampaign.songDetails?.title ? `"${templateCampaign.songDetails.title}"` : 'a past campaign'}
+          </p>
+          <p className="mt-1">The artist details, budget and creator targeting have been copied. Add the new song to continue.</p>
+        </div>
+      )}
+      
+      {resubmitError && (
+        <div className="mb-6 p-3 bg-red-50 text-red-700 rounded-md text-sm">
+          {resubmitError}
+        </div>
+      )}
+      
+      {renderStepIndicators()}
+      
+      <div className="bg-white rounded-lg shadow-md p-6 mb-2">
+        {!rejectedCampaign && (currentStep === 2 || currentStep === 3) && (
+          <CampaignPresets onApply={() => setPresetKey(key => key + 1)} />
+        )}
+        {renderStepContent()}
+      </div>
+      
+      <p className="text-xs text-gray-500 text-right mb-8 h-4">
+        {rejectedCampaign ? '' : DRAFT_STATUS_LABELS[draftStatus] || ''}
+      </p>
+    </>
+  );
+};
+
+/**
+ * Create Campaign page - multi-step form for campaign creation
+ */
+const CreateCampaign = () => {
+  // Track page view
+  useEffect(() => {
+    logPageView('Create Campaign');
+  }, []);
+  
   return (
     <div className="min-h-screen flex flex-col bg-gray-50">
       <Navbar />
@@ -130,13 +367,9 @@ const CreateCampaign = () => {
         <div className="max-w-3xl mx-auto">
           <h1 className="text-3xl font-bold mb-6 text-center">Create Your Campaign</h1>
           
-          {renderStepIndicators()}
-          
-          <div className="bg-white rounded-lg shadow-md p-6 mb-8">
-            <FormProvider>
-              {renderStepContent()}
-            </FormProvider>
-          </div>
+          <FormProvider>
+            <CampaignWizard />
+          </FormProvider>
         </div>
       </main>
       
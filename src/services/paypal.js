@@ -0,0 +1,10 @@
+/**
+ * Shared PayPal script options.
+ * Spread these into PayPalScriptProvider and add the currency being charged.
+ */
+export const paypalOptions = {
+  "client-id": process.env.REACT_APP_PAYPAL_CLIENT_ID || "test",
+  intent: "capture"
+};
+
+export default paypalOptions;
@@ -0,0 +1,12 @@
+import { loadStripe } from '@stripe/stripe-js';
+
+/**
+ * Shared Stripe instance.
+ * Elements and payment confirmation must use the same Stripe instance,
+ * so every consumer should import this promise instead of calling loadStripe itself.
+ */
+export const stripePromise = process.env.REACT_APP_STRIPE_PUBLIC_KEY 
+  ? loadStripe(process.env.REACT_APP_STRIPE_PUBLIC_KEY) 
+  : null;
+
+export default stripePromise;
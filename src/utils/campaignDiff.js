@@ -0,0 +1,80 @@
+/**
+ * Compare two versions of a campaign's form fields, e.g. a rejected campaign and its resubmission
+ */
+
+// Form sections that artists edit, with the name shown in front of their fields
+const SECTION_LABELS = {
+  songDetails: 'Song',
+  artistDetails: 'Artist',
+  campaignDetails: 'Campaign',
+  billingDetails: 'Billing'
+};
+
+/**
+ * Turn a camelCase field name into words, e.g. creatorTypes -> Creator types
+ * @param {string} key - Field name
+ * @returns {string} Label
+ */
+const toLabel = (key) => {
+  const words = key.replace(/([a-z0-9])([A-Z])/g, '$1 $2').toLowerCase();
+  return words.charAt(0).toUpperCase() + words.slice(1);
+};
+
+/**
+ * Whether a value is a nested object to compare field by field (not a date or an array)
+ * @param {*} value - Value
+ * @returns {boolean}
+ */
+const isPlainObject = (value) => (
+  Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+  !(value instanceof Date) && typeof value.toDate !== 'function'
+);
+
+/**
+ * Format a field value for display
+ * @param {*} value - Field value
+ * @returns {string} Display value, '' when empty
+ */
+export const formatDiffValue = (value) => {
+  if (value === null || value === undefined) return '';
+  if (Array.isArray(value)) return value.join(', ');
+  if (typeof value.toDate === 'function') return value.toDate().toISOString().slice(0, 10);
+  if (value instanceof Date) return value.toISOString().slice(0, 10);
+  if (typeof value === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(value)) return value.slice(0, 10);
+  return String(value);
+};
+
+/**
+ * Flatten a section into { 'path.to.field': value }
+ * @param {Object} data - Section data
+ * @param {string} prefix - Path so far
+ * @returns {Object} Flattened fields
+ */
+const flatten = (data, prefix) => Object.entries(data || {}).reduce((fields, [key, value]) => (
+  isPlainObject(value)
+    ? { ...fields, ...flatten(value, `${prefix}.${key}`) }
+    : { ...fields, [`${prefix}.${key}`]: value }
+), {});
+
+/**
+ * List the fields that differ between two versions of a campaign
+ * @param {Object} previous - Earlier version (e.g. a revision)
+ * @param {Object} current - Later version
+ * @returns {Array} [{ path, label, before, after }] with display values
+ */
+export const diffCampaigns = (previous, current) => {
+  return Object.entries(SECTION_LABELS).flatMap(([section, sectionLabel]) => {
+    const before = flatten(previous?.[section], section);
+    const after = flatten(current?.[section], section);
+    const paths = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+    return paths
+      .map(path => ({
+        path,
+        label: `${sectionLabel}: ${path.split('.').slice(1).map(toLabel).join(' / ')}`,
+        before: formatDiffValue(before[path]),
+        after: formatDiffValue(after[path])
+      }))
+      .filter(change => change.before !== change.after);
+  });
+};
@@ -0,0 +1,73 @@
+/**
+ * Labelled choices for campaign objectives and target audience, shown in the wizard and the admin review.
+ * The values allowed are listed in shared/campaignSchema.js.
+ */
+
+export const OBJECTIVE_OPTIONS = [
+  { id: 'streams', label: 'Grow Streams', description: 'Send listeners to the song on streaming services' },
+  { id: 'followers', label: 'Gain Followers', description: 'Build the artist\'s following on TikTok' },
+  { id: 'soundAdoption', label: 'Sound Adoption', description: 'Get more people making videos with the sound' },
+  { id: 'preSave', label: 'Pre-Saves', description: 'Drive pre-saves ahead of release day' }
+];
+
+export const INTEREST_OPTIONS = [
+  { id: 'dance', label: 'Dance' },
+  { id: 'music', label: 'Music' },
+  { id: 'comedy', label: 'Comedy' },
+  { id: 'lifestyle', label: 'Lifestyle' },
+  { id: 'fashion', label: 'Fashion' },
+  { id: 'beauty', label: 'Beauty' },
+  { id: 'fitness', label: 'Fitness' },
+  { id: 'gaming', label: 'Gaming' },
+  { id: 'sports', label: 'Sports' },
+  { id: 'food', label: 'Food' },
+  { id: 'travel', label: 'Travel' },
+  { id: 'art', label: 'Art' },
+  { id: 'tech', label: 'Tech' }
+];
+
+// Countries creators can be matched in (ISO codes)
+export const TARGET_COUNTRIES = [
+  { code: 'US', name: 'United States' },
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'CA', name: 'Canada' },
+  { code: 'AU', name: 'Australia' },
+  { code: 'IE', name: 'Ireland' },
+  { code: 'DE', name: 'Germany' },
+  { code: 'FR', name: 'France' },
+  { code: 'ES', name: 'Spain' },
+  { code: 'IT', name: 'Italy' },
+  { code: 'NL', name: 'Netherlands' },
+  { code: 'SE', name: 'Sweden' },
+  { code: 'PL', name: 'Poland' },
+  { code: 'BR', name: 'Brazil' },
+  { code: 'MX', name: 'Mexico' },
+  { code: 'JP', name: 'Japan' },
+  { code: 'KR', name: 'South Korea' },
+  { code: 'IN', name: 'India' },
+  { code: 'ID', name: 'Indonesia' },
+  { code: 'PH', name: 'Philippines' },
+  { code: 'NG', name: 'Nigeria' },
+  { code: 'ZA', name: 'South Africa' }
+];
+
+/**
+ * Look up the label of an option, falling back to the stored value
+ * @param {Array} options - Options with id/label or code/name
+ * @param {string} value - Stored value
+ * @returns {string} Label
+ */
+export const getOptionLabel = (options, value) => {
+  const option = options.find(item => (item.id || item.code) === value);
+  return option ? option.label || option.name : value;
+};
+
+/**
+ * Turn what an artist typed into a stored hashtag: no spaces, with a leading #
+ * @param {string} text - Typed hashtag, with or without #
+ * @returns {string} Hashtag, '' if nothing was typed
+ */
+export const normalizeHashtag = (text) => {
+  const tag = String(text || '').replace(/\s+/g, '').replace(/^#+/, '');
+  return tag ? `#${tag}` : '';
+};
@@ -175,6 +175,20 @@ export const formatCurrency = (
       .join(' ');
   };
   
+  /**
+   * Describe a saved card, e.g. "Visa •••• 4242 (expires 04/27)"
+   * @param {Object} card - Saved card { brand, last4, expMonth, expYear }
+   * @returns {string} Card label
+   */
+  export const formatCardLabel = (card) => {
+    if (!card) return '';
+    
+    const label = `${capitalizeWords(card.brand || 'card')} •••• ${card.last4}`;
+    if (!card.expMonth || !card.expYear) return label;
+    
+    return `${label} (expires ${String(card.expMonth).padStart(2, '0')}/${String(card.expYear).slice(-2)})`;
+  };
+  
   export default {
     formatCurrency,
     formatNumber,
@@ -183,5 +197,6 @@ export const formatCurrency = (
     formatDate,
     formatRelativeTime,
     truncateText,
-    capitalizeWords
+    capitalizeWords,
+    formatCardLabel
   };
\ No newline at end of file
@@ -0,0 +1,176 @@
+/**
+ * Utility functions for building and downloading campaign invoices
+ */
+import { formatCurrency, formatDate } from './formatting';
+
+const PROCESSOR_NAMES = {
+  stripe: 'Credit Card (Stripe)',
+  paypal: 'PayPal',
+  wallet: 'Account credits'
+};
+
+/**
+ * Escape text for safe use in invoice HTML
+ * @param {*} value - Value to escape
+ * @returns {string} Escaped string
+ */
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+/**
+ * Get the invoices for a list of campaigns, newest first
+ * Resubmitted campaigns that were paid for again also list the payments they replaced,
+ * and budget top-ups are invoiced on their own
+ * @param {Array} campaigns - Campaigns with paymentDetails
+ * @returns {Array} Invoice rows built from each campaign's paymentDetails and top-ups
+ */
+export const getInvoices = (campaigns = []) => {
+  return campaigns
+    .flatMap(campaign => [
+      ...[...(campaign.previousPayments || []), campaign.paymentDetails]
+        .map(paymentDetails => ({ campaign, paymentDetails, isTopUp: false })),
+      ...Object.values(campaign.topUps || {})
+        .map(topUp => ({ campaign, paymentDetails: topUp, isTopUp: true }))
+    ])
+    .filter(({ paymentDetails }) => paymentDetails?.invoice)
+    .map(({ campaign, paymentDetails, isTopUp }) => {
+      return {
+        campaignId: campaign.id,
+        number: paymentDetails.invoice.number,
+        billingName: paymentDetails.invoice.billingName,
+        billingEmail: paymentDetails.invoice.billingEmail,
+        billingAddress: paymentDetails.invoice.billingAddress || null,
+        issuedAt: paymentDetails.invoice.issuedAt,
+        paidAt: paymentDetails.paidAt || paymentDetails.invoice.issuedAt,
+        campaignTitle: campaign.songDetails?.title || 'Untitled Campaign',
+        artistName: campaign.artistDetails?.name || '',
+        isTopUp,
+        budget: isTopUp ? paymentDetails.budget : paymentDetails.originalAmount ?? campaign.campaignDetails?.budget,
+        discount: paymentDetails.discount || 0,
+        promoCode: paymentDetails.promoCode || null,
+        taxAmount: paymentDetails.taxAmount || 0,
+        taxRate: paymentDetails.taxRate || 0,
+        taxType: paymentDetails.taxType || null,
+        reverseCharge: Boolean(paymentDetails.reverseCharge),
+        vatId: paymentDetails.vatId || null,
+        amount: paymentDetails.amountReceived ?? paymentDetails.amount,
+        currency: paymentDetails.currency || 'USD',
+        processor: paymentDetails.processor,
+        transactionId: paymentDetails.transactionId,
+        refund: paymentDetails.refund?.status === 'succeeded' ? paymentDetails.refund : null
+      };
+    })
+    .sort((a, b) => b.number.localeCompare(a.number));
+};
+
+/**
+ * Build a printable HTML invoice
+ * @param {Object} invoice - Invoice row from getInvoices
+ * @returns {string} Complete HTML document
+ */
+export const buildInvoiceHtml = (invoice) => {
+  const money = (amount) => escapeHtml(formatCurrency(amount, invoice.currency, 2, 2));
+
+  const discountRow = invoice.discount > 0
+    ? `<tr><td>Discount${invoice.promoCode ? ` (${escapeHtml(invoice.promoCode)})` : ''}</td><td class="amount">-${money(invoice.discount)}</td></tr>`
+    : '';
+
+  // Tax lines only appear on invoices for payments that were taxed
+  const hasTax = Boolean(invoice.taxType);
+  const subtotalRow = hasTax
+    ? `<tr><td>Subtotal</td><td class="amount">${money(invoice.budget - invoice.discount)}</td></tr>`
+    : '';
+  const taxRow = hasTax
+    ? `<tr><td>${invoice.reverseCharge ? 'VAT reverse charge' : `${escapeHtml(invoice.taxType)} (${Math.round(invoice.taxRate * 10000) / 100}%)`}</td><td class="amount">${money(invoice.taxAmount)}</td></tr>`
+    : '';
+
+  const address = invoice.billingAddress;
+  const addressLines = address
+    ? [address.line1, [address.city, address.region, address.postalCode].filter(Boolean).join(' '), address.country]
+      .filter(Boolean)
+      .map(line => `<br>${escapeHtml(line)}`)
+      .join('')
+    : '';
+
+  const refundRow = invoice.refund
+    ? `<tr><td>Refunded ${escapeHtml(formatDate(invoice.refund.refundedAt))}</td><td class="amount">-${money(invoice.refund.amount)}</td></tr>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Invoice ${escapeHtml(invoice.number)}</title>
+<style>
+body { font-family: Helvetica, Arial, sans-serif; color: #1f2937; max-width: 720px; margin: 40px auto; padding: 0 24px; }
+h1 { font-size: 28px; margin: 0; }
+.header { display: flex; justify-content: space-between; margin-bottom: 32px; }
+.muted { color: #6b7280; font-size: 14px; }
+table { width: 100%; border-collapse: collapse; margin: 24px 0; }
+td, th { padding: 10px 0; border-bottom: 1px solid #e5e7eb; text-align: left; }
+.amount { text-align: right; }
+.total td { font-weight: bold; font-size: 18px; border-bottom: none; }
+@media print { .no-print { display: none; } body { margin: 0 auto; } }
+</style>
+</head>
+<body>
+<div class="header">
+  <div>
+    <h1>SoundTik</h1>
+    <p class="muted">TikTok music promotion</p>
+  </div>
+  <div class="amount">
+    <h2>Invoice</h2>
+    <p class="muted">${escapeHtml(invoice.number)}<br>Issued ${escapeHtml(formatDate(invoice.issuedAt))}</p>
+  </div>
+</div>
+
+<p><strong>Billed to</strong><br>${escapeHtml(invoice.billingName)}${addressLines}${invoice.billingEmail ? `<br>${escapeHtml(invoice.billingEmail)}` : ''}${invoice.vatId ? `<br>VAT ID: ${escapeHtml(invoice.vatId)}` : ''}</p>
+
+<table>
+  <thead>
+    <tr><th>Description</th><th class="amount">Amount</th></tr>
+  </thead>
+  <tbody>
+    <tr><td>${invoice.isTopUp ? 'Budget top-up' : 'Promotion campaign'}: ${escapeHtml(invoice.campaignTitle)}${invoice.artistName ? ` by ${escapeHtml(invoice.artistName)}` : ''}</td><td class="amount">${money(invoice.budget)}</td></tr>
+    ${discountRow}
+    ${subtotalRow}
+    ${taxRow}
+    <tr class="total"><td>Total paid</td><td class="amount">${money(invoice.amount)}</td></tr>
+    ${refundRow}
+  </tbody>
+</table>
+
+${invoice.reverseCharge ? '<p class="muted">VAT to be accounted for by the recipient under the reverse-charge procedure.</p>' : ''}
+
+<p class="muted">
+  Paid ${escapeHtml(formatDate(invoice.paidAt))} via ${escapeHtml(PROCESSOR_NAMES[invoice.processor] || invoice.processor)}<br>
+  Transaction ID: ${escapeHtml(invoice.transactionId)}
+</p>
+
+<p class="no-print"><button onclick="window.print()">Print or save as PDF</button></p>
+</body>
+</html>`;
+};
+
+/**
+ * Download an invoice as a printable HTML file
+ * @param {Object} invoice - Invoice row from getInvoices
+ */
+export const downloadInvoice = (invoice) => {
+  const blob = new Blob([buildInvoiceHtml(invoice)], { type: 'text/html' });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = `${invoice.number}.html`;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+
+  URL.revokeObjectURL(url);
+};
@@ -1,6 +1,35 @@
 /**
  * Utility functions for campaign metrics calculations and analysis
  */
+import { DEFAULT_CURRENCY } from '../shared/currency';
+import { DEFAULT_PRICING, STANDARD_DURATION, estimateReach } from '../shared/pricing';
+
+// TikTok average engagement rates (%) by content category, and overall
+const ENGAGEMENT_BENCHMARKS = {
+  dance: 5.3,
+  music: 4.8,
+  comedy: 5.7,
+  lifestyle: 4.2,
+  fashion: 3.9,
+  beauty: 4.1,
+  fitness: 4.5,
+  gaming: 4.3,
+  sports: 4.6,
+  food: 4.4,
+  travel: 4.0,
+  art: 4.9,
+  tech: 3.8
+};
+const DEFAULT_ENGAGEMENT_BENCHMARK = 4.7;
+
+// How a campaign's main objective shifts the engagement to expect: sound adoption campaigns get
+// creators joining in on the sound, while pre-save campaigns send viewers off TikTok
+const OBJECTIVE_BENCHMARK_FACTORS = {
+  streams: 1.0,
+  followers: 1.05,
+  soundAdoption: 1.15,
+  preSave: 0.9
+};
 
 /**
  * Calculate engagement rate from metrics
@@ -41,6 +70,30 @@ export const calculateEngagementRate = (metrics) => {
     };
   };
   
+  /**
+   * Pick the engagement benchmark for a campaign: the first audience interest with a benchmark,
+   * then the first creator type, adjusted for the campaign's main objective
+   * @param {Object} campaignDetails - Campaign details with targetAudience, creatorTargeting and objectives
+   * @returns {Object} { industryAverage, category, objective } - category and objective are null when not used
+   */
+  export const getEngagementBenchmark = (campaignDetails = {}) => {
+    const categories = [
+      ...(campaignDetails.targetAudience?.interests || []),
+      ...(campaignDetails.creatorTargeting?.creatorTypes || [])
+    ];
+    const category = categories.find(name => ENGAGEMENT_BENCHMARKS[name] !== undefined) || null;
+    const objective = (campaignDetails.objectives || []).find(name => OBJECTIVE_BENCHMARK_FACTORS[name] !== undefined) || null;
+    
+    const average = category ? ENGAGEMENT_BENCHMARKS[category] : DEFAULT_ENGAGEMENT_BENCHMARK;
+    const factor = objective ? OBJECTIVE_BENCHMARK_FACTORS[objective] : 1;
+    
+    return {
+      industryAverage: Math.round(average * factor * 100) / 100,
+      category,
+      objective
+    };
+  };
+  
   /**
    * Calculate like, comment, and share rates
    * @param {Object} metrics - Object containing views, likes, comments, shares
@@ -64,8 +117,27 @@ export const calculateEngagementRate = (metrics) => {
     };
   };
   
+  /**
+   * Time a campaign has spent paused, including a pause still in progress
+   * @param {Object} campaign - Campaign object with pausedMs and pausedAt
+   * @param {Date} now - Current time
+   * @returns {number} Paused time in milliseconds
+   */
+  export const getPausedDuration = (campaign, now = new Date()) => {
+    if (!campaign) {
+      return 0;
+    }
+    
+    const pausedAt = campaign.status === 'paused' && campaign.pausedAt
+      ? (campaign.pausedAt.toDate ? campaign.pausedAt.toDate() : new Date(campaign.pausedAt))
+      : null;
+    
+    return (campaign.pausedMs || 0) + (pausedAt ? Math.max(0, now.getTime() - pausedAt.getTime()) : 0);
+  };
+  
   /**
    * Calculate campaign progress percentage
+   * Time spent paused is left out; the end date has already been moved back by earlier pauses
    * @param {Object} campaign - Campaign object with startDate, endDate, and duration
    * @returns {number} Progress percentage (0-100)
    */
@@ -83,39 +155,36 @@ export const calculateEngagementRate = (metrics) => {
       ? campaign.endDate.toDate 
         ? campaign.endDate.toDate() 
         : new Date(campaign.endDate) 
-      : new Date(startDate.getTime() + (campaign.campaignDetails.duration * 86400000));
+      : new Date(startDate.getTime() + ((campaign.campaignDetails?.duration || 30) * 86400000));
     
     const now = new Date();
     
     // Calculate progress
-    const totalDuration = endDate.getTime() - startDate.getTime();
-    const elapsed = now.getTime() - startDate.getTime();
+    const totalDuration = endDate.getTime() - startDate.getTime() - (campaign.pausedMs || 0);
+    const elapsed = now.getTime() - startDate.getTime() - getPausedDuration(campaign, now);
+    
+    if (totalDuration <= 0) {
+      return 0;
+    }
     
     // Ensure progress is between 0-100
     return Math.max(0, Math.min(100, Math.round((elapsed / totalDuration) * 100)));
   };
   
   /**
-   * Calculate estimated reach based on budget and duration
+   * Calculate estimated reach for a budget, using the same pricing tiers as checkout
    * @param {number} budget - Campaign budget
+   * @param {string} currency - Campaign currency
+   * @param {Object} pricing - Pricing tiers (defaults to the built-in pricing)
    * @param {number} duration - Campaign duration in days
    * @returns {Object} Estimated minimum and maximum reach
    */
-  export const calculateEstimatedReach = (budget, duration) => {
-    if (!budget || !duration) {
+  export const calculateEstimatedReach = (budget, currency = DEFAULT_CURRENCY, pricing = DEFAULT_PRICING, duration = STANDARD_DURATION) => {
+    if (!budget) {
       return { min: 0, max: 0 };
     }
     
-    // Simple formula: $1 = ~100-200 views with diminishing returns on duration
-    const baseReach = budget * 150;
-    const durationMultiplier = Math.sqrt(duration / 30); // Square root for diminishing returns
-    
-    const estimatedBaseReach = Math.round(baseReach * durationMultiplier);
-    
-    return {
-      min: Math.round(estimatedBaseReach * 0.8), // 20% lower bound
-      max: Math.round(estimatedBaseReach * 1.2)  // 20% upper bound
-    };
+    return estimateReach(budget, currency, pricing, duration);
   };
   
   /**
@@ -174,7 +243,9 @@ export const calculateEngagementRate = (metrics) => {
   export default {
     calculateEngagementRate,
     compareEngagementRate,
+    getEngagementBenchmark,
     calculateEngagementBreakdown,
+    getPausedDuration,
     calculateCampaignProgress,
     calculateEstimatedReach,
     compareToBenchmarks,
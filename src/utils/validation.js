@@ -128,9 +128,10 @@ export const validateEmail = (email) => {
    * Validate campaign duration
    * @param {number} duration - Campaign duration in days
    * @param {number} minDuration - Minimum allowed duration
+   * @param {number} maxDuration - Maximum allowed duration
    * @returns {Object} Validation result with isValid flag and message
    */
-  export const validateDuration = (duration, minDuration = 7) => {
+  export const validateDuration = (duration, minDuration = 7, maxDuration = 90) => {
     const numDuration = parseInt(duration);
     
     if (isNaN(numDuration) || numDuration <= 0) {
@@ -147,6 +148,13 @@ export const validateEmail = (email) => {
       };
     }
     
+    if (numDuration > maxDuration) {
+      return {
+        isValid: false,
+        message: `Duration can be at most ${maxDuration} days`
+      };
+    }
+    
     return {
       isValid: true,
       message: ''